@@ -0,0 +1,93 @@
+import express from 'express';
+import cors from 'cors';
+import { createSessionMiddleware } from './session.js';
+import { createRequestIdMiddleware, logger } from './logger.js';
+import { createRateLimiter, loadRateLimitConfig } from './rateLimit.js';
+import { createMockFailureMiddleware } from './mockMode.js';
+import { createPromptRegistry } from './promptRegistry.js';
+import { createPlaylistSearch } from './playlistSearch.js';
+import { createPlaylistRouter } from './routes/playlist.js';
+import { createExperienceRouter } from './routes/experience.js';
+import { createMoodRouter } from './routes/mood.js';
+import { createSpotifyRouter } from './routes/spotify.js';
+import { createFeedbackRouter } from './routes/feedback.js';
+
+export const DEFAULT_CORS_ORIGINS = ['http://localhost:5173', 'http://localhost:5174'];
+
+// Build the Express app. Upstream clients are passed in so tests (and
+// MOCK_MODE) can swap the LLM provider, Spotify client and store.
+//   llm             - LLM provider ({ complete, stream })
+//   llmConfig       - token limits and repair attempts (see server/llm/index.js)
+//   spotify         - Spotify client ({ getToken, searchPlaylists, stats })
+//   spotifyUser     - Spotify login client (see spotifyUser.js); null turns
+//                     "Connect Spotify" off
+//   experienceStore - saved vibe cards ({ save, get })
+//   feedbackStore   - thumbs up/down per section ({ record, list })
+//   prompts         - prompt templates and A/B variants (see promptRegistry.js)
+//   rateLimitConfig - see server/rateLimit.js; rate limiting is off by default
+//   mockFailures    - honour X-Mock-Failure / ?mockFailure= (MOCK_MODE only)
+export function createApp({
+  llm,
+  llmConfig = { maxTokens: 2000, maxTokensLong: 3000, repairAttempts: 2 },
+  spotify,
+  spotifyUser = null,
+  experienceStore,
+  feedbackStore,
+  prompts = createPromptRegistry(),
+  rateLimitConfig = { ...loadRateLimitConfig({}), enabled: false },
+  mockFailures = false,
+  trustProxy,
+  corsOrigins = DEFAULT_CORS_ORIGINS
+}) {
+  const app = express();
+
+  // Enable CORS for all origins in development
+  const corsOptions = {
+    origin: corsOrigins,
+    methods: ['GET', 'POST'],
+    credentials: true,
+    exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'X-Prompt-Variant', 'X-Request-Id']
+  };
+
+  // Behind a reverse proxy, set trustProxy (e.g. "1") so req.ip is the client's address
+  if (trustProxy) {
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+  }
+
+  app.use(cors(corsOptions));
+  // X-Request-Id on every response and log entry (see server/logger.js)
+  app.use(createRequestIdMiddleware());
+  app.use(express.json());
+  app.use(createSessionMiddleware());
+  if (mockFailures) {
+    app.use(createMockFailureMiddleware());
+  }
+
+  // Per-IP / per-session budgets for routes that spend LLM and Spotify quota
+  const rateLimit = createRateLimiter(rateLimitConfig);
+  const playlistSearch = createPlaylistSearch(spotify);
+
+  app.use('/api/playlist', createPlaylistRouter({ llm, playlistSearch, rateLimit }));
+  app.use('/api/experience', createExperienceRouter({ llm, llmConfig, playlistSearch, experienceStore, prompts, rateLimit }));
+  app.use('/api/mood', createMoodRouter());
+  app.use('/api/spotify', createSpotifyRouter({ spotifyUser, rateLimit }));
+  // Separate budgets, so rating cards doesn't use up the generation quota
+  app.use('/api/feedback', createFeedbackRouter({ feedbackStore, experienceStore, rateLimit: createRateLimiter(rateLimitConfig) }));
+
+  // Prompt variants with their versions and A/B weights
+  app.get('/api/prompts', async (req, res) => {
+    try {
+      res.json({ variants: await prompts.list() });
+    } catch (error) {
+      logger.error('Error loading prompt templates', { error });
+      res.status(500).json({ error: 'Failed to load prompt templates' });
+    }
+  });
+
+  // Spotify cache hit/miss counters
+  app.get('/api/cache/stats', (req, res) => {
+    res.json({ spotify: spotify.stats() });
+  });
+
+  return app;
+}
@@ -0,0 +1,109 @@
+// Map a mood onto Spotify audio-feature targets and seed genres for
+// /recommendations. The canonical mood (see moodTaxonomy.js) gives a base
+// profile; the mood context sliders and situation then nudge it.
+
+import { hasMoodContext } from './moodContext.js';
+
+// valence, energy and danceability are 0-1; tempo is in BPM. Genres must be
+// Spotify seed genres (GET /recommendations/available-genre-seeds).
+const PROFILES = {
+  happy: { valence: 0.85, energy: 0.7, tempo: 118, danceability: 0.7, genres: ['happy', 'pop', 'indie-pop'] },
+  excited: { valence: 0.8, energy: 0.9, tempo: 126, danceability: 0.75, genres: ['dance', 'pop', 'edm'] },
+  energetic: { valence: 0.65, energy: 0.92, tempo: 130, danceability: 0.7, genres: ['work-out', 'edm', 'hip-hop'] },
+  calm: { valence: 0.55, energy: 0.25, tempo: 84, danceability: 0.4, genres: ['chill', 'ambient', 'acoustic'] },
+  cozy: { valence: 0.6, energy: 0.3, tempo: 90, danceability: 0.45, genres: ['acoustic', 'folk', 'jazz'] },
+  sad: { valence: 0.18, energy: 0.3, tempo: 80, danceability: 0.35, genres: ['sad', 'singer-songwriter', 'piano'] },
+  heartbroken: { valence: 0.15, energy: 0.35, tempo: 78, danceability: 0.35, genres: ['sad', 'soul', 'singer-songwriter'] },
+  lonely: { valence: 0.25, energy: 0.3, tempo: 82, danceability: 0.35, genres: ['indie', 'sad', 'acoustic'] },
+  nostalgic: { valence: 0.5, energy: 0.45, tempo: 100, danceability: 0.5, genres: ['soul', 'disco', 'rock'] },
+  romantic: { valence: 0.65, energy: 0.4, tempo: 92, danceability: 0.55, genres: ['romance', 'r-n-b', 'soul'] },
+  angry: { valence: 0.25, energy: 0.92, tempo: 135, danceability: 0.45, genres: ['metal', 'punk', 'rock'] },
+  anxious: { valence: 0.45, energy: 0.2, tempo: 76, danceability: 0.3, genres: ['ambient', 'piano', 'new-age'] },
+  stressed: { valence: 0.5, energy: 0.22, tempo: 78, danceability: 0.35, genres: ['ambient', 'chill', 'classical'] },
+  tired: { valence: 0.45, energy: 0.15, tempo: 72, danceability: 0.3, genres: ['sleep', 'ambient', 'piano'] },
+  bored: { valence: 0.6, energy: 0.65, tempo: 112, danceability: 0.6, genres: ['indie', 'funk', 'electronic'] },
+  focused: { valence: 0.45, energy: 0.4, tempo: 96, danceability: 0.4, genres: ['study', 'classical', 'electronic'] },
+  confident: { valence: 0.7, energy: 0.8, tempo: 110, danceability: 0.75, genres: ['hip-hop', 'pop', 'r-n-b'] },
+  hopeful: { valence: 0.7, energy: 0.55, tempo: 108, danceability: 0.5, genres: ['indie', 'folk', 'pop'] },
+  grateful: { valence: 0.75, energy: 0.45, tempo: 100, danceability: 0.5, genres: ['soul', 'acoustic', 'folk'] },
+  playful: { valence: 0.85, energy: 0.75, tempo: 120, danceability: 0.75, genres: ['funk', 'disco', 'pop'] },
+  adventurous: { valence: 0.7, energy: 0.75, tempo: 118, danceability: 0.55, genres: ['road-trip', 'rock', 'indie'] },
+  dreamy: { valence: 0.5, energy: 0.3, tempo: 88, danceability: 0.4, genres: ['ambient', 'indie', 'electronic'] }
+};
+
+const NEUTRAL = { valence: 0.55, energy: 0.5, tempo: 105, danceability: 0.55, genres: ['pop', 'indie', 'chill'] };
+
+const CONTEXT_GENRES = {
+  social: { party: 'party', date: 'romance', solo: null },
+  weather: { rainy: 'rainy-day', hot: 'summer', sunny: 'summer' }
+};
+
+const MAX_SEED_GENRES = 5;
+
+const clamp = (value, min = 0, max = 1) => Math.min(max, Math.max(min, value));
+const round = (value) => Math.round(value * 100) / 100;
+const sliderValue = (level) => (level - 1) / 4;
+
+// Returns { targets: { valence, energy, danceability, tempo }, seedGenres }
+export function buildAudioProfile(moodId, moodContext) {
+  const base = PROFILES[moodId] || NEUTRAL;
+  let { valence, energy, danceability, tempo } = base;
+  const genres = [...base.genres];
+
+  if (hasMoodContext(moodContext)) {
+    const { valence: valenceLevel, energy: energyLevel, intensity, timeOfDay, social, weather } = moodContext;
+    // The sliders describe this moment, so they outweigh the mood word
+    if (valenceLevel) valence = 0.3 * valence + 0.7 * sliderValue(valenceLevel);
+    if (energyLevel) {
+      energy = 0.3 * energy + 0.7 * sliderValue(energyLevel);
+      tempo += (sliderValue(energyLevel) - 0.5) * 40;
+    }
+    // Intensity pushes the profile away from neutral
+    if (intensity) {
+      const stretch = 0.5 + sliderValue(intensity);
+      valence = 0.5 + (valence - 0.5) * stretch;
+      energy = 0.5 + (energy - 0.5) * stretch;
+    }
+    if (timeOfDay === 'night') {
+      energy -= 0.1;
+      tempo -= 6;
+    } else if (timeOfDay === 'morning') {
+      valence += 0.05;
+    }
+    if (social === 'party') {
+      danceability += 0.2;
+      energy += 0.1;
+    } else if (social === 'date') {
+      danceability += 0.05;
+    }
+    if (weather === 'rainy' || weather === 'stormy' || weather === 'cloudy') valence -= 0.05;
+    if (weather === 'sunny' || weather === 'hot') valence += 0.05;
+
+    const extra = [CONTEXT_GENRES.social[social], CONTEXT_GENRES.weather[weather]].filter(Boolean);
+    genres.unshift(...extra);
+  }
+
+  return {
+    targets: {
+      valence: round(clamp(valence)),
+      energy: round(clamp(energy)),
+      danceability: round(clamp(danceability)),
+      tempo: Math.round(clamp(tempo, 60, 180))
+    },
+    seedGenres: [...new Set(genres)].slice(0, MAX_SEED_GENRES)
+  };
+}
+
+// Shape a Spotify track object for API responses
+export function formatTrack(track) {
+  return {
+    id: track.id,
+    name: track.name,
+    artists: (track.artists || []).map(artist => artist.name),
+    album: track.album?.name || '',
+    image: track.album?.images?.at(-1)?.url || null,
+    durationMs: track.duration_ms,
+    previewUrl: track.preview_url || null,
+    url: track.external_urls?.spotify || null
+  };
+}
@@ -0,0 +1,71 @@
+import { extractJson, validateExperience, ExperienceValidationError } from './experienceSchema.js';
+import { DEFAULT_SECTIONS } from './sections/index.js';
+import { logger } from './logger.js';
+
+const MAX_LISTED_ERRORS = 20;
+
+function buildRepairMessage(errors) {
+  const listed = errors.slice(0, MAX_LISTED_ERRORS).map(error => `- ${error}`).join('\n');
+  const more = errors.length > MAX_LISTED_ERRORS ? `\n- ...and ${errors.length - MAX_LISTED_ERRORS} more` : '';
+  return `Your previous reply did not match the required JSON structure. Fix these problems:
+${listed}${more}
+
+Return ONLY the corrected JSON object, with the same structure as before, and no other text.`;
+}
+
+// Parse and validate a model reply. Returns { value, errors }.
+// `check(value)` adds request-specific errors (e.g. allergen conflicts) once
+// the reply matches the schema.
+export function checkExperienceReply(content, sections = DEFAULT_SECTIONS, check) {
+  let value;
+  try {
+    value = extractJson(content);
+  } catch (error) {
+    return { value: null, errors: [`response: ${error.message}`] };
+  }
+  const errors = validateExperience(value, sections);
+  if (!errors.length && check) {
+    errors.push(...check(value));
+  }
+  return { value, errors };
+}
+
+// Get a valid experience from the model, re-prompting it with the specific
+// validation errors up to `maxRepairs` times. `initialContent` lets callers
+// that already have a reply (e.g. from a stream) skip the first request, and
+// `check` is passed on to checkExperienceReply.
+//
+// Throws ExperienceValidationError once the repair attempts run out.
+export async function generateValidatedExperience(llm, request, {
+  sections = DEFAULT_SECTIONS,
+  maxRepairs = 2,
+  initialContent,
+  signal,
+  check
+} = {}) {
+  const messages = [...request.messages];
+  let content = initialContent ?? await llm.complete({ ...request, messages, signal });
+  let attempt = 0;
+
+  for (;;) {
+    const { value, errors } = checkExperienceReply(content, sections, check);
+    if (!errors.length) {
+      if (attempt > 0) {
+        logger.info('Experience repaired', { attempts: attempt });
+      }
+      return value;
+    }
+
+    logger.warn('AI response failed validation', { attempt: attempt + 1, errors });
+    if (attempt >= maxRepairs) {
+      throw new ExperienceValidationError('AI response failed validation', { errors, attempts: attempt + 1 });
+    }
+
+    messages.push(
+      { role: 'assistant', content },
+      { role: 'user', content: buildRepairMessage(errors) }
+    );
+    attempt++;
+    content = await llm.complete({ ...request, messages, signal });
+  }
+}
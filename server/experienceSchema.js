@@ -0,0 +1,67 @@
+// Validation of the vibe card returned by the LLM. The schema of each section
+// lives with the section in server/sections/.
+
+import { describe } from './validators.js';
+import { DEFAULT_SECTIONS, getSection } from './sections/index.js';
+
+// Thrown when the model output still fails validation after all repair attempts
+export class ExperienceValidationError extends Error {
+  constructor(message, { errors = [], attempts = 0 } = {}) {
+    super(message);
+    this.name = 'ExperienceValidationError';
+    this.errors = errors;
+    this.attempts = attempts;
+  }
+}
+
+// Validate a single section. Returns a list of error messages (empty when valid).
+export function validateSection(section, value) {
+  const errors = [];
+  const validator = getSection(section)?.schema;
+  if (!validator) {
+    return [`${section}: unknown section`];
+  }
+  if (value === undefined || value === null) {
+    return [`${section}: missing required section`];
+  }
+  validator(value, section, errors);
+  return errors;
+}
+
+// Validate a whole experience, limited to `sections` when given
+export function validateExperience(experience, sections = DEFAULT_SECTIONS) {
+  if (!experience || typeof experience !== 'object' || Array.isArray(experience)) {
+    return [`experience: expected a JSON object, got ${describe(experience)}`];
+  }
+  return sections.flatMap(section => validateSection(section, experience[section]));
+}
+
+// Pull a JSON object out of a model reply. Handles bare JSON, ```json fences
+// and objects wrapped in explanatory prose. Throws SyntaxError if none parses.
+export function extractJson(text) {
+  if (typeof text !== 'string') {
+    throw new SyntaxError('AI response is not text');
+  }
+
+  const candidates = [text.trim()];
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) {
+    candidates.push(fenced[1].trim());
+  }
+
+  const first = text.indexOf('{');
+  const last = text.lastIndexOf('}');
+  if (first !== -1 && last > first) {
+    candidates.push(text.slice(first, last + 1));
+  }
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch {
+      // Try the next candidate
+    }
+  }
+  throw new SyntaxError('No valid JSON object found in AI response');
+}
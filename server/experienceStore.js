@@ -0,0 +1,41 @@
+import crypto from 'crypto';
+
+const ID_ALPHABET = 'abcdefghijkmnopqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+export const SHARE_ID_LENGTH = 8;
+export const SHARE_ID_PATTERN = new RegExp(`^[${ID_ALPHABET}]{${SHARE_ID_LENGTH}}$`);
+
+// Short, URL-safe ID without look-alike characters (0/O, 1/l/I)
+export function createShareId() {
+  const bytes = crypto.randomBytes(SHARE_ID_LENGTH);
+  let id = '';
+  for (const byte of bytes) {
+    id += ID_ALPHABET[byte % ID_ALPHABET.length];
+  }
+  return id;
+}
+
+// Saved vibe cards, keyed by share ID
+export function createExperienceStore(store) {
+  return {
+    async save({ mood, experience, params = {} }) {
+      let id = createShareId();
+      while (await store.has(id)) {
+        id = createShareId();
+      }
+      const record = {
+        id,
+        mood,
+        experience,
+        params,
+        createdAt: new Date().toISOString()
+      };
+      await store.put(id, record);
+      return record;
+    },
+
+    async get(id) {
+      if (!SHARE_ID_PATTERN.test(id)) return null;
+      return store.get(id);
+    }
+  };
+}
@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+
+export const FEEDBACK_RATINGS = ['up', 'down'];
+
+// One vote per visitor, card and section: voting again replaces the earlier
+// vote. The session ID is only used to derive the key, never stored.
+function feedbackKey({ experienceId, section, sessionId }) {
+  return crypto.createHash('sha256').update(`${experienceId}:${section}:${sessionId}`).digest('base64url').slice(0, 22);
+}
+
+// Thumbs up/down (and optional comments) on card sections, stored with the
+// mood, prompt variant and model that produced the section
+export function createFeedbackStore(store) {
+  return {
+    async record({ experienceId, section, sessionId, rating, comment, mood, moodCluster, promptVariant, model }) {
+      const id = feedbackKey({ experienceId, section, sessionId });
+      const existing = await store.get(id);
+      const now = new Date().toISOString();
+      const entry = {
+        id,
+        experienceId,
+        section,
+        rating,
+        comment: comment || '',
+        mood,
+        moodCluster,
+        promptVariant,
+        model,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now
+      };
+      await store.put(id, entry);
+      return entry;
+    },
+
+    async list() {
+      return store.values();
+    }
+  };
+}
+
+function emptyStats() {
+  return { up: 0, down: 0, total: 0, comments: 0, satisfaction: null };
+}
+
+function addVote(stats, entry) {
+  stats[entry.rating] += 1;
+  stats.total += 1;
+  if (entry.comment) stats.comments += 1;
+  stats.satisfaction = Math.round((stats.up / stats.total) * 100) / 100;
+}
+
+// Satisfaction (share of thumbs up) overall and grouped by section, mood
+// cluster, model and prompt variant. Entries without a value for a grouping
+// are counted under "unknown".
+export function summarizeFeedback(entries) {
+  const groupings = {
+    bySection: entry => entry.section,
+    byMoodCluster: entry => entry.moodCluster,
+    byModel: entry => entry.model,
+    byPromptVariant: entry => entry.promptVariant
+  };
+
+  const summary = { overall: emptyStats() };
+  for (const name of Object.keys(groupings)) summary[name] = {};
+
+  for (const entry of entries) {
+    if (!FEEDBACK_RATINGS.includes(entry.rating)) continue;
+    addVote(summary.overall, entry);
+    for (const [name, keyOf] of Object.entries(groupings)) {
+      const key = keyOf(entry) || 'unknown';
+      summary[name][key] ??= emptyStats();
+      addVote(summary[name][key], entry);
+    }
+  }
+  return summary;
+}
@@ -0,0 +1,164 @@
+import { createRandom } from './seed.js';
+import { DEFAULT_SECTIONS, pickSections } from '../sections/index.js';
+
+// Deterministic vibe cards used by the fixture LLM provider
+
+const PALETTES = [
+  { name: 'Golden Hour', colors: [['Amber', '#F59E0B'], ['Peach', '#FDBA74'], ['Dusk', '#7C2D12'], ['Cream', '#FEF3C7']] },
+  { name: 'Quiet Forest', colors: [['Moss', '#4D7C0F'], ['Fern', '#86EFAC'], ['Bark', '#44403C'], ['Mist', '#ECFDF5']] },
+  { name: 'Night Drive', colors: [['Midnight', '#1E1B4B'], ['Neon Violet', '#A855F7'], ['Streetlight', '#FACC15'], ['Asphalt', '#27272A']] },
+  { name: 'Sea Glass', colors: [['Lagoon', '#0E7490'], ['Foam', '#CFFAFE'], ['Driftwood', '#A8A29E'], ['Coral', '#FB7185']] }
+];
+
+// [quantity, unit, name]
+const RECIPES = [
+  {
+    title: 'Sunny Citrus Pancakes',
+    servings: 4,
+    prepMinutes: 10,
+    cookMinutes: 15,
+    dietaryTags: ['vegetarian'],
+    ingredients: [[200, 'g', 'flour'], [2, '', 'eggs'], [300, 'ml', 'milk'], [1, 'tbsp', 'orange zest'], [2, 'tbsp', 'honey'], [30, 'g', 'butter'], [1, 'pinch', 'salt']],
+    steps: [['Whisk the flour and salt together.'], ['Beat in the eggs, milk and zest until smooth.'], ['Cook small rounds in butter until golden on both sides.', 3], ['Drizzle with honey and serve warm.']]
+  },
+  {
+    title: 'Cozy Tomato Soup',
+    servings: 4,
+    prepMinutes: 10,
+    cookMinutes: 25,
+    dietaryTags: ['vegetarian', 'gluten-free'],
+    ingredients: [[800, 'g', 'tomatoes'], [1, '', 'onion'], [2, 'clove', 'garlic'], [500, 'ml', 'vegetable stock'], [2, 'tbsp', 'olive oil'], [1, 'handful', 'basil'], [60, 'ml', 'cream']],
+    steps: [['Soften the onion and garlic in the oil.', 5], ['Add the tomatoes and stock and simmer.', 20], ['Blend with the basil and finish with the cream.']]
+  },
+  {
+    title: 'Midnight Noodle Bowl',
+    servings: 2,
+    prepMinutes: 5,
+    cookMinutes: 10,
+    dietaryTags: ['dairy-free'],
+    ingredients: [[200, 'g', 'rice noodles'], [3, 'tbsp', 'soy sauce'], [1, 'tsp', 'ginger'], [2, '', 'scallions'], [1, 'tbsp', 'sesame oil'], [0.5, 'tsp', 'chili flakes'], [2, '', 'eggs']],
+    steps: [['Cook the noodles.', 4], ['Warm the ginger in the sesame oil.', 1], ['Toss the noodles with the soy sauce and chili.'], ['Top with a soft egg and the scallions.', 6]]
+  }
+];
+
+// Fits every diet, allergy and time limit in server/preferences.js; used when
+// the prompt carries hard recipe constraints
+const CONSTRAINED_RECIPE = {
+  title: 'Herby Chickpea Salad',
+  servings: 2,
+  prepMinutes: 10,
+  cookMinutes: 0,
+  dietaryTags: ['vegan', 'gluten-free', 'halal'],
+  ingredients: [[400, 'g', 'chickpeas'], [1, '', 'cucumber'], [200, 'g', 'cherry tomatoes'], [0.5, '', 'red onion'], [2, 'tbsp', 'lemon juice'], [2, 'tbsp', 'olive oil'], [1, 'handful', 'parsley'], [1, 'pinch', 'salt']],
+  steps: [['Rinse and drain the chickpeas.'], ['Chop the cucumber, tomatoes, onion and parsley.'], ['Toss everything with the lemon juice, oil and salt.'], ['Let it sit so the flavours mingle.', 5]]
+};
+
+const MOVIES = [
+  { title: 'Paddington 2', year: 2017, genre: 'Family Comedy', streaming: 'Netflix', description: 'A gentle bear sets out to buy the perfect present and ends up in prison, charming everyone along the way.' },
+  { title: 'Lost in Translation', year: 2003, genre: 'Drama', streaming: 'Max', description: 'Two strangers adrift in Tokyo find an unexpected connection during sleepless nights.' },
+  { title: 'Spider-Man: Into the Spider-Verse', year: 2018, genre: 'Animation', streaming: 'Netflix', description: 'A teenager discovers he is not the only Spider-Person and learns to take a leap of faith.' }
+];
+
+const OUTFITS = [
+  { description: 'An oversized knit sweater over relaxed linen trousers with worn-in sneakers.', season: 'Autumn', style: 'Cozy casual' },
+  { description: 'A bright camp-collar shirt, tailored shorts and canvas loafers.', season: 'Summer', style: 'Playful' },
+  { description: 'A long wool coat over an all-black base with chunky boots.', season: 'Winter', style: 'Minimalist' }
+];
+
+const WRITING_THEMES = ['hope', 'nostalgia', 'renewal', 'adventure'];
+
+const BOOKS = [
+  { title: 'A Swim in a Pond in the Rain', author: 'George Saunders', year: 2021, description: 'Seven Russian short stories, read slowly and with delight.' },
+  { title: 'The Hobbit', author: 'J. R. R. Tolkien', year: 1937, description: 'A homebody is swept off on an adventure he never asked for.' },
+  { title: 'Bluets', author: 'Maggie Nelson', year: 2009, description: 'Short numbered reflections on the color blue, love and loss.' }
+];
+
+const PODCASTS = [
+  { title: 'Song Exploder', host: 'Hrishikesh Hirway', description: 'Musicians take apart one of their songs and tell the story of how it was made.' },
+  { title: 'Radiolab', host: 'Lulu Miller and Latif Nasser', description: 'Curious stories about science and the world, told with rich sound design.' },
+  { title: 'Everything Is Alive', host: 'Ian Chillag', description: 'Gentle, funny interviews with everyday objects, played by actors.' }
+];
+
+const SCENTS = [
+  { name: 'Library After Rain', notes: ['cedar', 'old paper', 'vetiver'], suggestion: 'a cedarwood candle' },
+  { name: 'Orchard Morning', notes: ['green apple', 'bergamot', 'fresh linen'], suggestion: 'a citrus essential oil blend in a diffuser' },
+  { name: 'Campfire Velvet', notes: ['smoke', 'vanilla', 'amber'], suggestion: 'a stick of sandalwood incense' }
+];
+
+const ACTIVITIES = [
+  { title: 'Slow sketch walk', setting: 'outdoors', description: 'Walk around the block and stop three times to sketch whatever catches your eye.' },
+  { title: 'Kitchen dance break', setting: 'indoors', description: 'Put on three songs in a row and dance while you tidy the kitchen.' },
+  { title: 'Letter to future you', setting: 'indoors', description: 'Write a one-page letter to yourself to open in a year.' }
+];
+
+// `variant` changes the picks for the same mood (used for section rerolls);
+// `constrained` swaps in a recipe that satisfies any dietary preferences;
+// `sections` picks which sections to return
+export function createFixtureExperience(mood, { variant = '', constrained = false, sections = DEFAULT_SECTIONS } = {}) {
+  const random = createRandom(`experience:${mood}${variant}`);
+  const palette = random.pick(PALETTES);
+  const picked = random.pick(RECIPES);
+  const recipe = constrained ? CONSTRAINED_RECIPE : picked;
+  const movie = random.pick(MOVIES);
+  const outfit = random.pick(OUTFITS);
+  const theme = random.pick(WRITING_THEMES);
+  const book = random.pick(BOOKS);
+  const podcast = random.pick(PODCASTS);
+  const scent = random.pick(SCENTS);
+  const activity = random.pick(ACTIVITIES);
+
+  const minutes = random.int(3, 10);
+
+  return pickSections({
+    playlist: {
+      name: `${mood} Radio`,
+      description: `Songs that sit right in a ${mood} moment.`,
+      genre: random.pick(['Indie Pop', 'Lo-fi', 'Soul', 'Ambient']),
+      theme: mood
+    },
+    recipe: {
+      ...recipe,
+      dietaryTags: [...recipe.dietaryTags],
+      ingredients: recipe.ingredients.map(([quantity, unit, name]) => ({ quantity, unit, name })),
+      steps: recipe.steps.map(([text, timerMinutes]) => (timerMinutes ? { text, timerMinutes } : { text }))
+    },
+    movie: { ...movie },
+    colorPalette: {
+      name: palette.name,
+      colors: palette.colors.map(([name, hex]) => ({ name, hex })),
+      description: `A ${palette.name.toLowerCase()} palette for feeling ${mood}.`
+    },
+    meditation: {
+      prompt: `A short breathing practice for noticing what ${mood} feels like in your body.`,
+      durationMinutes: minutes,
+      segments: [
+        { text: 'Find a comfortable seat and let your eyes close or soften.', seconds: 30 },
+        { text: `Breathe in for four counts and notice what ${mood} feels like in your body.`, seconds: minutes * 60 - 90, breathing: { inhale: 4, hold: 4, exhale: 6 } },
+        { text: 'Let the breath return to its own rhythm and let your shoulders drop.', seconds: 40 },
+        { text: 'When you are ready, open your eyes and carry this feeling with you.', seconds: 20 }
+      ]
+    },
+    outfit: {
+      ...outfit,
+      colors: palette.colors.slice(0, 3).map(([name]) => name)
+    },
+    writing: {
+      snippet: `Today tastes like ${mood}; the light leans in and the day makes room for ${theme}.`,
+      theme
+    },
+    book: {
+      ...book,
+      whyItFits: `It keeps you company in a ${mood} mood without asking too much of you.`
+    },
+    podcast: { ...podcast },
+    scent: {
+      ...scent,
+      notes: [...scent.notes],
+      description: `A ${scent.notes.join(', ')} blend that settles a ${mood} room.`
+    },
+    activity: {
+      ...activity,
+      durationMinutes: random.int(2, 6) * 5
+    }
+  }, sections);
+}
@@ -0,0 +1,28 @@
+// Small deterministic helpers so fixtures vary by mood but never between runs
+
+// FNV-1a hash of a string
+export function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// mulberry32 PRNG seeded from a string
+export function createRandom(seed) {
+  let state = hashString(String(seed));
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    pick: (items) => items[Math.floor(next() * items.length)],
+    int: (min, max) => min + Math.floor(next() * (max - min + 1))
+  };
+}
@@ -0,0 +1,138 @@
+import { createRandom } from './seed.js';
+import { normalizeMood } from '../spotify.js';
+import { getMockFailure, simulateFailure } from '../mockMode.js';
+
+const BASE62 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const SUFFIXES = ['Mix', 'Radio', 'Vibes', 'Essentials', 'Mood Booster', 'Session', 'Drive', 'Evening'];
+const OWNERS = [{ id: 'spotify', display_name: 'Spotify' }, { id: 'vibeform', display_name: 'Vibeform Fixtures' }];
+
+// 22-character Spotify-style ID derived from a string
+function fixtureId(value) {
+  const random = createRandom(`id:${value}`);
+  return Array.from({ length: 22 }, () => random.pick(BASE62)).join('');
+}
+
+function titleCase(value) {
+  return value.replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+function fixturePlaylist(query, index) {
+  const random = createRandom(`${query}:${index}`);
+  const mood = titleCase(query.replace(/\b(playlist|vibe|feel)\b/g, '').replace(/\s+/g, ' ').trim() || 'Chill');
+  const id = fixtureId(`${query}:${index}`);
+
+  return {
+    id,
+    name: `${mood} ${random.pick(SUFFIXES)}`,
+    description: `A fixture playlist for ${mood.toLowerCase()} moments.`,
+    external_urls: { spotify: `https://open.spotify.com/playlist/${id}` },
+    images: [],
+    owner: random.pick(OWNERS),
+    tracks: { total: random.int(8, 120) }
+  };
+}
+
+const TRACK_WORDS = ['Golden', 'Slow', 'Neon', 'Paper', 'Quiet', 'Velvet', 'Late', 'Blue', 'Wild', 'Open', 'Silver', 'Little'];
+const TRACK_NOUNS = ['Hours', 'Rooms', 'Rivers', 'Signals', 'Letters', 'Streets', 'Lights', 'Summers', 'Echoes', 'Windows'];
+const ARTISTS = ['The Fixtures', 'Mock Orchestra', 'Offline Hearts', 'Seeded Sound', 'Null & Void', 'Local Host'];
+
+function fixtureTrack(seed, index) {
+  const random = createRandom(`track:${seed}:${index}`);
+  const id = fixtureId(`track:${seed}:${index}`);
+  return {
+    id,
+    name: `${random.pick(TRACK_WORDS)} ${random.pick(TRACK_NOUNS)}`,
+    artists: [{ name: random.pick(ARTISTS) }],
+    album: { name: `${random.pick(TRACK_WORDS)} ${random.pick(TRACK_NOUNS)}`, images: [] },
+    duration_ms: random.int(150, 280) * 1000,
+    // Real tracks often have no preview; keep a few without one
+    preview_url: index % 4 === 3 ? null : `https://p.scdn.co/mp3-preview/${id}`,
+    external_urls: { spotify: `https://open.spotify.com/track/${id}` }
+  };
+}
+
+// Drop-in replacement for createSpotifyClient() that never leaves the process
+export function createFixtureSpotifyClient({ timeoutMs } = {}) {
+  const stats = { searches: 0, recommendations: 0 };
+
+  const maybeFail = async () => {
+    const failure = getMockFailure('spotify');
+    if (failure && failure !== 'malformed') {
+      await simulateFailure(failure, { service: 'spotify', timeoutMs });
+    }
+    return failure;
+  };
+
+  return {
+    async getToken() {
+      await maybeFail();
+      return 'fixture-token';
+    },
+
+    invalidateToken() {},
+
+    async searchPlaylists(query, { limit = 5 } = {}) {
+      const failure = await maybeFail();
+      stats.searches++;
+
+      const normalized = normalizeMood(query);
+      const items = Array.from({ length: limit }, (_, index) => fixturePlaylist(normalized, index));
+      // Simulate Spotify's habit of returning incomplete entries
+      return failure === 'malformed'
+        ? items.map(item => ({ ...item, external_urls: {} }))
+        : items;
+    },
+
+    async searchTracks(query, { limit = 10 } = {}) {
+      await maybeFail();
+      stats.searches++;
+      return Array.from({ length: limit }, (_, index) => fixtureTrack(normalizeMood(query), index));
+    },
+
+    async getRecommendations({ seedGenres, targets = {}, limit = 10 }) {
+      await maybeFail();
+      stats.recommendations++;
+      const seed = `${seedGenres.join(',')}:${JSON.stringify(targets)}`;
+      return Array.from({ length: limit }, (_, index) => fixtureTrack(seed, index));
+    },
+
+    stats() {
+      return { fixture: true, ...stats };
+    },
+
+    clearCache() {}
+  };
+}
+
+// Drop-in replacement for createSpotifyUserClient(): "logging in" skips
+// Spotify's consent page and goes straight back to the callback
+export function createFixtureSpotifyUserClient({ redirectUri = '/api/spotify/callback', timeoutMs } = {}) {
+  const tokens = () => ({ accessToken: 'fixture-user-token', refreshToken: 'fixture-refresh-token', expiresInMs: 3600 * 1000 });
+
+  return {
+    authorizationUrl({ state }) {
+      return `${redirectUri}?${new URLSearchParams({ code: 'fixture-code', state })}`;
+    },
+
+    async exchangeCode() {
+      return tokens();
+    },
+
+    async refreshTokens() {
+      return tokens();
+    },
+
+    async getProfile() {
+      return { id: 'fixture-listener', displayName: 'Fixture Listener' };
+    },
+
+    async createPlaylist(accessToken, { name }) {
+      const failure = getMockFailure('spotify');
+      if (failure && failure !== 'malformed') {
+        await simulateFailure(failure, { service: 'spotify', timeoutMs });
+      }
+      const id = fixtureId(`saved:${name}:${Date.now()}`);
+      return { id, name, url: `https://open.spotify.com/playlist/${id}` };
+    }
+  };
+}
@@ -0,0 +1,69 @@
+import fs from 'fs/promises';
+import path from 'path';
+import process from 'process';
+
+// Tiny embedded document store backed by a single JSON file.
+// Records live in memory once loaded; every change rewrites the file through
+// a temp file + rename so a crash never leaves half-written JSON behind.
+// Writes are queued so concurrent requests cannot interleave.
+export function createJsonStore(filePath) {
+  let records = null;
+  let loading = null;
+  let writeQueue = Promise.resolve();
+
+  async function load() {
+    if (records) return records;
+    if (!loading) {
+      loading = fs.readFile(filePath, 'utf8')
+        .then(text => new Map(Object.entries(JSON.parse(text))))
+        .catch(error => {
+          if (error.code === 'ENOENT') return new Map();
+          throw new Error(`Failed to load store ${filePath}: ${error.message}`);
+        })
+        .then(loaded => {
+          records = loaded;
+          return records;
+        });
+    }
+    return loading;
+  }
+
+  function persist() {
+    const snapshot = JSON.stringify(Object.fromEntries(records));
+    writeQueue = writeQueue
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, snapshot);
+        await fs.rename(tempPath, filePath);
+      });
+    return writeQueue;
+  }
+
+  return {
+    async get(id) {
+      return (await load()).get(id) ?? null;
+    },
+
+    async has(id) {
+      return (await load()).has(id);
+    },
+
+    async put(id, record) {
+      (await load()).set(id, record);
+      await persist();
+      return record;
+    },
+
+    async delete(id) {
+      const deleted = (await load()).delete(id);
+      if (deleted) await persist();
+      return deleted;
+    },
+
+    async values() {
+      return [...(await load()).values()];
+    }
+  };
+}
@@ -0,0 +1,53 @@
+// Languages a vibe card can be written in. Each one has the Spotify market
+// used for its searches and the streaming services the movie section may
+// name, so a card in German doesn't point a viewer in Germany at Hulu.
+// The frontend has a matching locale in src/locales/.
+
+export const LANGUAGES = {
+  en: {
+    name: 'English',
+    market: 'US',
+    streaming: ['Netflix', 'Hulu', 'Max', 'Prime Video', 'Disney+', 'Apple TV+', 'Peacock', 'Paramount+']
+  },
+  es: {
+    name: 'Spanish',
+    market: 'ES',
+    streaming: ['Netflix', 'Prime Video', 'Disney+', 'Max', 'Movistar Plus+', 'Filmin', 'Apple TV+']
+  },
+  fr: {
+    name: 'French',
+    market: 'FR',
+    streaming: ['Netflix', 'Canal+', 'Prime Video', 'Disney+', 'Max', 'France.tv', 'Apple TV+']
+  },
+  de: {
+    name: 'German',
+    market: 'DE',
+    streaming: ['Netflix', 'Prime Video', 'Disney+', 'WOW', 'RTL+', 'Joyn', 'ARD Mediathek', 'Apple TV+']
+  }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// { id, name, market, streaming } for a language code, English if unknown
+export function getLanguage(lang) {
+  const id = LANGUAGES[lang] ? lang : DEFAULT_LANGUAGE;
+  return { id, ...LANGUAGES[id] };
+}
+
+// Read the `lang` request value, e.g. "de" or "de-AT". Returns { lang } or
+// { error } with a 400 payload. Missing or empty means English.
+export function parseLanguage(value) {
+  if (value === undefined || value === null || value === '') {
+    return { lang: DEFAULT_LANGUAGE };
+  }
+  const lang = typeof value === 'string' ? value.toLowerCase().split(/[-_]/)[0] : null;
+  if (!LANGUAGES[lang]) {
+    return {
+      error: {
+        error: 'Invalid language',
+        details: `Language must be one of: ${Object.keys(LANGUAGES).join(', ')}`
+      }
+    };
+  }
+  return { lang };
+}
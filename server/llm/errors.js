@@ -0,0 +1,10 @@
+// Raised when an LLM provider returns something we cannot use
+// (no choices, empty content, broken stream). HTTP failures from the
+// provider are left as axios errors so their status codes can be mapped.
+export class LLMError extends Error {
+  constructor(message, { provider, cause } = {}) {
+    super(message, { cause });
+    this.name = 'LLMError';
+    this.provider = provider;
+  }
+}
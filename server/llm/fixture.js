@@ -0,0 +1,65 @@
+import { createFixtureExperience } from '../fixtures/experience.js';
+import { createRandom } from '../fixtures/seed.js';
+import { getMockFailure, simulateFailure } from '../mockMode.js';
+
+const MOOD_PATTERN = /mood:\s*"?([^"\n]+)"?/i;
+const SECTION_PATTERN = /wants a fresh "(\w+)" section/;
+// Top-level keys of the JSON structure in the prompt are the requested sections
+const SHAPE_KEY_PATTERN = /^ {2}"(\w+)": [[{]/gm;
+
+// Offline provider with deterministic output, seeded from the user message.
+// Vibe card prompts get a JSON experience, section rerolls get just that
+// section, and anything else gets a short text. In MOCK_MODE it also plays
+// back the simulated failures requested for the current request.
+export function createFixtureProvider({ model = 'fixture-v1', chunkSize = 24, timeout } = {}) {
+  const respond = async (messages) => {
+    const failure = getMockFailure('llm');
+    if (failure === 'malformed') {
+      return '{"playlist": {"name": "Broken fixture", "description": ';
+    }
+    if (failure) {
+      await simulateFailure(failure, { service: 'llm', timeoutMs: Math.min(timeout || 1000, 1000) });
+    }
+
+    const system = messages.find(m => m.role === 'system')?.content || '';
+    const user = messages.find(m => m.role === 'user')?.content || '';
+    const mood = (user.match(MOOD_PATTERN)?.[1] || user).trim();
+
+    const constrained = system.includes('hard constraints');
+
+    const section = system.match(SECTION_PATTERN)?.[1];
+    if (section) {
+      const fresh = createFixtureExperience(mood, { variant: user, constrained, sections: [section] });
+      return JSON.stringify(fresh, null, 2);
+    }
+
+    const sections = [...system.matchAll(SHAPE_KEY_PATTERN)].map(match => match[1]);
+    if (sections.length) {
+      return JSON.stringify(createFixtureExperience(mood, { constrained, sections }), null, 2);
+    }
+
+    const random = createRandom(`text:${user}`);
+    return `${mood} feels ${random.pick(['warm and unhurried', 'bright and restless', 'soft around the edges', 'charged and electric'])}. ` +
+      `Think ${random.pick(['mellow acoustic guitars', 'slow-building synths', 'bouncy basslines', 'hazy lo-fi beats'])} that match it.`;
+  };
+
+  return {
+    name: 'fixture',
+    model,
+
+    async complete({ messages }) {
+      return respond(messages);
+    },
+
+    async stream({ messages, onToken, signal }) {
+      const text = await respond(messages);
+      for (let i = 0; i < text.length; i += chunkSize) {
+        if (signal?.aborted) break;
+        onToken?.(text.slice(i, i + chunkSize));
+        // Yield so streamed sections are flushed like a real provider would
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      return text;
+    }
+  };
+}
@@ -0,0 +1,15 @@
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+
+export const GROQ_BASE_URL = 'https://api.groq.com/openai/v1';
+
+// Groq is OpenAI-compatible; this only pins the base URL and requires a key
+export function createGroqProvider(config) {
+  if (!config.apiKey) {
+    throw new Error('Missing required environment variable: GROQ_KEY (or LLM_API_KEY)');
+  }
+  return createOpenAICompatibleProvider({
+    ...config,
+    name: 'groq',
+    baseUrl: config.baseUrl || GROQ_BASE_URL
+  });
+}
@@ -0,0 +1,65 @@
+import process from 'process';
+import { createGroqProvider } from './groq.js';
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+import { createFixtureProvider } from './fixture.js';
+
+export { LLMError } from './errors.js';
+
+// Every provider exposes the same interface:
+//   name, model
+//   complete({ messages, temperature?, maxTokens?, signal? }) -> Promise<string>
+//   stream({ messages, temperature?, maxTokens?, signal?, onToken }) -> Promise<string>
+const PROVIDERS = {
+  groq: createGroqProvider,
+  openai: createOpenAICompatibleProvider,
+  fixture: createFixtureProvider
+};
+
+const DEFAULT_MODELS = {
+  groq: 'llama-3.1-8b-instant',
+  openai: 'gpt-4o-mini',
+  fixture: 'fixture-v1'
+};
+
+function readNumber(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (Number.isNaN(number)) {
+    throw new Error(`Invalid numeric LLM setting: "${value}"`);
+  }
+  return number;
+}
+
+// Read the LLM configuration from environment variables:
+//   LLM_PROVIDER          groq | openai | fixture (default groq)
+//   LLM_BASE_URL          base URL for OpenAI-compatible servers, e.g. http://localhost:11434/v1
+//   LLM_API_KEY           API key (falls back to GROQ_KEY for the groq provider)
+//   LLM_MODEL             model name
+//   LLM_TEMPERATURE       sampling temperature (default 0.7)
+//   LLM_MAX_TOKENS        max tokens for brief and standard cards (default 2000)
+//   LLM_MAX_TOKENS_LONG   max tokens for detail=detailed (default 3000)
+//   LLM_TIMEOUT_MS        request timeout (default 30000)
+//   LLM_REPAIR_ATTEMPTS   re-prompts allowed when the reply fails validation (default 2)
+export function loadLLMConfig(env = process.env) {
+  const provider = (env.LLM_PROVIDER || 'groq').toLowerCase();
+
+  return {
+    provider,
+    baseUrl: env.LLM_BASE_URL,
+    apiKey: env.LLM_API_KEY || (provider === 'groq' ? env.GROQ_KEY : undefined),
+    model: env.LLM_MODEL || DEFAULT_MODELS[provider],
+    temperature: readNumber(env.LLM_TEMPERATURE, 0.7),
+    maxTokens: readNumber(env.LLM_MAX_TOKENS, 2000),
+    maxTokensLong: readNumber(env.LLM_MAX_TOKENS_LONG, 3000),
+    timeout: readNumber(env.LLM_TIMEOUT_MS, 30000),
+    repairAttempts: readNumber(env.LLM_REPAIR_ATTEMPTS, 2)
+  };
+}
+
+export function createLLMProvider(config) {
+  const factory = PROVIDERS[config.provider];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${config.provider}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory(config);
+}
@@ -0,0 +1,102 @@
+import axios from 'axios';
+import { StringDecoder } from 'string_decoder';
+import { LLMError } from './errors.js';
+import { logger } from '../logger.js';
+
+// Adapter for any server that speaks the OpenAI chat completions API:
+// Groq, OpenAI, OpenRouter, or a local llama.cpp / Ollama server.
+export function createOpenAICompatibleProvider({
+  name = 'openai',
+  baseUrl,
+  apiKey,
+  model,
+  temperature,
+  maxTokens,
+  timeout
+}) {
+  if (!baseUrl) {
+    throw new Error(`LLM provider "${name}" requires a base URL (LLM_BASE_URL)`);
+  }
+
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const buildBody = (options) => ({
+    model: options.model || model,
+    messages: options.messages,
+    temperature: options.temperature ?? temperature,
+    max_tokens: options.maxTokens ?? maxTokens
+  });
+
+  return {
+    name,
+    model,
+
+    async complete(options) {
+      const body = buildBody(options);
+      const response = await logger.span('llm.complete', { provider: name, model: body.model }, () => axios.post(endpoint, body, {
+        headers,
+        timeout,
+        signal: options.signal
+      }));
+
+      const content = response.data?.choices?.[0]?.message?.content;
+      if (!content) {
+        throw new LLMError(`Invalid response from ${name} LLM provider - no content`, { provider: name });
+      }
+      return content;
+    },
+
+    // Stream the completion, calling onToken for every content delta.
+    // Resolves with the full text once the provider sends [DONE].
+    async stream({ onToken, ...options }) {
+      // The span covers the whole stream, not just the time to first byte
+      const body = buildBody(options);
+      return logger.span('llm.stream', { provider: name, model: body.model }, async () => {
+        const response = await axios.post(endpoint, { ...body, stream: true }, {
+          headers,
+          responseType: 'stream',
+          timeout, // time to first byte
+          signal: options.signal
+        });
+
+        let text = '';
+        let pending = '';
+        // Keeps a multibyte character split across two chunks in one piece
+        const decoder = new StringDecoder('utf8');
+        for await (const chunk of response.data) {
+          pending += decoder.write(chunk);
+          const lines = pending.split('\n');
+          pending = lines.pop();
+
+          for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('data:')) continue;
+
+            const payload = trimmed.slice(5).trim();
+            if (payload === '[DONE]') return text;
+
+            try {
+              const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+              if (delta) {
+                text += delta;
+                onToken?.(delta);
+              }
+            } catch (error) {
+              logger.warn('Error parsing LLM stream chunk', { provider: name, error: error.message });
+            }
+          }
+        }
+
+        if (!text) {
+          throw new LLMError(`Empty stream from ${name} LLM provider`, { provider: name });
+        }
+        return text;
+      });
+    }
+  };
+}
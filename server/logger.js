@@ -0,0 +1,172 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+import { performance } from 'perf_hooks';
+
+// Structured JSON logging: one line per entry, e.g.
+//   {"time":"...","level":"info","msg":"span","requestId":"...","span":"llm.stream","durationMs":812,"ok":true}
+// Entries logged while handling a request carry its requestId (see
+// createRequestIdMiddleware). Header-like keys (Authorization, Cookie,
+// *token, *secret, API keys) and registered secret values are redacted.
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+const REDACTED = '[REDACTED]';
+const SECRET_KEY_PATTERN = /authorization|cookie|secret|password|api[-_]?key|credential|verifier|token$|^key$/i;
+// Environment variables whose values never belong in a log, e.g. GROQ_KEY
+const SECRET_ENV_PATTERN = /(^|_)(KEY|SECRET|TOKEN|PASSWORD)$/i;
+const CREDENTIAL_PATTERN = /\b(Bearer|Basic)\s+[\w.~+/=-]+/gi;
+const INCOMING_REQUEST_ID = /^[\w.:-]{1,64}$/;
+const MAX_DEPTH = 6;
+
+const requestContext = new AsyncLocalStorage();
+
+// LOG_LEVEL is one of debug, info (default), warn, error or silent
+export function parseLogLevel(value) {
+  const level = String(value || 'info').toLowerCase();
+  if (!(level in LOG_LEVELS)) {
+    throw new Error(`Invalid LOG_LEVEL "${value}". Expected one of: ${Object.keys(LOG_LEVELS).join(', ')}`);
+  }
+  return level;
+}
+
+// Values of secret-looking environment variables, for logger.addSecrets()
+export function secretsFromEnv(env) {
+  return Object.entries(env)
+    .filter(([name, value]) => SECRET_ENV_PATTERN.test(name) && value && value.length >= 8)
+    .map(([, value]) => value);
+}
+
+function serializeError(error) {
+  // Never error.config: axios keeps the request headers (and API key) there
+  const data = error.response?.data;
+  return {
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    status: error.response?.status,
+    // Streamed responses hold a socket, not a body
+    upstream: data && typeof data.pipe !== 'function' ? data : undefined,
+    cause: error.cause instanceof Error ? serializeError(error.cause) : error.cause,
+    stack: error.stack
+  };
+}
+
+// Copy of `value` that is safe to log: secret keys and credentials in
+// strings are replaced, errors are reduced to their useful fields
+export function redact(value, secrets = [], depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    const masked = value.replace(CREDENTIAL_PATTERN, (match, scheme) => `${scheme} ${REDACTED}`);
+    return secrets.reduce((text, secret) => text.split(secret).join(REDACTED), masked);
+  }
+  if (!value || typeof value !== 'object') return value;
+  if (value instanceof Error) return redact(serializeError(value), secrets, depth, seen);
+  if (value instanceof Date) return value.toISOString();
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, secrets, depth + 1, seen));
+  }
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SECRET_KEY_PATTERN.test(key) ? REDACTED : redact(item, secrets, depth + 1, seen);
+  }
+  return result;
+}
+
+// Warnings and errors go to stderr, the rest to stdout
+function writeLine(level, line) {
+  if (LOG_LEVELS[level] >= LOG_LEVELS.warn) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+export function createLogger({ level = 'info', write = writeLine, now = () => new Date() } = {}) {
+  let threshold = LOG_LEVELS[parseLogLevel(level)];
+  const secrets = [];
+
+  function log(entryLevel, msg, fields = {}) {
+    if (LOG_LEVELS[entryLevel] < threshold) return;
+    const entry = {
+      time: now().toISOString(),
+      level: entryLevel,
+      msg,
+      requestId: requestContext.getStore()?.requestId,
+      ...redact(fields, secrets)
+    };
+    write(entryLevel, JSON.stringify(entry));
+  }
+
+  return {
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields),
+
+    setLevel(value) {
+      threshold = LOG_LEVELS[parseLogLevel(value)];
+    },
+
+    // Strings that are masked wherever they appear, e.g. the Groq API key
+    addSecrets(values) {
+      secrets.push(...values.filter(value => value && !secrets.includes(value)));
+    },
+
+    // Time an upstream call: logs a `span` entry with its duration, at warn
+    // with the error if it throws. Resolves or rejects like fn().
+    async span(name, fields, fn) {
+      const start = performance.now();
+      const durationMs = () => Math.round(performance.now() - start);
+      try {
+        const result = await fn();
+        log('info', 'span', { span: name, ...fields, durationMs: durationMs(), ok: true });
+        return result;
+      } catch (error) {
+        log('warn', 'span', { span: name, ...fields, durationMs: durationMs(), ok: false, error });
+        throw error;
+      }
+    }
+  };
+}
+
+// Shared logger for the server; server.js applies LOG_LEVEL and the secrets
+export const logger = createLogger();
+
+// Express middleware giving every request a correlation ID: the caller's
+// X-Request-Id if it looks sane, otherwise a new UUID. The ID is sent back
+// in the X-Request-Id header and in JSON error bodies (`requestId`), shows
+// up on every log entry for the request, and each request ends with one
+// `request` entry carrying its status and duration.
+export function createRequestIdMiddleware({ log = logger } = {}) {
+  return (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    const requestId = incoming && INCOMING_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    req.id = requestId;
+    res.set(REQUEST_ID_HEADER, requestId);
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const isError = res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body);
+      return json(isError ? { ...body, requestId } : body);
+    };
+
+    const start = performance.now();
+    res.on('close', () => {
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+      // The path only: query strings can hold OAuth codes
+      requestContext.run({ requestId }, () => log[level]('request', {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Math.round(performance.now() - start),
+        completed: res.writableFinished
+      }));
+    });
+
+    requestContext.run({ requestId }, next);
+  };
+}
@@ -0,0 +1,45 @@
+// Small in-process LRU cache with a per-entry TTL and hit/miss counters.
+// Map keeps insertion order, so the first key is always the least recently used.
+export function createLRUCache({ maxSize = 500, ttlMs = 10 * 60 * 1000, now = Date.now } = {}) {
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0, evictions: 0 };
+
+  const isFresh = (entry) => entry.expiresAt > now();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry || !isFresh(entry)) {
+        if (entry) entries.delete(key);
+        stats.misses++;
+        return undefined;
+      }
+      // Move to the most recently used position
+      entries.delete(key);
+      entries.set(key, entry);
+      stats.hits++;
+      return entry.value;
+    },
+
+    set(key, value, ttl = ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: now() + ttl });
+      while (entries.size > maxSize) {
+        entries.delete(entries.keys().next().value);
+        stats.evictions++;
+      }
+    },
+
+    delete(key) {
+      return entries.delete(key);
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    stats() {
+      return { ...stats, size: entries.size, maxSize, ttlMs };
+    }
+  };
+}
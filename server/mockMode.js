@@ -0,0 +1,70 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import process from 'process';
+import { logger } from './logger.js';
+
+// MOCK_MODE runs the backend against fixture LLM and Spotify clients, so it
+// works without API keys. Failures can be simulated for every request with
+// MOCK_FAILURE, or per request with the X-Mock-Failure header / mockFailure
+// query parameter:
+//
+//   <kind>            applies to the LLM, e.g. "429"
+//   <target>:<kind>   target is "llm" or "spotify", e.g. "spotify:401"
+//
+// Kinds: timeout, 401, 429, 500, malformed (LLM returns broken JSON)
+export const MOCK_FAILURE_KINDS = ['timeout', '401', '429', '500', 'malformed'];
+
+const requestContext = new AsyncLocalStorage();
+
+export function isMockMode(env = process.env) {
+  return env.MOCK_MODE === 'true' || env.MOCK_MODE === '1';
+}
+
+export function parseMockFailures(value) {
+  const failures = {};
+  for (const entry of String(value || '').split(',')) {
+    const trimmed = entry.trim().toLowerCase();
+    if (!trimmed) continue;
+    const [target, kind] = trimmed.includes(':') ? trimmed.split(':') : ['llm', trimmed];
+    if (['llm', 'spotify'].includes(target) && MOCK_FAILURE_KINDS.includes(kind)) {
+      failures[target] = kind;
+    } else {
+      logger.warn('Ignoring unknown mock failure', { entry });
+    }
+  }
+  return failures;
+}
+
+// Express middleware making the requested failures visible to the fixture
+// clients for the rest of the request
+export function createMockFailureMiddleware(env = process.env) {
+  const defaults = parseMockFailures(env.MOCK_FAILURE);
+  return (req, res, next) => {
+    const requested = req.get('X-Mock-Failure') || req.query.mockFailure;
+    const failures = requested ? parseMockFailures(requested) : defaults;
+    requestContext.run({ failures }, next);
+  };
+}
+
+export function getMockFailure(target) {
+  return requestContext.getStore()?.failures?.[target] || null;
+}
+
+// Build an error shaped like the axios error a real upstream call would throw
+export async function simulateFailure(kind, { service, timeoutMs = 1000 } = {}) {
+  if (kind === 'timeout') {
+    await new Promise(resolve => setTimeout(resolve, timeoutMs));
+    const error = new Error(`timeout of ${timeoutMs}ms exceeded`);
+    error.code = 'ECONNABORTED';
+    throw error;
+  }
+
+  const status = Number(kind);
+  const messages = {
+    401: 'Invalid API key',
+    429: 'Rate limit reached',
+    500: 'Internal server error'
+  };
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data: { error: { message: `[mock ${service}] ${messages[status]}` } } };
+  throw error;
+}
@@ -0,0 +1,104 @@
+// Structured mood inputs that refine the free-text mood.
+//
+// Sent as JSON next to `mood`; every field is optional:
+//   { valence: 1-5, energy: 1-5, intensity: 1-5, timeOfDay: 'night', social: 'date', weather: 'rainy' }
+// Valence runs from very negative (1) to very positive (5). The context is
+// described to the model and turned into extra Spotify search terms.
+
+export const MOOD_SCALES = ['valence', 'energy', 'intensity'];
+export const TIMES_OF_DAY = ['morning', 'afternoon', 'evening', 'night'];
+export const SOCIAL_SETTINGS = ['solo', 'date', 'party'];
+export const WEATHER = ['sunny', 'cloudy', 'rainy', 'snowy', 'stormy', 'hot', 'cold'];
+
+export const EMPTY_MOOD_CONTEXT = { valence: null, energy: null, intensity: null, timeOfDay: null, social: null, weather: null };
+
+const SCALE_LABELS = {
+  valence: ['very negative', 'somewhat negative', 'neutral', 'somewhat positive', 'very positive'],
+  energy: ['drained', 'low', 'moderate', 'high', 'buzzing'],
+  intensity: ['barely there', 'mild', 'noticeable', 'strong', 'overwhelming']
+};
+
+const SOCIAL_LABELS = { solo: 'on their own', date: 'on a date', party: 'at a party' };
+
+// Words Spotify playlists actually use for these settings
+const SEARCH_TERMS = {
+  valence: [['sad'], ['melancholy'], [], ['feel good'], ['happy']],
+  energy: [['sleepy'], ['chill'], [], ['upbeat'], ['energetic']],
+  intensity: [['gentle'], [], [], [], ['intense']],
+  timeOfDay: { morning: ['morning'], afternoon: ['afternoon'], evening: ['evening'], night: ['late night'] },
+  social: { solo: ['solo'], date: ['date night'], party: ['party'] },
+  weather: { sunny: ['sunny day'], cloudy: ['cloudy day'], rainy: ['rainy day'], snowy: ['snowy day'], stormy: ['stormy'], hot: ['summer'], cold: ['cozy winter'] }
+};
+
+function readChoice(value, allowed, field, errors) {
+  if (value === undefined || value === null || value === '') return null;
+  if (!allowed.includes(value)) {
+    errors.push(`${field} must be one of: ${allowed.join(', ')}`);
+    return null;
+  }
+  return value;
+}
+
+// Validate a mood context object (already JSON-parsed). Returns
+// { moodContext } or { error } with a 400 payload.
+export function parseMoodContext(value) {
+  if (value === undefined || value === null) {
+    return { moodContext: EMPTY_MOOD_CONTEXT };
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { error: { error: 'Invalid mood context format', details: 'Mood context must be a JSON object' } };
+  }
+
+  const errors = [];
+  const moodContext = { ...EMPTY_MOOD_CONTEXT };
+  for (const scale of MOOD_SCALES) {
+    if (value[scale] === undefined || value[scale] === null) continue;
+    // Numbers, or digit strings from query parameters; not true, "0x3" or " 3 "
+    const raw = value[scale];
+    const level = typeof raw === 'number' || (typeof raw === 'string' && /^\d+$/.test(raw)) ? Number(raw) : NaN;
+    if (!Number.isInteger(level) || level < 1 || level > 5) {
+      errors.push(`${scale} must be a whole number between 1 and 5`);
+    } else {
+      moodContext[scale] = level;
+    }
+  }
+  moodContext.timeOfDay = readChoice(value.timeOfDay, TIMES_OF_DAY, 'timeOfDay', errors);
+  moodContext.social = readChoice(value.social, SOCIAL_SETTINGS, 'social', errors);
+  moodContext.weather = readChoice(value.weather, WEATHER, 'weather', errors);
+
+  if (errors.length) {
+    return { error: { error: 'Invalid mood context format', details: errors.join('; ') } };
+  }
+  return { moodContext };
+}
+
+export function hasMoodContext(moodContext) {
+  return Boolean(moodContext && Object.values(moodContext).some(value => value !== null && value !== undefined));
+}
+
+// The mood context as prompt text (empty when nothing was set)
+export function describeMoodContext(moodContext) {
+  if (!hasMoodContext(moodContext)) return '';
+
+  const lines = MOOD_SCALES
+    .filter(scale => moodContext[scale])
+    .map(scale => `- ${scale[0].toUpperCase()}${scale.slice(1)}: ${SCALE_LABELS[scale][moodContext[scale] - 1]} (${moodContext[scale]}/5)`);
+  if (moodContext.timeOfDay) lines.push(`- Time of day: ${moodContext.timeOfDay}`);
+  if (moodContext.social) lines.push(`- Setting: ${SOCIAL_LABELS[moodContext.social]}`);
+  if (moodContext.weather) lines.push(`- Weather: ${moodContext.weather}`);
+  return `More about how the user feels (let it shape every section):\n${lines.join('\n')}`;
+}
+
+// Extra Spotify search terms, most telling first
+export function moodSearchTerms(moodContext) {
+  if (!hasMoodContext(moodContext)) return [];
+  const terms = [
+    ...(moodContext.social ? SEARCH_TERMS.social[moodContext.social] : []),
+    ...(moodContext.energy ? SEARCH_TERMS.energy[moodContext.energy - 1] : []),
+    ...(moodContext.valence ? SEARCH_TERMS.valence[moodContext.valence - 1] : []),
+    ...(moodContext.weather ? SEARCH_TERMS.weather[moodContext.weather] : []),
+    ...(moodContext.timeOfDay ? SEARCH_TERMS.timeOfDay[moodContext.timeOfDay] : []),
+    ...(moodContext.intensity ? SEARCH_TERMS.intensity[moodContext.intensity - 1] : [])
+  ];
+  return [...new Set(terms)];
+}
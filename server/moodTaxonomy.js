@@ -0,0 +1,185 @@
+// Local mood classifier: maps free-text moods ("sooo tired", "over the moon",
+// "anxous") onto a fixed taxonomy with an emoji, a color and Spotify search
+// terms. Works from a lexicon plus fuzzy matching, so it needs no LLM and is
+// cheap enough to run on every request.
+
+import { normalizeMood } from './spotify.js';
+
+// Longest mood text the API routes accept, which keeps the fuzzy matching cheap
+export const MAX_MOOD_LENGTH = 200;
+
+// `words` are lexicon entries (single words or phrases); `opposite` is used
+// for negations like "not happy"
+export const MOOD_TAXONOMY = [
+  { id: 'happy', label: 'Happy', emoji: '😊', color: '#facc15', opposite: 'sad', searchTerms: ['feel good', 'happy'], words: ['happy', 'glad', 'cheerful', 'joyful', 'joy', 'good', 'great', 'content', 'pleased', 'sunny', 'upbeat', 'over the moon', 'on top of the world', 'blessed'] },
+  { id: 'excited', label: 'Excited', emoji: '🌟', color: '#f97316', opposite: 'bored', searchTerms: ['hype', 'party'], words: ['excited', 'thrilled', 'pumped', 'hyped', 'hype', 'stoked', 'ecstatic', 'elated', 'buzzing', 'cant wait', 'fired up'] },
+  { id: 'energetic', label: 'Energetic', emoji: '⚡', color: '#eab308', opposite: 'tired', searchTerms: ['workout', 'energy'], words: ['energetic', 'energized', 'active', 'lively', 'motivated', 'wired', 'workout', 'gym', 'ready to go'] },
+  { id: 'calm', label: 'Calm', emoji: '😌', color: '#38bdf8', opposite: 'anxious', searchTerms: ['chill', 'relaxing'], words: ['calm', 'peaceful', 'relaxed', 'serene', 'chill', 'chilled', 'tranquil', 'mellow', 'zen', 'at ease', 'laid back', 'unwinding'] },
+  { id: 'cozy', label: 'Cozy', emoji: '☕', color: '#d97706', searchTerms: ['cozy', 'acoustic'], words: ['cozy', 'cosy', 'snug', 'comfy', 'warm', 'hygge', 'homey', 'sunday morning', 'rainy day'] },
+  { id: 'sad', label: 'Sad', emoji: '😢', color: '#60a5fa', opposite: 'happy', searchTerms: ['sad', 'melancholy'], words: ['sad', 'down', 'blue', 'unhappy', 'upset', 'gloomy', 'depressed', 'low', 'crying', 'teary', 'miserable', 'feeling down', 'bummed', 'bad'] },
+  { id: 'heartbroken', label: 'Heartbroken', emoji: '💔', color: '#e11d48', opposite: 'romantic', searchTerms: ['breakup', 'heartbreak'], words: ['heartbroken', 'heartbreak', 'broken hearted', 'brokenhearted', 'dumped', 'breakup', 'break up', 'broke up', 'rejected'] },
+  { id: 'lonely', label: 'Lonely', emoji: '🥀', color: '#818cf8', searchTerms: ['lonely', 'alone'], words: ['lonely', 'alone', 'isolated', 'lonesome', 'left out', 'missing someone', 'homesick'] },
+  { id: 'nostalgic', label: 'Nostalgic', emoji: '📼', color: '#c084fc', searchTerms: ['throwback', 'nostalgia'], words: ['nostalgic', 'nostalgia', 'reminiscing', 'wistful', 'throwback', 'memories', 'sentimental', 'old times', 'good old days'] },
+  { id: 'romantic', label: 'Romantic', emoji: '💞', color: '#ec4899', opposite: 'heartbroken', searchTerms: ['love songs', 'romantic'], words: ['romantic', 'in love', 'love', 'loved', 'lovey', 'flirty', 'smitten', 'crush', 'date night', 'passionate', 'affectionate'] },
+  { id: 'angry', label: 'Angry', emoji: '😤', color: '#dc2626', opposite: 'calm', searchTerms: ['rage', 'angry'], words: ['angry', 'mad', 'furious', 'annoyed', 'irritated', 'pissed', 'frustrated', 'livid', 'fuming', 'enraged', 'cranky', 'grumpy'] },
+  { id: 'anxious', label: 'Anxious', emoji: '😰', color: '#a3e635', opposite: 'calm', searchTerms: ['calming', 'anxiety relief'], words: ['anxious', 'nervous', 'worried', 'uneasy', 'on edge', 'panicky', 'jittery', 'restless', 'scared', 'afraid', 'tense', 'overthinking'] },
+  { id: 'stressed', label: 'Stressed', emoji: '😫', color: '#f43f5e', opposite: 'calm', searchTerms: ['stress relief', 'calm'], words: ['stressed', 'stressed out', 'overwhelmed', 'swamped', 'pressured', 'frazzled', 'burnt out', 'burned out', 'burnout', 'deadline', 'too much'] },
+  { id: 'tired', label: 'Tired', emoji: '😴', color: '#94a3b8', opposite: 'energetic', searchTerms: ['sleepy', 'sleep'], words: ['tired', 'sleepy', 'exhausted', 'drained', 'drowsy', 'fatigued', 'worn out', 'wiped', 'knackered', 'beat', 'low energy'] },
+  { id: 'bored', label: 'Bored', emoji: '🥱', color: '#a8a29e', opposite: 'excited', searchTerms: ['discover', 'fresh finds'], words: ['bored', 'boring', 'meh', 'uninspired', 'nothing to do', 'blah'] },
+  { id: 'focused', label: 'Focused', emoji: '🎯', color: '#14b8a6', searchTerms: ['focus', 'deep work'], words: ['focused', 'focus', 'productive', 'studying', 'study', 'working', 'concentrating', 'locked in', 'deep work', 'in the zone'] },
+  { id: 'confident', label: 'Confident', emoji: '😎', color: '#f59e0b', opposite: 'anxious', searchTerms: ['confidence', 'boss'], words: ['confident', 'bold', 'unstoppable', 'powerful', 'fierce', 'badass', 'proud', 'strong', 'empowered'] },
+  { id: 'hopeful', label: 'Hopeful', emoji: '🌱', color: '#4ade80', opposite: 'sad', searchTerms: ['hopeful', 'uplifting'], words: ['hopeful', 'optimistic', 'inspired', 'new beginnings', 'fresh start', 'looking forward', 'uplifted'] },
+  { id: 'grateful', label: 'Grateful', emoji: '🙏', color: '#fbbf24', searchTerms: ['gratitude', 'uplifting'], words: ['grateful', 'thankful', 'appreciative', 'gratitude', 'lucky'] },
+  { id: 'playful', label: 'Playful', emoji: '🤪', color: '#fb7185', searchTerms: ['fun', 'silly'], words: ['playful', 'silly', 'goofy', 'fun', 'cheeky', 'mischievous', 'giddy', 'quirky'] },
+  { id: 'adventurous', label: 'Adventurous', emoji: '🧭', color: '#22c55e', searchTerms: ['road trip', 'adventure'], words: ['adventurous', 'adventure', 'wanderlust', 'road trip', 'exploring', 'curious', 'spontaneous', 'travel'] },
+  { id: 'dreamy', label: 'Dreamy', emoji: '🌙', color: '#a78bfa', searchTerms: ['dreamy', 'ambient'], words: ['dreamy', 'daydreaming', 'spacey', 'floaty', 'ethereal', 'whimsical', 'reflective', 'pensive', 'contemplative', 'introspective'] }
+];
+
+const BY_ID = new Map(MOOD_TAXONOMY.map(mood => [mood.id, mood]));
+
+// Words that change how strongly a mood is felt but not which mood it is
+const FILLER = new Set(['i', 'im', 'am', 'feel', 'feeling', 'feels', 'so', 'very', 'really', 'super', 'kinda', 'kind', 'of', 'a', 'bit', 'little', 'pretty', 'quite', 'totally', 'just', 'today', 'tonight', 'right', 'now', 'and', 'but', 'the', 'tbh', 'lol', 'mood', 'vibe', 'vibes', 'me', 'my', 'like', 'extremely', 'somewhat', 'rather', 'too']);
+const NEGATIONS = new Set(['not', 'dont', 'isnt', 'arent', 'wasnt', 'aint', 'never', 'no']);
+
+// Lexicon: normalized word or phrase -> mood id. Phrases are matched first.
+const LEXICON = new Map();
+for (const mood of MOOD_TAXONOMY) {
+  for (const word of mood.words) {
+    const key = normalizeMood(word);
+    if (!LEXICON.has(key)) LEXICON.set(key, mood.id);
+  }
+}
+const PHRASES = [...LEXICON.keys()].filter(key => key.includes(' ')).sort((a, b) => b.split(' ').length - a.split(' ').length);
+const SINGLE_WORDS = [...LEXICON.keys()].filter(key => !key.includes(' '));
+
+// Optimal string alignment distance (Levenshtein plus adjacent swaps), with
+// an early exit once it exceeds `max`
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previous2[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Longer words tolerate more typos. Short words only match a longer
+// candidate (a dropped letter: "hapy"), so "made" doesn't become "mad".
+const allowedTypos = (word) => (word.length < 4 ? 0 : word.length < 8 ? 1 : 2);
+
+// Collapse stretched letters ("sooo", "happyyy") before matching
+const squeeze = (word) => word.replace(/(.)\1{2,}/g, '$1$1');
+
+function closestWord(word) {
+  if (LEXICON.has(word)) return { word, distance: 0 };
+  const squeezed = squeeze(word);
+  const single = squeezed.replace(/(.)\1/g, '$1');
+  for (const candidate of [squeezed, single]) {
+    if (LEXICON.has(candidate)) return { word: candidate, distance: 0 };
+  }
+
+  const max = allowedTypos(word);
+  let best = null;
+  for (const candidate of SINGLE_WORDS) {
+    if (squeezed.length < 5 && candidate.length <= squeezed.length) continue;
+    const distance = editDistance(squeezed, candidate, max);
+    if (distance <= max && (!best || distance < best.distance)) best = { word: candidate, distance };
+  }
+  return best;
+}
+
+const describe = (mood) => ({
+  id: mood.id,
+  label: mood.label,
+  emoji: mood.emoji,
+  color: mood.color,
+  searchTerms: mood.searchTerms
+});
+
+// Classify free text. Returns
+//   { input, corrected, mood, confidence, alternatives }
+// where `mood` is null when nothing in the text is recognised, `corrected` is
+// the text with typos fixed (useful as a search query) and `confidence` is
+// between 0 and 1.
+export function classifyMood(text) {
+  const input = String(text ?? '');
+  let tokens = normalizeMood(input).split(' ').filter(Boolean);
+  const corrected = [];
+  const scores = new Map();
+  let typos = 0;
+  let negated = false;
+
+  const vote = (id, weight) => {
+    const mood = BY_ID.get(id);
+    const target = negated && mood.opposite ? mood.opposite : id;
+    scores.set(target, (scores.get(target) || 0) + weight);
+    negated = false;
+  };
+
+  while (tokens.length) {
+    const phrase = PHRASES.find(candidate => {
+      const words = candidate.split(' ');
+      return words.every((word, i) => tokens[i] === word);
+    });
+    if (phrase) {
+      const length = phrase.split(' ').length;
+      corrected.push(...tokens.slice(0, length));
+      tokens = tokens.slice(length);
+      vote(LEXICON.get(phrase), 1 + 0.5 * (length - 1));
+      continue;
+    }
+
+    const [token] = tokens;
+    tokens = tokens.slice(1);
+    if (NEGATIONS.has(token)) {
+      negated = true;
+      corrected.push(token);
+      continue;
+    }
+    if (FILLER.has(token) || FILLER.has(squeeze(token).replace(/(.)\1/g, '$1'))) {
+      corrected.push(token);
+      continue;
+    }
+
+    const match = closestWord(token);
+    if (match) {
+      typos += match.distance;
+      corrected.push(match.word);
+      vote(LEXICON.get(match.word), match.distance ? 0.75 : 1);
+    } else {
+      corrected.push(token);
+    }
+  }
+
+  const ranked = [...scores.entries()].sort((a, b) => b[1] - a[1]);
+  if (!ranked.length) {
+    return { input, corrected: corrected.join(' '), mood: null, confidence: 0, alternatives: [] };
+  }
+
+  const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+  const [[bestId, bestScore]] = ranked;
+  // Share of the votes, discounted a little for every typo fixed
+  const confidence = Math.round(Math.max(0.1, (bestScore / total) * (1 - 0.1 * typos)) * 100) / 100;
+
+  return {
+    input,
+    corrected: corrected.join(' '),
+    mood: describe(BY_ID.get(bestId)),
+    confidence,
+    alternatives: ranked.slice(1, 3).map(([id]) => describe(BY_ID.get(id)))
+  };
+}
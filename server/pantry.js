@@ -0,0 +1,38 @@
+// Match the user's own ingredients ("pantry") against a generated recipe
+
+function singular(word) {
+  if (word.endsWith('oes') || word.endsWith('shes') || word.endsWith('ches')) return word.slice(0, -2);
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('s') && !word.endsWith('ss') && word.length > 3) return word.slice(0, -1);
+  return word;
+}
+
+function ingredientWords(name) {
+  return String(name).toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(singular);
+}
+
+const containsAll = (words, other) => words.length > 0 && words.every(word => other.includes(word));
+
+// An item counts as used when its words all appear in a recipe ingredient
+// name, or the other way round ("olive oil" matches "oil", "eggs" matches "egg")
+export function matchPantryIngredients(recipe, pantry = []) {
+  const recipeWords = (recipe?.ingredients || []).map(ingredient => ingredientWords(ingredient.name ?? ingredient));
+  const usedIngredients = [];
+  const unusedIngredients = [];
+
+  for (const item of pantry) {
+    const words = ingredientWords(item);
+    const used = recipeWords.some(other => containsAll(words, other) || containsAll(other, words));
+    (used ? usedIngredients : unusedIngredients).push(item);
+  }
+  return { usedIngredients, unusedIngredients };
+}
+
+// Recipe section with the pantry match attached
+export function withPantryMatch(recipe, pantry) {
+  return { ...recipe, ...matchPantryIngredients(recipe, pantry) };
+}
@@ -0,0 +1,121 @@
+import { normalizeMood } from './spotify.js';
+
+const MAX_CONTEXT_QUERIES = 3;
+
+// Search strategies tried for every mood; results from all of them are pooled.
+// With mood context search terms (see moodContext.js) the mood is combined
+// with them instead, keeping one broad query in case they are too narrow.
+export function buildPlaylistQueries(mood, terms = []) {
+  const formattedMood = normalizeMood(mood);
+  if (terms.length) {
+    const [first, second] = terms.map(normalizeMood);
+    return [
+      ...terms.slice(0, MAX_CONTEXT_QUERIES).map(term => `${formattedMood} ${normalizeMood(term)} playlist`),
+      ...(second ? [`${formattedMood} ${first} ${second} playlist`] : []),
+      `${formattedMood} vibe playlist`
+    ];
+  }
+  return [
+    // Try mood + playlist
+    `${formattedMood} playlist`,
+    // Try mood + vibe
+    `${formattedMood} vibe playlist`,
+    // Try mood + mood
+    `${formattedMood} ${formattedMood} playlist`,
+    // Try mood + feel
+    `${formattedMood} feel playlist`
+  ];
+}
+
+// Score a playlist for a mood. Higher is better.
+//   - mood words in the name weigh the most, then in the description
+//   - mood context terms count too, at half weight
+//   - playlists that several queries agree on get a boost
+//   - very short playlists are penalised, Spotify editorial ones preferred
+export function scorePlaylist(playlist, mood, { hits = 1, terms = [] } = {}) {
+  const words = normalizeMood(mood).split(' ').filter(word => word.length > 2);
+  const name = normalizeMood(playlist.name || '');
+  const description = normalizeMood(playlist.description || '');
+
+  let score = 0;
+  for (const word of words) {
+    if (name.includes(word)) score += 3;
+    if (description.includes(word)) score += 1;
+  }
+  for (const term of terms.map(normalizeMood)) {
+    if (name.includes(term)) score += 1.5;
+    if (description.includes(term)) score += 0.5;
+  }
+
+  score += (hits - 1) * 1.5;
+
+  const trackCount = playlist.tracks?.total;
+  if (typeof trackCount === 'number') {
+    if (trackCount < 10) score -= 2;
+    else if (trackCount <= 300) score += 1;
+  }
+
+  if (playlist.owner?.id === 'spotify') score += 1;
+  if (playlist.images?.length) score += 0.5;
+
+  return score;
+}
+
+// Merge the result lists of several searches, drop duplicates and unusable
+// entries, and sort best first. Ties keep Spotify's own relevance order.
+export function rankPlaylists(resultLists, mood, terms = []) {
+  const candidates = new Map();
+  let order = 0;
+
+  for (const items of resultLists) {
+    for (const playlist of items) {
+      if (!playlist?.id || !playlist.name || !playlist.external_urls?.spotify) continue;
+
+      const existing = candidates.get(playlist.id);
+      if (existing) {
+        existing.hits++;
+      } else {
+        candidates.set(playlist.id, { playlist, hits: 1, order: order++ });
+      }
+    }
+  }
+
+  return [...candidates.values()]
+    .map(candidate => ({ ...candidate, score: scorePlaylist(candidate.playlist, mood, { hits: candidate.hits, terms }) }))
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .map(candidate => candidate.playlist);
+}
+
+// Shape a Spotify playlist object for API responses
+export function formatPlaylist(playlist) {
+  return {
+    id: playlist.id,
+    name: playlist.name,
+    description: playlist.description,
+    url: playlist.external_urls.spotify,
+    external_urls: playlist.external_urls,
+    images: playlist.images,
+    owner: playlist.owner,
+    tracks: playlist.tracks?.total
+  };
+}
+
+// Overlay real Spotify playlist details on the AI-generated playlist section.
+// A URL from the model is never trusted: without a Spotify match it's dropped.
+export function mergeSpotifyPlaylist(playlistSection, spotifyPlaylist) {
+  if (!spotifyPlaylist) {
+    return { ...playlistSection, url: '' };
+  }
+  return {
+    ...playlistSection,
+    name: spotifyPlaylist.name,
+    description: spotifyPlaylist.description,
+    url: spotifyPlaylist.external_urls.spotify,
+    images: spotifyPlaylist.images
+  };
+}
+
+// Add the recommended tracks and the audio targets they were picked with
+export function withTracks(playlistSection, { tracks, profile }) {
+  return { ...playlistSection, tracks, audioProfile: profile };
+}
@@ -0,0 +1,72 @@
+import { buildPlaylistQueries, rankPlaylists } from './playlistRanking.js';
+import { moodSearchTerms } from './moodContext.js';
+import { classifyMood } from './moodTaxonomy.js';
+import { buildAudioProfile, formatTrack } from './audioProfile.js';
+import { logger } from './logger.js';
+
+const TRACK_LIMIT = 10;
+
+// Playlist lookups shared by the playlist and experience routes
+export function createPlaylistSearch(spotify) {
+  // Run every search strategy for the mood and return the pooled, ranked playlists.
+  // Individual failed searches are skipped; credential errors are rethrown.
+  // options.market limits results to a Spotify market, e.g. "DE".
+  async function findRankedPlaylists(mood, moodContext, { market } = {}) {
+    // Fail fast on credential problems before trying the search strategies
+    await spotify.getToken();
+
+    // Search with typos fixed, adding the taxonomy's terms after the context's
+    const { corrected, mood: canonical } = classifyMood(mood);
+    const searchMood = corrected || mood;
+    const terms = [...new Set([...moodSearchTerms(moodContext), ...(canonical?.searchTerms || [])])];
+    const searchQueries = buildPlaylistQueries(searchMood, terms);
+    const results = await Promise.all(searchQueries.map(async query => {
+      try {
+        return await spotify.searchPlaylists(query, { limit: 5, market });
+      } catch (error) {
+        logger.warn('Error searching playlists', { query, error });
+        return [];
+      }
+    }));
+
+    return rankPlaylists(results, searchMood, terms);
+  }
+
+  // Find the best Spotify playlist for the mood. Resolves to null when nothing is
+  // found or Spotify fails, so callers can continue with the AI-generated playlist.
+  async function findMoodPlaylist(mood, moodContext, options) {
+    try {
+      const [playlist] = await findRankedPlaylists(mood, moodContext, options);
+      return playlist || null;
+    } catch (error) {
+      logger.error('Error fetching playlist', { error });
+      // Continue without playlist data
+      return null;
+    }
+  }
+
+  // Tracks picked by audio features: the mood becomes valence / energy /
+  // danceability / tempo targets and seed genres for /recommendations. Falls
+  // back to a track search where that endpoint isn't available to the app.
+  // Resolves to { tracks, profile }; tracks is empty if Spotify fails.
+  async function findMoodTracks(mood, moodContext, { market } = {}) {
+    const { corrected, mood: canonical } = classifyMood(mood);
+    const profile = buildAudioProfile(canonical?.id, moodContext);
+    try {
+      let tracks;
+      try {
+        tracks = await spotify.getRecommendations({ ...profile, limit: TRACK_LIMIT, market });
+      } catch (error) {
+        if (![403, 404].includes(error.response?.status)) throw error;
+        logger.info('Spotify recommendations unavailable, searching tracks instead');
+        tracks = await spotify.searchTracks(`${corrected || mood} ${profile.seedGenres[0]}`, { limit: TRACK_LIMIT, market });
+      }
+      return { tracks: tracks.filter(track => track?.id && track.name).map(formatTrack), profile };
+    } catch (error) {
+      logger.error('Error fetching tracks', { error });
+      return { tracks: [], profile };
+    }
+  }
+
+  return { findRankedPlaylists, findMoodPlaylist, findMoodTracks };
+}
@@ -0,0 +1,252 @@
+// Dietary preferences, allergies and kitchen constraints for the recipe.
+//
+// Preferences arrive as JSON:
+//   { diets: ['vegetarian'], allergies: ['nuts'], maxCookMinutes: 30, equipment: ['stovetop'] }
+// They are sent to the model as hard constraints, and the returned recipe is
+// checked against them with keyword lists so a conflict is repaired instead
+// of shown. The lists are deliberately broad: a false alarm costs one repair
+// round-trip, a miss can put someone in hospital.
+
+export const DIETS = ['vegetarian', 'vegan', 'gluten-free', 'halal'];
+export const ALLERGIES = ['nuts', 'dairy', 'eggs', 'shellfish'];
+export const EQUIPMENT = ['oven', 'stovetop', 'microwave', 'blender', 'air fryer', 'slow cooker'];
+
+export const EMPTY_PREFERENCES = { diets: [], allergies: [], maxCookMinutes: null, equipment: [] };
+
+// The model writes ingredients in the card language (see languages.js), so
+// the lists carry Spanish, French and German words too. German stems go in
+// the *_DE lists, which also match inside compounds like "Haselnüssen". Text is
+// compared lowercased and without accents: "Erdnüsse" is checked as "erdnusse".
+const MEAT = [
+  'beef', 'pork', 'bacon', 'ham', 'chicken', 'turkey', 'lamb', 'mutton', 'veal', 'duck', 'sausage', 'chorizo', 'salami', 'pepperoni', 'prosciutto', 'pancetta', 'gelatin', 'gelatine', 'lard', 'steak', 'mince',
+  'carne', 'ternera', 'cerdo', 'tocino', 'beicon', 'jamon', 'pollo', 'pavo', 'cordero', 'pato', 'salchicha', 'gelatina', 'chuleta',
+  'viande', 'boeuf', 'porc', 'lardon', 'jambon', 'poulet', 'dinde', 'agneau', 'mouton', 'veau', 'canard', 'saucisse', 'saucisson', 'saindoux',
+  'ente', 'hack'
+];
+const MEAT_DE = ['fleisch', 'rinder', 'schwein', 'speck', 'schinken', 'hahnchen', 'huhn', 'pute', 'truthahn', 'lamm', 'kalb', 'enten', 'wurst', 'salami', 'gelatine', 'schmalz'];
+const SHELLFISH = [
+  'shrimp', 'prawn', 'crab', 'lobster', 'clam', 'mussel', 'oyster', 'scallop', 'crayfish', 'langoustine', 'shellfish',
+  'gamba', 'camaron', 'langostino', 'cangrejo', 'langosta', 'almeja', 'mejillon', 'ostra', 'vieira', 'marisco', 'cigala',
+  // Not "moule": singular, it is usually the baking tin
+  'crevette', 'crabe', 'homard', 'palourde', 'moules', 'huitre', 'saint-jacques', 'langouste', 'ecrevisse', 'fruits de mer'
+];
+const SHELLFISH_DE = ['garnele', 'krabbe', 'hummer', 'muschel', 'auster', 'krebs', 'languste', 'scampi'];
+const SEAFOOD = [
+  ...SHELLFISH, 'fish', 'salmon', 'tuna', 'cod', 'anchovy', 'anchovies', 'sardine', 'squid', 'octopus', 'fish sauce',
+  'pescado', 'atun', 'bacalao', 'anchoa', 'boqueron', 'sardina', 'trucha', 'calamar', 'pulpo',
+  'poisson', 'saumon', 'thon', 'cabillaud', 'anchois', 'truite', 'calmar', 'poulpe'
+];
+const SEAFOOD_DE = [...SHELLFISH_DE, 'fisch', 'lachs', 'kabeljau', 'sardelle', 'sardine', 'forelle', 'hering', 'kalmar', 'oktopus', 'krake'];
+const DAIRY = [
+  'milk', 'butter', 'cheese', 'cream', 'yogurt', 'yoghurt', 'ghee', 'whey', 'parmesan', 'mozzarella', 'ricotta', 'feta', 'buttermilk', 'custard',
+  'leche', 'mantequilla', 'queso', 'nata', 'crema', 'yogur', 'suero', 'requeson',
+  'lait', 'beurre', 'fromage', 'creme', 'yaourt', 'lactoserum', 'babeurre'
+];
+const DAIRY_DE = ['milch', 'butter', 'kase', 'sahne', 'rahm', 'joghurt', 'quark', 'molke', 'schmand', 'parmesan', 'mozzarella'];
+const PLANT_DAIRY = [
+  'coconut milk', 'oat milk', 'almond milk', 'soy milk', 'rice milk', 'vegan butter', 'vegan cheese', 'peanut butter', 'almond butter', 'cocoa butter', 'coconut cream', 'cream of tartar',
+  'leche de coco', 'leche de avena', 'leche de almendra', 'leche de soja', 'leche de arroz', 'crema de coco', 'mantequilla de cacahuete', 'mantequilla de mani', 'manteca de cacao',
+  'lait de coco', "lait d'avoine", "lait d'amande", 'lait de soja', 'lait de riz', 'creme de coco', 'beurre de cacahuete', "beurre d'amande", 'beurre de cacao', 'creme de tartre',
+  'kokosmilch', 'kokosnussmilch', 'hafermilch', 'mandelmilch', 'sojamilch', 'reismilch', 'kokossahne', 'erdnussbutter', 'mandelbutter', 'kakaobutter'
+];
+const EGGS = [
+  'egg', 'eggs', 'mayonnaise', 'meringue', 'aioli',
+  'huevo', 'yema', 'mayonesa', 'merengue', 'alioli',
+  'oeuf',
+  'ei', 'eier'
+];
+const EGGS_DE = ['eier', 'eigelb', 'eiweiss', 'eiklar', 'ruhrei', 'spiegelei', 'huhnerei', 'majonase'];
+
+// Each rule lists words that conflict and, optionally, look-alikes that don't
+const DIET_RULES = {
+  vegetarian: { terms: [...MEAT, ...SEAFOOD], compounds: [...MEAT_DE, ...SEAFOOD_DE], except: ['butterschmalz', 'flamm'] },
+  vegan: {
+    terms: [...MEAT, ...SEAFOOD, ...DAIRY, ...EGGS, 'honey', 'miel'],
+    compounds: [...MEAT_DE, ...SEAFOOD_DE, ...DAIRY_DE, ...EGGS_DE, 'honig'],
+    except: [...PLANT_DAIRY, 'butternut', 'butternuss', 'flamm', 'eierschwammerl']
+  },
+  'gluten-free': {
+    terms: [
+      'wheat', 'flour', 'bread', 'breadcrumbs', 'pasta', 'spaghetti', 'noodles', 'couscous', 'barley', 'rye', 'semolina', 'bulgur', 'farro', 'seitan', 'soy sauce', 'tortilla', 'pita', 'croutons', 'panko', 'beer',
+      'trigo', 'harina', 'pan', 'pan rallado', 'espaguetis', 'fideos', 'cuscus', 'cebada', 'centeno', 'semola', 'cerveza', 'salsa de soja', 'picatostes',
+      'ble', 'farine', 'pain', 'chapelure', 'pate', 'nouilles', 'orge', 'seigle', 'semoule', 'boulgour', 'biere', 'sauce soja'
+    ],
+    compounds: ['weizen', 'mehl', 'brot', 'brosel', 'nudel', 'gerste', 'roggen', 'griess', 'dinkel', 'seitan', 'sojasauce', 'bier', 'teig'],
+    except: [
+      'gluten-free', 'rice flour', 'almond flour', 'coconut flour', 'corn flour', 'cornflour', 'chickpea flour', 'buckwheat flour', 'rice noodles', 'tamari', 'corn tortilla', 'broth',
+      'sin gluten', 'harina de arroz', 'harina de almendra', 'harina de coco', 'harina de maiz', 'harina de garbanzo', 'fideos de arroz', 'tortilla de maiz',
+      'sans gluten', 'farine de riz', "farine d'amande", 'farine de coco', 'farine de mais', 'farine de pois chiche', 'farine de sarrasin', 'nouilles de riz', "pate d'amande",
+      'glutenfrei', 'buchweizenmehl', 'buchweizen', 'reismehl', 'mandelmehl', 'kokosmehl', 'maismehl', 'kichererbsenmehl', 'reisnudel', 'glasnudel', 'johannisbrotkernmehl', 'johannisbrot'
+    ]
+  },
+  halal: {
+    terms: [
+      'pork', 'bacon', 'ham', 'lard', 'prosciutto', 'pancetta', 'chorizo', 'salami', 'pepperoni', 'gelatin', 'gelatine', 'wine', 'beer', 'rum', 'brandy', 'whiskey', 'vodka', 'liqueur', 'mirin', 'sake',
+      'cerdo', 'tocino', 'beicon', 'jamon', 'salchichon', 'gelatina', 'vino', 'cerveza', 'ron', 'licor',
+      'porc', 'lardon', 'jambon', 'saindoux', 'saucisson', 'vin', 'biere', 'rhum', 'cognac'
+    ],
+    compounds: ['schwein', 'speck', 'schinken', 'schmalz', 'gelatine', 'wein', 'bier', 'likor'],
+    except: [
+      'wine vinegar', 'halal', 'beef bacon', 'turkey bacon', 'vinagre de vino', 'vinaigre de vin',
+      'weinessig', 'weintraube', 'weinblatt', 'weinblatter', 'butterschmalz'
+    ]
+  }
+};
+
+const ALLERGY_RULES = {
+  nuts: {
+    terms: [
+      'nut', 'nuts', 'almond', 'cashew', 'pecan', 'walnut', 'hazelnut', 'pistachio', 'macadamia', 'brazil nut', 'pine nut', 'peanut', 'praline', 'marzipan', 'nutella', 'frangipane', 'gianduja', 'pesto', 'satay',
+      'nuez', 'nueces', 'almendra', 'avellana', 'cacahuete', 'cacahuate', 'mani', 'pistacho', 'anacardo', 'pinon', 'mazapan', 'turron',
+      'noix', 'noisette', 'amande', 'cacahuete', 'arachide', 'pistache', 'cajou', 'massepain'
+    ],
+    compounds: ['nuss', 'mandel', 'pistazie', 'cashew', 'pinienkern', 'marzipan', 'nougat', 'krokant'],
+    except: [
+      'nutmeg', 'butternut', 'water chestnut', 'coconut', 'doughnut', 'donut', 'nutritional yeast',
+      'nuez moscada', 'noix de coco', 'noix de muscade', 'noix de saint-jacques',
+      'muskatnuss', 'kokosnuss', 'butternuss', 'genuss'
+    ]
+  },
+  dairy: { terms: DAIRY, compounds: DAIRY_DE, except: [...PLANT_DAIRY, 'butternut', 'butternuss', 'dairy-free', 'milchfrei'] },
+  eggs: { terms: EGGS, compounds: EGGS_DE, except: ['eggplant', 'egg-free', 'vegan mayonnaise', 'eierschwammerl'] },
+  shellfish: { terms: SHELLFISH, compounds: SHELLFISH_DE, except: ['austernpilz', 'muschelnudel'] }
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lowercase, without accents, ß, ligatures or curly apostrophes
+const fold = (text) => String(text).toLowerCase()
+  .replace(/ß/g, 'ss').replace(/œ/g, 'oe').replace(/æ/g, 'ae').replace(/’/g, "'")
+  .normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+const alternatives = (terms) => terms.map(term => escapeRegExp(fold(term))).join('|');
+
+function compileRule({ terms, compounds = [], except = [] }) {
+  // Whole words, with an optional plural so "almonds" matches "almond";
+  // compound stems match the whole word they appear in
+  const words = `\\b(?:${alternatives(terms)})(?:e?s)?\\b`;
+  const pattern = new RegExp(compounds.length ? `${words}|\\b\\w*(?:${alternatives(compounds)})\\w*` : words);
+  // Look-alikes are cut out anywhere, since compounds hide them mid-word
+  const exceptions = except.map(term => new RegExp(escapeRegExp(fold(term)), 'g'));
+  return (name) => {
+    const cleaned = exceptions.reduce((text, exception) => text.replace(exception, ' '), fold(name));
+    return cleaned.match(pattern)?.[0] || null;
+  };
+}
+
+const DIET_MATCHERS = Object.fromEntries(Object.entries(DIET_RULES).map(([key, rule]) => [key, compileRule(rule)]));
+const ALLERGY_MATCHERS = Object.fromEntries(Object.entries(ALLERGY_RULES).map(([key, rule]) => [key, compileRule(rule)]));
+
+function readList(value, allowed, field, errors) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    errors.push(`${field} must be an array`);
+    return [];
+  }
+  const unknown = value.filter(item => !allowed.includes(item));
+  if (unknown.length) {
+    errors.push(`Unknown ${field}: ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}`);
+  }
+  return [...new Set(value.filter(item => allowed.includes(item)))];
+}
+
+// Validate a preferences object (already JSON-parsed). Returns
+// { preferences } or { error } with a 400 payload.
+export function parsePreferences(value) {
+  if (value === undefined || value === null) {
+    return { preferences: EMPTY_PREFERENCES };
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { error: { error: 'Invalid preferences format', details: 'Preferences must be a JSON object' } };
+  }
+
+  const errors = [];
+  const preferences = {
+    diets: readList(value.diets, DIETS, 'diets', errors),
+    allergies: readList(value.allergies, ALLERGIES, 'allergies', errors),
+    maxCookMinutes: null,
+    equipment: readList(value.equipment, EQUIPMENT, 'equipment', errors)
+  };
+
+  if (value.maxCookMinutes !== undefined && value.maxCookMinutes !== null) {
+    const minutes = Number(value.maxCookMinutes);
+    if (!Number.isInteger(minutes) || minutes < 5 || minutes > 1440) {
+      errors.push('maxCookMinutes must be a whole number of minutes between 5 and 1440');
+    } else {
+      preferences.maxCookMinutes = minutes;
+    }
+  }
+
+  if (errors.length) {
+    return { error: { error: 'Invalid preferences format', details: errors.join('; ') } };
+  }
+  return { preferences };
+}
+
+export function hasPreferences(preferences) {
+  return Boolean(preferences && (
+    preferences.diets.length ||
+    preferences.allergies.length ||
+    preferences.maxCookMinutes ||
+    preferences.equipment.length
+  ));
+}
+
+// Hard constraints for the recipe, as prompt text (empty when there are none)
+export function describePreferences(preferences) {
+  if (!hasPreferences(preferences)) return '';
+
+  const rules = [];
+  if (preferences.diets.length) {
+    rules.push(`- The recipe must be ${preferences.diets.join(', ')}.`);
+  }
+  if (preferences.allergies.length) {
+    rules.push(`- The user is allergic to ${preferences.allergies.join(', ')}. Do not use any ingredient that contains or is derived from them, not even as a garnish or optional topping.`);
+  }
+  if (preferences.maxCookMinutes) {
+    rules.push(`- cookMinutes must be ${preferences.maxCookMinutes} or less.`);
+  }
+  if (preferences.equipment.length) {
+    rules.push(`- The only cooking equipment available is: ${preferences.equipment.join(', ')} (plus basic knives, bowls and utensils).`);
+  }
+  return `The recipe MUST follow these hard constraints. Breaking any of them makes the answer unusable:\n${rules.join('\n')}`;
+}
+
+// Check a (schema-valid) recipe against the preferences. Returns error
+// messages in the same format as the schema validators, so they can be sent
+// back to the model for repair.
+export function checkRecipePreferences(recipe, preferences, path = 'recipe') {
+  if (!recipe || !hasPreferences(preferences)) return [];
+  const errors = [];
+
+  (recipe.ingredients || []).forEach((ingredient, index) => {
+    const name = ingredient?.name ?? ingredient;
+    for (const allergy of preferences.allergies) {
+      const match = ALLERGY_MATCHERS[allergy](name);
+      if (match) {
+        errors.push(`${path}.ingredients[${index}]: "${name}" contains ${match}, but the user is allergic to ${allergy}; replace it`);
+      }
+    }
+    for (const diet of preferences.diets) {
+      const match = DIET_MATCHERS[diet](name);
+      if (match) {
+        errors.push(`${path}.ingredients[${index}]: "${name}" contains ${match}, which is not ${diet}; replace it`);
+      }
+    }
+  });
+
+  // Garnishes and toppings tend to sneak in through the steps
+  (recipe.steps || []).forEach((step, index) => {
+    for (const allergy of preferences.allergies) {
+      const match = ALLERGY_MATCHERS[allergy](step?.text ?? '');
+      if (match) {
+        errors.push(`${path}.steps[${index}]: mentions ${match}, but the user is allergic to ${allergy}; rewrite the step without it`);
+      }
+    }
+  });
+
+  if (preferences.maxCookMinutes && recipe.cookMinutes > preferences.maxCookMinutes) {
+    errors.push(`${path}.cookMinutes: ${recipe.cookMinutes} is over the user's limit of ${preferences.maxCookMinutes} minutes`);
+  }
+  return errors;
+}
@@ -0,0 +1,188 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.js';
+
+export const DEFAULT_PROMPTS_DIR = fileURLToPath(new URL('./promptTemplates/', import.meta.url));
+export const DEFAULT_VARIANT = 'default';
+
+const FILE_NAME = /^([a-z0-9-]+)\.v(\d+)\.prompt$/;
+const BLOCK_HEADER = /^=== ([a-z.]+) ===$/;
+const METADATA_LINE = /^(\w+):\s*(.*)$/;
+// "poetic" (latest version) or "poetic@2"
+const VARIANT_REF = /^([a-z0-9-]+)(?:@(\d+))?$/;
+
+const BLOCKS = [
+  'experience.system',
+  'experience.user',
+  'section.system',
+  'section.user',
+  'detail.brief',
+  'detail.standard',
+  'detail.detailed',
+  'style',
+  'language'
+];
+const REQUIRED_BLOCKS = ['experience.system', 'experience.user', 'section.system', 'section.user'];
+
+// Parse a template file: `key: value` metadata and # comments, then blocks
+// that each start with a "=== name ===" line. Throws on anything unexpected
+// so a typo can't silently drop part of a prompt.
+export function parsePromptTemplate(text, fileName) {
+  const match = fileName.match(FILE_NAME);
+  if (!match) {
+    throw new Error(`${fileName}: prompt files must be named <variant>.v<version>.prompt`);
+  }
+
+  const metadata = {};
+  const blocks = {};
+  let current = null;
+  text.split(/\r?\n/).forEach((line, index) => {
+    const header = line.match(BLOCK_HEADER);
+    if (header) {
+      if (!BLOCKS.includes(header[1])) {
+        throw new Error(`${fileName}:${index + 1}: unknown block "${header[1]}"`);
+      }
+      if (header[1] in blocks) {
+        throw new Error(`${fileName}:${index + 1}: duplicate block "${header[1]}"`);
+      }
+      current = header[1];
+      blocks[current] = [];
+    } else if (current) {
+      blocks[current].push(line);
+    } else if (line.trim() && !line.startsWith('#')) {
+      const entry = line.match(METADATA_LINE);
+      if (!entry) {
+        throw new Error(`${fileName}:${index + 1}: expected "key: value" or a "=== block ===" header`);
+      }
+      metadata[entry[1]] = entry[2].trim();
+    }
+  });
+
+  const weight = metadata.weight === undefined ? 1 : Number(metadata.weight);
+  if (!Number.isFinite(weight) || weight < 0) {
+    throw new Error(`${fileName}: weight must be a number of at least 0`);
+  }
+
+  return {
+    id: match[1],
+    version: Number(match[2]),
+    ref: `${match[1]}@${Number(match[2])}`,
+    weight,
+    description: metadata.description || '',
+    blocks: Object.fromEntries(Object.entries(blocks).map(([name, lines]) => [name, lines.join('\n').trim()]))
+  };
+}
+
+// Fill {{name}} placeholders; unknown names render as nothing
+export function renderTemplate(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => values[name] ?? '');
+}
+
+// Variants inherit the blocks they don't define from the latest default
+function buildVariants(templates) {
+  const latest = new Map();
+  for (const template of templates) {
+    if (!latest.has(template.id) || latest.get(template.id).version < template.version) {
+      latest.set(template.id, template);
+    }
+  }
+
+  const base = latest.get(DEFAULT_VARIANT);
+  if (!base) {
+    throw new Error(`Missing the "${DEFAULT_VARIANT}" prompt template`);
+  }
+  const missing = REQUIRED_BLOCKS.filter(name => !(name in base.blocks));
+  if (missing.length) {
+    throw new Error(`${base.ref}: missing blocks ${missing.join(', ')}`);
+  }
+
+  const byRef = new Map(templates.map(template => [
+    template.ref,
+    { ...template, blocks: { ...base.blocks, ...template.blocks } }
+  ]));
+  return {
+    byRef,
+    latest: new Map([...latest].map(([id, template]) => [id, byRef.get(template.ref)]))
+  };
+}
+
+// Prompt templates loaded from `dir` (*.v<version>.prompt files). The
+// directory is checked for changes at most every `checkIntervalMs`, so
+// editing or adding a file takes effect without a restart. A broken edit is
+// logged and the previous templates stay in use.
+export function createPromptRegistry({ dir = DEFAULT_PROMPTS_DIR, checkIntervalMs = 2000, now = Date.now } = {}) {
+  let variants = null;
+  let signature = null;
+  let checkedAt = -Infinity;
+  let checking = null;
+
+  async function scan() {
+    const names = (await fs.readdir(dir)).filter(name => name.endsWith('.prompt')).sort();
+    const files = await Promise.all(names.map(async name => {
+      const stats = await fs.stat(path.join(dir, name));
+      return { name, stamp: `${name}:${stats.mtimeMs}:${stats.size}` };
+    }));
+    const nextSignature = files.map(file => file.stamp).join('|');
+    if (nextSignature === signature) return;
+
+    const templates = await Promise.all(files.map(async ({ name }) => (
+      parsePromptTemplate(await fs.readFile(path.join(dir, name), 'utf8'), name)
+    )));
+    variants = buildVariants(templates);
+    signature = nextSignature;
+    logger.info(`${checkedAt === -Infinity ? 'Loaded' : 'Reloaded'} prompt templates`, { variants: [...variants.byRef.keys()] });
+  }
+
+  async function load() {
+    if (variants && now() - checkedAt < checkIntervalMs) return variants;
+    if (!checking) {
+      checking = scan()
+        .catch(error => {
+          // Keep serving the last good templates after a bad edit
+          if (!variants) throw error;
+          logger.error('Error reloading prompt templates', { error });
+        })
+        .finally(() => {
+          checkedAt = now();
+          checking = null;
+        });
+    }
+    await checking;
+    return variants;
+  }
+
+  return {
+    // A variant by reference ("poetic" or "poetic@1"), or null if unknown
+    async getVariant(ref) {
+      const match = typeof ref === 'string' ? ref.match(VARIANT_REF) : null;
+      if (!match) return null;
+      const { byRef, latest } = await load();
+      return (match[2] ? byRef.get(`${match[1]}@${Number(match[2])}`) : latest.get(match[1])) || null;
+    },
+
+    // Weighted pick among the latest versions, stable for the same key (the
+    // session ID), so a visitor keeps seeing the same variant
+    async assignVariant(key = '') {
+      const { latest } = await load();
+      const candidates = [...latest.values()].filter(variant => variant.weight > 0).sort((a, b) => a.id.localeCompare(b.id));
+      const total = candidates.reduce((sum, variant) => sum + variant.weight, 0);
+      if (!total) return latest.get(DEFAULT_VARIANT);
+
+      const hash = crypto.createHash('sha256').update(String(key)).digest();
+      let point = (hash.readUInt32BE(0) / 2 ** 32) * total;
+      for (const variant of candidates) {
+        point -= variant.weight;
+        if (point < 0) return variant;
+      }
+      return candidates.at(-1);
+    },
+
+    // Latest version of every variant, for GET /api/prompts
+    async list() {
+      const { latest } = await load();
+      return [...latest.values()].map(({ id, version, ref, weight, description }) => ({ id, version, ref, weight, description }));
+    }
+  };
+}
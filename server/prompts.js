@@ -0,0 +1,95 @@
+import { DEFAULT_SECTIONS, getSection, listSections } from './sections/index.js';
+import { describeMoodContext } from './moodContext.js';
+import { renderTemplate } from './promptRegistry.js';
+import { DEFAULT_LANGUAGE, getLanguage } from './languages.js';
+
+// How much the model writes: brief, standard or detailed. Each level has a
+// `detail.<level>` block in the prompt templates and per-section extras
+// (detailGuidance in server/sections/).
+export const DETAIL_LEVELS = ['brief', 'standard', 'detailed'];
+// Same as a request without longMode before detail levels existed
+export const DEFAULT_DETAIL = 'brief';
+
+// Read the detail level from a request. The older longMode flag still works:
+// true means detailed and false means brief. Returns { detail } or { error }.
+export function parseDetail({ detail, longMode }) {
+  if (detail === undefined || detail === null || detail === '') {
+    if (longMode === true || longMode === 'true') return { detail: 'detailed' };
+    if (longMode === false || longMode === 'false') return { detail: 'brief' };
+    return { detail: DEFAULT_DETAIL };
+  }
+  if (!DETAIL_LEVELS.includes(detail)) {
+    return {
+      error: {
+        error: 'Invalid detail level',
+        details: `Detail must be one of: ${DETAIL_LEVELS.join(', ')}`
+      }
+    };
+  }
+  return { detail };
+}
+
+function describeShape(sections) {
+  const shape = Object.fromEntries(sections.map(section => [section, getSection(section).shape]));
+  return JSON.stringify(shape, null, 2);
+}
+
+// Detail level first, then each section's instructions, then the variant's
+// style and, for cards not in English, the language to write in
+function describeGuidance(blocks, sections, detail, preferences, lang) {
+  const language = getLanguage(lang);
+  const guidance = [blocks[`detail.${detail}`]];
+  for (const id of sections) {
+    const section = getSection(id);
+    const always = typeof section.guidance === 'function' ? section.guidance({ detail, preferences, language }) : section.guidance;
+    guidance.push(section.detailGuidance?.[detail], always);
+  }
+  guidance.push(blocks.style);
+  if (language.id !== DEFAULT_LANGUAGE && blocks.language) {
+    guidance.push(renderTemplate(blocks.language, { language: language.name }));
+  }
+  return guidance.filter(Boolean).join('\n');
+}
+
+function describeRequest({ mood, ingredients = [], moodContext }) {
+  const context = describeMoodContext(moodContext);
+  return `mood: "${mood}"${ingredients.length ? ` with ingredients: ${ingredients.join(', ')}` : ''}${context ? `\n${context}` : ''}`;
+}
+
+// Messages for a complete vibe card with the given sections, rendered from
+// a prompt variant (see promptRegistry.js)
+export function buildExperienceMessages({ mood, ingredients, detail = DEFAULT_DETAIL, preferences, moodContext, sections = DEFAULT_SECTIONS, lang, variant }) {
+  const { blocks } = variant;
+  const values = {
+    shape: describeShape(sections),
+    guidance: describeGuidance(blocks, sections, detail, preferences, lang),
+    request: describeRequest({ mood, ingredients, moodContext })
+  };
+  return [
+    { role: 'system', content: renderTemplate(blocks['experience.system'], values) },
+    { role: 'user', content: renderTemplate(blocks['experience.user'], values) }
+  ];
+}
+
+// Messages to regenerate one section of an existing card. The other sections
+// are passed along so the new one stays coherent with them.
+export function buildSectionMessages({ mood, ingredients, detail = DEFAULT_DETAIL, preferences, moodContext, lang, section, experience, variant }) {
+  const { blocks } = variant;
+  const context = Object.fromEntries(
+    listSections()
+      .filter(other => other !== section && experience?.[other])
+      .map(other => [other, experience[other]])
+  );
+  const values = {
+    section,
+    shape: describeShape([section]),
+    guidance: describeGuidance(blocks, [section], detail, preferences, lang),
+    request: describeRequest({ mood, ingredients, moodContext }),
+    current: JSON.stringify(experience?.[section] ?? null),
+    context: JSON.stringify(context)
+  };
+  return [
+    { role: 'system', content: renderTemplate(blocks['section.system'], values) },
+    { role: 'user', content: renderTemplate(blocks['section.user'], values) }
+  ];
+}
@@ -0,0 +1,128 @@
+import process from 'process';
+import { parseDetail } from './prompts.js';
+import { createLRUCache } from './lruCache.js';
+import { logger } from './logger.js';
+
+// Token bucket per key: `capacity` requests of burst, refilled continuously
+// at `refillPerMinute`. A bucket expires once it has fully refilled, since it
+// is then indistinguishable from a new one, and past `maxKeys` the least
+// recently used buckets are evicted, so a flood of distinct keys costs O(1)
+// per request.
+export function createTokenBucket({ capacity, refillPerMinute, maxKeys = 10000, now = Date.now }) {
+  const buckets = createLRUCache({ maxSize: maxKeys, now });
+  const refillPerMs = refillPerMinute / 60000;
+
+  const level = (key) => {
+    const bucket = buckets.get(key);
+    if (!bucket) return capacity;
+    return Math.min(capacity, bucket.tokens + (now() - bucket.updatedAt) * refillPerMs);
+  };
+
+  return {
+    capacity,
+
+    // Current state for a key without consuming anything
+    peek(key, cost = 1) {
+      const tokens = level(key);
+      const missing = Math.max(0, cost - tokens);
+      return {
+        allowed: tokens >= cost,
+        limit: capacity,
+        remaining: Math.floor(Math.max(0, tokens - (tokens >= cost ? cost : 0))),
+        // Seconds until the bucket is full again / until `cost` tokens exist
+        resetSeconds: Math.ceil((capacity - tokens + (tokens >= cost ? cost : 0)) / refillPerMs / 1000),
+        retryAfterSeconds: Math.ceil(missing / refillPerMs / 1000)
+      };
+    },
+
+    take(key, cost = 1) {
+      const tokens = level(key) - cost;
+      buckets.set(key, { tokens, updatedAt: now() }, Math.max(1, Math.ceil((capacity - tokens) / refillPerMs)));
+    },
+
+    size: () => buckets.stats().size
+  };
+}
+
+function readNumber(value, fallback) {
+  const number = Number(value);
+  return value === undefined || value === '' || Number.isNaN(number) ? fallback : number;
+}
+
+// Budgets from environment variables (capacity = burst, per minute = refill)
+export function loadRateLimitConfig(env = process.env) {
+  return {
+    enabled: env.RATE_LIMIT_ENABLED !== 'false',
+    ip: {
+      capacity: readNumber(env.RATE_LIMIT_IP_CAPACITY, 30),
+      refillPerMinute: readNumber(env.RATE_LIMIT_IP_PER_MINUTE, 10)
+    },
+    session: {
+      capacity: readNumber(env.RATE_LIMIT_SESSION_CAPACITY, 20),
+      refillPerMinute: readNumber(env.RATE_LIMIT_SESSION_PER_MINUTE, 6)
+    },
+    longMode: {
+      capacity: readNumber(env.RATE_LIMIT_LONG_CAPACITY, 5),
+      refillPerMinute: readNumber(env.RATE_LIMIT_LONG_PER_MINUTE, 1)
+    }
+  };
+}
+
+// detail=detailed (or the older longMode=true) in the query or JSON body
+const isLongMode = (req) => [req.query, req.body].some(params => params && parseDetail(params).detail === 'detailed');
+
+// Express middleware enforcing per-IP and per-session budgets, plus a stricter
+// per-IP budget for detailed (long) requests. A request is only charged when every
+// applicable bucket has room, so a rejected request costs nothing.
+//
+// Sets RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset for the most
+// constrained bucket, and Retry-After on 429 responses.
+export function createRateLimiter(config, { now = Date.now } = {}) {
+  const rules = [
+    { name: 'ip', bucket: createTokenBucket({ ...config.ip, now }), key: req => req.ip },
+    { name: 'session', bucket: createTokenBucket({ ...config.session, now }), key: req => req.sessionId, optional: true },
+    { name: 'longMode', bucket: createTokenBucket({ ...config.longMode, now }), key: req => req.ip, when: isLongMode }
+  ];
+
+  return (req, res, next) => {
+    if (!config.enabled) return next();
+
+    const checks = rules
+      .filter(rule => !rule.when || rule.when(req))
+      .map(rule => ({ rule, key: rule.key(req) }))
+      .filter(({ rule, key }) => key || !rule.optional)
+      .map(check => ({ ...check, state: check.rule.bucket.peek(check.key || 'unknown') }));
+
+    const denied = checks.filter(check => !check.state.allowed);
+    const tightest = [...checks].sort((a, b) => a.state.remaining - b.state.remaining)[0];
+
+    if (tightest) {
+      res.set({
+        'RateLimit-Limit': String(tightest.state.limit),
+        'RateLimit-Remaining': String(tightest.state.remaining),
+        'RateLimit-Reset': String(tightest.state.resetSeconds)
+      });
+    }
+
+    if (denied.length) {
+      const retryAfter = Math.max(...denied.map(check => check.state.retryAfterSeconds));
+      logger.warn('Rate limit exceeded', {
+        path: req.originalUrl.split('?')[0],
+        buckets: denied.map(check => check.rule.name),
+        retryAfter
+      });
+      res.set({
+        'Retry-After': String(retryAfter),
+        'RateLimit-Remaining': '0'
+      });
+      return res.status(429).json({
+        error: 'Rate limit exceeded - Please try again later',
+        retryAfter,
+        limit: denied[0].rule.name
+      });
+    }
+
+    checks.forEach(check => check.rule.bucket.take(check.key || 'unknown'));
+    next();
+  };
+}
@@ -0,0 +1,537 @@
+import express from 'express';
+import { createSectionStreamParser } from '../sectionStreamParser.js';
+import { LLMError } from '../llm/index.js';
+import { ExperienceValidationError, validateSection } from '../experienceSchema.js';
+import { checkSections, getSection, listSections, parseSections, pickSections } from '../sections/index.js';
+import { generateValidatedExperience } from '../experienceRepair.js';
+import { buildExperienceMessages, buildSectionMessages, parseDetail } from '../prompts.js';
+import { mergeSpotifyPlaylist, withTracks } from '../playlistRanking.js';
+import { withPantryMatch } from '../pantry.js';
+import { parsePreferences } from '../preferences.js';
+import { parseMoodContext } from '../moodContext.js';
+import { getLanguage, parseLanguage } from '../languages.js';
+import { MAX_MOOD_LENGTH } from '../moodTaxonomy.js';
+import { logger } from '../logger.js';
+
+// 400 payload for moods over MAX_MOOD_LENGTH (the mood classifier runs on them)
+const MOOD_TOO_LONG = {
+  error: 'Mood is too long',
+  details: `Mood must be at most ${MAX_MOOD_LENGTH} characters`
+};
+
+// Validate and parse the query parameters shared by the experience endpoints.
+// Returns { error } with a 400 payload when the request is invalid.
+function parseExperienceQuery(query) {
+  const mood = query.mood;
+  if (!mood || typeof mood !== 'string') {
+    logger.warn('Invalid mood', { type: typeof mood });
+    return {
+      error: {
+        error: 'Mood is required and must be a string',
+        details: 'Please provide a valid mood parameter'
+      }
+    };
+  }
+  if (mood.length > MAX_MOOD_LENGTH) {
+    return { error: MOOD_TOO_LONG };
+  }
+
+  // Parse ingredients safely
+  let ingredients = [];
+  try {
+    if (query.ingredients) {
+      ingredients = JSON.parse(query.ingredients);
+      if (!Array.isArray(ingredients)) {
+        throw new Error('Ingredients must be an array');
+      }
+    }
+  } catch (error) {
+    logger.warn('Error parsing ingredients', { error: error.message });
+    return {
+      error: {
+        error: 'Invalid ingredients format',
+        details: 'Ingredients must be a valid JSON array'
+      }
+    };
+  }
+
+  // Dietary preferences and allergies, sent as a JSON object
+  let rawPreferences;
+  try {
+    rawPreferences = query.preferences ? JSON.parse(query.preferences) : undefined;
+  } catch (error) {
+    logger.warn('Error parsing preferences', { error: error.message });
+    return {
+      error: {
+        error: 'Invalid preferences format',
+        details: 'Preferences must be a valid JSON object'
+      }
+    };
+  }
+  const { preferences, error } = parsePreferences(rawPreferences);
+  if (error) {
+    return { error };
+  }
+
+  // Valence, energy, intensity, time of day, setting and weather
+  let rawMoodContext;
+  try {
+    rawMoodContext = query.moodContext ? JSON.parse(query.moodContext) : undefined;
+  } catch (parseError) {
+    logger.warn('Error parsing mood context', { error: parseError.message });
+    return {
+      error: {
+        error: 'Invalid mood context format',
+        details: 'Mood context must be a valid JSON object'
+      }
+    };
+  }
+  const { moodContext, error: moodContextError } = parseMoodContext(rawMoodContext);
+  if (moodContextError) {
+    return { error: moodContextError };
+  }
+
+  // Which sections to generate, e.g. "playlist,recipe" (default: the standard card)
+  const { sections, error: sectionsError } = parseSections(query.sections);
+  if (sectionsError) {
+    return { error: sectionsError };
+  }
+
+  // brief, standard or detailed (or the older longMode=true|false)
+  const { detail, error: detailError } = parseDetail(query);
+  if (detailError) {
+    return { error: detailError };
+  }
+
+  // Language of the card text, e.g. "de" (default: English)
+  const { lang, error: langError } = parseLanguage(query.lang);
+  if (langError) {
+    return { error: langError };
+  }
+
+  return { mood, ingredients, detail, preferences, moodContext, sections, lang, variant: query.variant };
+}
+
+// Section checks (e.g. a recipe that conflicts with the user's diet or
+// allergies) go through the repair loop like schema errors
+const sectionCheck = (sections, preferences) => (experience) => checkSections(experience, sections, { preferences });
+
+// Map an error from the experience pipeline to an HTTP status and payload
+function experienceErrorResponse(error) {
+  // Upstream took too long
+  if (error.code === 'ECONNABORTED') {
+    return {
+      status: 504,
+      body: { error: 'The AI service took too long to respond. Please try again.' }
+    };
+  }
+
+  // Handle specific error cases
+  if (error.response?.status === 401) {
+    return {
+      status: 401,
+      body: { error: 'Unauthorized - Please check your API credentials' }
+    };
+  }
+
+  if (error.response?.status === 429) {
+    return {
+      status: 429,
+      body: { error: 'Rate limit exceeded - Please try again later' }
+    };
+  }
+
+  // The model kept returning a malformed vibe card
+  if (error instanceof ExperienceValidationError) {
+    return {
+      status: 502,
+      body: {
+        error: 'The AI returned an invalid vibe card. Please try again.',
+        details: error.message,
+        validationErrors: error.errors
+      }
+    };
+  }
+
+  // Handle LLM provider specific errors
+  if (error instanceof LLMError) {
+    return {
+      status: 500,
+      body: { error: 'Failed to generate experience. Please try again later.' }
+    };
+  }
+
+  return {
+    status: 500,
+    body: {
+      error: 'Failed to fetch experience. Please try again later.',
+      details: error.message
+    }
+  };
+}
+
+// Routes under /api/experience
+export function createExperienceRouter({ llm, llmConfig, playlistSearch, experienceStore, prompts, rateLimit }) {
+  const router = express.Router();
+  const { findRankedPlaylists, findMoodPlaylist, findMoodTracks } = playlistSearch;
+
+  // Spotify search options for the card's language
+  const spotifyOptions = (lang) => ({ market: getLanguage(lang).market });
+
+  // Real Spotify details for the playlist section: a searched playlist plus
+  // recommended tracks. The model's own playlist URL is never used.
+  function findSpotifyDetails({ mood, moodContext, lang }) {
+    const options = spotifyOptions(lang);
+    return Promise.all([findMoodPlaylist(mood, moodContext, options), findMoodTracks(mood, moodContext, options)]);
+  }
+
+  function withSpotifyDetails(playlistSection, [playlist, tracks]) {
+    return withTracks(mergeSpotifyPlaylist(playlistSection, playlist), tracks);
+  }
+
+  // The prompt variant for this request: the one asked for (?variant=poetic
+  // or poetic@1), otherwise a stable pick for the session. Sets the
+  // X-Prompt-Variant header. Returns { variant } or { error }.
+  async function choosePromptVariant(req, res, requested) {
+    let variant;
+    if (requested === undefined || requested === '') {
+      variant = await prompts.assignVariant(req.sessionId);
+    } else {
+      variant = await prompts.getVariant(requested);
+      if (!variant) {
+        return {
+          error: {
+            error: 'Invalid prompt variant',
+            details: `Variant must be one of: ${(await prompts.list()).map(entry => entry.id).join(', ')}`
+          }
+        };
+      }
+    }
+    res.set('X-Prompt-Variant', variant.ref);
+    return { variant };
+  }
+
+  // Max tokens for the detail level
+  const maxTokensFor = (detail) => (detail === 'detailed' ? llmConfig.maxTokensLong : llmConfig.maxTokens);
+
+  // Build the LLM chat request for a full vibe card
+  function buildExperienceRequest(params) {
+    return {
+      messages: buildExperienceMessages(params),
+      maxTokens: maxTokensFor(params.detail)
+    };
+  }
+
+  // Persist a generated experience and return its share ID. Saving is best
+  // effort: the card is still returned (without an ID) if the store fails.
+  // `credits` overrides the prompt variant and model recorded for the card.
+  async function saveExperience(params, experience, credits = {}) {
+    try {
+      const record = await experienceStore.save({
+        mood: params.mood,
+        experience,
+        params: {
+          ingredients: params.ingredients,
+          detail: params.detail,
+          preferences: params.preferences,
+          moodContext: params.moodContext,
+          sections: params.sections,
+          lang: params.lang,
+          promptVariant: params.variant.ref,
+          model: llm.model,
+          ...credits
+        }
+      });
+      return record.id;
+    } catch (error) {
+      logger.error('Error saving experience', { error });
+      return null;
+    }
+  }
+
+  // Generate experience using the configured LLM provider
+  router.get('/', rateLimit, async (req, res) => {
+    logger.info('Experience requested', { query: req.query });
+
+    try {
+      const params = parseExperienceQuery(req.query);
+      if (params.error) {
+        return res.status(400).json(params.error);
+      }
+      const { variant, error: variantError } = await choosePromptVariant(req, res, params.variant);
+      if (variantError) {
+        return res.status(400).json(variantError);
+      }
+      params.variant = variant;
+
+      // Parse and validate the reply, asking the model to repair it if needed
+      const reply = await generateValidatedExperience(llm, buildExperienceRequest(params), {
+        sections: params.sections,
+        maxRepairs: llmConfig.repairAttempts,
+        check: sectionCheck(params.sections, params.preferences)
+      });
+      const experience = pickSections(reply, params.sections);
+
+      // Get Spotify playlist and tracks using direct API calls instead of recursive endpoint
+      if (experience.playlist) {
+        experience.playlist = withSpotifyDetails(experience.playlist, await findSpotifyDetails(params));
+      }
+      if (experience.recipe) {
+        experience.recipe = withPantryMatch(experience.recipe, params.ingredients);
+      }
+
+      const id = await saveExperience(params, experience);
+      return res.status(200).json({ ...experience, id, promptVariant: variant.ref });
+
+    } catch (error) {
+      logger.error('Error in experience endpoint', { error, mood: req.query.mood });
+
+      const { status, body } = experienceErrorResponse(error);
+      return res.status(status).json(body);
+    }
+  });
+
+  // Stream the experience as Server-Sent Events, one `section` event per card.
+  // Events: section { section, data } | done { sections, id, promptVariant } | error { status, error, details }
+  router.get('/stream', rateLimit, async (req, res) => {
+    logger.info('Experience stream requested', { query: req.query });
+
+    const params = parseExperienceQuery(req.query);
+    if (params.error) {
+      return res.status(400).json(params.error);
+    }
+    try {
+      const { variant, error: variantError } = await choosePromptVariant(req, res, params.variant);
+      if (variantError) {
+        return res.status(400).json(variantError);
+      }
+      params.variant = variant;
+    } catch (error) {
+      logger.error('Error loading prompt templates', { error });
+      const { status, body } = experienceErrorResponse(error);
+      return res.status(status).json(body);
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Stop generating if the client goes away
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    // Look up the Spotify playlist and tracks while the model is still writing
+    const spotifyDetails = params.sections.includes('playlist') ? findSpotifyDetails(params) : null;
+    const emitted = new Set();
+    const pendingSections = [];
+    const experience = {};
+
+    const emitSection = (section, data) => {
+      emitted.add(section);
+      if (section === 'playlist') {
+        pendingSections.push(spotifyDetails.then(details => {
+          experience.playlist = withSpotifyDetails(data, details);
+          sendEvent('section', { section, data: experience.playlist });
+        }));
+      } else {
+        experience[section] = section === 'recipe' ? withPantryMatch(data, params.ingredients) : data;
+        sendEvent('section', { section, data: experience[section] });
+      }
+    };
+
+    // Only valid sections go out straight away; the rest are repaired below
+    const parser = createSectionStreamParser((section, data) => {
+      if (!params.sections.includes(section) || emitted.has(section)) {
+        return;
+      }
+      let errors = validateSection(section, data);
+      if (!errors.length) {
+        errors = checkSections({ [section]: data }, [section], { preferences: params.preferences });
+      }
+      if (errors.length) {
+        logger.warn('Holding back invalid streamed section', { section, errors });
+        return;
+      }
+      emitSection(section, data);
+    });
+
+    try {
+      const request = buildExperienceRequest(params);
+      const content = await llm.stream({
+        ...request,
+        onToken: token => parser.push(token),
+        signal: controller.signal
+      });
+
+      const remaining = params.sections.filter(section => !emitted.has(section));
+      if (remaining.length) {
+        const repaired = await generateValidatedExperience(llm, request, {
+          sections: remaining,
+          maxRepairs: llmConfig.repairAttempts,
+          initialContent: content,
+          signal: controller.signal,
+          check: sectionCheck(remaining, params.preferences)
+        });
+        remaining.forEach(section => emitSection(section, repaired[section]));
+      }
+      await Promise.all(pendingSections);
+
+      const id = await saveExperience(params, experience);
+      sendEvent('done', { sections: [...emitted], id, promptVariant: params.variant.ref });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        logger.info('Experience stream closed by client');
+        return;
+      }
+      logger.error('Error in experience stream', { error });
+      const { status, body } = experienceErrorResponse(error);
+      sendEvent('error', { status, ...body, requestId: req.id });
+    }
+    res.end();
+  });
+
+  // Regenerate a single section of an existing card, keeping the rest as context.
+  // Body: { mood, section, experience, id?, ingredients?, detail?, preferences?, moodContext?, lang?, variant? }
+  // Returns { section, data, id, promptVariant } where id is the share ID of the updated card.
+  // Pass the card's promptVariant as `variant` to keep its style, and its share
+  // ID as `id` so the updated card is still credited to the variant and model
+  // that wrote it, with the rerolled section credited separately.
+  router.post('/section', rateLimit, async (req, res) => {
+    logger.info('Section reroll requested', { mood: req.body?.mood, section: req.body?.section });
+
+    try {
+      const {
+        mood,
+        section,
+        experience,
+        id: cardId,
+        ingredients = [],
+        detail: rawDetail,
+        longMode,
+        preferences: rawPreferences,
+        moodContext: rawMoodContext,
+        lang: rawLang,
+        variant: requestedVariant
+      } = req.body || {};
+      if (!mood || typeof mood !== 'string') {
+        return res.status(400).json({
+          error: 'Mood is required and must be a string',
+          details: 'Please provide a valid mood'
+        });
+      }
+      if (mood.length > MAX_MOOD_LENGTH) {
+        return res.status(400).json(MOOD_TOO_LONG);
+      }
+      if (typeof section !== 'string' || !getSection(section)) {
+        return res.status(400).json({
+          error: 'Invalid section',
+          details: `Section must be one of: ${listSections().join(', ')}`
+        });
+      }
+      if (!experience || typeof experience !== 'object' || Array.isArray(experience)) {
+        return res.status(400).json({
+          error: 'Invalid experience',
+          details: 'The current experience must be sent as an object'
+        });
+      }
+      if (!Array.isArray(ingredients)) {
+        return res.status(400).json({
+          error: 'Invalid ingredients format',
+          details: 'Ingredients must be an array'
+        });
+      }
+
+      const { preferences, error: preferencesError } = parsePreferences(rawPreferences);
+      if (preferencesError) {
+        return res.status(400).json(preferencesError);
+      }
+      const { moodContext, error: moodContextError } = parseMoodContext(rawMoodContext);
+      if (moodContextError) {
+        return res.status(400).json(moodContextError);
+      }
+      const { detail, error: detailError } = parseDetail({ detail: rawDetail, longMode });
+      if (detailError) {
+        return res.status(400).json(detailError);
+      }
+      const { lang, error: langError } = parseLanguage(rawLang);
+      if (langError) {
+        return res.status(400).json(langError);
+      }
+      const { variant, error: variantError } = await choosePromptVariant(req, res, requestedVariant);
+      if (variantError) {
+        return res.status(400).json(variantError);
+      }
+
+      // The card keeps the sections it has, plus the rerolled one
+      const sections = listSections().filter(id => id === section || experience[id]);
+      const params = { mood, ingredients, detail, preferences, moodContext, sections, lang, variant };
+      const request = {
+        messages: buildSectionMessages({ ...params, section, experience }),
+        maxTokens: maxTokensFor(detail)
+      };
+      const result = await generateValidatedExperience(llm, request, {
+        sections: [section],
+        maxRepairs: llmConfig.repairAttempts,
+        check: sectionCheck([section], preferences)
+      });
+
+      let data = result[section];
+      if (section === 'playlist') {
+        // Prefer a real Spotify playlist other than the one already shown
+        const [ranked, tracks] = await Promise.all([
+          findRankedPlaylists(mood, moodContext, spotifyOptions(lang)).catch(error => {
+            logger.error('Error fetching playlist', { error });
+            return [];
+          }),
+          findMoodTracks(mood, moodContext, spotifyOptions(lang))
+        ]);
+        const alternate = ranked.find(playlist => playlist.external_urls.spotify !== experience.playlist?.url);
+        data = withTracks(mergeSpotifyPlaylist(data, alternate), tracks);
+      } else if (section === 'recipe') {
+        data = withPantryMatch(data, ingredients);
+      }
+
+      // Feedback on a section uses its `rerolled` credit, else the card's
+      const card = typeof cardId === 'string' ? await experienceStore.get(cardId).catch(() => null) : null;
+      const id = await saveExperience(params, { ...experience, [section]: data }, {
+        promptVariant: card?.params?.promptVariant || variant.ref,
+        model: card?.params?.model || llm.model,
+        rerolled: { ...card?.params?.rerolled, [section]: { promptVariant: variant.ref, model: llm.model } }
+      });
+      return res.status(200).json({ section, data, id, promptVariant: variant.ref });
+    } catch (error) {
+      logger.error('Error regenerating section', { error, section: req.body?.section });
+      const { status, body } = experienceErrorResponse(error);
+      return res.status(status).json(body);
+    }
+  });
+
+  // Fetch a saved vibe card by its share ID (used by the /v/:id page)
+  router.get('/:id', async (req, res) => {
+    try {
+      const record = await experienceStore.get(req.params.id);
+      if (!record) {
+        return res.status(404).json({ error: 'Vibe card not found' });
+      }
+      return res.json({
+        id: record.id,
+        mood: record.mood,
+        experience: record.experience,
+        createdAt: record.createdAt
+      });
+    } catch (error) {
+      logger.error('Error loading saved experience', { error });
+      return res.status(500).json({ error: 'Failed to load vibe card. Please try again later.' });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,84 @@
+import express from 'express';
+import { FEEDBACK_RATINGS, summarizeFeedback } from '../feedbackStore.js';
+import { getSection } from '../sections/index.js';
+import { classifyMood } from '../moodTaxonomy.js';
+import { logger } from '../logger.js';
+
+const MAX_COMMENT_LENGTH = 500;
+
+// Validate the POST /api/feedback body. Returns { feedback } or { error }.
+export function parseFeedback(body) {
+  const { experienceId, section, rating, comment = '' } = body || {};
+  if (typeof experienceId !== 'string' || !experienceId) {
+    return { error: { error: 'Invalid experience ID', details: 'Send the share ID of the rated vibe card' } };
+  }
+  if (typeof section !== 'string' || !getSection(section)) {
+    return { error: { error: 'Invalid section', details: 'Section must be one of the card sections' } };
+  }
+  if (!FEEDBACK_RATINGS.includes(rating)) {
+    return { error: { error: 'Invalid rating', details: `Rating must be one of: ${FEEDBACK_RATINGS.join(', ')}` } };
+  }
+  if (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH) {
+    return { error: { error: 'Invalid comment', details: `Comment must be text of at most ${MAX_COMMENT_LENGTH} characters` } };
+  }
+  return { feedback: { experienceId, section, rating, comment: comment.trim() } };
+}
+
+// Routes under /api/feedback: thumbs up/down per card section and the
+// aggregated satisfaction used to tune prompts
+export function createFeedbackRouter({ feedbackStore, experienceStore, rateLimit }) {
+  const router = express.Router();
+
+  // Rate one section of a saved card. Voting again replaces the earlier vote.
+  // Body: { experienceId, section, rating: 'up' | 'down', comment? }
+  // Returns 201 { id, section, rating, comment, updatedAt }
+  router.post('/', rateLimit, async (req, res) => {
+    const { feedback, error } = parseFeedback(req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    try {
+      const record = await experienceStore.get(feedback.experienceId);
+      if (!record) {
+        return res.status(404).json({ error: 'Vibe card not found' });
+      }
+      if (!record.experience?.[feedback.section]) {
+        return res.status(400).json({ error: 'Invalid section', details: `This card has no ${feedback.section} section` });
+      }
+
+      // The card records which prompt variant and model wrote it, and which
+      // wrote each section rerolled since
+      const credit = record.params?.rerolled?.[feedback.section] || record.params;
+      const entry = await feedbackStore.record({
+        ...feedback,
+        sessionId: req.sessionId,
+        mood: record.mood,
+        moodCluster: classifyMood(record.mood).mood?.id || null,
+        promptVariant: credit?.promptVariant || null,
+        model: credit?.model || null
+      });
+      logger.info('Feedback recorded', { section: entry.section, rating: entry.rating, promptVariant: entry.promptVariant });
+
+      const { id, section, rating, comment, updatedAt } = entry;
+      return res.status(201).json({ id, section, rating, comment, updatedAt });
+    } catch (saveError) {
+      logger.error('Error saving feedback', { error: saveError });
+      return res.status(500).json({ error: 'Failed to save feedback. Please try again later.' });
+    }
+  });
+
+  // Satisfaction overall and by section, mood cluster, model and prompt variant
+  // Returns { overall, bySection, byMoodCluster, byModel, byPromptVariant },
+  // each stat { up, down, total, comments, satisfaction }
+  router.get('/summary', async (req, res) => {
+    try {
+      return res.json(summarizeFeedback(await feedbackStore.list()));
+    } catch (loadError) {
+      logger.error('Error loading feedback', { error: loadError });
+      return res.status(500).json({ error: 'Failed to load feedback. Please try again later.' });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,23 @@
+import express from 'express';
+import { MAX_MOOD_LENGTH, classifyMood } from '../moodTaxonomy.js';
+
+// Routes under /api/mood
+export function createMoodRouter() {
+  const router = express.Router();
+
+  // Map free-text mood onto the mood taxonomy (local, no LLM call)
+  // Query: mood
+  // Returns { input, corrected, mood: { id, label, emoji, color, searchTerms } | null, confidence, alternatives }
+  router.get('/normalize', (req, res) => {
+    const { mood } = req.query;
+    if (!mood || typeof mood !== 'string') {
+      return res.status(400).json({ error: 'Mood is required' });
+    }
+    if (mood.length > MAX_MOOD_LENGTH) {
+      return res.status(400).json({ error: `Mood must be at most ${MAX_MOOD_LENGTH} characters` });
+    }
+    return res.json(classifyMood(mood));
+  });
+
+  return router;
+}
@@ -0,0 +1,105 @@
+import express from 'express';
+import { formatPlaylist } from '../playlistRanking.js';
+import { describeMoodContext, parseMoodContext } from '../moodContext.js';
+import { DEFAULT_LANGUAGE, getLanguage, parseLanguage } from '../languages.js';
+import { MAX_MOOD_LENGTH } from '../moodTaxonomy.js';
+import { logger } from '../logger.js';
+
+const MAX_PLAYLIST_ALTERNATES = 5;
+
+// Routes under /api/playlist
+export function createPlaylistRouter({ llm, playlistSearch, rateLimit }) {
+  const router = express.Router();
+  const { findRankedPlaylists } = playlistSearch;
+
+  // Ask the LLM for a short description of the mood and the music that suits it
+  async function describeMood(mood, moodContext, language) {
+    const context = describeMoodContext(moodContext);
+    const inLanguage = language.id === DEFAULT_LANGUAGE ? '' : ` Write it in ${language.name}.`;
+    return llm.complete({
+      messages: [
+        {
+          role: 'system',
+          content: `You are a creative mood describer. Generate a short, engaging description of what this mood feels like and what kind of music would suit it. Keep it under 100 words.${inLanguage}`
+        },
+        {
+          role: 'user',
+          content: `Describe the mood: ${mood}${context ? `\n${context}` : ''}`
+        }
+      ]
+    });
+  }
+
+  // Search for playlists
+  // Query: mood, moodContext? (JSON, see moodContext.js), lang? (see languages.js)
+  // Returns the best-ranked playlist, up to five alternates for "try another
+  // playlist", and an AI-generated mood description (null if generation failed).
+  router.get('/', rateLimit, async (req, res) => {
+    try {
+      logger.info('Playlist requested', { query: req.query });
+      const { mood } = req.query;
+      if (!mood || typeof mood !== 'string') {
+        return res.status(400).json({ error: 'Mood is required' });
+      }
+      if (mood.length > MAX_MOOD_LENGTH) {
+        return res.status(400).json({ error: `Mood must be at most ${MAX_MOOD_LENGTH} characters` });
+      }
+
+      let rawMoodContext;
+      try {
+        rawMoodContext = req.query.moodContext ? JSON.parse(req.query.moodContext) : undefined;
+      } catch {
+        return res.status(400).json({ error: 'Invalid mood context format', details: 'Mood context must be a valid JSON object' });
+      }
+      const { moodContext, error: moodContextError } = parseMoodContext(rawMoodContext);
+      if (moodContextError) {
+        return res.status(400).json(moodContextError);
+      }
+      const { lang, error: langError } = parseLanguage(req.query.lang);
+      if (langError) {
+        return res.status(400).json(langError);
+      }
+      const language = getLanguage(lang);
+
+      logger.debug('Searching for playlist', { mood });
+
+      // The description doesn't depend on the search, so generate it alongside
+      const moodDescription = describeMood(mood, moodContext, language).catch(error => {
+        logger.error('Error generating mood description', { error });
+        return null;
+      });
+
+      const ranked = await findRankedPlaylists(mood, moodContext, { market: language.market });
+      if (!ranked.length) {
+        logger.warn('No playlists found after multiple search attempts', { mood });
+        return res.status(404).json({ 
+          error: 'No playlists found. Try a different mood or check back later.' 
+        });
+      }
+
+      const [playlist, ...alternates] = ranked.map(formatPlaylist);
+      return res.status(200).json({
+        playlist,
+        alternates: alternates.slice(0, MAX_PLAYLIST_ALTERNATES),
+        moodDescription: await moodDescription
+      });
+    } catch (error) {
+      logger.error('Error in playlist endpoint', { error });
+      if (error.response?.status === 401) {
+        return res.status(401).json({ 
+          error: 'Unauthorized - Please check your API credentials'
+        });
+      }
+      if (error.response?.status === 429) {
+        return res.status(429).json({
+          error: 'Rate limit exceeded - Please try again later'
+        });
+      }
+      return res.status(500).json({
+        error: 'Failed to fetch playlist. Please try again later.'
+      });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,172 @@
+import express from 'express';
+import crypto from 'crypto';
+import { createLRUCache } from '../lruCache.js';
+import { createPkcePair } from '../spotifyUser.js';
+import { logger } from '../logger.js';
+
+const LOGIN_TTL_MS = 10 * 60 * 1000;
+const CONNECTION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // Same as the session cookie
+const MAX_CONNECTIONS = 10000;
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 300;
+const MAX_TRACKS = 100;
+const TRACK_ID = /^[A-Za-z0-9]{1,64}$/;
+
+// Only same-site paths, so the callback can't be used as an open redirect
+function safeReturnPath(value) {
+  return typeof value === 'string' && /^\/(?![/\\])/.test(value) ? value : '/';
+}
+
+function withStatus(path, status) {
+  const url = new URL(path, 'http://vibeform.local');
+  url.searchParams.set('spotify', status);
+  return `${url.pathname}${url.search}${url.hash}`;
+}
+
+// Validate the POST /playlist body. Returns { playlist } or { error }.
+export function parsePlaylistRequest(body) {
+  const { name, description = '', tracks } = body || {};
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    return { error: { error: 'Invalid playlist name', details: `Name must be 1-${MAX_NAME_LENGTH} characters` } };
+  }
+  if (typeof description !== 'string') {
+    return { error: { error: 'Invalid playlist description', details: 'Description must be a string' } };
+  }
+  if (!Array.isArray(tracks) || !tracks.length || tracks.length > MAX_TRACKS || !tracks.every(id => typeof id === 'string' && TRACK_ID.test(id))) {
+    return { error: { error: 'Invalid tracks', details: `Tracks must be a list of 1-${MAX_TRACKS} Spotify track IDs` } };
+  }
+  return {
+    playlist: {
+      name: name.trim(),
+      // Spotify rejects line breaks in playlist descriptions
+      description: description.replace(/\s+/g, ' ').trim().slice(0, MAX_DESCRIPTION_LENGTH),
+      trackIds: [...new Set(tracks)]
+    }
+  };
+}
+
+// Routes under /api/spotify: optional "Connect Spotify" login (Authorization
+// Code + PKCE) and saving a vibe's tracks as a playlist in the user's account.
+// Tokens stay on the server, keyed by the vibe_sid session cookie.
+export function createSpotifyRouter({ spotifyUser, rateLimit, now = Date.now }) {
+  const router = express.Router();
+  const pendingLogins = createLRUCache({ maxSize: MAX_CONNECTIONS, ttlMs: LOGIN_TTL_MS, now });
+  const connections = createLRUCache({ maxSize: MAX_CONNECTIONS, ttlMs: CONNECTION_TTL_MS, now });
+
+  const requireLogin = (req, res, next) => {
+    if (!spotifyUser) {
+      return res.status(404).json({ error: 'Spotify login is not configured' });
+    }
+    next();
+  };
+
+  // Access token for this session, refreshed shortly before it expires
+  async function getAccessToken(sessionId) {
+    const connection = connections.get(sessionId);
+    if (!connection) return null;
+    if (connection.expiresAt > now() + TOKEN_REFRESH_MARGIN_MS) {
+      return connection.accessToken;
+    }
+
+    logger.info('Refreshing Spotify user token');
+    const tokens = await spotifyUser.refreshTokens(connection.refreshToken).catch(error => {
+      // invalid_grant: the user revoked access or the refresh token expired
+      if ([400, 401].includes(error.response?.status)) error.expired = true;
+      throw error;
+    });
+    connections.set(sessionId, {
+      ...connection,
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken || connection.refreshToken,
+      expiresAt: now() + tokens.expiresInMs
+    });
+    return tokens.accessToken;
+  }
+
+  // Login state for the frontend
+  // Returns { enabled, connected, user: { id, displayName } | null }
+  router.get('/me', (req, res) => {
+    const connection = spotifyUser ? connections.get(req.sessionId) : null;
+    res.json({ enabled: Boolean(spotifyUser), connected: Boolean(connection), user: connection?.user || null });
+  });
+
+  // Start the login: redirect to Spotify's consent page
+  // Query: returnTo? (path to come back to, default /)
+  router.get('/login', requireLogin, (req, res) => {
+    const state = crypto.randomBytes(16).toString('base64url');
+    const { verifier, challenge } = createPkcePair();
+    pendingLogins.set(state, { sessionId: req.sessionId, verifier, returnTo: safeReturnPath(req.query.returnTo) });
+    res.redirect(spotifyUser.authorizationUrl({ state, codeChallenge: challenge }));
+  });
+
+  // Spotify redirects back here with ?code&state (or ?error&state)
+  router.get('/callback', requireLogin, async (req, res) => {
+    const { code, state, error } = req.query;
+    const pending = typeof state === 'string' ? pendingLogins.get(state) : undefined;
+    if (pending) pendingLogins.delete(state);
+
+    // The state must belong to a login started from this browser
+    if (!pending || pending.sessionId !== req.sessionId) {
+      logger.warn('Spotify callback with unknown state');
+      return res.redirect(withStatus('/', 'error'));
+    }
+    if (error || typeof code !== 'string') {
+      logger.info('Spotify login not completed', { reason: error });
+      return res.redirect(withStatus(pending.returnTo, 'denied'));
+    }
+
+    try {
+      const tokens = await spotifyUser.exchangeCode({ code, codeVerifier: pending.verifier });
+      const user = await spotifyUser.getProfile(tokens.accessToken);
+      connections.set(req.sessionId, {
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresAt: now() + tokens.expiresInMs,
+        user
+      });
+      logger.info('Spotify account connected', { userId: user.id });
+      return res.redirect(withStatus(pending.returnTo, 'connected'));
+    } catch (loginError) {
+      logger.error('Error completing Spotify login', { error: loginError });
+      return res.redirect(withStatus(pending.returnTo, 'error'));
+    }
+  });
+
+  router.post('/logout', (req, res) => {
+    connections.delete(req.sessionId);
+    res.json({ connected: false });
+  });
+
+  // Save tracks as a new private playlist in the user's account
+  // Body: { name, description?, tracks: [Spotify track ID] }
+  // Returns 201 { id, name, url }
+  router.post('/playlist', requireLogin, rateLimit, async (req, res) => {
+    const { playlist, error } = parsePlaylistRequest(req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    try {
+      const accessToken = await getAccessToken(req.sessionId);
+      if (!accessToken) {
+        return res.status(401).json({ error: 'Spotify account not connected', details: 'Connect Spotify to save playlists' });
+      }
+      const { user } = connections.get(req.sessionId);
+      const created = await spotifyUser.createPlaylist(accessToken, { userId: user.id, ...playlist });
+      logger.info('Created Spotify playlist', { playlistId: created.id });
+      return res.status(201).json(created);
+    } catch (saveError) {
+      logger.error('Error creating Spotify playlist', { error: saveError });
+      // A revoked grant can't be refreshed; make the user connect again
+      if (saveError.expired || saveError.response?.status === 401) {
+        connections.delete(req.sessionId);
+        return res.status(401).json({ error: 'Spotify session expired', details: 'Connect Spotify again to save playlists' });
+      }
+      return res.status(502).json({ error: 'Failed to create Spotify playlist', details: saveError.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,117 @@
+import { logger } from './logger.js';
+
+// Incremental parser for the vibe card JSON the model streams back.
+// It watches the top-level object and calls onSection(key, value) as soon as
+// each top-level value is closed, so sections can be forwarded to the client
+// before the rest of the object has been generated.
+export function createSectionStreamParser(onSection) {
+  let buffer = '';
+  let position = 0;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let started = false;
+
+  // Only meaningful at depth 1 (inside the top-level object)
+  let state = 'key'; // key -> colon -> value
+  let keyStart = -1;
+  let currentKey = null;
+  let valueStart = -1;
+
+  const emit = (end) => {
+    const raw = buffer.slice(valueStart, end).trim();
+    try {
+      onSection(currentKey, JSON.parse(raw));
+    } catch (error) {
+      logger.warn('Failed to parse streamed section', { section: currentKey, error: error.message });
+    }
+    currentKey = null;
+    valueStart = -1;
+    state = 'key';
+  };
+
+  const step = (char, index) => {
+    if (!started) {
+      // Skip anything the model writes before the object (prose, code fences)
+      if (char === '{') {
+        started = true;
+        depth = 1;
+      }
+      return;
+    }
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+        if (depth === 1 && state === 'key' && keyStart !== -1) {
+          currentKey = JSON.parse(buffer.slice(keyStart, index + 1));
+          keyStart = -1;
+          state = 'colon';
+        } else if (depth === 1 && state === 'value') {
+          emit(index + 1);
+        }
+      }
+      return;
+    }
+
+    if (char === '"') {
+      inString = true;
+      if (depth === 1 && state === 'key') {
+        keyStart = index;
+      } else if (depth === 1 && state === 'value' && valueStart === -1) {
+        valueStart = index;
+      }
+      return;
+    }
+
+    if (depth === 1 && state === 'colon') {
+      if (char === ':') state = 'value';
+      return;
+    }
+
+    if (char === '{' || char === '[') {
+      if (depth === 1 && state === 'value' && valueStart === -1) {
+        valueStart = index;
+      }
+      depth++;
+      return;
+    }
+
+    if (char === '}' || char === ']') {
+      depth--;
+      if (depth === 1 && state === 'value' && valueStart !== -1) {
+        emit(index + 1);
+      } else if (depth === 0) {
+        // Closing brace of the top-level object; flush a trailing primitive
+        if (state === 'value' && valueStart !== -1) emit(index);
+        started = false;
+      }
+      return;
+    }
+
+    if (depth === 1 && state === 'value') {
+      if (char === ',') {
+        if (valueStart !== -1) emit(index);
+      } else if (valueStart === -1 && !/\s/.test(char)) {
+        // Start of a number, boolean or null
+        valueStart = index;
+      }
+    }
+  };
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      for (; position < buffer.length; position++) {
+        step(buffer[position], position);
+      }
+    },
+    get text() {
+      return buffer;
+    }
+  };
+}
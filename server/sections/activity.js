@@ -0,0 +1,23 @@
+import { number, object, string } from '../validators.js';
+
+export default {
+  id: 'activity',
+  label: 'Activity',
+  optIn: true,
+  shape: {
+    title: 'string',
+    description: 'string',
+    durationMinutes: 'number',
+    setting: 'indoors | outdoors'
+  },
+  schema: object({
+    title: string(),
+    description: string(),
+    durationMinutes: number({ integer: true, min: 5, max: 480 }),
+    setting: string({ pattern: /^(indoors|outdoors)$/, format: '"indoors" or "outdoors"' })
+  }),
+  guidance: 'For the activity, suggest one concrete thing to do that matches the mood and energy, doable without special equipment. Take the weather and time of day into account when they are given.',
+  detailGuidance: {
+    detailed: 'For the activity, explain in 3-4 sentences how to do it and what makes it right for this mood.'
+  }
+};
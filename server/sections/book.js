@@ -0,0 +1,25 @@
+import { number, object, optional, string } from '../validators.js';
+
+export default {
+  id: 'book',
+  label: 'Book',
+  optIn: true,
+  shape: {
+    title: 'string',
+    author: 'string',
+    year: 'number',
+    description: 'string',
+    whyItFits: 'string'
+  },
+  schema: object({
+    title: string(),
+    author: string(),
+    year: optional(number({ integer: true, min: -3000, max: new Date().getFullYear() + 1 })),
+    description: string(),
+    whyItFits: string()
+  }),
+  guidance: 'For the book, recommend a real, published book (novel, memoir, poetry or non-fiction) with its actual author and publication year.',
+  detailGuidance: {
+    detailed: 'For the book, give a 3-4 sentence description without spoilers and explain in whyItFits how reading it feels in this mood.'
+  }
+};
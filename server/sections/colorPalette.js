@@ -0,0 +1,26 @@
+import { HEX_COLOR, array, object, optional, string } from '../validators.js';
+
+export default {
+  id: 'colorPalette',
+  label: 'Color palette',
+  shape: {
+    name: 'string',
+    colors: [
+      {
+        name: 'string',
+        hex: 'string'
+      }
+    ]
+  },
+  schema: object({
+    name: string(),
+    colors: array(object({
+      name: string(),
+      hex: string({ pattern: HEX_COLOR, format: 'a hex color like #A1B2C3' })
+    }), { min: 1 }),
+    description: optional(string({ allowEmpty: true }))
+  }),
+  detailGuidance: {
+    detailed: 'For the color palette, include a detailed mood-based description of the color scheme and when/where someone might feel inspired by it, mentioning the emotional impact of the colors.'
+  }
+};
@@ -0,0 +1,87 @@
+// Registry of vibe card sections. A section declares:
+//   id             - key in the experience JSON
+//   label          - name for error messages and the UI
+//   shape          - JSON structure shown to the model
+//   schema         - validator (see validators.js)
+//   guidance       - prompt instructions, a string or ({ detail, preferences, language }) => string
+//   detailGuidance - extra instructions per detail level, e.g. { brief, detailed }
+//   check          - optional (data, request) => errors, run once the schema passes
+//   optIn          - left out of the card unless requested
+// Add a section by writing a module like the ones here and listing it below;
+// the prompts, validation, streaming and rerolls pick it up. The frontend
+// needs a matching entry in src/lib/sections.js.
+
+import playlist from './playlist.js';
+import recipe from './recipe.js';
+import movie from './movie.js';
+import colorPalette from './colorPalette.js';
+import meditation from './meditation.js';
+import outfit from './outfit.js';
+import writing from './writing.js';
+import book from './book.js';
+import podcast from './podcast.js';
+import scent from './scent.js';
+import activity from './activity.js';
+
+const sections = new Map();
+
+function registerSection(section) {
+  if (!section?.id || !section.shape || typeof section.schema !== 'function') {
+    throw new Error('A section needs an id, a shape and a schema');
+  }
+  if (sections.has(section.id)) {
+    throw new Error(`Section "${section.id}" is already registered`);
+  }
+  sections.set(section.id, section);
+}
+
+[playlist, recipe, movie, colorPalette, meditation, outfit, writing, book, podcast, scent, activity].forEach(registerSection);
+
+export function getSection(id) {
+  return sections.get(id);
+}
+
+// All section IDs in card order
+export function listSections() {
+  return [...sections.keys()];
+}
+
+// Sections on a card when the request doesn't pick any
+export const DEFAULT_SECTIONS = listSections().filter(id => !sections.get(id).optIn);
+
+const MAX_SECTIONS_LENGTH = 500;
+
+// Parse the `sections` request value: a comma-separated string or an array of
+// section IDs. Returns { sections } in card order, or { error } with a 400
+// payload. Missing or empty means the default sections.
+export function parseSections(value) {
+  if (value === undefined || value === null || value === '') {
+    return { sections: DEFAULT_SECTIONS };
+  }
+  const ids = typeof value === 'string' && value.length <= MAX_SECTIONS_LENGTH
+    ? value.split(',').map(id => id.trim()).filter(Boolean)
+    : value;
+  const known = listSections();
+  if (!Array.isArray(ids) || !ids.length || !ids.every(id => known.includes(id))) {
+    return {
+      error: {
+        error: 'Invalid sections',
+        details: `Sections must be a comma-separated list of: ${known.join(', ')}`
+      }
+    };
+  }
+  return { sections: known.filter(id => ids.includes(id)) };
+}
+
+// Keep only the requested sections of a model reply
+export function pickSections(experience, ids) {
+  return Object.fromEntries(ids.filter(id => experience?.[id] !== undefined).map(id => [id, experience[id]]));
+}
+
+// Request-specific checks (e.g. allergens in the recipe) for `ids`
+export function checkSections(experience, ids, request) {
+  return ids.flatMap(id => {
+    const check = sections.get(id)?.check;
+    return check && experience?.[id] ? check(experience[id], request) : [];
+  });
+}
@@ -0,0 +1,49 @@
+import { array, number, object, optional, string } from '../validators.js';
+
+export default {
+  id: 'meditation',
+  label: 'Meditation',
+  shape: {
+    prompt: 'string',
+    durationMinutes: 'number',
+    segments: [
+      {
+        text: 'string',
+        seconds: 'number',
+        breathing: {
+          inhale: 'number',
+          hold: 'number',
+          exhale: 'number'
+        }
+      }
+    ]
+  },
+  schema: object({
+    prompt: string(),
+    durationMinutes: number({ integer: true, min: 1, max: 20 }),
+    // Read out one after another; breathing counts are in seconds
+    segments: array(object({
+      text: string(),
+      seconds: number({ integer: true, min: 10, max: 1200 }),
+      breathing: optional(object({
+        inhale: number({ integer: true, min: 1, max: 10 }),
+        hold: number({ integer: true, min: 0, max: 10 }),
+        exhale: number({ integer: true, min: 1, max: 12 })
+      }))
+    }), { min: 1 })
+  }),
+  // The meditation is played back as a timed, guided session
+  guidance: 'For the meditation, prompt is a one-sentence summary shown on the card. durationMinutes is a whole number between 1 and 20. The segments are read aloud one after another: each has the text to read, how many seconds to stay on it (the seconds of all segments add up to durationMinutes * 60), and optionally breathing counts in seconds for a paced-breathing pattern during that segment (e.g. inhale 4, hold 4, exhale 6). Leave out breathing for segments without paced breathing.',
+  detailGuidance: {
+    detailed: 'For the meditation, write a 7-10 sentence mini meditation script, with vivid calming imagery and specific breathing cues appropriate for the mood and duration, split across 4-6 segments.'
+  },
+  // A script whose timing doesn't add up rarely fits the duration either, so
+  // it is repaired rather than stretched by the player
+  check(meditation) {
+    const total = meditation.segments.reduce((sum, segment) => sum + segment.seconds, 0);
+    const expected = meditation.durationMinutes * 60;
+    return total === expected
+      ? []
+      : [`meditation.segments: the seconds add up to ${total}, but durationMinutes * 60 is ${expected}; make them match`];
+  }
+};
@@ -0,0 +1,27 @@
+import { number, object, string } from '../validators.js';
+
+export default {
+  id: 'movie',
+  label: 'Movie',
+  shape: {
+    title: 'string',
+    year: 'number',
+    description: 'string',
+    genre: 'string',
+    streaming: 'string'
+  },
+  schema: object({
+    title: string(),
+    year: number({ integer: true, min: 1888, max: new Date().getFullYear() + 2 }),
+    description: string(),
+    genre: string(),
+    streaming: string()
+  }),
+  // Streaming services people in the card's language market actually use
+  guidance({ language }) {
+    return `For the movie, streaming names one service where it can be watched, preferably one of: ${language.streaming.join(', ')}.`;
+  },
+  detailGuidance: {
+    detailed: 'For the movie, recommend a movie matching the mood with a detailed 3-4 sentence synopsis, the genre, streaming platform, and a deep explanation of why this movie fits the mood emotionally.'
+  }
+};
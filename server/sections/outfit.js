@@ -0,0 +1,21 @@
+import { array, object, string } from '../validators.js';
+
+export default {
+  id: 'outfit',
+  label: 'Outfit',
+  shape: {
+    description: 'string',
+    season: 'string',
+    style: 'string',
+    colors: ['string']
+  },
+  schema: object({
+    description: string(),
+    season: string(),
+    style: string(),
+    colors: array(string(), { min: 1 })
+  }),
+  detailGuidance: {
+    detailed: 'For the outfit, give a full outfit suggestion with 2-3 sentences on why it fits the mood and occasion, including specific clothing items, textures, and accessories.'
+  }
+};
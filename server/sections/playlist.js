@@ -0,0 +1,21 @@
+import { HTTP_URL, object, optional, string } from '../validators.js';
+
+// The model describes the playlist; the URL and tracks come from Spotify
+export default {
+  id: 'playlist',
+  label: 'Playlist',
+  shape: {
+    name: 'string',
+    description: 'string',
+    genre: 'string',
+    theme: 'string'
+  },
+  schema: object({
+    name: string(),
+    description: string({ allowEmpty: true }),
+    genre: string(),
+    theme: string(),
+    // Filled in from Spotify; older prompts asked the model for it
+    url: optional(string({ allowEmpty: true, pattern: HTTP_URL, format: 'an http(s) URL or an empty string' }))
+  })
+};
@@ -0,0 +1,23 @@
+import { object, optional, string } from '../validators.js';
+
+export default {
+  id: 'podcast',
+  label: 'Podcast',
+  optIn: true,
+  shape: {
+    title: 'string',
+    host: 'string',
+    episode: 'string (optional)',
+    description: 'string'
+  },
+  schema: object({
+    title: string(),
+    host: string(),
+    episode: optional(string({ allowEmpty: true })),
+    description: string()
+  }),
+  guidance: 'For the podcast, recommend a real podcast by its actual host(s). Only name an episode you are sure exists; otherwise leave episode out.',
+  detailGuidance: {
+    detailed: 'For the podcast, describe in 2-3 sentences what listening to it is like and why it suits the mood.'
+  }
+};
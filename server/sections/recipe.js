@@ -0,0 +1,57 @@
+import { array, number, object, optional, string } from '../validators.js';
+import { checkRecipePreferences, describePreferences } from '../preferences.js';
+
+// Applies at every detail level so the recipe can be scaled and converted client-side
+const RECIPE_GUIDANCE = 'For the recipe, give each ingredient a numeric quantity (decimals, not fractions), a unit (g, kg, ml, l, tsp, tbsp, cup, oz, lb, or "" for countable items like eggs) and a plain name without the amount. Each step is one action; add timerMinutes only to steps that involve waiting (baking, simmering, resting). dietaryTags lists labels that truly apply, e.g. "vegetarian", "vegan", "gluten-free", "dairy-free". Use the user\'s ingredients where they fit, but do not force them in.';
+
+export default {
+  id: 'recipe',
+  label: 'Recipe',
+  shape: {
+    title: 'string',
+    servings: 'number',
+    prepMinutes: 'number',
+    cookMinutes: 'number',
+    dietaryTags: ['string'],
+    ingredients: [
+      {
+        quantity: 'number',
+        unit: 'string',
+        name: 'string'
+      }
+    ],
+    steps: [
+      {
+        text: 'string',
+        timerMinutes: 'number (optional)'
+      }
+    ]
+  },
+  schema: object({
+    title: string(),
+    servings: number({ integer: true, min: 1, max: 24 }),
+    prepMinutes: number({ integer: true, min: 0, max: 600 }),
+    cookMinutes: number({ integer: true, min: 0, max: 1440 }),
+    dietaryTags: array(string()),
+    // quantity is omitted for "to taste" items; unit is "" for countable ones
+    ingredients: array(object({
+      quantity: optional(number({ min: 0 })),
+      unit: optional(string({ allowEmpty: true })),
+      name: string()
+    }), { min: 1 }),
+    steps: array(object({
+      text: string(),
+      timerMinutes: optional(number({ min: 0, max: 1440 }))
+    }), { min: 1 })
+  }),
+  guidance({ preferences }) {
+    const constraints = describePreferences(preferences);
+    return constraints ? `${RECIPE_GUIDANCE}\n\n${constraints}` : RECIPE_GUIDANCE;
+  },
+  detailGuidance: {
+    brief: 'For the recipe, provide a short list of key ingredients and steps.',
+    detailed: 'For the recipe, generate a complete creative recipe, with a fun name, a detailed list of at least 7 ingredients, and 7+ well-written cooking steps. Mention serving suggestions and optional toppings in the last step.'
+  },
+  // Diet and allergy conflicts go through the repair loop like schema errors
+  check: (recipe, { preferences }) => checkRecipePreferences(recipe, preferences)
+};
@@ -0,0 +1,23 @@
+import { array, object, string } from '../validators.js';
+
+export default {
+  id: 'scent',
+  label: 'Scent',
+  optIn: true,
+  shape: {
+    name: 'string',
+    notes: ['string'],
+    description: 'string',
+    suggestion: 'string'
+  },
+  schema: object({
+    name: string(),
+    notes: array(string(), { min: 1 }),
+    description: string(),
+    suggestion: string()
+  }),
+  guidance: 'For the scent, invent an evocative name for a scent that fits the mood, list 2-5 notes (e.g. "cedar", "bergamot"), and in suggestion name a common way to bring it into the room, such as a candle, incense, an essential oil blend or fresh flowers.',
+  detailGuidance: {
+    detailed: 'For the scent, describe in 2-3 sentences how the notes unfold and which moment of the day they suit.'
+  }
+};
@@ -0,0 +1,17 @@
+import { object, string } from '../validators.js';
+
+export default {
+  id: 'writing',
+  label: 'Creative snippet',
+  shape: {
+    snippet: 'string',
+    theme: 'string'
+  },
+  schema: object({
+    snippet: string(),
+    theme: string()
+  }),
+  detailGuidance: {
+    detailed: 'For the writing snippet, provide a 6-8 sentence micro-poem or story excerpt that deeply emotionally resonates with the mood and strongly matches the tone (motivational, romantic, nostalgic, etc.), focusing on evocative language.'
+  }
+};
@@ -0,0 +1,43 @@
+import crypto from 'crypto';
+
+export const SESSION_COOKIE = 'vibe_sid';
+const SESSION_MAX_AGE_SECONDS = 60 * 60 * 24 * 30; // 30 days
+
+export function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    if (!name) continue;
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      cookies[name] = part.slice(index + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+// Give every browser an anonymous session ID cookie and expose it as
+// req.sessionId. Used to key per-session limits and state.
+export function createSessionMiddleware({ cookieName = SESSION_COOKIE, secure = false } = {}) {
+  return (req, res, next) => {
+    const existing = parseCookies(req.headers.cookie)[cookieName];
+    if (existing && /^[A-Za-z0-9_-]{16,64}$/.test(existing)) {
+      req.sessionId = existing;
+      return next();
+    }
+
+    req.sessionId = crypto.randomBytes(18).toString('base64url');
+    res.append('Set-Cookie', [
+      `${cookieName}=${req.sessionId}`,
+      'Path=/',
+      'HttpOnly',
+      'SameSite=Lax',
+      `Max-Age=${SESSION_MAX_AGE_SECONDS}`,
+      ...(secure ? ['Secure'] : [])
+    ].join('; '));
+    next();
+  };
+}
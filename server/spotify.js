@@ -0,0 +1,196 @@
+import axios from 'axios';
+import { Buffer } from 'buffer';
+import process from 'process';
+import { createLRUCache } from './lruCache.js';
+import { logger } from './logger.js';
+
+export const SPOTIFY_TOKEN_URL = 'https://accounts.spotify.com/api/token';
+export const SPOTIFY_API_URL = 'https://api.spotify.com/v1';
+export const SPOTIFY_AUTHORIZE_URL = 'https://accounts.spotify.com/authorize';
+
+// Lowercase, strip punctuation and collapse whitespace so "Calm!!" and
+// " calm " share a cache entry and a search query. Letters outside a-z stay,
+// so "fröhlich" and "épuisé" reach Spotify intact.
+export function normalizeMood(mood) {
+  return String(mood).toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '') // Remove special characters
+    .replace(/\s+/g, ' ') // Remove extra spaces
+    .trim();
+}
+
+function readNumber(value, fallback) {
+  const number = Number(value);
+  return value === undefined || value === '' || Number.isNaN(number) ? fallback : number;
+}
+
+// Read the Spotify client configuration from environment variables.
+// SPOTIFY_TOKEN_URL / SPOTIFY_API_URL / SPOTIFY_AUTHORIZE_URL can point at a
+// local mock server. User login is only offered when SPOTIFY_REDIRECT_URI is set.
+export function loadSpotifyConfig(env = process.env) {
+  return {
+    clientId: env.SPOTIFY_CLIENT_ID,
+    clientSecret: env.SPOTIFY_CLIENT_SECRET,
+    tokenUrl: env.SPOTIFY_TOKEN_URL || SPOTIFY_TOKEN_URL,
+    apiUrl: env.SPOTIFY_API_URL || SPOTIFY_API_URL,
+    authorizeUrl: env.SPOTIFY_AUTHORIZE_URL || SPOTIFY_AUTHORIZE_URL,
+    redirectUri: env.SPOTIFY_REDIRECT_URI || null,
+    searchCacheSize: readNumber(env.SPOTIFY_SEARCH_CACHE_SIZE, 500),
+    searchCacheTtlMs: readNumber(env.SPOTIFY_SEARCH_CACHE_TTL_MS, 10 * 60 * 1000),
+    tokenRefreshMarginMs: readNumber(env.SPOTIFY_TOKEN_REFRESH_MARGIN_MS, 60 * 1000)
+  };
+}
+
+// Client-credentials Spotify client with a cached access token and an
+// LRU/TTL cache for search and recommendation results.
+export function createSpotifyClient({
+  clientId,
+  clientSecret,
+  tokenUrl = SPOTIFY_TOKEN_URL,
+  apiUrl = SPOTIFY_API_URL,
+  searchCacheSize = 500,
+  searchCacheTtlMs = 10 * 60 * 1000,
+  tokenRefreshMarginMs = 60 * 1000,
+  now = Date.now
+}) {
+  if (!clientId || !clientSecret) {
+    throw new Error('Missing required environment variables: SPOTIFY_CLIENT_ID and SPOTIFY_CLIENT_SECRET');
+  }
+
+  const searchCache = createLRUCache({ maxSize: searchCacheSize, ttlMs: searchCacheTtlMs, now });
+  const inFlightSearches = new Map();
+  const tokenStats = { hits: 0, refreshes: 0 };
+
+  let token = null; // { value, expiresAt }
+  let tokenRequest = null;
+
+  async function requestToken() {
+    const auth = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+
+    try {
+      const response = await logger.span('spotify.token', {}, () => axios.post(tokenUrl, 'grant_type=client_credentials', {
+        headers: {
+          'Authorization': `Basic ${auth}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        timeout: 5000 // 5 second timeout
+      }));
+
+      if (!response.data || !response.data.access_token) {
+        logger.error('Invalid response from Spotify API', { response: response.data });
+        throw new Error('Invalid response from Spotify API: No access token received');
+      }
+
+      tokenStats.refreshes++;
+      const expiresInMs = (response.data.expires_in || 3600) * 1000;
+      token = {
+        value: response.data.access_token,
+        // Refresh a little early so requests never go out with a stale token
+        expiresAt: now() + Math.max(expiresInMs - tokenRefreshMarginMs, 0)
+      };
+      return token.value;
+    } catch (error) {
+      logger.error('Error getting Spotify token', { error });
+      const wrapped = new Error(`Failed to get Spotify token: ${error.message}`);
+      wrapped.response = error.response;
+      throw wrapped;
+    }
+  }
+
+  // Cached token; concurrent callers share a single refresh request
+  async function getToken() {
+    if (token && token.expiresAt > now()) {
+      tokenStats.hits++;
+      return token.value;
+    }
+    if (!tokenRequest) {
+      tokenRequest = requestToken().finally(() => {
+        tokenRequest = null;
+      });
+    }
+    return tokenRequest;
+  }
+
+  function invalidateToken() {
+    token = null;
+  }
+
+  async function get(path, params) {
+    const accessToken = await getToken();
+    try {
+      const response = await logger.span('spotify.get', { path, type: params.type }, () => axios.get(`${apiUrl}${path}`, {
+        params,
+        headers: {
+          'Authorization': `Bearer ${accessToken}`
+        },
+        timeout: 5000
+      }));
+      return response.data;
+    } catch (error) {
+      // Spotify revoked the token early; make the next call fetch a new one
+      if (error.response?.status === 401) invalidateToken();
+      throw error;
+    }
+  }
+
+  // GET with the search cache; concurrent identical requests share one call
+  function cachedGet(key, path, params, pick) {
+    const cached = searchCache.get(key);
+    if (cached) return Promise.resolve(cached);
+    if (inFlightSearches.has(key)) return inFlightSearches.get(key);
+
+    const request = get(path, params)
+      .then(data => {
+        // Spotify pads results with null entries for unavailable items
+        const items = (pick(data) || []).filter(Boolean);
+        searchCache.set(key, items);
+        return items;
+      })
+      .finally(() => inFlightSearches.delete(key));
+
+    inFlightSearches.set(key, request);
+    return request;
+  }
+
+  // Search playlists. Results are cached per normalized query, limit and
+  // market (an ISO country code such as "DE"; Spotify's default if left out).
+  async function searchPlaylists(query, { limit = 5, market } = {}) {
+    const normalized = normalizeMood(query);
+    const params = { q: normalized, type: 'playlist', limit, ...(market && { market }) };
+    return cachedGet(`playlist:${limit}:${market || ''}:${normalized}`, '/search', params, data => data?.playlists?.items);
+  }
+
+  // Search tracks; used when /recommendations is unavailable
+  async function searchTracks(query, { limit = 10, market } = {}) {
+    const normalized = normalizeMood(query);
+    const params = { q: normalized, type: 'track', limit, ...(market && { market }) };
+    return cachedGet(`track:${limit}:${market || ''}:${normalized}`, '/search', params, data => data?.tracks?.items);
+  }
+
+  // Tracks close to audio-feature targets ({ valence, energy, danceability,
+  // tempo }) from up to five seed genres, playable in the market if given
+  async function getRecommendations({ seedGenres, targets = {}, limit = 10, market }) {
+    const params = { seed_genres: seedGenres.slice(0, 5).join(','), limit, ...(market && { market }) };
+    for (const [feature, value] of Object.entries(targets)) {
+      params[`target_${feature}`] = value;
+    }
+    const key = `recommendations:${new URLSearchParams(params)}`;
+    return cachedGet(key, '/recommendations', params, data => data?.tracks);
+  }
+
+  return {
+    getToken,
+    invalidateToken,
+    searchPlaylists,
+    searchTracks,
+    getRecommendations,
+    stats() {
+      return {
+        token: { ...tokenStats, expiresAt: token ? new Date(token.expiresAt).toISOString() : null },
+        search: searchCache.stats()
+      };
+    },
+    clearCache() {
+      searchCache.clear();
+    }
+  };
+}
@@ -0,0 +1,97 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { SPOTIFY_API_URL, SPOTIFY_AUTHORIZE_URL, SPOTIFY_TOKEN_URL } from './spotify.js';
+import { logger } from './logger.js';
+
+export const SPOTIFY_USER_SCOPES = ['playlist-modify-private', 'playlist-modify-public'];
+
+// PKCE verifier and its S256 challenge (RFC 7636)
+export function createPkcePair() {
+  const verifier = crypto.randomBytes(64).toString('base64url');
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge };
+}
+
+function readTokens(data) {
+  if (!data?.access_token) {
+    throw new Error('Invalid response from Spotify API: No access token received');
+  }
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token || null,
+    expiresInMs: (data.expires_in || 3600) * 1000
+  };
+}
+
+// Spotify client acting for a logged-in user (Authorization Code with PKCE,
+// so no client secret is sent). Tokens are kept by the caller, per session.
+export function createSpotifyUserClient({
+  clientId,
+  redirectUri,
+  authorizeUrl = SPOTIFY_AUTHORIZE_URL,
+  tokenUrl = SPOTIFY_TOKEN_URL,
+  apiUrl = SPOTIFY_API_URL,
+  scopes = SPOTIFY_USER_SCOPES
+}) {
+  if (!clientId || !redirectUri) {
+    throw new Error('Spotify login needs SPOTIFY_CLIENT_ID and SPOTIFY_REDIRECT_URI');
+  }
+
+  async function requestTokens(params) {
+    const response = await logger.span('spotify.user.token', { grantType: params.grant_type }, () => axios.post(tokenUrl, new URLSearchParams({ client_id: clientId, ...params }).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 5000
+    }));
+    return readTokens(response.data);
+  }
+
+  const authHeaders = (accessToken) => ({ 'Authorization': `Bearer ${accessToken}` });
+
+  return {
+    // Where to send the browser to log in and grant the playlist scopes
+    authorizationUrl({ state, codeChallenge }) {
+      const params = new URLSearchParams({
+        client_id: clientId,
+        response_type: 'code',
+        redirect_uri: redirectUri,
+        code_challenge_method: 'S256',
+        code_challenge: codeChallenge,
+        scope: scopes.join(' '),
+        state
+      });
+      return `${authorizeUrl}?${params}`;
+    },
+
+    async exchangeCode({ code, codeVerifier }) {
+      return requestTokens({ grant_type: 'authorization_code', code, redirect_uri: redirectUri, code_verifier: codeVerifier });
+    },
+
+    // Spotify may rotate the refresh token; null means keep the old one
+    async refreshTokens(refreshToken) {
+      return requestTokens({ grant_type: 'refresh_token', refresh_token: refreshToken });
+    },
+
+    async getProfile(accessToken) {
+      const response = await logger.span('spotify.user.profile', {}, () => (
+        axios.get(`${apiUrl}/me`, { headers: authHeaders(accessToken), timeout: 5000 })
+      ));
+      return { id: response.data.id, displayName: response.data.display_name || response.data.id };
+    },
+
+    // Create a private playlist in the user's account and add the tracks
+    async createPlaylist(accessToken, { userId, name, description, trackIds }) {
+      const created = await logger.span('spotify.user.createPlaylist', {}, () => axios.post(
+        `${apiUrl}/users/${encodeURIComponent(userId)}/playlists`,
+        { name, description, public: false },
+        { headers: authHeaders(accessToken), timeout: 5000 }
+      ));
+      const playlist = created.data;
+      await logger.span('spotify.user.addTracks', { count: trackIds.length }, () => axios.post(
+        `${apiUrl}/playlists/${playlist.id}/tracks`,
+        { uris: trackIds.map(id => `spotify:track:${id}`) },
+        { headers: authHeaders(accessToken), timeout: 5000 }
+      ));
+      return { id: playlist.id, name: playlist.name, url: playlist.external_urls?.spotify || null };
+    }
+  };
+}
@@ -0,0 +1,75 @@
+// Small composable validators for JSON from the model.
+//
+// Validators are plain functions (value, path, errors) that push
+// human-readable messages onto `errors`. The messages are sent back to the
+// model verbatim when asking it to repair its output, so keep them specific.
+
+export const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+export const HTTP_URL = /^https?:\/\/\S+$/i;
+
+export const describe = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  if (typeof value === 'string') return JSON.stringify(value.length > 40 ? `${value.slice(0, 40)}...` : value);
+  return typeof value === 'object' ? 'an object' : `${typeof value} ${JSON.stringify(value)}`;
+};
+
+export function optional(validator) {
+  const wrapped = (value, path, errors) => validator(value, path, errors);
+  wrapped.optional = true;
+  return wrapped;
+}
+
+export function string({ allowEmpty = false, pattern, format } = {}) {
+  return (value, path, errors) => {
+    if (typeof value !== 'string') {
+      errors.push(`${path}: expected a string, got ${describe(value)}`);
+    } else if (!allowEmpty && !value.trim()) {
+      errors.push(`${path}: must not be empty`);
+    } else if (pattern && value && !pattern.test(value)) {
+      errors.push(`${path}: expected ${format}, got ${describe(value)}`);
+    }
+  };
+}
+
+export function number({ integer = false, min, max } = {}) {
+  return (value, path, errors) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      errors.push(`${path}: expected a number, got ${describe(value)}`);
+    } else if (integer && !Number.isInteger(value)) {
+      errors.push(`${path}: expected a whole number, got ${value}`);
+    } else if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+      errors.push(`${path}: expected a value between ${min} and ${max}, got ${value}`);
+    }
+  };
+}
+
+export function array(item, { min = 0 } = {}) {
+  return (value, path, errors) => {
+    if (!Array.isArray(value)) {
+      errors.push(`${path}: expected an array, got ${describe(value)}`);
+      return;
+    }
+    if (value.length < min) {
+      errors.push(`${path}: expected at least ${min} item(s), got ${value.length}`);
+    }
+    value.forEach((entry, index) => item(entry, `${path}[${index}]`, errors));
+  };
+}
+
+export function object(shape) {
+  return (value, path, errors) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`${path}: expected an object, got ${describe(value)}`);
+      return;
+    }
+    for (const [key, validator] of Object.entries(shape)) {
+      const childPath = path ? `${path}.${key}` : key;
+      if (value[key] === undefined || value[key] === null) {
+        if (!validator.optional) errors.push(`${childPath}: is required`);
+        continue;
+      }
+      validator(value[key], childPath, errors);
+    }
+  };
+}
@@ -1,14 +1,34 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import './App.css';
 import axios from 'axios';
 import ErrorBoundary from './components/ErrorBoundary';
-import LoadingCard from './components/LoadingCard';
+import ExperienceGrid from './components/ExperienceGrid';
+import PreferencesPanel from './components/PreferencesPanel';
+import MoodContextPanel from './components/MoodContextPanel';
+import HistoryPanel from './components/HistoryPanel';
+import SectionPicker from './components/SectionPicker';
+import LanguagePicker from './components/LanguagePicker';
+import { streamExperience } from './lib/streamExperience';
+import { loadPreferences, savePreferences } from './lib/preferences';
+import { EMPTY_MOOD_CONTEXT, describeMoodContext, moodEmoji } from './lib/moodContext';
+import { buildVibeTheme } from './lib/vibeTheme';
+import { loadSectionChoice, saveSectionChoice } from './lib/sections';
+import { createHistoryEntry, mergeHistory } from './lib/historyFormat';
+import * as historyStore from './lib/historyStore';
+import { useI18n } from './lib/useI18n';
 
 // Axios setup
 axios.defaults.withCredentials = true;
 axios.defaults.headers.common['Content-Type'] = 'application/json';
 axios.defaults.headers.common['Accept'] = 'application/json';
 
+// With the backend in MOCK_MODE, open the app with ?mockFailure=429 (or
+// timeout, 401, 500, malformed, spotify:401, ...) to exercise error handling
+const MOCK_FAILURE = new URLSearchParams(window.location.search).get('mockFailure');
+if (MOCK_FAILURE) {
+  axios.defaults.headers.common['X-Mock-Failure'] = MOCK_FAILURE;
+}
+
 axios.interceptors.request.use(
   config => {
     console.log('API Request:', config.method.toUpperCase(), config.url);
@@ -22,95 +42,178 @@ axios.interceptors.response.use(
   error => Promise.reject(error)
 );
 
-const ERROR_MESSAGES = {
-  PLAYLIST: "\u26a0\ufe0f Couldn't find a playlist, but we can still suggest a dish!",
-  RECIPE: "\u26a0\ufe0f Couldn't find a recipe, but we found a great playlist!",
-  GENERAL: '❌ Failed to fetch data',
-  INVALID_MOOD: '❌ Please enter a valid mood',
-  INVALID_INGREDIENTS: '❌ Invalid ingredients format',
-  RATE_LIMIT: '⏳ Rate limit exceeded. Please try again in a few minutes.',
-  UNAUTHORIZED: '🔒 Authentication error. Please check your API credentials.'
-};
+// Detail levels understood by the server (see server/prompts.js); the labels
+// are the `detail` strings of the locale files
+const DETAIL_OPTIONS = ['brief', 'standard', 'detailed'];
+
+function loadDetail() {
+  const saved = localStorage.getItem('vibeDetail');
+  return DETAIL_OPTIONS.includes(saved) ? saved : 'detailed';
+}
+
+// Pick the message to show for a failed API call, in the UI language, with
+// the server's request ID so a report can be matched to the server logs
+function getErrorMessage(error, t) {
+  const message = describeError(error, t);
+  const requestId = error.response?.data?.requestId || error.response?.headers?.['x-request-id'];
+  return requestId ? `${message} ${t('errors.reference', { id: requestId })}` : message;
+}
+
+function describeError(error, t) {
+  // Handle specific error cases
+  if (error.response?.status === 429) {
+    // Our own limiter says exactly how long to wait
+    const retryAfter = Number(error.response.data?.retryAfter || error.response.headers?.['retry-after']);
+    if (!(retryAfter > 0)) return t('errors.rateLimit');
+    return retryAfter < 90
+      ? t('errors.rateLimitSeconds', { count: retryAfter })
+      : t('errors.rateLimitMinutes', { count: Math.ceil(retryAfter / 60) });
+  }
+  if (error.response?.status === 401) {
+    return t('errors.unauthorized');
+  }
+  if (error.response?.status === 504) {
+    return t('errors.timeout');
+  }
+  if (error.response) {
+    // Use the specific error message from the backend if available
+    return error.response.data?.error || error.response.data?.details || t('errors.general');
+  }
+  return t('errors.general');
+}
+
+// Canonical mood, emoji and color for free text. Resolves to null if the
+// mood isn't recognised or the lookup fails; it's only decoration.
+async function normalizeMood(mood) {
+  try {
+    const response = await axios.get('/api/mood/normalize', { params: { mood } });
+    return response.data.mood;
+  } catch (error) {
+    console.error('Error normalizing mood:', error.message);
+    return null;
+  }
+}
 
 function App() {
+  // UI language; new cards are written in it too
+  const { locale, t } = useI18n();
   const [mood, setMood] = useState('');
   const [ingredients, setIngredients] = useState('');
   const [experience, setExperience] = useState(null);
   const [error, setError] = useState('');
-  const [history, setHistory] = useState(() => {
-    const saved = localStorage.getItem('vibeHistory');
-    return saved ? JSON.parse(saved) : [];
-  });
+  // Past vibe cards, kept in IndexedDB (see lib/historyStore)
+  const [history, setHistory] = useState([]);
   const [loading, setLoading] = useState(false);
-  const [loadingStates, setLoadingStates] = useState({
-    playlist: false,
-    recipe: false,
-    movie: false,
-    colorPalette: false,
-    meditation: false,
-    outfit: false,
-    writing: false
-  });
-  const [expandedPlaylist, setExpandedPlaylist] = useState(false);
-  const [expandedRecipe, setExpandedRecipe] = useState(false);
-  const [expandedMovie, setExpandedMovie] = useState(false);
-  const [expandedColorPalette, setExpandedColorPalette] = useState(false);
-  const [expandedMeditation, setExpandedMeditation] = useState(false);
-  const [expandedOutfit, setExpandedOutfit] = useState(false);
-  const [expandedWriting, setExpandedWriting] = useState(false);
-  const [longMode, setLongMode] = useState(true);
-
-  // Save history to localStorage
+  // Sections still being generated, e.g. { playlist: true }
+  const [loadingStates, setLoadingStates] = useState({});
+  // Cards to generate, saved in this browser
+  const [sections, setSections] = useState(loadSectionChoice);
+  // brief, standard or detailed descriptions
+  const [detail, setDetail] = useState(loadDetail);
+  // Prompt variant the current card was written with, reused for rerolls
+  const [promptVariant, setPromptVariant] = useState(null);
+  // Mood the current experience was generated for (the input may have changed since)
+  const [experienceMood, setExperienceMood] = useState('');
+  // Valence / energy / intensity sliders and the situation (time, setting, weather)
+  const [moodContext, setMoodContext] = useState(EMPTY_MOOD_CONTEXT);
+  const [experienceMoodContext, setExperienceMoodContext] = useState(EMPTY_MOOD_CONTEXT);
+  // Ingredients, preferences, detail and language the current card was
+  // generated with, so rerolls match the rest of the card. null for history
+  // entries saved before they were recorded (rerolls then use the server defaults).
+  const [experienceInputs, setExperienceInputs] = useState(null);
+  // Taxonomy entry for experienceMood ({ id, label, emoji, color }) from /api/mood/normalize
+  const [moodInfo, setMoodInfo] = useState(null);
+  // Ranked playlists from /api/playlist for "Try another playlist"
+  const [playlistOptions, setPlaylistOptions] = useState(null);
+  // Server-side ID of the current card, used for the /v/:id share link
+  const [shareId, setShareId] = useState(null);
+  const [shareCopied, setShareCopied] = useState(false);
+  // Diet, allergies and kitchen constraints for the recipe
+  const [preferences, setPreferences] = useState(loadPreferences);
+  // Re-skin the page with the current card's color palette
+  const [vibeThemeEnabled, setVibeThemeEnabled] = useState(() => localStorage.getItem('vibeThemeEnabled') === 'true');
+  const vibeTheme = useMemo(
+    () => (vibeThemeEnabled ? buildVibeTheme(experience?.colorPalette) : null),
+    [vibeThemeEnabled, experience?.colorPalette]
+  );
+
+  useEffect(() => {
+    historyStore.loadHistory()
+      .then(entries => setHistory(prev => mergeHistory(entries, prev)))
+      .catch(error => console.error('Could not load history:', error));
+  }, []);
+
   useEffect(() => {
-    localStorage.setItem('vibeHistory', JSON.stringify(history));
-  }, [history]);
+    savePreferences(preferences);
+  }, [preferences]);
+
+  useEffect(() => {
+    saveSectionChoice(sections);
+  }, [sections]);
+
+  useEffect(() => {
+    localStorage.setItem('vibeDetail', detail);
+  }, [detail]);
+
+  useEffect(() => {
+    localStorage.setItem('vibeThemeEnabled', String(vibeThemeEnabled));
+  }, [vibeThemeEnabled]);
 
   const handleSubmit = async () => {
     if (!mood.trim()) {
-      setError(ERROR_MESSAGES.INVALID_MOOD);
+      setError(t('errors.invalidMood'));
       return;
     }
 
-    const ingredientsArray = ingredients.trim().split(',').map(i => i.trim()).filter(Boolean);
-    
+    const inputs = {
+      ingredients: ingredients.trim().split(',').map(i => i.trim()).filter(Boolean),
+      preferences,
+      detail,
+      lang: locale
+    };
+
     setLoading(true);
     setError('');
-    setExperience(null);
-    setLoadingStates({
-      playlist: true,
-      recipe: true,
-      movie: true,
-      colorPalette: true,
-      meditation: true,
-      outfit: true,
-      writing: true
+    setExperienceMood(mood);
+    setExperienceMoodContext(moodContext);
+    setExperienceInputs(inputs);
+    setMoodInfo(null);
+    setPlaylistOptions(null);
+    setShareId(null);
+    setPromptVariant(null);
+    setLoadingStates(Object.fromEntries(sections.map(section => [section, true])));
+
+    setExperience({});
+
+    const moodInfoRequest = normalizeMood(mood).then(info => {
+      setMoodInfo(info);
+      return info;
     });
 
     try {
-      const response = await axios.get('/api/experience', { 
-        params: {
-          mood,
-          ingredients: JSON.stringify(ingredientsArray),
-          longMode
-        } 
-      });
-      
-      // Validate response
-      if (!response.data || typeof response.data !== 'object') {
-        throw new Error('Invalid response format');
-      }
-      
-      setExperience(response.data);
-      setHistory(prev => {
-        const newHistory = [...prev, { 
-          id: Date.now(),
-          mood, 
-          experience: response.data,
-          timestamp: new Date().toISOString()
-        }];
-        // Keep only last 10 items
-        return newHistory.slice(-10);
+      // Sections arrive one by one; fill each card as soon as it is ready
+      const { experience: result, id, promptVariant: variant } = await streamExperience({
+        mood,
+        ingredients: JSON.stringify(inputs.ingredients),
+        preferences: JSON.stringify(inputs.preferences),
+        moodContext: JSON.stringify(moodContext),
+        sections: sections.join(','),
+        detail: inputs.detail,
+        lang: inputs.lang
+      }, {
+        headers: MOCK_FAILURE ? { 'X-Mock-Failure': MOCK_FAILURE } : undefined,
+        onSection: (section, data) => {
+          setExperience(prev => ({ ...prev, [section]: data }));
+          setLoadingStates(prev => ({ ...prev, [section]: false }));
+        }
       });
+
+      setExperience(result);
+      setShareId(id);
+      setPromptVariant(variant);
+      const entry = createHistoryEntry({ mood, moodContext, inputs, moodInfo: await moodInfoRequest, experience: result, shareId: id, promptVariant: variant });
+      setHistory(prev => [...prev, entry]);
+      historyStore.saveEntry(entry).catch(error => console.error('Could not save history:', error));
     } catch (error) {
       console.error('Error generating experience:', {
         message: error.message,
@@ -118,96 +221,160 @@ function App() {
         status: error.response?.status
       });
 
-      // Handle specific error cases
-      if (error.response?.status === 429) {
-        setError(ERROR_MESSAGES.RATE_LIMIT);
-      } else if (error.response?.status === 401) {
-        setError(ERROR_MESSAGES.UNAUTHORIZED);
-      } else if (error.response) {
-        // Use the specific error message from the backend if available
-        setError(error.response.data.error || error.response.data.details || ERROR_MESSAGES.GENERAL);
-      } else {
-        setError(ERROR_MESSAGES.GENERAL);
-      }
+      setError(getErrorMessage(error, t));
     } finally {
       setLoading(false);
-      setLoadingStates({
-        playlist: false,
-        recipe: false,
-        movie: false,
-        colorPalette: false,
-        meditation: false,
-        outfit: false,
-        writing: false
-      });
+      setLoadingStates({});
     }
   };
 
-  const replayHistory = (index) => {
-    const { mood, experience } = history[index];
+  const replayHistory = ({ mood, moodContext: savedContext, inputs, moodInfo: savedInfo, experience, shareId, promptVariant: savedVariant }) => {
     setMood(mood);
+    setMoodInfo(savedInfo || null);
+    // Entries saved before moods were normalized
+    if (!savedInfo) normalizeMood(mood).then(setMoodInfo);
     setExperience(experience);
+    setExperienceMood(mood);
+    setMoodContext(savedContext || EMPTY_MOOD_CONTEXT);
+    setExperienceMoodContext(savedContext || EMPTY_MOOD_CONTEXT);
+    setExperienceInputs(inputs || null);
+    setPlaylistOptions(null);
+    setShareId(shareId || null);
+    setPromptVariant(savedVariant || null);
   };
 
-  const clearHistory = () => {
-    setHistory([]);
-    localStorage.removeItem('vibeHistory');
-  };
+  // Regenerate one card; only that card shows a loading state
+  const rerollSection = async (section) => {
+    setError('');
+    setLoadingStates(prev => ({ ...prev, [section]: true }));
 
-  // Function to extract Spotify playlist ID from various URL formats
-  const getSpotifyPlaylistId = (url) => {
     try {
-      if (!url) return null;
-      const playlistMatch = url.match(/playlist\/([a-zA-Z0-9]+)/);
-      if (playlistMatch && playlistMatch[1]) {
-        return playlistMatch[1];
-      }
-      // Handle potential direct embed URLs if necessary, though typically less common for sharing
-      const embedMatch = url.match(/embed\/playlist\/([a-zA-Z0-9]+)/);
-       if (embedMatch && embedMatch[1]) {
-        return embedMatch[1];
+      const response = await axios.post('/api/experience/section', {
+        mood: experienceMood,
+        section,
+        experience,
+        id: shareId || undefined,
+        ...experienceInputs,
+        moodContext: experienceMoodContext,
+        variant: promptVariant || undefined
+      });
+      const { data, id } = response.data;
+
+      setExperience(prev => ({ ...prev, [section]: data }));
+      if (section === 'playlist') setPlaylistOptions(null);
+      if (id) {
+        // Keep the matching history entry in sync and point it at the new card
+        const entry = history.find(h => h.shareId && h.shareId === shareId);
+        if (entry) updateHistoryEntry(entry.id, { shareId: id, experience: { ...entry.experience, [section]: data } });
+        setShareId(id);
       }
-    } catch (e) {
-       console.error('Error extracting Spotify playlist ID:', e);
-       return null;
+    } catch (error) {
+      console.error(`Error rerolling ${section}:`, {
+        message: error.message,
+        response: error.response?.data,
+        status: error.response?.status
+      });
+      setError(getErrorMessage(error, t));
+    } finally {
+      setLoadingStates(prev => ({ ...prev, [section]: false }));
     }
-    return null; // No ID found
   };
 
-  const togglePlaylistExpand = () => {
-    setExpandedPlaylist(!expandedPlaylist);
+  const copyShareLink = async () => {
+    const link = `${window.location.origin}/v/${shareId}`;
+    try {
+      await navigator.clipboard.writeText(link);
+      setShareCopied(true);
+      setTimeout(() => setShareCopied(false), 2000);
+    } catch (error) {
+      console.error('Clipboard unavailable:', error);
+      window.prompt(t('app.copyPrompt'), link);
+    }
   };
 
-  const toggleRecipeExpand = () => {
-    setExpandedRecipe(!expandedRecipe);
+  // Swap the playlist card to the next ranked Spotify playlist for this mood
+  const tryAnotherPlaylist = async (e) => {
+    e.stopPropagation();
+    setError('');
+
+    try {
+      let options = playlistOptions;
+      if (!options) {
+        setLoadingStates(prev => ({ ...prev, playlist: true }));
+        const response = await axios.get('/api/playlist', {
+          params: { mood: experienceMood, moodContext: JSON.stringify(experienceMoodContext), lang: experienceInputs?.lang }
+        });
+        const { playlist, alternates = [], moodDescription } = response.data;
+        options = { items: [playlist, ...alternates], index: -1, moodDescription };
+      }
+
+      // Skip whichever playlist the card is already showing
+      let index = (options.index + 1) % options.items.length;
+      if (options.items[index].url === experience.playlist.url && options.items.length > 1) {
+        index = (index + 1) % options.items.length;
+      }
+      const next = options.items[index];
+
+      setPlaylistOptions({ ...options, index });
+      setExperience(prev => ({
+        ...prev,
+        playlist: {
+          ...prev.playlist,
+          name: next.name,
+          description: next.description,
+          url: next.url,
+          images: next.images,
+          moodDescription: options.moodDescription || prev.playlist.moodDescription
+        }
+      }));
+    } catch (error) {
+      console.error('Error fetching alternate playlists:', {
+        message: error.message,
+        response: error.response?.data,
+        status: error.response?.status
+      });
+      setError(error.response?.status === 404 ? t('errors.playlist') : getErrorMessage(error, t));
+    } finally {
+      setLoadingStates(prev => ({ ...prev, playlist: false }));
+    }
   };
 
-  const toggleMovieExpand = () => {
-    setExpandedMovie(!expandedMovie);
+  const updateHistoryEntry = (id, changes) => {
+    const entry = history.find(h => h.id === id);
+    if (!entry) return;
+    const updated = { ...entry, ...changes };
+    setHistory(prev => prev.map(h => (h.id === id ? updated : h)));
+    historyStore.saveEntry(updated).catch(error => console.error('Could not save history:', error));
   };
 
-  const toggleColorPaletteExpand = () => {
-    setExpandedColorPalette(!expandedColorPalette);
+  const togglePin = (id) => {
+    const entry = history.find(h => h.id === id);
+    if (entry) updateHistoryEntry(id, { pinned: !entry.pinned });
   };
 
-  const toggleMeditationExpand = () => {
-    setExpandedMeditation(!expandedMeditation);
+  const deleteHistoryEntry = (id) => {
+    setHistory(prev => prev.filter(h => h.id !== id));
+    historyStore.deleteEntry(id).catch(error => console.error('Could not delete history entry:', error));
   };
 
-  const toggleOutfitExpand = () => {
-    setExpandedOutfit(!expandedOutfit);
+  const importHistory = async (entries) => {
+    setHistory(prev => mergeHistory(prev, entries));
+    await historyStore.saveEntries(entries);
   };
 
-  const toggleWritingExpand = () => {
-    setExpandedWriting(!expandedWriting);
+  const clearHistory = () => {
+    setHistory([]);
+    historyStore.clearHistory().catch(error => console.error('Could not clear history:', error));
   };
 
+  const moodContextChips = describeMoodContext(experienceMoodContext, option => t(`moodContext.options.${option.value}`));
+
   return (
     <ErrorBoundary>
-      <div className="min-h-screen bg-zinc-900 text-white p-6">
+      <div className={`app-root min-h-screen bg-zinc-900 text-white p-6 ${vibeTheme ? 'vibe-theme' : ''}`} style={vibeTheme?.vars}>
         <div className="">
           <h1 className="text-4xl font-bold text-center mb-2 text-gradient">🎵 Vibeform</h1>
-          <p className="text-center text-sm text-zinc-400 mb-6">Multi-sensory experiences from a single vibe</p>
+          <p className="text-center text-sm text-zinc-400 mb-6">{t('app.tagline')}</p>
 
           <div className="space-y-6">
             <div className="card">
@@ -216,7 +383,7 @@ function App() {
                   type="text"
                   value={mood}
                   onChange={e => setMood(e.target.value)}
-                  placeholder="Type your mood..."
+                  placeholder={t('app.moodPlaceholder')}
                   className="w-full p-3 rounded-md text-black text-white bg-zinc-800 border border-zinc-700 focus:outline-none focus:ring-2 focus:ring-purple-600"
                   disabled={loading}
                 />
@@ -224,10 +391,13 @@ function App() {
                   type="text"
                   value={ingredients}
                   onChange={e => setIngredients(e.target.value)}
-                  placeholder="Optional ingredients (comma separated)"
+                  placeholder={t('app.ingredientsPlaceholder')}
                   className="w-full p-3 rounded-md text-black text-white bg-zinc-800 border border-zinc-700 focus:outline-none focus:ring-2 focus:ring-purple-600"
                   disabled={loading}
                 />
+                <MoodContextPanel moodContext={moodContext} onChange={setMoodContext} disabled={loading} />
+                <PreferencesPanel preferences={preferences} onChange={setPreferences} disabled={loading} />
+                <SectionPicker sections={sections} onChange={setSections} disabled={loading} />
                 <button
                   onClick={handleSubmit}
                   disabled={!mood.trim() || loading}
@@ -240,27 +410,39 @@ function App() {
                   {loading ? (
                     <div className="flex items-center justify-center">
                       <div className="loading-spinner mr-2"></div>
-                      <span>Creating your vibe...</span>
+                      <span>{t('app.creating')}</span>
                     </div>
                   ) : (
-                    '🎵 Get Matched'
+                    t('app.submit')
                   )}
                 </button>
               </div>
             </div>
 
-            {/* Long Mode Toggle */}
-            <div className="flex items-center justify-center mb-6">
+            {/* Detail level, language and theme */}
+            <div className="flex flex-wrap items-center justify-center gap-y-2 mb-6">
+              <label htmlFor="detailSelect" className="text-sm text-white mr-2">
+                {t('app.descriptions')}
+              </label>
+              <select
+                id="detailSelect"
+                value={detail}
+                onChange={e => setDetail(e.target.value)}
+                className="p-1 rounded-md text-sm text-white bg-zinc-800 border border-zinc-700 focus:outline-none focus:ring-2 focus:ring-purple-600"
+                disabled={loading}
+              >
+                {DETAIL_OPTIONS.map(option => <option key={option} value={option}>{t(`detail.${option}`)}</option>)}
+              </select>
+              <LanguagePicker disabled={loading} className="ml-6" />
               <input
                 type="checkbox"
-                id="longModeToggle"
-                checked={longMode}
-                onChange={e => setLongMode(e.target.checked)}
-                className="mr-2 leading-tight"
-                disabled={loading}
+                id="vibeThemeToggle"
+                checked={vibeThemeEnabled}
+                onChange={e => setVibeThemeEnabled(e.target.checked)}
+                className="ml-6 mr-2 leading-tight"
               />
-              <label htmlFor="longModeToggle" className="text-sm text-white cursor-pointer">
-                Detailed Descriptions
+              <label htmlFor="vibeThemeToggle" className="text-sm text-white cursor-pointer">
+                {t('app.vibeTheme')}
               </label>
             </div>
 
@@ -272,342 +454,52 @@ function App() {
 
             {/* Mood Banner */}
             {mood && !loading && !error && (
-               <div className="text-center text-xl font-semibold text-purple-400 mb-6 animate-fadeIn">
-                 You're feeling: {mood} {mood === 'excited' && '🌟'} {mood === 'calm' && '😌'} {mood === 'happy' && '😊'} {/* Add more emojis */} 
+               <div className="mood-banner text-center text-xl font-semibold text-purple-400 mb-6 animate-fadeIn">
+                 {t('app.feeling', { mood })} {moodEmoji(moodInfo, experienceMoodContext)}
+                 {moodInfo && moodInfo.label.toLowerCase() !== mood.trim().toLowerCase() && (
+                   <p className="text-sm font-normal text-zinc-300 mt-1">
+                     <span className="inline-block w-2 h-2 rounded-full mr-2 align-middle" style={{ backgroundColor: moodInfo.color }}></span>
+                     {moodInfo.label}
+                   </p>
+                 )}
+                 {moodContextChips.length > 0 && (
+                   <p className="text-sm font-normal text-zinc-400 mt-1">{moodContextChips.join(' · ')}</p>
+                 )}
+                 {vibeTheme?.name && <p className="text-sm font-normal text-zinc-400 mt-1">{t('app.themedBy', { name: vibeTheme.name })}</p>}
                </div>
             )}
 
-            {loading ? (
-              <div className="space-y-6 grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-                <LoadingCard icon="🎶" />
-                <LoadingCard icon="✨" />
-                <LoadingCard icon="🎬" />
-                <LoadingCard icon="🎨" />
-                <LoadingCard icon="🧘‍♀️" />
-                <LoadingCard icon="👕" />
-                <LoadingCard icon="✍️" />
-              </div>
-            ) : experience && (
-              <div className="experience-grid grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 auto-rows-fr">
-                {/* Playlist Card */}
-                <div className={`card card-playlist ${loadingStates.playlist ? 'animate-pulse' : ''} animate-floatUp col-span-1 md:col-span-2`} onClick={togglePlaylistExpand}>
-                  <div className="space-y-4">
-                    <div className="flex justify-between items-center">
-                      <h2 className="font-semibold text-xl">🎶 {experience.playlist.name}</h2>
-                      <span className="text-purple-400 text-sm flex items-center">
-                        {expandedPlaylist ? 'Show Less' : 'Show More'}
-                        <svg className={`w-4 h-4 ml-1 transition-transform ${expandedPlaylist ? 'rotate-180' : 'rotate-0'}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
-                      </span>
-                    </div>
-                    {/* Collapsed view */}
-                    {!expandedPlaylist && (
-                       <div className="space-y-2 mt-2">
-                        <p className="text-sm text-zinc-300">{experience.playlist.description || 'No description'}</p>
-                        <div className="flex items-center gap-2 text-sm text-zinc-400">
-                          <span>Genre: {experience.playlist.genre}</span>
-                          <span>Theme: {experience.playlist.theme}</span>
-                        </div>
-                        {experience.playlist.url && (
-                          <a 
-                            href={experience.playlist.url} 
-                            target="_blank" 
-                            rel="noopener noreferrer" 
-                            className="text-blue-400 underline hover:text-blue-300 text-sm inline-block mt-2"
-                          >
-                            <span className="mr-1">🎵</span>Listen on Spotify
-                          </a>
-                        )}
-                      </div>
-                    )}
-
-                    {/* Full details shown when expanded */}
-                    <div className={`expandable-content ${expandedPlaylist ? 'expanded' : ''}`}>
-                      {experience.playlist.url && (
-                        <div className="mt-4 pt-4 border-t border-zinc-700/50">
-                          {console.log('Attempting to embed Spotify URL:', experience.playlist.url)}
-                          {getSpotifyPlaylistId(experience.playlist.url) ? (
-                            <iframe 
-                               src={`https://open.spotify.com/embed/playlist/${getSpotifyPlaylistId(experience.playlist.url)}?utm_source=generator`}
-                               width="100%" 
-                               height="352" 
-                               frameBorder="0" 
-                               allow="autoplay; clipboard-write; encrypted-media; fullscreen; picture-in-picture" 
-                               loading="lazy">
-                             </iframe>
-                          ) : (
-                            // Fallback to a link if playlist ID extraction fails
-                            <div className="text-center py-4">
-                              <p className="text-red-400 mb-2">Could not embed playlist preview.</p>
-                              <a 
-                                href={experience.playlist.url} 
-                                target="_blank" 
-                                rel="noopener noreferrer" 
-                                className="text-blue-400 underline hover:text-blue-300 text-sm inline-block"
-                              >
-                                <span className="mr-1">🎵</span>Listen on Spotify
-                              </a>
-                            </div>
-                          )}
-                        </div>
-                      )}
-                    </div>
-                  </div>
-                </div>
-
-                {/* Recipe Card */}
-                <div className={`card card-recipe ${loadingStates.recipe ? 'animate-pulse' : ''} animate-floatUp col-span-1 md:col-span-1`} onClick={toggleRecipeExpand}>
-                  <div className="space-y-4 cursor-pointer">
-                    <div className="flex justify-between items-center">
-                      <h2 className="font-semibold text-xl">✨ {experience.recipe.title}</h2>
-                      <span className="text-purple-400 text-sm flex items-center">
-                        {expandedRecipe ? 'Show Less' : 'Show More'}
-                        <svg className={`w-4 h-4 ml-1 transition-transform ${expandedRecipe ? 'rotate-180' : 'rotate-0'}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
-                      </span>
-                    </div>
-                    {/* Collapsed view */}
-                    {!expandedRecipe && (
-                       <div className="space-y-2 mt-2">
-                        <div className="flex flex-wrap gap-2 mb-2">
-                          {experience.recipe.ingredients.map((ing, i) => (
-                            <span key={i} className="px-2 py-1 bg-zinc-700/50 rounded-full text-sm">
-                              {ing}
-                            </span>
-                          ))}
-                        </div>
-                        <p className="text-sm text-zinc-300">{experience.recipe.instructions}</p>
-                      </div>
-                    )}
-
-                    {/* Full instructions shown when expanded */}
-                    <div className={`expandable-content ${expandedRecipe ? 'expanded' : ''}`}>
-                      <div className="mt-4 pt-4 border-t border-zinc-700/50">
-                        <h3 className="font-semibold text-lg mb-2">Instructions:</h3>
-                        <pre className="whitespace-pre-wrap text-sm text-zinc-200">{experience.recipe.instructions}</pre>
-                      </div>
-                    </div>
-                  </div>
-                </div>
-
-                {/* Movie Card */}
-                <div className={`card card-movie ${loadingStates.movie ? 'animate-pulse' : ''} animate-floatUp col-span-1 md:col-span-1`} onClick={toggleMovieExpand}>
-                  <div className="space-y-4 cursor-pointer">
-                    <div className="flex justify-between items-center">
-                      <h2 className="font-semibold text-xl">🎬 {experience.movie.title} ({experience.movie.year})</h2>
-                      <span className="text-purple-400 text-sm flex items-center">
-                        {expandedMovie ? 'Show Less' : 'Show More'}
-                        <svg className={`w-4 h-4 ml-1 transition-transform ${expandedMovie ? 'rotate-180' : 'rotate-0'}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
-                      </span>
-                    </div>
-                    {/* Collapsed view */}
-                    {!expandedMovie && (
-                      <div className="space-y-2 mt-2">
-                        <p className="text-sm text-zinc-300">{experience.movie.description}</p>
-                        <div className="flex items-center gap-2 text-sm text-zinc-400">
-                          <span>Genre: {experience.movie.genre}</span>
-                          <span>Streaming: {experience.movie.streaming}</span>
-                        </div>
-                      </div>
-                    )}
-                  </div>
-                  {expandedMovie && (
-                    <div className={`expandable-content ${expandedMovie ? 'expanded' : ''}`}>
-                      <div className="mt-4 pt-4 border-t border-zinc-700/50">
-                        <p className="text-sm text-zinc-300">{experience.movie.description}</p>
-                        <div className="flex items-center gap-2 text-sm text-zinc-400 mt-2">
-                          <span className="font-semibold">Genre:</span> {experience.movie.genre}
-                          <span className="font-semibold">Streaming:</span> {experience.movie.streaming}
-                        </div>
-                      </div>
-                    </div>
-                  )}
-                </div>
-
-                {/* Color Palette Card */}
-                <div className={`card card-colorPalette ${loadingStates.colorPalette ? 'animate-pulse' : ''} animate-floatUp col-span-1 md:col-span-1`} onClick={toggleColorPaletteExpand}>
-                  <div className="space-y-4 cursor-pointer">
-                    <div className="flex justify-between items-center">
-                      <h2 className="font-semibold text-xl">🎨 {experience.colorPalette.name}</h2>
-                      <span className="text-purple-400 text-sm flex items-center">
-                        {expandedColorPalette ? 'Show Less' : 'Show More'}
-                        <svg className={`w-4 h-4 ml-1 transition-transform ${expandedColorPalette ? 'rotate-180' : 'rotate-0'}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
-                      </span>
-                    </div>
-                    {/* Collapsed view */}
-                    {!expandedColorPalette && (
-                       <div className="flex gap-4 mt-2">
-                        {experience.colorPalette.colors.map((color, i) => (
-                          <div key={i} className="flex flex-col items-center gap-2">
-                            <div 
-                              className="w-16 h-16 rounded-full transition-transform hover:scale-110" 
-                              style={{ backgroundColor: color.hex }}
-                            />
-                            <p className="text-sm text-center">
-                              {color.name}<br/>
-                              <span className="text-xs text-zinc-400">{color.hex}</span>
-                            </p>
-                          </div>
-                        ))}
-                      </div>
-                    )}
-                  </div>
-                  {expandedColorPalette && (
-                    <div className={`expandable-content ${expandedColorPalette ? 'expanded' : ''}`}>
-                      <div className="mt-4 pt-4 border-t border-zinc-700/50">
-                        <div className="flex flex-wrap gap-4">
-                          {experience.colorPalette.colors.map((color, i) => (
-                            <div key={i} className="flex flex-col items-center gap-2">
-                              <div 
-                                className="w-20 h-20 rounded-full transition-transform hover:scale-110" 
-                                style={{ backgroundColor: color.hex }}
-                              />
-                              <p className="text-base font-medium text-center">
-                                <span className="font-semibold">{color.name}</span><br/>
-                                <span className="text-sm text-zinc-400">{color.hex}</span>
-                              </p>
-                            </div>
-                          ))}
-                        </div>
-                        {/* Add color palette description */}
-                        {experience.colorPalette.description && (
-                           <p className="text-sm text-zinc-300 mt-4">{experience.colorPalette.description}</p>
-                        )}
-                      </div>
-                    </div>
-                  )}
-                </div>
-
-                {/* Meditation Card */}
-                <div className={`card card-meditation ${loadingStates.meditation ? 'animate-pulse' : ''} animate-floatUp col-span-1 md:col-span-1`} onClick={toggleMeditationExpand}>
-                  <div className="space-y-4 cursor-pointer">
-                     <div className="flex justify-between items-center">
-                      <h2 className="font-semibold text-xl">🧘‍♀️ Mini Meditation</h2>
-                      <span className="text-purple-400 text-sm flex items-center">
-                        {expandedMeditation ? 'Show Less' : 'Show More'}
-                        <svg className={`w-4 h-4 ml-1 transition-transform ${expandedMeditation ? 'rotate-180' : 'rotate-0'}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
-                      </span>
-                    </div>
-                    {/* Collapsed view */}
-                    {!expandedMeditation && (
-                      <div className="space-y-2 mt-2">
-                        <p className="text-sm text-zinc-300">{experience.meditation.prompt}</p>
-                        <p className="text-sm text-zinc-400"><span className="font-semibold">Duration:</span> {experience.meditation.duration}</p>
-                      </div>
-                    )}
-                  </div>
-                  {expandedMeditation && (
-                    <div className={`expandable-content ${expandedMeditation ? 'expanded' : ''}`}>
-                      <div className="mt-4 pt-4 border-t border-zinc-700/50">
-                        <p className="text-sm text-zinc-300">{experience.meditation.prompt}</p>
-                        <p className="text-sm text-zinc-400 mt-2"><span className="font-semibold">Duration:</span> {experience.meditation.duration}</p>
-                      </div>
-                    </div>
-                  )}
-                </div>
-
-                {/* Outfit Card */}
-                <div className={`card card-outfit ${loadingStates.outfit ? 'animate-pulse' : ''} animate-floatUp col-span-1 md:col-span-1`} onClick={toggleOutfitExpand}>
-                  <div className="space-y-4 cursor-pointer">
-                     <div className="flex justify-between items-center">
-                      <h2 className="font-semibold text-xl">👕 Style Suggestion</h2>
-                      <span className="text-purple-400 text-sm flex items-center">
-                        {expandedOutfit ? 'Show Less' : 'Show More'}
-                        <svg className={`w-4 h-4 ml-1 transition-transform ${expandedOutfit ? 'rotate-180' : 'rotate-0'}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
-                      </span>
-                    </div>
-                    {/* Collapsed view */}
-                    {!expandedOutfit && (
-                      <div className="space-y-2 mt-2">
-                        <p className="text-sm text-zinc-300">{experience.outfit.description}</p>
-                        <div className="flex flex-wrap gap-2 text-sm text-zinc-400">
-                          <span className="font-semibold">Season:</span> {experience.outfit.season}
-                          <span className="font-semibold">Style:</span> {experience.outfit.style}
-                          <span className="font-semibold">Colors:</span> {experience.outfit.colors.join(', ')}
-                        </div>
-                      </div>
-                    )}
-                  </div>
-                  {expandedOutfit && (
-                    <div className={`expandable-content ${expandedOutfit ? 'expanded' : ''}`}>
-                       <div className="mt-4 pt-4 border-t border-zinc-700/50">
-                          <div className="space-y-2">
-                            <p className="text-sm text-zinc-300">{experience.outfit.description}</p>
-                            <div className="flex flex-wrap gap-2 text-sm text-zinc-400 mt-2">
-                              <span className="font-semibold">Season:</span> {experience.outfit.season}
-                              <span className="font-semibold">Style:</span> {experience.outfit.style}
-                              <span className="font-semibold">Colors:</span> {experience.outfit.colors.join(', ')}
-                            </div>
-                          </div>
-                        </div>
-                    </div>
-                  )}
-                </div>
-
-                {/* Writing Card */}
-                <div className={`card card-writing ${loadingStates.writing ? 'animate-pulse' : ''} animate-floatUp col-span-1 md:col-span-1`} onClick={toggleWritingExpand}>
-                  <div className="space-y-4 cursor-pointer">
-                     <div className="flex justify-between items-center">
-                      <h2 className="font-semibold text-xl">✍️ Creative Snippet</h2>
-                      <span className="text-purple-400 text-sm flex items-center">
-                        {expandedWriting ? 'Show Less' : 'Show More'}
-                        <svg className={`w-4 h-4 ml-1 transition-transform ${expandedWriting ? 'rotate-180' : 'rotate-0'}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
-                      </span>
-                    </div>
-                    {/* Collapsed view */}
-                    {!expandedWriting && (
-                      <div className="space-y-2 mt-2">
-                        <p className="text-sm text-zinc-300">{experience.writing.snippet}</p>
-                        <p className="text-sm text-zinc-400"><span className="font-semibold">Theme:</span> {experience.writing.theme}</p>
-                      </div>
-                    )}
-                  </div>
-                  {expandedWriting && (
-                    <div className={`expandable-content ${expandedWriting ? 'expanded' : ''}`}>
-                      <div className="mt-4 pt-4 border-t border-zinc-700/50">
-                        <div className="space-y-2">
-                          <p className="text-sm text-zinc-300">{experience.writing.snippet}</p>
-                          <p className="text-sm text-zinc-400 mt-2"><span className="font-semibold">Theme:</span> {experience.writing.theme}</p>
-                        </div>
-                      </div>
-                    </div>
-                  )}
-                </div>
+            {shareId && !loading && (
+              <div className="flex justify-center -mt-4 mb-6">
+                <button
+                  onClick={copyShareLink}
+                  className="text-sm text-purple-400 hover:text-purple-300 transition-colors"
+                >
+                  {shareCopied ? t('app.linkCopied') : t('app.copyLink')}
+                </button>
               </div>
             )}
 
-            {history.length > 0 && (
-              <div className="card">
-                <div className="space-y-4">
-                  <div className="flex justify-between items-center">
-                    <h3 className="font-semibold text-lg">🔄 Past Vibe Cards</h3>
-                    <button
-                      onClick={clearHistory}
-                      className="text-sm text-red-400 hover:text-red-300 transition-colors"
-                    >
-                      Clear History
-                    </button>
-                  </div>
-                  {history.map((h, i) => (
-                    <div 
-                      key={h.id}
-                      className="flex justify-between items-center p-4 border-b border-zinc-700/30 last:border-b-0 hover:bg-zinc-800/50 transition-colors cursor-pointer"
-                      onClick={() => replayHistory(i)}
-                    >
-                      <div className="flex items-center">
-                         {/* Add a small color swatch based on card type? Or mood color? */}
-                        {/* For simplicity, let's add a colored border based on the first card type in the experience */}
-                         <div className={`w-2 h-full mr-3 ${h.experience?.playlist ? 'bg-purple-600' : h.experience?.recipe ? 'bg-amber-600' : h.experience?.movie ? 'bg-red-600' : h.experience?.colorPalette ? 'bg-purple-600' : h.experience?.meditation ? 'bg-green-600' : h.experience?.outfit ? 'bg-blue-600' : h.experience?.writing ? 'bg-pink-600' : 'bg-zinc-600'}`}></div>
-                        <div>
-                          <p className="font-medium text-purple-400">{h.mood} {h.mood === 'excited' && '🌟'} {h.mood === 'calm' && '😌'} {h.mood === 'happy' && '😊'} {/* Add more emojis */}</p>
-                          <p className="text-sm text-zinc-400">
-                            {new Date(h.timestamp).toLocaleDateString()} - {h.experience?.playlist?.name || h.experience?.recipe?.title || h.experience?.movie?.title || 'Vibe Card'}
-                          </p>
-                        </div>
-                      </div>
-                    </div>
-                  ))}
-                </div>
-              </div>
+            {(loading || experience) && (
+              <ExperienceGrid
+                experience={experience}
+                loadingStates={loadingStates}
+                onTryAnotherPlaylist={experienceMood ? tryAnotherPlaylist : undefined}
+                onRerollSection={experienceMood ? rerollSection : undefined}
+                actionsDisabled={loading}
+                exportCard={experienceMood ? { mood: experienceMood, shareId } : undefined}
+                feedbackId={loading ? undefined : shareId}
+              />
             )}
+
+            <HistoryPanel
+              history={history}
+              onReplay={replayHistory}
+              onTogglePin={togglePin}
+              onDelete={deleteHistoryEntry}
+              onClear={clearHistory}
+              onImport={importHistory}
+            />
           </div>
         </div>
       </div>
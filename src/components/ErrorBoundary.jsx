@@ -1,4 +1,5 @@
 import React from 'react';
+import { I18nContext } from '../lib/useI18n';
 
 class ErrorBoundary extends React.Component {
   constructor(props) {
@@ -6,6 +7,9 @@ class ErrorBoundary extends React.Component {
     this.state = { hasError: false, error: null, errorInfo: null };
   }
 
+  // Class components read the UI language through contextType
+  static contextType = I18nContext;
+
   static getDerivedStateFromError(error) {
     return { hasError: true, error };
   }
@@ -20,19 +24,20 @@ class ErrorBoundary extends React.Component {
 
   render() {
     if (this.state.hasError) {
+      const { t } = this.context;
       return (
         <div className="min-h-screen bg-zinc-900 text-white p-6 flex items-center justify-center">
           <div className="max-w-md w-full space-y-4">
             <div className="card bg-red-900/20 animate-fadeIn">
-              <h2 className="text-2xl font-bold text-red-400 mb-4">Something went wrong</h2>
+              <h2 className="text-2xl font-bold text-red-400 mb-4">{t('errorBoundary.title')}</h2>
               <p className="text-zinc-300 mb-4">
-                We apologize for the inconvenience. Please try refreshing the page.
+                {t('errorBoundary.message')}
               </p>
               <button
                 onClick={() => window.location.reload()}
                 className="w-full py-2 px-4 bg-red-600 hover:bg-red-700 rounded-md transition-colors"
               >
-                Refresh Page
+                {t('errorBoundary.refresh')}
               </button>
             </div>
           </div>
@@ -0,0 +1,83 @@
+import { useState } from 'react';
+import LoadingCard from './LoadingCard';
+import ExportMenu from './ExportMenu';
+import FeedbackButtons from './FeedbackButtons';
+import { sectionComponent } from './sections';
+import { SECTIONS } from '../lib/sections';
+import { useI18n } from '../lib/useI18n';
+
+// Regenerates one section; clicks must not toggle the card underneath
+const RerollButton = ({ section, onReroll, disabled }) => {
+  const { t } = useI18n();
+  return (
+    <button
+      onClick={e => {
+        e.stopPropagation();
+        onReroll(section);
+      }}
+      disabled={disabled}
+      title={t('card.reroll')}
+      aria-label={t('card.rerollSection', { section: t(`sections.${section}`) })}
+      className="text-zinc-400 hover:text-purple-300 transition-colors disabled:opacity-50"
+    >
+      🎲
+    </button>
+  );
+};
+
+// The vibe card sections, in registry order (see lib/sections.js). Sections
+// still being generated render as LoadingCard placeholders. Pass no action
+// handlers for a read-only view, `exportCard` ({ mood, createdAt?, shareId? })
+// to show the export actions and `feedbackId` (the card's share ID) to show
+// thumbs up/down on each section.
+const ExperienceGrid = ({ experience, loadingStates = {}, onTryAnotherPlaylist, onRerollSection, actionsDisabled = false, exportCard, feedbackId }) => {
+  const [expanded, setExpanded] = useState({});
+
+  const toggleExpand = (id) => {
+    setExpanded(prev => ({ ...prev, [id]: !prev[id] }));
+  };
+
+  const loading = Object.values(loadingStates).some(Boolean);
+
+  return (
+    <>
+    {exportCard && experience && !loading && !actionsDisabled && (
+      <div className="mb-4">
+        <ExportMenu card={{ ...exportCard, experience }} />
+      </div>
+    )}
+    <div className="experience-grid grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 auto-rows-fr">
+      {SECTIONS.map(section => {
+        if (loadingStates[section.id]) {
+          return <LoadingCard key={section.id} icon={section.icon} />;
+        }
+        if (!experience?.[section.id]) return null;
+        const Section = sectionComponent(section.id);
+        return (
+          <Section
+            key={section.id}
+            section={section}
+            data={experience[section.id]}
+            experience={experience}
+            shareId={exportCard?.shareId}
+            expanded={Boolean(expanded[section.id])}
+            onToggle={() => toggleExpand(section.id)}
+            actions={(
+              <>
+                {feedbackId && <FeedbackButtons key={feedbackId} experienceId={feedbackId} section={section.id} />}
+                {onRerollSection && (
+                  <RerollButton section={section.id} onReroll={onRerollSection} disabled={actionsDisabled} />
+                )}
+              </>
+            )}
+            actionsDisabled={actionsDisabled}
+            onTryAnotherPlaylist={onTryAnotherPlaylist}
+          />
+        );
+      })}
+    </div>
+    </>
+  );
+};
+
+export default ExperienceGrid;
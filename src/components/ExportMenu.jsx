@@ -0,0 +1,48 @@
+import { useState } from 'react';
+import { EXPORT_FORMATS, exportCard } from '../lib/exportCard';
+import { useI18n } from '../lib/useI18n';
+
+// Row of download buttons for a card ({ mood, experience, createdAt?, shareId? }).
+// Everything is generated in the browser; `compact` is used in the history list.
+const ExportMenu = ({ card, compact = false }) => {
+  const { t } = useI18n();
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleExport = async (e, format) => {
+    // History rows are clickable themselves
+    e.stopPropagation();
+    setBusy(format);
+    setError(null);
+    try {
+      await exportCard(format, card);
+    } catch (err) {
+      console.error('Export failed:', err);
+      setError(t('export.failed'));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className={`export-menu flex flex-wrap items-center gap-2 ${compact ? '' : 'justify-center'}`}>
+      {!compact && <span className="text-sm text-zinc-400">{t('export.label')}</span>}
+      {EXPORT_FORMATS.map(format => (
+        <button
+          key={format.id}
+          onClick={(e) => handleExport(e, format.id)}
+          disabled={busy !== null}
+          className={`rounded-full border border-zinc-700 text-zinc-300 hover:border-purple-500 hover:text-purple-300 transition-colors disabled:opacity-50 ${
+            compact ? 'px-2 py-0.5 text-xs' : 'px-3 py-1 text-sm'
+          }`}
+          title={t('export.downloadAs', { format: format.label })}
+        >
+          {busy === format.id ? '…' : compact ? format.id.toUpperCase() : format.label}
+        </button>
+      ))}
+      {error && <span className="text-xs text-red-400">{error}</span>}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,100 @@
+import { useState } from 'react';
+import axios from 'axios';
+import { useI18n } from '../lib/useI18n';
+
+// Thumbs up/down for one section of a saved card, with an optional comment
+// once a thumb is picked. Voting again replaces the earlier vote.
+const FeedbackButtons = ({ experienceId, section }) => {
+  const { t } = useI18n();
+  const sectionName = t(`sections.${section}`);
+  const [rating, setRating] = useState(null);
+  const [comment, setComment] = useState('');
+  const [commentOpen, setCommentOpen] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  const send = async (nextRating, nextComment = comment) => {
+    setStatus('sending');
+    try {
+      await axios.post('/api/feedback', { experienceId, section, rating: nextRating, comment: nextComment });
+      setRating(nextRating);
+      setStatus('sent');
+      return true;
+    } catch (error) {
+      console.error('Error sending feedback:', error);
+      setStatus('error');
+      return false;
+    }
+  };
+
+  const vote = (e, value) => {
+    e.stopPropagation();
+    send(value);
+  };
+
+  const submitComment = async (e) => {
+    e.preventDefault();
+    if (await send(rating)) setCommentOpen(false);
+  };
+
+  const thumbClass = (value) => `transition-colors disabled:opacity-50 ${
+    rating === value ? 'opacity-100' : 'opacity-40 hover:opacity-80'
+  }`;
+
+  return (
+    <div className="relative flex items-center gap-1" onClick={e => e.stopPropagation()}>
+      <button
+        onClick={e => vote(e, 'up')}
+        disabled={status === 'sending'}
+        aria-pressed={rating === 'up'}
+        aria-label={t('feedback.like', { section: sectionName })}
+        title={t('feedback.likeTitle')}
+        className={thumbClass('up')}
+      >
+        👍
+      </button>
+      <button
+        onClick={e => vote(e, 'down')}
+        disabled={status === 'sending'}
+        aria-pressed={rating === 'down'}
+        aria-label={t('feedback.dislike', { section: sectionName })}
+        title={t('feedback.dislikeTitle')}
+        className={thumbClass('down')}
+      >
+        👎
+      </button>
+      {rating && (
+        <button
+          onClick={() => setCommentOpen(!commentOpen)}
+          title={t('feedback.commentTitle')}
+          aria-label={t('feedback.comment', { section: sectionName })}
+          className={`transition-colors ${comment ? 'opacity-100' : 'opacity-40 hover:opacity-80'}`}
+        >
+          💬
+        </button>
+      )}
+      {status === 'error' && <span className="text-xs text-red-400">{t('feedback.notSent')}</span>}
+      {commentOpen && (
+        <form onSubmit={submitComment} className="absolute right-0 top-full mt-2 z-10 w-64 p-3 rounded-md bg-zinc-800 border border-zinc-700 shadow-lg space-y-2">
+          <textarea
+            value={comment}
+            onChange={e => setComment(e.target.value)}
+            maxLength={500}
+            rows={3}
+            placeholder={t('feedback.placeholder')}
+            className="w-full p-2 rounded-md text-sm text-white bg-zinc-900 border border-zinc-700 focus:outline-none focus:ring-2 focus:ring-purple-600"
+          />
+          <div className="flex justify-end gap-2">
+            <button type="button" onClick={() => setCommentOpen(false)} className="text-sm text-zinc-400 hover:text-zinc-200">
+              {t('feedback.cancel')}
+            </button>
+            <button type="submit" disabled={status === 'sending'} className="px-3 py-1 rounded-full bg-purple-600 hover:bg-purple-700 text-sm disabled:opacity-50">
+              {t('feedback.send')}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default FeedbackButtons;
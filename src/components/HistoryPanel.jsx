@@ -0,0 +1,186 @@
+import { useMemo, useRef, useState } from 'react';
+import ExportMenu from './ExportMenu';
+import { downloadBlob } from '../lib/exportCard';
+import { moodEmoji } from '../lib/moodContext';
+import { SECTIONS } from '../lib/sections';
+import { useI18n } from '../lib/useI18n';
+import { HISTORY_SECTIONS, filterHistory, parseHistoryFile, serializeHistory, sortHistory } from '../lib/historyFormat';
+
+const EMPTY_FILTERS = { query: '', section: '', contains: '', from: '', to: '', pinnedOnly: false };
+
+// Color of the first section on the card that has one
+const accentFor = (experience) => (
+  SECTIONS.find(section => section.accent && experience?.[section.id])?.accent || 'bg-zinc-600'
+);
+
+const inputClass = 'p-2 rounded-md text-sm text-white bg-zinc-800 border border-zinc-700 focus:outline-none focus:ring-2 focus:ring-purple-600';
+
+// "Past Vibe Cards": search, filters, pins, per-entry delete and a JSON
+// export/import of the whole history
+const HistoryPanel = ({ history, onReplay, onTogglePin, onDelete, onClear, onImport }) => {
+  const { locale, t } = useI18n();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const fileInput = useRef(null);
+
+  const visible = useMemo(() => sortHistory(filterHistory(history, filters)), [history, filters]);
+  const filtering = Object.keys(EMPTY_FILTERS).some(key => filters[key] !== EMPTY_FILTERS[key]);
+  const update = (changes) => setFilters(prev => ({ ...prev, ...changes }));
+
+  const exportHistory = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadBlob(new Blob([serializeHistory(history)], { type: 'application/json' }), `vibeform-history-${date}.json`);
+  };
+
+  const importHistory = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+
+    const { entries, skipped, error } = parseHistoryFile(await file.text());
+    if (error) {
+      setNotice({ error: true, text: error });
+      return;
+    }
+    await onImport(entries);
+    setNotice({
+      error: false,
+      text: t(skipped ? 'history.importedSkipped' : 'history.imported', { count: entries.length, skipped })
+    });
+  };
+
+  const confirmClear = () => {
+    if (window.confirm(t('history.confirmClear'))) onClear();
+  };
+
+  return (
+    <div className="card">
+      <div className="space-y-4">
+        <div className="flex flex-wrap justify-between items-center gap-2">
+          <h3 className="font-semibold text-lg">{t('history.title')} <span className="text-sm font-normal text-zinc-400">({history.length})</span></h3>
+          <div className="flex gap-3 text-sm">
+            <button onClick={exportHistory} disabled={!history.length} className="text-purple-400 hover:text-purple-300 transition-colors disabled:opacity-50">
+              {t('history.export')}
+            </button>
+            <button onClick={() => fileInput.current.click()} className="text-purple-400 hover:text-purple-300 transition-colors">
+              {t('history.import')}
+            </button>
+            <input ref={fileInput} type="file" accept="application/json,.json" className="hidden" onChange={importHistory} />
+            <button onClick={confirmClear} disabled={!history.length} className="text-red-400 hover:text-red-300 transition-colors disabled:opacity-50">
+              {t('history.clear')}
+            </button>
+          </div>
+        </div>
+
+        {notice && <p className={`text-sm ${notice.error ? 'text-red-400' : 'text-green-400'}`}>{notice.text}</p>}
+
+        {history.length > 0 && (
+          <div className="space-y-2">
+            <div className="flex gap-2">
+              <input
+                type="search"
+                value={filters.query}
+                onChange={e => update({ query: e.target.value })}
+                placeholder={t('history.search')}
+                aria-label={t('history.searchLabel')}
+                className={`flex-1 ${inputClass}`}
+              />
+              <button
+                onClick={() => setShowFilters(!showFilters)}
+                className="px-3 rounded-md text-sm bg-zinc-800 border border-zinc-700 text-zinc-300 hover:border-purple-500"
+                aria-expanded={showFilters}
+              >
+                {t('history.filters')}
+              </button>
+            </div>
+            {showFilters && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                <select value={filters.section} onChange={e => update({ section: e.target.value })} className={inputClass} aria-label={t('history.section')}>
+                  <option value="">{t('history.anySection')}</option>
+                  {HISTORY_SECTIONS.map(option => <option key={option.value} value={option.value}>{option.icon} {t(`sections.${option.value}`)}</option>)}
+                </select>
+                <input
+                  type="text"
+                  value={filters.contains}
+                  onChange={e => update({ contains: e.target.value })}
+                  placeholder={t('history.containing')}
+                  aria-label={t('history.containingLabel')}
+                  className={inputClass}
+                />
+                <label className="flex items-center gap-2 text-sm text-zinc-400">
+                  {t('history.from')}
+                  <input type="date" value={filters.from} onChange={e => update({ from: e.target.value })} className={`flex-1 ${inputClass}`} />
+                </label>
+                <label className="flex items-center gap-2 text-sm text-zinc-400">
+                  {t('history.to')}
+                  <input type="date" value={filters.to} onChange={e => update({ to: e.target.value })} className={`flex-1 ${inputClass}`} />
+                </label>
+                <label className="flex items-center gap-2 text-sm text-zinc-300">
+                  <input type="checkbox" checked={filters.pinnedOnly} onChange={e => update({ pinnedOnly: e.target.checked })} />
+                  {t('history.pinnedOnly')}
+                </label>
+                {filtering && (
+                  <button onClick={() => setFilters(EMPTY_FILTERS)} className="text-sm text-left text-purple-400 hover:text-purple-300">
+                    {t('history.resetFilters')}
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        {filtering && !visible.length && <p className="text-sm text-zinc-400">{t('history.noMatches')}</p>}
+
+        {visible.map(h => (
+          <div
+            key={h.id}
+            className="flex flex-wrap justify-between items-center gap-2 p-4 border-b border-zinc-700/30 last:border-b-0 hover:bg-zinc-800/50 transition-colors cursor-pointer"
+            onClick={() => onReplay(h)}
+          >
+            <div className="flex items-center">
+              <div className={`w-2 h-full mr-3 ${accentFor(h.experience)}`}></div>
+              <div>
+                <p className="font-medium text-purple-400">{h.pinned && '📌 '}{h.mood} {moodEmoji(h.moodInfo, h.moodContext)}</p>
+                <p className="text-sm text-zinc-400">
+                  {new Date(h.timestamp).toLocaleDateString(locale)} - {h.experience?.playlist?.name || h.experience?.recipe?.title || h.experience?.movie?.title || t('history.untitled')}
+                </p>
+              </div>
+            </div>
+            <div className="flex items-center gap-3">
+              <ExportMenu
+                compact
+                card={{ mood: h.mood, experience: h.experience, createdAt: h.timestamp, shareId: h.shareId }}
+              />
+              <button
+                onClick={e => {
+                  e.stopPropagation();
+                  onTogglePin(h.id);
+                }}
+                className={`transition-opacity ${h.pinned ? 'opacity-100' : 'opacity-40 hover:opacity-100'}`}
+                title={h.pinned ? t('history.unpin') : t('history.pin')}
+                aria-label={t(h.pinned ? 'history.unpinMood' : 'history.pinMood', { mood: h.mood })}
+                aria-pressed={Boolean(h.pinned)}
+              >
+                📌
+              </button>
+              <button
+                onClick={e => {
+                  e.stopPropagation();
+                  onDelete(h.id);
+                }}
+                className="text-zinc-400 hover:text-red-400 transition-colors"
+                title={t('history.delete')}
+                aria-label={t('history.deleteMood', { mood: h.mood })}
+              >
+                🗑️
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,26 @@
+import { useEffect, useMemo, useState } from 'react';
+import { I18nContext } from '../lib/useI18n';
+import { createTranslator, detectLocale, saveLocale } from '../lib/i18n';
+
+// Holds the UI language. Starts from the saved choice or the browser's
+// languages; a language picked with setLocale is remembered in this browser.
+const I18nProvider = ({ children }) => {
+  const [locale, setLocale] = useState(() => detectLocale());
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const value = useMemo(() => ({
+    locale,
+    setLocale: (next) => {
+      saveLocale(next);
+      setLocale(next);
+    },
+    t: createTranslator(locale)
+  }), [locale]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export default I18nProvider;
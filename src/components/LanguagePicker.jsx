@@ -0,0 +1,26 @@
+import { useI18n } from '../lib/useI18n';
+import { LOCALES, LOCALE_NAMES } from '../lib/i18n';
+
+// UI language, which is also the language new cards are written in
+const LanguagePicker = ({ disabled, className = '' }) => {
+  const { locale, setLocale, t } = useI18n();
+
+  return (
+    <span className={`flex items-center ${className}`}>
+      <label htmlFor="languageSelect" className="text-sm text-white mr-2">
+        🌐 {t('app.language')}
+      </label>
+      <select
+        id="languageSelect"
+        value={locale}
+        onChange={e => setLocale(e.target.value)}
+        className="p-1 rounded-md text-sm text-white bg-zinc-800 border border-zinc-700 focus:outline-none focus:ring-2 focus:ring-purple-600"
+        disabled={disabled}
+      >
+        {Object.keys(LOCALES).map(code => <option key={code} value={code}>{LOCALE_NAMES[code]}</option>)}
+      </select>
+    </span>
+  );
+};
+
+export default LanguagePicker;
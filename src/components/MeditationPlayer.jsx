@@ -0,0 +1,157 @@
+import { useEffect, useMemo, useState } from 'react';
+import { breathPhaseAt, buildMeditationPlan, formatClock, segmentIndexAt } from '../lib/meditation';
+import { useI18n } from '../lib/useI18n';
+
+const PHASE_SCALES = { inhale: 1, hold: 1, exhale: 0.55 };
+const RESTING_SCALE = 0.75;
+
+const canSpeak = typeof window !== 'undefined' && 'speechSynthesis' in window;
+
+function speak(text, lang) {
+  window.speechSynthesis.cancel();
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.lang = lang;
+  utterance.rate = 0.85;
+  window.speechSynthesis.speak(utterance);
+}
+
+// Full-screen guided session: countdown, the current segment's script, and a
+// breathing circle paced by the segment's inhale/hold/exhale counts, colored
+// from the card's palette. Voice playback uses the browser's speechSynthesis.
+const MeditationPlayer = ({ meditation, palette, onClose }) => {
+  const { locale, t } = useI18n();
+  const plan = useMemo(() => buildMeditationPlan(meditation), [meditation]);
+  const [elapsed, setElapsed] = useState(0);
+  const [playing, setPlaying] = useState(true);
+  const [voice, setVoice] = useState(false);
+
+  const finished = elapsed >= plan.totalSeconds;
+  const index = segmentIndexAt(plan, elapsed);
+  const segment = plan.segments[index];
+  const breath = finished ? null : breathPhaseAt(segment.breathing, elapsed - segment.start);
+
+  const [primary, secondary] = [palette?.colors?.[0]?.hex || '#9333ea', palette?.colors?.[1]?.hex || '#ec4899'];
+
+  useEffect(() => {
+    if (!playing || finished) return undefined;
+    const timer = setInterval(() => setElapsed(value => value + 1), 1000);
+    return () => clearInterval(timer);
+  }, [playing, finished]);
+
+  // Read each segment out as it starts; ticks within a segment don't restart it
+  const { text } = segment;
+  useEffect(() => {
+    if (!canSpeak) return;
+    if (voice && playing && !finished) {
+      speak(text, locale);
+    } else {
+      window.speechSynthesis.cancel();
+    }
+  }, [index, text, locale, voice, playing, finished]);
+
+  useEffect(() => () => {
+    if (canSpeak) window.speechSynthesis.cancel();
+  }, []);
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === 'Escape') onClose();
+      if (e.key === ' ') {
+        e.preventDefault();
+        setPlaying(value => !value);
+      }
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [onClose]);
+
+  const restart = () => {
+    setElapsed(0);
+    setPlaying(true);
+  };
+
+  const scale = breath ? PHASE_SCALES[breath.phase] : RESTING_SCALE;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex flex-col items-center justify-between bg-zinc-950/95 p-6 text-white"
+      role="dialog"
+      aria-modal="true"
+      aria-label={t('meditation.dialog')}
+    >
+      <div className="w-full flex justify-between items-center">
+        <span className="text-sm text-zinc-400">
+          {t('meditation.part', { index: index + 1, total: plan.segments.length })}
+        </span>
+        <button onClick={onClose} className="text-zinc-400 hover:text-white text-2xl" aria-label={t('meditation.close')}>
+          ×
+        </button>
+      </div>
+
+      <div className="flex flex-col items-center gap-8">
+        <div className="relative w-72 h-72 flex items-center justify-center">
+          <div
+            className="absolute inset-0 rounded-full opacity-80"
+            style={{
+              background: `radial-gradient(circle, ${secondary} 0%, ${primary} 70%)`,
+              boxShadow: `0 0 60px ${primary}`,
+              transform: `scale(${scale})`,
+              transition: `transform ${breath ? breath.length : 2}s ease-in-out`
+            }}
+          />
+          <div className="relative text-center drop-shadow">
+            {finished ? (
+              <p className="text-2xl font-semibold">{t('meditation.namaste')}</p>
+            ) : breath ? (
+              <>
+                <p className="text-2xl font-semibold">{t(`meditation.phases.${breath.phase}`)}</p>
+                <p className="text-4xl font-bold">{breath.remaining}</p>
+              </>
+            ) : (
+              <p className="text-lg">{t('meditation.breatheNaturally')}</p>
+            )}
+          </div>
+        </div>
+
+        <p className="text-5xl font-light tabular-nums" aria-live="off">
+          {formatClock(plan.totalSeconds - elapsed)}
+        </p>
+
+        <p className="max-w-xl text-center text-lg text-zinc-200 min-h-[4rem]" aria-live="polite">
+          {finished ? t('meditation.complete') : segment.text}
+        </p>
+      </div>
+
+      <div className="flex items-center gap-4">
+        {finished ? (
+          <button onClick={restart} className="px-6 py-2 rounded-full bg-purple-600 hover:bg-purple-700">
+            {t('meditation.startAgain')}
+          </button>
+        ) : (
+          <>
+            <button onClick={restart} className="px-4 py-2 rounded-full bg-zinc-800 hover:bg-zinc-700" aria-label={t('meditation.restart')}>
+              ↺
+            </button>
+            <button
+              onClick={() => setPlaying(!playing)}
+              className="px-6 py-2 rounded-full bg-purple-600 hover:bg-purple-700"
+            >
+              {playing ? t('meditation.pause') : t('meditation.resume')}
+            </button>
+          </>
+        )}
+        {canSpeak && (
+          <button
+            onClick={() => setVoice(!voice)}
+            className={`px-4 py-2 rounded-full ${voice ? 'bg-purple-600 hover:bg-purple-700' : 'bg-zinc-800 hover:bg-zinc-700'}`}
+            aria-pressed={voice}
+          >
+            {voice ? t('meditation.voiceOn') : t('meditation.voiceOff')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MeditationPlayer;
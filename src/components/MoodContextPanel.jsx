@@ -0,0 +1,137 @@
+import { useState } from 'react';
+import {
+  EMPTY_MOOD_CONTEXT,
+  MOOD_SCALE_OPTIONS,
+  SOCIAL_OPTIONS,
+  TIME_OF_DAY_OPTIONS,
+  WEATHER_OPTIONS,
+  countMoodContext
+} from '../lib/moodContext';
+import { useI18n } from '../lib/useI18n';
+
+// Pick one option or none: clicking the selected option clears it
+const ChoiceGroup = ({ title, options, selected, onChange, disabled }) => {
+  const { t } = useI18n();
+  return (
+    <fieldset className="space-y-2">
+      <legend className="text-sm font-semibold text-zinc-200">{title}</legend>
+      <div className="flex flex-wrap gap-2">
+        {options.map(option => (
+          <button
+            key={option.value}
+            type="button"
+            onClick={() => onChange(selected === option.value ? null : option.value)}
+            disabled={disabled}
+            aria-pressed={selected === option.value}
+            className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+              selected === option.value
+                ? 'bg-purple-600 border-purple-500 text-white'
+                : 'bg-zinc-800 border-zinc-700 text-zinc-300 hover:border-purple-500'
+            }`}
+          >
+            {option.emoji} {t(`moodContext.options.${option.value}`)}
+          </button>
+        ))}
+      </div>
+    </fieldset>
+  );
+};
+
+// A 1-5 slider that starts unset, so untouched scales aren't sent at all
+const ScaleSlider = ({ scale, value, onChange, disabled }) => {
+  const { t } = useI18n();
+  return (
+    <div className="space-y-1">
+      <div className="flex justify-between items-center text-sm">
+        <label htmlFor={`mood-${scale.value}`} className="font-semibold text-zinc-200">{t(`moodContext.options.${scale.value}`)}</label>
+        <span className="text-zinc-400">
+          {value ? `${scale.levels[value - 1]} ${value}/5` : t('moodContext.notSet')}
+          {value && (
+            <button type="button" onClick={() => onChange(null)} disabled={disabled} className="ml-2 text-purple-400 hover:text-purple-300">
+              {t('moodContext.clear')}
+            </button>
+          )}
+        </span>
+      </div>
+      <input
+        id={`mood-${scale.value}`}
+        type="range"
+        min="1"
+        max="5"
+        step="1"
+        value={value || 3}
+        onChange={e => onChange(Number(e.target.value))}
+        disabled={disabled}
+        className={`w-full accent-purple-600 ${value ? '' : 'opacity-40'}`}
+      />
+      <div className="flex justify-between text-xs text-zinc-500">
+        <span>{t(`moodContext.low.${scale.value}`)}</span>
+        <span>{t(`moodContext.high.${scale.value}`)}</span>
+      </div>
+    </div>
+  );
+};
+
+// Collapsible valence / energy / intensity sliders and the situation around the mood
+const MoodContextPanel = ({ moodContext, onChange, disabled }) => {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const count = countMoodContext(moodContext);
+  const update = (changes) => onChange({ ...moodContext, ...changes });
+
+  return (
+    <div className="rounded-md border border-zinc-700 bg-zinc-800/50">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="w-full flex justify-between items-center px-3 py-2 text-sm text-zinc-300"
+        aria-expanded={open}
+      >
+        <span>{t('moodContext.title')}{count > 0 && ` (${count})`}</span>
+        <svg className={`w-4 h-4 transition-transform ${open ? 'rotate-180' : 'rotate-0'}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+      </button>
+
+      {open && (
+        <div className="px-3 pb-3 space-y-4">
+          {MOOD_SCALE_OPTIONS.map(scale => (
+            <ScaleSlider
+              key={scale.value}
+              scale={scale}
+              value={moodContext[scale.value]}
+              onChange={value => update({ [scale.value]: value })}
+              disabled={disabled}
+            />
+          ))}
+          <ChoiceGroup
+            title={t('moodContext.timeOfDay')}
+            options={TIME_OF_DAY_OPTIONS}
+            selected={moodContext.timeOfDay}
+            onChange={timeOfDay => update({ timeOfDay })}
+            disabled={disabled}
+          />
+          <ChoiceGroup
+            title={t('moodContext.setting')}
+            options={SOCIAL_OPTIONS}
+            selected={moodContext.social}
+            onChange={social => update({ social })}
+            disabled={disabled}
+          />
+          <ChoiceGroup
+            title={t('moodContext.weather')}
+            options={WEATHER_OPTIONS}
+            selected={moodContext.weather}
+            onChange={weather => update({ weather })}
+            disabled={disabled}
+          />
+          {count > 0 && (
+            <button type="button" onClick={() => onChange(EMPTY_MOOD_CONTEXT)} disabled={disabled} className="text-sm text-purple-400 hover:text-purple-300">
+              {t('moodContext.reset')}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MoodContextPanel;
@@ -0,0 +1,109 @@
+import { useState } from 'react';
+import {
+  ALLERGY_OPTIONS,
+  COOK_TIME_OPTIONS,
+  DIET_OPTIONS,
+  EQUIPMENT_OPTIONS,
+  countPreferences
+} from '../lib/preferences';
+import { useI18n } from '../lib/useI18n';
+
+const toggle = (list, value) => (list.includes(value) ? list.filter(item => item !== value) : [...list, value]);
+
+const CheckboxGroup = ({ title, hint, options, selected, onChange, disabled }) => {
+  const { t } = useI18n();
+  return (
+    <fieldset className="space-y-2">
+      <legend className="text-sm font-semibold text-zinc-200">{title}</legend>
+      {hint && <p className="text-xs text-zinc-400">{hint}</p>}
+      <div className="flex flex-wrap gap-2">
+        {options.map(option => (
+          <label
+            key={option.value}
+            className={`px-3 py-1 rounded-full text-sm cursor-pointer border transition-colors ${
+              selected.includes(option.value)
+                ? 'bg-purple-600 border-purple-500 text-white'
+                : 'bg-zinc-800 border-zinc-700 text-zinc-300 hover:border-purple-500'
+            }`}
+          >
+            <input
+              type="checkbox"
+              className="sr-only"
+              checked={selected.includes(option.value)}
+              onChange={() => onChange(toggle(selected, option.value))}
+              disabled={disabled}
+            />
+            {t(`preferences.options.${option.value}`)}
+          </label>
+        ))}
+      </div>
+    </fieldset>
+  );
+};
+
+// Collapsible diet / allergy / kitchen settings for the recipe card
+const PreferencesPanel = ({ preferences, onChange, disabled }) => {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const count = countPreferences(preferences);
+  const update = (changes) => onChange({ ...preferences, ...changes });
+
+  return (
+    <div className="rounded-md border border-zinc-700 bg-zinc-800/50">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="w-full flex justify-between items-center px-3 py-2 text-sm text-zinc-300"
+        aria-expanded={open}
+      >
+        <span>{t('preferences.title')}{count > 0 && ` (${count})`}</span>
+        <svg className={`w-4 h-4 transition-transform ${open ? 'rotate-180' : 'rotate-0'}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+      </button>
+
+      {open && (
+        <div className="px-3 pb-3 space-y-4">
+          <CheckboxGroup
+            title={t('preferences.diet')}
+            options={DIET_OPTIONS}
+            selected={preferences.diets}
+            onChange={diets => update({ diets })}
+            disabled={disabled}
+          />
+          <CheckboxGroup
+            title={t('preferences.allergies')}
+            hint={t('preferences.allergiesHint')}
+            options={ALLERGY_OPTIONS}
+            selected={preferences.allergies}
+            onChange={allergies => update({ allergies })}
+            disabled={disabled}
+          />
+          <div className="space-y-2">
+            <label htmlFor="maxCookMinutes" className="block text-sm font-semibold text-zinc-200">{t('preferences.maxCookTime')}</label>
+            <select
+              id="maxCookMinutes"
+              value={preferences.maxCookMinutes || ''}
+              onChange={e => update({ maxCookMinutes: e.target.value ? Number(e.target.value) : null })}
+              disabled={disabled}
+              className="p-2 rounded-md bg-zinc-800 border border-zinc-700 text-sm text-white"
+            >
+              <option value="">{t('preferences.any')}</option>
+              {COOK_TIME_OPTIONS.map(minutes => (
+                <option key={minutes} value={minutes}>{t('preferences.minutes', { count: minutes })}</option>
+              ))}
+            </select>
+          </div>
+          <CheckboxGroup
+            title={t('preferences.equipment')}
+            hint={t('preferences.equipmentHint')}
+            options={EQUIPMENT_OPTIONS}
+            selected={preferences.equipment}
+            onChange={equipment => update({ equipment })}
+            disabled={disabled}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PreferencesPanel;
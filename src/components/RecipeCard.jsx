@@ -0,0 +1,191 @@
+import { useEffect, useState } from 'react';
+import { convertIngredient, detectUnitSystem, formatIngredient } from '../lib/recipeUnits';
+import { useI18n } from '../lib/useI18n';
+
+const MAX_SERVINGS = 24;
+
+// Clicks on controls inside the card must not toggle it
+const stop = e => e.stopPropagation();
+
+const formatMinutes = (minutes, t) => {
+  if (minutes < 60) return t('recipe.minutes', { count: minutes });
+  const hours = Math.floor(minutes / 60);
+  return minutes % 60 ? t('recipe.hoursMinutes', { hours, minutes: minutes % 60 }) : t('recipe.hours', { hours });
+};
+
+// Countdown for a step that involves waiting. Click to start, click again to reset.
+const StepTimer = ({ minutes }) => {
+  const { t } = useI18n();
+  const [remaining, setRemaining] = useState(null);
+
+  useEffect(() => {
+    if (!remaining) return undefined;
+    const timer = setTimeout(() => setRemaining(remaining - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [remaining]);
+
+  let label = `⏱ ${formatMinutes(minutes, t)}`;
+  if (remaining === 0) {
+    label = t('recipe.timerDone');
+  } else if (remaining) {
+    label = `⏱ ${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}`;
+  }
+
+  return (
+    <button
+      onClick={e => {
+        stop(e);
+        setRemaining(remaining === null ? Math.round(minutes * 60) : null);
+      }}
+      title={remaining === null ? t('recipe.startTimer') : t('recipe.resetTimer')}
+      className={`ml-2 px-2 py-0.5 rounded-full text-xs ${remaining === 0 ? 'bg-amber-600 text-white' : 'bg-zinc-700/50 text-amber-300 hover:bg-zinc-600/50'}`}
+    >
+      {label}
+    </button>
+  );
+};
+
+const ToggleButton = ({ active, onClick, children }) => (
+  <button
+    onClick={e => {
+      stop(e);
+      onClick();
+    }}
+    className={`px-2 py-0.5 ${active ? 'bg-amber-600 text-white' : 'text-zinc-300 hover:bg-zinc-700/50'}`}
+  >
+    {children}
+  </button>
+);
+
+// Recipe card with servings scaling, metric/imperial units, step timers and
+// the user's own ingredients marked as used or unused. Cards saved before
+// recipes were structured (string ingredients, one instructions string) are
+// shown as they were.
+const RecipeCard = ({ recipe, expanded, onToggle, actions }) => {
+  const { t } = useI18n();
+  const structured = Array.isArray(recipe.steps);
+  const [servings, setServings] = useState(recipe.servings || 1);
+  const [unitSystem, setUnitSystem] = useState(() => detectUnitSystem(recipe.ingredients));
+
+  // A rerolled recipe starts from its own servings and units
+  useEffect(() => {
+    setServings(recipe.servings || 1);
+    setUnitSystem(detectUnitSystem(recipe.ingredients));
+  }, [recipe]);
+
+  const factor = recipe.servings ? servings / recipe.servings : 1;
+  const ingredients = structured
+    ? recipe.ingredients.map(ingredient => formatIngredient(convertIngredient(ingredient, { factor, system: unitSystem })))
+    : recipe.ingredients;
+
+  return (
+    <div className="card card-recipe animate-floatUp col-span-1 md:col-span-1" onClick={onToggle}>
+      <div className="space-y-4 cursor-pointer">
+        <div className="flex justify-between items-center">
+          <h2 className="font-semibold text-xl">✨ {recipe.title}</h2>
+          <div className="flex items-center gap-3">
+            {actions}
+            <span className="text-purple-400 text-sm flex items-center">
+              {expanded ? t('card.showLess') : t('card.showMore')}
+              <svg className={`w-4 h-4 ml-1 transition-transform ${expanded ? 'rotate-180' : 'rotate-0'}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+            </span>
+          </div>
+        </div>
+
+        {structured && (
+          <div className="flex flex-wrap items-center gap-3 text-sm text-zinc-300">
+            <div className="flex items-center gap-2" onClick={stop}>
+              <button
+                onClick={() => setServings(Math.max(1, servings - 1))}
+                disabled={servings <= 1}
+                aria-label={t('recipe.fewerServings')}
+                className="w-6 h-6 rounded-full bg-zinc-700/50 hover:bg-zinc-600/50 disabled:opacity-50"
+              >
+                −
+              </button>
+              <span>{t('recipe.servings', { count: servings })}</span>
+              <button
+                onClick={() => setServings(Math.min(MAX_SERVINGS, servings + 1))}
+                disabled={servings >= MAX_SERVINGS}
+                aria-label={t('recipe.moreServings')}
+                className="w-6 h-6 rounded-full bg-zinc-700/50 hover:bg-zinc-600/50 disabled:opacity-50"
+              >
+                +
+              </button>
+            </div>
+            <div className="flex rounded-full overflow-hidden border border-zinc-600 text-xs">
+              <ToggleButton active={unitSystem === 'metric'} onClick={() => setUnitSystem('metric')}>{t('recipe.metric')}</ToggleButton>
+              <ToggleButton active={unitSystem === 'imperial'} onClick={() => setUnitSystem('imperial')}>{t('recipe.imperial')}</ToggleButton>
+            </div>
+            <span className="text-zinc-400">{t('recipe.prepAndCook', { prep: formatMinutes(recipe.prepMinutes, t), cook: formatMinutes(recipe.cookMinutes, t) })}</span>
+          </div>
+        )}
+
+        {recipe.dietaryTags?.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {recipe.dietaryTags.map(tag => (
+              <span key={tag} className="px-2 py-0.5 bg-green-900/40 text-green-300 rounded-full text-xs">
+                {tag}
+              </span>
+            ))}
+          </div>
+        )}
+
+        {/* Collapsed view */}
+        {!expanded && (
+          <div className="space-y-2 mt-2">
+            <div className="flex flex-wrap gap-2 mb-2">
+              {ingredients.map((ing, i) => (
+                <span key={i} className="px-2 py-1 bg-zinc-700/50 rounded-full text-sm">
+                  {ing}
+                </span>
+              ))}
+            </div>
+            {!structured && <p className="text-sm text-zinc-300">{recipe.instructions}</p>}
+          </div>
+        )}
+
+        {(recipe.usedIngredients?.length > 0 || recipe.unusedIngredients?.length > 0) && (
+          <div className="text-sm space-y-1">
+            {recipe.usedIngredients?.length > 0 && (
+              <p className="text-green-300">{t('recipe.usesYour', { items: recipe.usedIngredients.join(', ') })}</p>
+            )}
+            {recipe.unusedIngredients?.length > 0 && (
+              <p className="text-zinc-400">{t('recipe.notUsed', { items: recipe.unusedIngredients.join(', ') })}</p>
+            )}
+          </div>
+        )}
+
+        {/* Full recipe shown when expanded */}
+        <div className={`expandable-content ${expanded ? 'expanded' : ''}`}>
+          <div className="mt-4 pt-4 border-t border-zinc-700/50">
+            {structured ? (
+              <>
+                <h3 className="font-semibold text-lg mb-2">{t('recipe.ingredients')}</h3>
+                <ul className="list-disc list-inside text-sm text-zinc-200 space-y-1 mb-4">
+                  {ingredients.map((ing, i) => <li key={i}>{ing}</li>)}
+                </ul>
+                <h3 className="font-semibold text-lg mb-2">{t('recipe.instructions')}</h3>
+                <ol className="list-decimal list-inside text-sm text-zinc-200 space-y-2">
+                  {recipe.steps.map((step, i) => (
+                    <li key={i}>
+                      {step.text}
+                      {step.timerMinutes > 0 && <StepTimer minutes={step.timerMinutes} />}
+                    </li>
+                  ))}
+                </ol>
+              </>
+            ) : (
+              <>
+                <h3 className="font-semibold text-lg mb-2">{t('recipe.instructions')}</h3>
+                <pre className="whitespace-pre-wrap text-sm text-zinc-200">{recipe.instructions}</pre>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecipeCard;
@@ -0,0 +1,107 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { useI18n } from '../lib/useI18n';
+
+// Locale keys for the ?spotify= status
+const LOGIN_NOTICES = {
+  connected: { error: false, key: 'spotify.connected' },
+  denied: { error: true, key: 'spotify.denied' },
+  error: { error: true, key: 'spotify.loginError' }
+};
+
+// Read (and drop) the ?spotify= status the login callback redirects back with
+function takeLoginStatus() {
+  const url = new URL(window.location.href);
+  const status = url.searchParams.get('spotify');
+  if (!status) return null;
+  url.searchParams.delete('spotify');
+  window.history.replaceState(null, '', `${url.pathname}${url.search}${url.hash}`);
+  return LOGIN_NOTICES[status] || null;
+}
+
+// "Save to Spotify" for the playlist card: creates a private playlist with the
+// card's tracks, name and description in the user's account. Offers
+// "Connect Spotify" first if the server has login enabled. The login comes
+// back to the card's share page (`shareId`), since a card on the generator
+// page only lives in memory and would be gone after the redirect.
+const SaveToSpotify = ({ playlist, shareId }) => {
+  const { t } = useI18n();
+  const [account, setAccount] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(null);
+  const [notice, setNotice] = useState(takeLoginStatus);
+
+  useEffect(() => {
+    axios.get('/api/spotify/me')
+      .then(response => setAccount(response.data))
+      .catch(error => console.error('Error loading Spotify account:', error));
+  }, []);
+
+  // A new or rerolled playlist can be saved again
+  useEffect(() => setSaved(null), [playlist.tracks]);
+
+  if (!account?.enabled || !playlist.tracks?.length) return null;
+
+  const save = async () => {
+    setSaving(true);
+    setNotice(null);
+    try {
+      const response = await axios.post('/api/spotify/playlist', {
+        name: playlist.name,
+        description: playlist.description,
+        tracks: playlist.tracks.map(track => track.id)
+      });
+      setSaved(response.data);
+    } catch (error) {
+      console.error('Error saving playlist to Spotify:', error);
+      if (error.response?.status === 401) {
+        setAccount(prev => ({ ...prev, connected: false, user: null }));
+      }
+      setNotice({ error: true, text: error.response?.data?.details || error.response?.data?.error || t('spotify.saveFailed') });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const disconnect = async () => {
+    await axios.post('/api/spotify/logout').catch(error => console.error('Error disconnecting Spotify:', error));
+    setAccount(prev => ({ ...prev, connected: false, user: null }));
+    setSaved(null);
+  };
+
+  const returnTo = shareId ? `/v/${shareId}` : `${window.location.pathname}${window.location.search}`;
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-sm" onClick={e => e.stopPropagation()}>
+      {!account.connected ? (
+        <a
+          href={`/api/spotify/login?returnTo=${encodeURIComponent(returnTo)}`}
+          className="px-3 py-1 rounded-full bg-green-600 hover:bg-green-500 text-white transition-colors"
+        >
+          {t('spotify.connect')}
+        </a>
+      ) : saved ? (
+        <a href={saved.url} target="_blank" rel="noopener noreferrer" className="text-green-400 underline hover:text-green-300">
+          {t('spotify.saved', { name: saved.name })}
+        </a>
+      ) : (
+        <>
+          <button
+            onClick={save}
+            disabled={saving}
+            className="px-3 py-1 rounded-full bg-green-600 hover:bg-green-500 text-white transition-colors disabled:opacity-50"
+          >
+            {saving ? t('spotify.saving') : t('spotify.save')}
+          </button>
+          <span className="text-zinc-400">
+            {t('spotify.as', { name: account.user?.displayName })} ·{' '}
+            <button onClick={disconnect} className="text-zinc-400 hover:text-zinc-200 underline">{t('spotify.disconnect')}</button>
+          </span>
+        </>
+      )}
+      {notice && <span className={notice.error ? 'text-red-400' : 'text-green-400'}>{notice.key ? t(notice.key) : notice.text}</span>}
+    </div>
+  );
+};
+
+export default SaveToSpotify;
@@ -0,0 +1,64 @@
+import { useState } from 'react';
+import { DEFAULT_SECTIONS, SECTIONS, normalizeSectionChoice } from '../lib/sections';
+import { useI18n } from '../lib/useI18n';
+
+// Collapsible chips for choosing which cards to generate. At least one
+// section stays selected.
+const SectionPicker = ({ sections, onChange, disabled }) => {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+
+  const toggle = (id) => {
+    const next = sections.includes(id) ? sections.filter(section => section !== id) : [...sections, id];
+    if (next.length) onChange(normalizeSectionChoice(next));
+  };
+
+  const isDefault = sections.join(',') === DEFAULT_SECTIONS.join(',');
+
+  return (
+    <div className="rounded-md border border-zinc-700 bg-zinc-800/50">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="w-full flex justify-between items-center px-3 py-2 text-sm text-zinc-300"
+        aria-expanded={open}
+      >
+        <span>{t('sectionPicker.cards', { count: sections.length })}</span>
+        <svg className={`w-4 h-4 transition-transform ${open ? 'rotate-180' : 'rotate-0'}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+      </button>
+
+      {open && (
+        <div className="px-3 pb-3 space-y-3">
+          <div className="flex flex-wrap gap-2">
+            {SECTIONS.map(section => {
+              const selected = sections.includes(section.id);
+              return (
+                <button
+                  key={section.id}
+                  type="button"
+                  onClick={() => toggle(section.id)}
+                  disabled={disabled || (selected && sections.length === 1)}
+                  aria-pressed={selected}
+                  className={`px-3 py-1 rounded-full text-sm border transition-colors disabled:opacity-60 ${
+                    selected
+                      ? 'bg-purple-600 border-purple-500 text-white'
+                      : 'bg-zinc-800 border-zinc-700 text-zinc-300 hover:border-purple-500'
+                  }`}
+                >
+                  {section.icon} {t(`sections.${section.id}`)}
+                </button>
+              );
+            })}
+          </div>
+          {!isDefault && (
+            <button type="button" onClick={() => onChange(DEFAULT_SECTIONS)} disabled={disabled} className="text-sm text-purple-400 hover:text-purple-300">
+              {t('sectionPicker.reset')}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SectionPicker;
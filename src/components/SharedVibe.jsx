@@ -0,0 +1,74 @@
+import { useState, useEffect, useMemo } from 'react';
+import axios from 'axios';
+import ExperienceGrid from './ExperienceGrid';
+import LoadingCard from './LoadingCard';
+import { buildVibeTheme } from '../lib/vibeTheme';
+import { useI18n } from '../lib/useI18n';
+
+// Read-only page for a saved vibe card, rendered at /v/:id
+const SharedVibe = ({ id }) => {
+  const { locale, t } = useI18n();
+  const [card, setCard] = useState(null);
+  const [error, setError] = useState(null); // { key, requestId }
+
+  useEffect(() => {
+    let cancelled = false;
+
+    axios.get(`/api/experience/${encodeURIComponent(id)}`)
+      .then(response => {
+        if (!cancelled) setCard(response.data);
+      })
+      .catch(error => {
+        console.error('Error loading shared vibe card:', {
+          message: error.message,
+          status: error.response?.status
+        });
+        if (!cancelled) {
+          setError({
+            key: error.response?.status === 404 ? 'shared.notFound' : 'shared.failed',
+            requestId: error.response?.data?.requestId
+          });
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  // Shared cards always wear their own palette
+  const vibeTheme = useMemo(() => buildVibeTheme(card?.experience?.colorPalette), [card]);
+
+  return (
+    <div className={`app-root min-h-screen bg-zinc-900 text-white p-6 ${vibeTheme ? 'vibe-theme' : ''}`} style={vibeTheme?.vars}>
+      <h1 className="text-4xl font-bold text-center mb-2 text-gradient">🎵 Vibeform</h1>
+      <p className="text-center text-sm text-zinc-400 mb-6">
+        <a href="/" className="text-purple-400 hover:text-purple-300 transition-colors">{t('shared.createYourOwn')}</a>
+      </p>
+
+      <div className="space-y-6">
+        {error && (
+          <div className="card bg-red-700/20 animate-fadeIn">
+            <p className="text-yellow-400 text-center">
+              {t(error.key)} {error.requestId && t('errors.reference', { id: error.requestId })}
+            </p>
+          </div>
+        )}
+
+        {!card && !error && <LoadingCard icon="🎵" />}
+
+        {card && (
+          <>
+            <div className="mood-banner text-center text-xl font-semibold text-purple-400 mb-6 animate-fadeIn">
+              {t('shared.someoneFeeling', { mood: card.mood })}
+              <p className="text-sm font-normal text-zinc-400 mt-1">{new Date(card.createdAt).toLocaleDateString(locale)}</p>
+            </div>
+            <ExperienceGrid experience={card.experience} exportCard={{ mood: card.mood, createdAt: card.createdAt, shareId: id }} feedbackId={id} />
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SharedVibe;
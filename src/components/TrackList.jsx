@@ -0,0 +1,72 @@
+import { useEffect, useRef, useState } from 'react';
+import { useI18n } from '../lib/useI18n';
+
+const formatDuration = (ms) => {
+  const seconds = Math.round((ms || 0) / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Recommended tracks with Spotify's 30-second previews. One shared <audio>
+// element, so starting a track stops the previous one. Tracks without a
+// preview link out to Spotify instead.
+const TrackList = ({ tracks }) => {
+  const audio = useRef(null);
+  const { t } = useI18n();
+  const [playingId, setPlayingId] = useState(null);
+
+  // Stop playback when the card goes away or the tracks are rerolled
+  useEffect(() => () => audio.current?.pause(), [tracks]);
+
+  const togglePreview = (track) => {
+    if (!audio.current) {
+      audio.current = new Audio();
+      audio.current.addEventListener('ended', () => setPlayingId(null));
+    }
+    if (playingId === track.id) {
+      audio.current.pause();
+      setPlayingId(null);
+      return;
+    }
+    audio.current.src = track.previewUrl;
+    audio.current.play().catch(error => {
+      console.error('Could not play preview:', error);
+      setPlayingId(null);
+    });
+    setPlayingId(track.id);
+  };
+
+  if (!tracks?.length) return null;
+
+  return (
+    <ol className="space-y-1" onClick={e => e.stopPropagation()}>
+      {tracks.map(track => (
+        <li key={track.id} className="flex items-center gap-3 p-2 rounded-md hover:bg-zinc-800/50 transition-colors">
+          {track.previewUrl ? (
+            <button
+              onClick={() => togglePreview(track)}
+              className="w-8 h-8 flex-shrink-0 rounded-full bg-purple-600 hover:bg-purple-500 text-white text-xs transition-colors"
+              aria-label={t(playingId === track.id ? 'tracks.pause' : 'tracks.play', { name: track.name })}
+            >
+              {playingId === track.id ? '❚❚' : '▶'}
+            </button>
+          ) : (
+            <span className="w-8 h-8 flex-shrink-0 flex items-center justify-center text-zinc-500 text-xs" title={t('tracks.noPreview')}>—</span>
+          )}
+          {track.image && <img src={track.image} alt="" className="w-8 h-8 rounded" loading="lazy" />}
+          <div className="flex-1 min-w-0">
+            <p className="text-sm text-zinc-200 truncate">{track.name}</p>
+            <p className="text-xs text-zinc-400 truncate">{track.artists.join(', ')}</p>
+          </div>
+          <span className="text-xs text-zinc-500">{formatDuration(track.durationMs)}</span>
+          {track.url && (
+            <a href={track.url} target="_blank" rel="noopener noreferrer" className="text-xs text-blue-400 hover:text-blue-300" title={t('tracks.openInSpotify')}>
+              {track.previewUrl ? '↗' : 'Spotify ↗'}
+            </a>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default TrackList;
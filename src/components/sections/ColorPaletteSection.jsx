@@ -0,0 +1,47 @@
+import SectionCard from './SectionCard';
+
+const ColorPaletteSection = ({ data: colorPalette, expanded, onToggle, actions }) => (
+  <SectionCard
+    section="colorPalette"
+    title={`🎨 ${colorPalette.name}`}
+    expanded={expanded}
+    onToggle={onToggle}
+    actions={actions}
+    collapsed={(
+      <div className="flex gap-4">
+        {colorPalette.colors.map((color, i) => (
+          <div key={i} className="flex flex-col items-center gap-2">
+            <div
+              className="w-16 h-16 rounded-full transition-transform hover:scale-110"
+              style={{ backgroundColor: color.hex }}
+            />
+            <p className="text-sm text-center">
+              {color.name}<br/>
+              <span className="text-xs text-zinc-400">{color.hex}</span>
+            </p>
+          </div>
+        ))}
+      </div>
+    )}
+  >
+    <div className="flex flex-wrap gap-4">
+      {colorPalette.colors.map((color, i) => (
+        <div key={i} className="flex flex-col items-center gap-2">
+          <div
+            className="w-20 h-20 rounded-full transition-transform hover:scale-110"
+            style={{ backgroundColor: color.hex }}
+          />
+          <p className="text-base font-medium text-center">
+            <span className="font-semibold">{color.name}</span><br/>
+            <span className="text-sm text-zinc-400">{color.hex}</span>
+          </p>
+        </div>
+      ))}
+    </div>
+    {colorPalette.description && (
+      <p className="text-sm text-zinc-300 mt-4">{colorPalette.description}</p>
+    )}
+  </SectionCard>
+);
+
+export default ColorPaletteSection;
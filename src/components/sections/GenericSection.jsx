@@ -0,0 +1,36 @@
+import SectionCard from './SectionCard';
+import { sectionDetails } from '../../lib/sections';
+import { useI18n } from '../../lib/useI18n';
+
+// Card for sections described only in lib/sections.js (title, subtitle,
+// text and details), such as the book, podcast, scent and activity picks
+const GenericSection = ({ section, data, expanded, onToggle, actions }) => {
+  const { t } = useI18n();
+  const details = sectionDetails(section, data, t);
+
+  return (
+    <SectionCard
+      section={section.id}
+      title={`${section.icon} ${section.title(data)}`}
+      expanded={expanded}
+      onToggle={onToggle}
+      actions={actions}
+      collapsed={(
+        <>
+          {section.subtitle && <p className="text-sm text-zinc-400">{section.subtitle(data, t)}</p>}
+          <p className="text-sm text-zinc-300 line-clamp-3">{section.text(data)}</p>
+        </>
+      )}
+    >
+      <div className="space-y-2">
+        {section.subtitle && <p className="text-sm text-zinc-400">{section.subtitle(data, t)}</p>}
+        <p className="text-sm text-zinc-300">{section.text(data)}</p>
+        {details.map(([label, value]) => (
+          <p key={label} className="text-sm text-zinc-400"><span className="font-semibold">{label}:</span> {value}</p>
+        ))}
+      </div>
+    </SectionCard>
+  );
+};
+
+export default GenericSection;
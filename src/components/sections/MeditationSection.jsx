@@ -0,0 +1,67 @@
+import { useState } from 'react';
+import SectionCard from './SectionCard';
+import MeditationPlayer from '../MeditationPlayer';
+import { useI18n } from '../../lib/useI18n';
+
+const MeditationSection = ({ data: meditation, experience, expanded, onToggle, actions }) => {
+  const { t } = useI18n();
+  const [playing, setPlaying] = useState(false);
+
+  // Older saved cards have a free-text duration instead of durationMinutes
+  const duration = meditation.durationMinutes ? t('card.minutes', { count: meditation.durationMinutes }) : meditation.duration;
+
+  return (
+    <>
+      <SectionCard
+        section="meditation"
+        title={t('card.meditationTitle')}
+        expanded={expanded}
+        onToggle={onToggle}
+        actions={actions}
+        collapsed={(
+          <>
+            <p className="text-sm text-zinc-300">{meditation.prompt}</p>
+            <p className="text-sm text-zinc-400"><span className="font-semibold">{t('card.duration')}:</span> {duration}</p>
+          </>
+        )}
+        footer={(
+          <button
+            onClick={e => {
+              e.stopPropagation();
+              setPlaying(true);
+            }}
+            className="px-4 py-2 rounded-full bg-green-700 hover:bg-green-600 text-sm"
+          >
+            {t('card.startMeditation')}
+          </button>
+        )}
+      >
+        <p className="text-sm text-zinc-300">{meditation.prompt}</p>
+        {meditation.segments?.length > 0 && (
+          <ol className="list-decimal list-inside text-sm text-zinc-300 space-y-1 mt-2">
+            {meditation.segments.map((segment, i) => (
+              <li key={i}>
+                {segment.text}
+                {segment.breathing && (
+                  <span className="ml-2 text-xs text-green-300">
+                    🌬 {segment.breathing.inhale}-{segment.breathing.hold}-{segment.breathing.exhale}
+                  </span>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+        <p className="text-sm text-zinc-400 mt-2"><span className="font-semibold">{t('card.duration')}:</span> {duration}</p>
+      </SectionCard>
+      {playing && (
+        <MeditationPlayer
+          meditation={meditation}
+          palette={experience?.colorPalette}
+          onClose={() => setPlaying(false)}
+        />
+      )}
+    </>
+  );
+};
+
+export default MeditationSection;
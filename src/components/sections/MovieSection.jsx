@@ -0,0 +1,32 @@
+import SectionCard from './SectionCard';
+import { useI18n } from '../../lib/useI18n';
+
+const MovieSection = ({ data: movie, expanded, onToggle, actions }) => {
+  const { t } = useI18n();
+  return (
+    <SectionCard
+      section="movie"
+      title={`🎬 ${movie.title} (${movie.year})`}
+      expanded={expanded}
+      onToggle={onToggle}
+      actions={actions}
+      collapsed={(
+        <>
+          <p className="text-sm text-zinc-300">{movie.description}</p>
+          <div className="flex items-center gap-2 text-sm text-zinc-400">
+            <span>{t('card.genre')}: {movie.genre}</span>
+            <span>{t('card.streaming')}: {movie.streaming}</span>
+          </div>
+        </>
+      )}
+    >
+      <p className="text-sm text-zinc-300">{movie.description}</p>
+      <div className="flex items-center gap-2 text-sm text-zinc-400 mt-2">
+        <span className="font-semibold">{t('card.genre')}:</span> {movie.genre}
+        <span className="font-semibold">{t('card.streaming')}:</span> {movie.streaming}
+      </div>
+    </SectionCard>
+  );
+};
+
+export default MovieSection;
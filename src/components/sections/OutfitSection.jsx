@@ -0,0 +1,39 @@
+import SectionCard from './SectionCard';
+import { useI18n } from '../../lib/useI18n';
+
+const OutfitDetails = ({ outfit }) => {
+  const { t } = useI18n();
+  return (
+    <div className="flex flex-wrap gap-2 text-sm text-zinc-400">
+      <span className="font-semibold">{t('card.season')}:</span> {outfit.season}
+      <span className="font-semibold">{t('card.style')}:</span> {outfit.style}
+      <span className="font-semibold">{t('card.colors')}:</span> {outfit.colors.join(', ')}
+    </div>
+  );
+};
+
+const OutfitSection = ({ data: outfit, expanded, onToggle, actions }) => {
+  const { t } = useI18n();
+  return (
+    <SectionCard
+      section="outfit"
+      title={t('card.outfitTitle')}
+      expanded={expanded}
+      onToggle={onToggle}
+      actions={actions}
+      collapsed={(
+        <>
+          <p className="text-sm text-zinc-300">{outfit.description}</p>
+          <OutfitDetails outfit={outfit} />
+        </>
+      )}
+    >
+      <div className="space-y-2">
+        <p className="text-sm text-zinc-300">{outfit.description}</p>
+        <OutfitDetails outfit={outfit} />
+      </div>
+    </SectionCard>
+  );
+};
+
+export default OutfitSection;
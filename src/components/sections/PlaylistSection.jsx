@@ -0,0 +1,108 @@
+import SectionCard from './SectionCard';
+import TrackList from '../TrackList';
+import SaveToSpotify from '../SaveToSpotify';
+import { useI18n } from '../../lib/useI18n';
+
+// Function to extract Spotify playlist ID from various URL formats
+const getSpotifyPlaylistId = (url) => {
+  try {
+    if (!url) return null;
+    const playlistMatch = url.match(/playlist\/([a-zA-Z0-9]+)/);
+    if (playlistMatch && playlistMatch[1]) {
+      return playlistMatch[1];
+    }
+    // Handle potential direct embed URLs if necessary, though typically less common for sharing
+    const embedMatch = url.match(/embed\/playlist\/([a-zA-Z0-9]+)/);
+    if (embedMatch && embedMatch[1]) {
+      return embedMatch[1];
+    }
+  } catch (e) {
+    console.error('Error extracting Spotify playlist ID:', e);
+    return null;
+  }
+  return null; // No ID found
+};
+
+const ListenLink = ({ url, className = '' }) => {
+  const { t } = useI18n();
+  return (
+    <a
+      href={url}
+      target="_blank"
+      rel="noopener noreferrer"
+      className={`text-blue-400 underline hover:text-blue-300 text-sm inline-block ${className}`}
+    >
+      <span className="mr-1">🎵</span>{t('card.listenOnSpotify')}
+    </a>
+  );
+};
+
+const PlaylistSection = ({ data: playlist, shareId, expanded, onToggle, actions, onTryAnotherPlaylist, actionsDisabled }) => {
+  const { t } = useI18n();
+  const playlistId = getSpotifyPlaylistId(playlist.url);
+
+  return (
+    <SectionCard
+      section="playlist"
+      title={`🎶 ${playlist.name}`}
+      wide
+      expanded={expanded}
+      onToggle={onToggle}
+      actions={actions}
+      collapsed={(
+        <>
+          <p className="text-sm text-zinc-300">{playlist.description || t('card.noDescription')}</p>
+          <div className="flex items-center gap-2 text-sm text-zinc-400">
+            <span>{t('card.genre')}: {playlist.genre}</span>
+            <span>{t('card.theme')}: {playlist.theme}</span>
+          </div>
+          {playlist.url && <ListenLink url={playlist.url} className="mt-2" />}
+          {playlist.moodDescription && (
+            <p className="text-sm text-zinc-400 italic">{playlist.moodDescription}</p>
+          )}
+        </>
+      )}
+      footer={(
+        <>
+          {playlist.tracks?.length > 0 && (
+            <div className="space-y-2">
+              <h3 className="text-sm font-medium text-zinc-300">{t('card.pickedForMood')}</h3>
+              <TrackList tracks={playlist.tracks} />
+              <SaveToSpotify playlist={playlist} shareId={shareId} />
+            </div>
+          )}
+          {onTryAnotherPlaylist && (
+            <div className="flex justify-end">
+              <button
+                onClick={onTryAnotherPlaylist}
+                disabled={actionsDisabled}
+                className="text-sm text-purple-400 hover:text-purple-300 transition-colors disabled:opacity-50"
+              >
+                {t('card.tryAnotherPlaylist')}
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    >
+      {playlist.url && (playlistId ? (
+        <iframe
+          src={`https://open.spotify.com/embed/playlist/${playlistId}?utm_source=generator`}
+          width="100%"
+          height="352"
+          frameBorder="0"
+          allow="autoplay; clipboard-write; encrypted-media; fullscreen; picture-in-picture"
+          loading="lazy">
+        </iframe>
+      ) : (
+        // Fallback to a link if playlist ID extraction fails
+        <div className="text-center py-4">
+          <p className="text-red-400 mb-2">{t('card.noEmbed')}</p>
+          <ListenLink url={playlist.url} />
+        </div>
+      ))}
+    </SectionCard>
+  );
+};
+
+export default PlaylistSection;
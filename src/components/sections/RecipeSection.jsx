@@ -0,0 +1,7 @@
+import RecipeCard from '../RecipeCard';
+
+const RecipeSection = ({ data, expanded, onToggle, actions }) => (
+  <RecipeCard recipe={data} expanded={expanded} onToggle={onToggle} actions={actions} />
+);
+
+export default RecipeSection;
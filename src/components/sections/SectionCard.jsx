@@ -0,0 +1,35 @@
+import { useI18n } from '../../lib/useI18n';
+
+// Shared frame for a section card: heading with actions and a Show More
+// toggle, the collapsed summary, and the details shown when expanded.
+// `footer` stays visible in both states.
+const SectionCard = ({ section, title, wide = false, expanded, onToggle, actions, collapsed, footer, children }) => {
+  const { t } = useI18n();
+  return (
+    <div className={`card card-${section} animate-floatUp col-span-1 ${wide ? 'md:col-span-2' : 'md:col-span-1'}`} onClick={onToggle}>
+      <div className="space-y-4 cursor-pointer">
+        <div className="flex justify-between items-center">
+          <h2 className="font-semibold text-xl">{title}</h2>
+          <div className="flex items-center gap-3">
+            {actions}
+            <span className="text-purple-400 text-sm flex items-center">
+              {expanded ? t('card.showLess') : t('card.showMore')}
+              <svg className={`w-4 h-4 ml-1 transition-transform ${expanded ? 'rotate-180' : 'rotate-0'}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+            </span>
+          </div>
+        </div>
+        {/* Collapsed view */}
+        {!expanded && collapsed && <div className="space-y-2 mt-2">{collapsed}</div>}
+        {footer}
+      </div>
+      {/* Full details shown when expanded */}
+      {expanded && children && (
+        <div className="expandable-content expanded">
+          <div className="mt-4 pt-4 border-t border-zinc-700/50">{children}</div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SectionCard;
@@ -0,0 +1,28 @@
+import SectionCard from './SectionCard';
+import { useI18n } from '../../lib/useI18n';
+
+const WritingSection = ({ data: writing, expanded, onToggle, actions }) => {
+  const { t } = useI18n();
+  return (
+    <SectionCard
+      section="writing"
+      title={t('card.writingTitle')}
+      expanded={expanded}
+      onToggle={onToggle}
+      actions={actions}
+      collapsed={(
+        <>
+          <p className="text-sm text-zinc-300">{writing.snippet}</p>
+          <p className="text-sm text-zinc-400"><span className="font-semibold">{t('card.theme')}:</span> {writing.theme}</p>
+        </>
+      )}
+    >
+      <div className="space-y-2">
+        <p className="text-sm text-zinc-300">{writing.snippet}</p>
+        <p className="text-sm text-zinc-400 mt-2"><span className="font-semibold">{t('card.theme')}:</span> {writing.theme}</p>
+      </div>
+    </SectionCard>
+  );
+};
+
+export default WritingSection;
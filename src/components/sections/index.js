@@ -0,0 +1,25 @@
+import PlaylistSection from './PlaylistSection';
+import RecipeSection from './RecipeSection';
+import MovieSection from './MovieSection';
+import ColorPaletteSection from './ColorPaletteSection';
+import MeditationSection from './MeditationSection';
+import OutfitSection from './OutfitSection';
+import WritingSection from './WritingSection';
+import GenericSection from './GenericSection';
+
+// Card components by section ID. Sections not listed here use GenericSection.
+// Every component gets { section, data, experience, expanded, onToggle,
+// actions, actionsDisabled, onTryAnotherPlaylist }.
+const SECTION_COMPONENTS = {
+  playlist: PlaylistSection,
+  recipe: RecipeSection,
+  movie: MovieSection,
+  colorPalette: ColorPaletteSection,
+  meditation: MeditationSection,
+  outfit: OutfitSection,
+  writing: WritingSection
+};
+
+export function sectionComponent(id) {
+  return SECTION_COMPONENTS[id] || GenericSection;
+}
@@ -0,0 +1,180 @@
+// Render a vibe card to a PNG with the Canvas 2D API: a header with the mood
+// and palette, then one panel per section, colored by the card's palette.
+
+import { buildVibeTheme } from './vibeTheme.js';
+import { meditationLines, recipeLines } from './exportCard.js';
+import { SECTIONS } from './sections.js';
+
+const WIDTH = 1080;
+const PADDING = 56;
+const GAP = 24;
+const PANEL_PADDING = 28;
+const FONT = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+const MAX_LINES = 9;
+
+const DEFAULT_COLORS = {
+  '--vibe-bg': '#18181b',
+  '--vibe-surface': '#27272a',
+  '--vibe-accent': '#8b5cf6',
+  '--vibe-text': '#f4f4f5',
+  '--vibe-muted': '#a1a1aa',
+  '--vibe-accent-text': '#c4b5fd',
+  '--vibe-highlight': '#ec4899'
+};
+
+// One panel per section: [icon + title, body lines]
+function describeSections(experience = {}) {
+  const { playlist, recipe, movie, colorPalette, meditation, outfit, writing } = experience;
+  const panels = [];
+  if (playlist) panels.push({ title: `🎵 ${playlist.name}`, lines: [playlist.description, playlist.genre].filter(Boolean) });
+  if (recipe) {
+    const { ingredients } = recipeLines(recipe);
+    panels.push({ title: `✨ ${recipe.title}`, lines: [ingredients.join(' · ')] });
+  }
+  if (movie) panels.push({ title: `🎬 ${movie.title} (${movie.year})`, lines: [movie.description, `${movie.genre} · ${movie.streaming}`] });
+  if (colorPalette) panels.push({ title: `🎨 ${colorPalette.name}`, swatches: colorPalette.colors, lines: [colorPalette.colors.map(color => color.name).join(' · ')] });
+  if (meditation) {
+    const { minutes } = meditationLines(meditation);
+    panels.push({ title: `🧘 Mini meditation${minutes ? ` · ${minutes}` : ''}`, lines: [meditation.prompt] });
+  }
+  if (outfit) panels.push({ title: `👕 ${outfit.style}`, lines: [outfit.description] });
+  if (writing) panels.push({ title: `✍️ ${writing.theme}`, lines: [writing.snippet], italic: true });
+  for (const section of SECTIONS.filter(entry => entry.text && experience[entry.id])) {
+    const data = experience[section.id];
+    panels.push({ title: `${section.icon} ${section.title(data)}`, lines: [section.subtitle?.(data), section.text(data)].filter(Boolean) });
+  }
+  return panels;
+}
+
+function wrap(ctx, text, width) {
+  const lines = [];
+  for (const paragraph of String(text).split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(candidate).width > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    if (line) lines.push(line);
+  }
+  return lines;
+}
+
+// Cut to `max` lines, ending the last one with an ellipsis
+function clampLines(ctx, lines, width, max = MAX_LINES) {
+  if (lines.length <= max) return lines;
+  const kept = lines.slice(0, max);
+  let last = `${kept[max - 1]}…`;
+  while (ctx.measureText(last).width > width && last.length > 1) last = `${last.slice(0, -2)}…`;
+  kept[max - 1] = last;
+  return kept;
+}
+
+function roundRect(ctx, x, y, width, height, radius) {
+  ctx.beginPath();
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + width, y, x + width, y + height, radius);
+  ctx.arcTo(x + width, y + height, x, y + height, radius);
+  ctx.arcTo(x, y + height, x, y, radius);
+  ctx.arcTo(x, y, x + width, y, radius);
+  ctx.closePath();
+}
+
+export async function renderCardImage(card) {
+  const colors = { ...DEFAULT_COLORS, ...buildVibeTheme(card.experience?.colorPalette)?.vars };
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  const panelWidth = (WIDTH - 2 * PADDING - GAP) / 2;
+  const textWidth = panelWidth - 2 * PANEL_PADDING;
+
+  // Measure every panel first so the canvas can be sized to fit
+  const panels = describeSections(card.experience).map(panel => {
+    ctx.font = `600 26px ${FONT}`;
+    const title = clampLines(ctx, wrap(ctx, panel.title, textWidth), textWidth, 2);
+    ctx.font = `${panel.italic ? 'italic ' : ''}20px ${FONT}`;
+    const body = clampLines(ctx, panel.lines.flatMap(line => wrap(ctx, line, textWidth)), textWidth);
+    const height = PANEL_PADDING * 2 + title.length * 34 + (panel.swatches ? 72 : 0) + 12 + body.length * 28;
+    return { ...panel, title, body, height };
+  });
+
+  const rows = [];
+  for (let i = 0; i < panels.length; i += 2) rows.push(panels.slice(i, i + 2));
+  const headerHeight = 200;
+  const footerHeight = 70;
+  const height = headerHeight + rows.reduce((sum, row) => sum + Math.max(...row.map(p => p.height)) + GAP, 0) + footerHeight;
+
+  // Render at 2x for crisp text on high-density screens and social feeds
+  const scale = 2;
+  canvas.width = WIDTH * scale;
+  canvas.height = height * scale;
+  ctx.scale(scale, scale);
+
+  ctx.fillStyle = colors['--vibe-bg'];
+  ctx.fillRect(0, 0, WIDTH, height);
+
+  // Header: title, mood and a strip of the palette
+  ctx.textBaseline = 'top';
+  ctx.fillStyle = colors['--vibe-accent-text'];
+  ctx.font = `700 30px ${FONT}`;
+  ctx.fillText('🎵 Vibeform', PADDING, PADDING);
+  ctx.fillStyle = colors['--vibe-text'];
+  ctx.font = `700 48px ${FONT}`;
+  ctx.fillText(clampLines(ctx, wrap(ctx, `Feeling ${card.mood}`, WIDTH - 2 * PADDING), WIDTH - 2 * PADDING, 1)[0] || '', PADDING, PADDING + 44);
+
+  const swatches = card.experience?.colorPalette?.colors || [];
+  swatches.forEach((color, i) => {
+    ctx.fillStyle = color.hex;
+    ctx.fillRect(PADDING + (i * (WIDTH - 2 * PADDING)) / swatches.length, headerHeight - 28, (WIDTH - 2 * PADDING) / swatches.length, 8);
+  });
+
+  let y = headerHeight;
+  for (const row of rows) {
+    const rowHeight = Math.max(...row.map(p => p.height));
+    row.forEach((panel, column) => {
+      const x = PADDING + column * (panelWidth + GAP);
+      ctx.fillStyle = colors['--vibe-surface'];
+      roundRect(ctx, x, y, panelWidth, rowHeight, 18);
+      ctx.fill();
+      ctx.fillStyle = colors['--vibe-accent'];
+      ctx.fillRect(x, y + 18, 5, rowHeight - 36);
+
+      let textY = y + PANEL_PADDING;
+      ctx.fillStyle = colors['--vibe-text'];
+      ctx.font = `600 26px ${FONT}`;
+      for (const line of panel.title) {
+        ctx.fillText(line, x + PANEL_PADDING, textY);
+        textY += 34;
+      }
+      if (panel.swatches) {
+        panel.swatches.slice(0, 6).forEach((color, i) => {
+          ctx.fillStyle = color.hex;
+          ctx.beginPath();
+          ctx.arc(x + PANEL_PADDING + 28 + i * 66, textY + 36, 26, 0, Math.PI * 2);
+          ctx.fill();
+        });
+        textY += 72;
+      }
+      textY += 12;
+      ctx.fillStyle = colors['--vibe-muted'];
+      ctx.font = `${panel.italic ? 'italic ' : ''}20px ${FONT}`;
+      for (const line of panel.body) {
+        ctx.fillText(line, x + PANEL_PADDING, textY);
+        textY += 28;
+      }
+    });
+    y += rowHeight + GAP;
+  }
+
+  ctx.fillStyle = colors['--vibe-muted'];
+  ctx.font = `18px ${FONT}`;
+  const footer = card.shareId ? `${window.location.origin}/v/${card.shareId}` : new Date(card.createdAt || Date.now()).toLocaleDateString();
+  ctx.fillText(footer, PADDING, height - footerHeight + 16);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not render the image'))), 'image/png');
+  });
+}
@@ -0,0 +1,177 @@
+// Client-side exports of a vibe card: Markdown and JSON for notes apps, a
+// printable PDF recipe-and-meditation sheet, and a PNG image of the card
+// (see cardImage.js). A card is { mood, experience, createdAt?, shareId? }.
+
+import { formatIngredient } from './recipeUnits.js';
+import { createTextPdf } from './pdf.js';
+import { SECTIONS, sectionDetails } from './sections.js';
+
+export const EXPORT_FORMATS = [
+  { id: 'png', label: 'Image (PNG)' },
+  { id: 'pdf', label: 'Recipe sheet (PDF)' },
+  { id: 'md', label: 'Markdown' },
+  { id: 'json', label: 'JSON' }
+];
+
+export function exportFileName(card, extension) {
+  const slug = String(card.mood || 'vibe').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'vibe';
+  const date = new Date(card.createdAt || Date.now()).toISOString().slice(0, 10);
+  return `vibe-${slug}-${date}.${extension}`;
+}
+
+// Old cards have string ingredients and a single instructions string
+export function recipeLines(recipe) {
+  const ingredients = (recipe?.ingredients || []).map(ingredient => (
+    typeof ingredient === 'string' ? ingredient : formatIngredient(ingredient)
+  ));
+  const steps = Array.isArray(recipe?.steps)
+    ? recipe.steps.map(step => (step.timerMinutes ? `${step.text} (${step.timerMinutes} min)` : step.text))
+    : String(recipe?.instructions || '').split('\n').map(line => line.replace(/^\s*\d+[.)]\s*/, '').trim()).filter(Boolean);
+  return { ingredients, steps };
+}
+
+export function meditationLines(meditation) {
+  const minutes = meditation?.durationMinutes ? `${meditation.durationMinutes} minutes` : meditation?.duration;
+  const segments = Array.isArray(meditation?.segments)
+    ? meditation.segments.map(segment => {
+      const breathing = segment.breathing
+        ? ` (breathe in ${segment.breathing.inhale}, hold ${segment.breathing.hold}, out ${segment.breathing.exhale})`
+        : '';
+      return `${segment.text}${breathing}`;
+    })
+    : [];
+  return { minutes, segments };
+}
+
+function recipeMeta(recipe) {
+  return [
+    recipe.servings && `Serves ${recipe.servings}`,
+    recipe.prepMinutes !== undefined && `Prep ${recipe.prepMinutes} min`,
+    recipe.cookMinutes !== undefined && `Cook ${recipe.cookMinutes} min`,
+    recipe.dietaryTags?.length && recipe.dietaryTags.join(', ')
+  ].filter(Boolean).join(' · ');
+}
+
+export function cardToMarkdown(card) {
+  const { experience = {} } = card;
+  const { playlist, recipe, movie, colorPalette, meditation, outfit, writing } = experience;
+  const out = [`# Vibe card: ${card.mood}`, ''];
+  if (card.createdAt) out.push(`_${new Date(card.createdAt).toLocaleDateString()}_`, '');
+
+  if (playlist) {
+    out.push(`## 🎵 ${playlist.name}`, '', playlist.description || '');
+    if (playlist.url) out.push('', `[Listen on Spotify](${playlist.url})`);
+    if (playlist.tracks?.length) {
+      out.push('', ...playlist.tracks.map((track, index) => `${index + 1}. ${track.url ? `[${track.name}](${track.url})` : track.name} - ${track.artists.join(', ')}`));
+    }
+    out.push('');
+  }
+  if (recipe) {
+    const { ingredients, steps } = recipeLines(recipe);
+    out.push(`## ✨ ${recipe.title}`, '');
+    const meta = recipeMeta(recipe);
+    if (meta) out.push(meta, '');
+    out.push('### Ingredients', '', ...ingredients.map(line => `- ${line}`), '');
+    out.push('### Instructions', '', ...steps.map((line, i) => `${i + 1}. ${line}`), '');
+  }
+  if (movie) {
+    out.push(`## 🎬 ${movie.title} (${movie.year})`, '', movie.description, '', `${movie.genre} · ${movie.streaming}`, '');
+  }
+  if (colorPalette) {
+    out.push(`## 🎨 ${colorPalette.name}`, '', ...colorPalette.colors.map(color => `- ${color.name} \`${color.hex}\``), '');
+  }
+  if (meditation) {
+    const { minutes, segments } = meditationLines(meditation);
+    out.push(`## 🧘 Mini meditation${minutes ? ` (${minutes})` : ''}`, '', meditation.prompt, '');
+    if (segments.length) out.push(...segments.map((line, i) => `${i + 1}. ${line}`), '');
+  }
+  if (outfit) {
+    out.push('## 👕 Style', '', outfit.description, '', `${outfit.style} · ${outfit.season}`);
+    if (outfit.colors?.length) out.push('', `Colors: ${outfit.colors.join(', ')}`);
+    out.push('');
+  }
+  if (writing) {
+    out.push(`## ✍️ ${writing.theme}`, '', ...String(writing.snippet).split('\n').map(line => `> ${line}`), '');
+  }
+  // Sections described only in lib/sections.js
+  for (const section of SECTIONS.filter(entry => entry.text && experience[entry.id])) {
+    const data = experience[section.id];
+    out.push(`## ${section.icon} ${section.title(data)}`, '');
+    if (section.subtitle) out.push(`_${section.subtitle(data)}_`, '');
+    out.push(section.text(data), '');
+    const details = sectionDetails(section, data);
+    if (details.length) out.push(...details.map(([label, value]) => `- **${label}:** ${value}`), '');
+  }
+  if (card.shareId && typeof window !== 'undefined') {
+    out.push('---', '', `${window.location.origin}/v/${card.shareId}`, '');
+  }
+  return out.join('\n');
+}
+
+export function cardToJson(card) {
+  return JSON.stringify({
+    mood: card.mood,
+    createdAt: card.createdAt || null,
+    shareId: card.shareId || null,
+    experience: card.experience
+  }, null, 2);
+}
+
+// Printable sheet with the parts you'd actually use away from the screen
+export function cardToPdf(card) {
+  const { recipe, meditation } = card.experience || {};
+  const blocks = [
+    { text: `Vibe card: ${card.mood}`, size: 22, bold: true },
+    { text: new Date(card.createdAt || Date.now()).toLocaleDateString(), size: 10, spaceBefore: 2 }
+  ];
+
+  if (recipe) {
+    const { ingredients, steps } = recipeLines(recipe);
+    blocks.push({ text: recipe.title, size: 16, bold: true, spaceBefore: 18 });
+    const meta = recipeMeta(recipe);
+    if (meta) blocks.push({ text: meta, size: 10, spaceBefore: 2 });
+    blocks.push({ text: 'Ingredients', size: 12, bold: true, spaceBefore: 10 });
+    ingredients.forEach(line => blocks.push({ text: `- ${line}`, indent: 8, spaceBefore: 2 }));
+    blocks.push({ text: 'Instructions', size: 12, bold: true, spaceBefore: 10 });
+    steps.forEach((line, i) => blocks.push({ text: `${i + 1}. ${line}`, indent: 8, spaceBefore: 4 }));
+  }
+
+  if (meditation) {
+    const { minutes, segments } = meditationLines(meditation);
+    blocks.push({ text: `Mini meditation${minutes ? ` (${minutes})` : ''}`, size: 16, bold: true, spaceBefore: 22 });
+    blocks.push({ text: meditation.prompt, spaceBefore: 6 });
+    segments.forEach((line, i) => blocks.push({ text: `${i + 1}. ${line}`, indent: 8, spaceBefore: 4 }));
+  }
+
+  return createTextPdf(blocks, { title: `Vibe card: ${card.mood}` });
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export async function exportCard(format, card) {
+  switch (format) {
+    case 'png': {
+      // Canvas rendering is only needed for images; load it on demand
+      const { renderCardImage } = await import('./cardImage.js');
+      return downloadBlob(await renderCardImage(card), exportFileName(card, 'png'));
+    }
+    case 'pdf':
+      return downloadBlob(new Blob([cardToPdf(card)], { type: 'application/pdf' }), exportFileName(card, 'pdf'));
+    case 'md':
+      return downloadBlob(new Blob([cardToMarkdown(card)], { type: 'text/markdown;charset=utf-8' }), exportFileName(card, 'md'));
+    case 'json':
+      return downloadBlob(new Blob([cardToJson(card)], { type: 'application/json' }), exportFileName(card, 'json'));
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
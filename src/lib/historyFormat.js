@@ -0,0 +1,149 @@
+// Vibe history entries and the JSON file used to move them between machines.
+//
+// Every entry records the schemaVersion it was saved with. Entries from older
+// versions (including the original localStorage list) are upgraded through
+// MIGRATIONS when they are loaded or imported, so a schema change only needs
+// a new migration here rather than a cleanup of everyone's saved history.
+
+import { SECTIONS } from './sections.js';
+
+export const HISTORY_SCHEMA_VERSION = 2;
+export const HISTORY_FILE_FORMAT = 'vibeform-history';
+export const HISTORY_FILE_VERSION = 1;
+
+// Sections offered by the history filters
+export const HISTORY_SECTIONS = SECTIONS.map(section => ({ value: section.id, icon: section.icon, label: `${section.icon} ${section.label}` }));
+
+// MIGRATIONS[n] upgrades an entry from version n to n + 1. When the
+// experience schema changes, add a migration that rewrites old sections.
+const MIGRATIONS = {
+  // v1: { id: Date.now(), shareId?, mood, experience, timestamp } from localStorage
+  1: (entry) => ({
+    ...entry,
+    id: String(entry.id ?? Date.parse(entry.timestamp)),
+    shareId: entry.shareId || null,
+    pinned: Boolean(entry.pinned)
+  })
+};
+
+let counter = 0;
+const newId = () => `${Date.now().toString(36)}-${(counter++).toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// `inputs` are the other request parameters of the card
+// ({ ingredients, preferences, detail, lang }) and `promptVariant` the variant
+// that wrote it (e.g. "poetic@1"), both reused when a section is rerolled
+export function createHistoryEntry({ mood, moodContext = null, inputs = null, moodInfo = null, experience, shareId = null, promptVariant = null }) {
+  return {
+    id: newId(),
+    schemaVersion: HISTORY_SCHEMA_VERSION,
+    mood,
+    moodContext,
+    inputs,
+    moodInfo,
+    experience,
+    shareId,
+    promptVariant,
+    pinned: false,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Upgrade an entry to the current version. Returns null for entries that are
+// unusable or were written by a newer version of the app.
+export function migrateEntry(raw) {
+  if (!raw || typeof raw !== 'object' || typeof raw.mood !== 'string' || !raw.experience || typeof raw.experience !== 'object') {
+    return null;
+  }
+  let version = Number.isInteger(raw.schemaVersion) ? raw.schemaVersion : 1;
+  if (version > HISTORY_SCHEMA_VERSION) return null;
+
+  let entry = raw;
+  while (version < HISTORY_SCHEMA_VERSION) {
+    entry = MIGRATIONS[version](entry);
+    version += 1;
+  }
+  const timestamp = Number.isNaN(Date.parse(entry.timestamp)) ? new Date().toISOString() : entry.timestamp;
+  return { ...entry, schemaVersion: HISTORY_SCHEMA_VERSION, timestamp };
+}
+
+export function serializeHistory(entries) {
+  return JSON.stringify({
+    format: HISTORY_FILE_FORMAT,
+    version: HISTORY_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    entries
+  }, null, 2);
+}
+
+// Parse an exported history file (or a raw copy of the old localStorage
+// list). Returns { entries, skipped } or { error }.
+export function parseHistoryFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { error: 'This file is not valid JSON.' };
+  }
+
+  let rawEntries;
+  if (Array.isArray(data)) {
+    rawEntries = data;
+  } else if (data?.format === HISTORY_FILE_FORMAT && Array.isArray(data.entries)) {
+    if (data.version > HISTORY_FILE_VERSION) {
+      return { error: 'This history was exported by a newer version of Vibeform.' };
+    }
+    rawEntries = data.entries;
+  } else {
+    return { error: 'This file is not a Vibeform history export.' };
+  }
+
+  const entries = rawEntries.map(migrateEntry).filter(Boolean);
+  return { entries, skipped: rawEntries.length - entries.length };
+}
+
+// Imported entries replace local ones with the same id
+export function mergeHistory(existing, imported) {
+  const byId = new Map(existing.map(entry => [entry.id, entry]));
+  for (const entry of imported) byId.set(entry.id, entry);
+  return [...byId.values()];
+}
+
+// Pinned first, then newest first
+export function sortHistory(entries) {
+  return [...entries].sort((a, b) => (
+    Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)) || Date.parse(b.timestamp) - Date.parse(a.timestamp)
+  ));
+}
+
+const collectText = (value) => {
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) return value.map(collectText).join(' ');
+  if (value && typeof value === 'object') return Object.values(value).map(collectText).join(' ');
+  return '';
+};
+
+// filters: { query, section, contains, from, to, pinnedOnly }. `query` matches
+// the mood or its taxonomy label ("Tired" finds "sooo sleepy"), `contains`
+// the text of `section` (or of any section). `from` and `to` are YYYY-MM-DD
+// dates, both inclusive.
+export function filterHistory(entries, { query = '', section = '', contains = '', from = '', to = '', pinnedOnly = false } = {}) {
+  const moodQuery = query.trim().toLowerCase();
+  const contentQuery = contains.trim().toLowerCase();
+  const start = from ? Date.parse(`${from}T00:00:00`) : -Infinity;
+  const end = to ? Date.parse(`${to}T23:59:59.999`) : Infinity;
+
+  return entries.filter(entry => {
+    if (pinnedOnly && !entry.pinned) return false;
+    const moods = [entry.mood, entry.moodInfo?.label || ''].map(text => text.toLowerCase());
+    if (moodQuery && !moods.some(text => text.includes(moodQuery))) return false;
+    const time = Date.parse(entry.timestamp);
+    if (time < start || time > end) return false;
+    if (section && !entry.experience[section]) return false;
+    if (contentQuery) {
+      const sections = section ? [section] : HISTORY_SECTIONS.map(option => option.value);
+      const text = sections.map(name => collectText(entry.experience[name])).join(' ').toLowerCase();
+      if (!text.includes(contentQuery)) return false;
+    }
+    return true;
+  });
+}
@@ -0,0 +1,103 @@
+// Vibe history in IndexedDB: no size cap, and it survives localStorage being
+// cleared. Falls back to localStorage where IndexedDB is unavailable (some
+// private browsing modes).
+
+import { migrateEntry } from './historyFormat.js';
+
+const DB_NAME = 'vibeform';
+const DB_VERSION = 1;
+const STORE = 'history';
+// Where history lived before IndexedDB (capped at 10 entries)
+const LEGACY_KEY = 'vibeHistory';
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(STORE, { keyPath: 'id' });
+      store.createIndex('timestamp', 'timestamp');
+    };
+    dbPromise = request(req).catch(error => {
+      console.warn('IndexedDB unavailable, keeping history in localStorage:', error);
+      return null;
+    });
+  }
+  return dbPromise;
+}
+
+const readLegacy = () => {
+  try {
+    return JSON.parse(localStorage.getItem(LEGACY_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+async function withStore(mode, run) {
+  const db = await openDb();
+  if (!db) {
+    // localStorage fallback: read, change and write back the whole list
+    const entries = readLegacy();
+    const result = run(null, entries);
+    if (mode === 'readwrite') localStorage.setItem(LEGACY_KEY, JSON.stringify(result));
+    return result;
+  }
+  const tx = db.transaction(STORE, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const [result] = await Promise.all([run(tx.objectStore(STORE)), done]);
+  return result;
+}
+
+// Load every entry, upgraded to the current schema. History from the old
+// localStorage list is moved into IndexedDB the first time.
+export async function loadHistory() {
+  const db = await openDb();
+  if (db && localStorage.getItem(LEGACY_KEY)) {
+    const legacy = readLegacy().map(migrateEntry).filter(Boolean);
+    await saveEntries(legacy);
+    localStorage.removeItem(LEGACY_KEY);
+  }
+  const entries = await withStore('readonly', (store, fallback) => (store ? request(store.getAll()) : fallback));
+  return entries.map(migrateEntry).filter(Boolean);
+}
+
+export function saveEntries(entries) {
+  return withStore('readwrite', (store, fallback) => {
+    if (!store) {
+      const ids = new Set(entries.map(entry => entry.id));
+      return [...fallback.filter(entry => !ids.has(entry.id)), ...entries];
+    }
+    entries.forEach(entry => store.put(entry));
+    return undefined;
+  });
+}
+
+export const saveEntry = (entry) => saveEntries([entry]);
+
+export function deleteEntry(id) {
+  return withStore('readwrite', (store, fallback) => {
+    if (!store) return fallback.filter(entry => entry.id !== id);
+    store.delete(id);
+    return undefined;
+  });
+}
+
+export function clearHistory() {
+  return withStore('readwrite', (store) => {
+    if (!store) return [];
+    store.clear();
+    return undefined;
+  });
+}
@@ -0,0 +1,63 @@
+// UI translations. Locale files live in src/locales/ and share the nested
+// keys of en.js; a key missing from a locale falls back to English. The
+// locale codes match the `lang` values the server accepts
+// (server/languages.js), so the picked UI language is also the card's.
+
+import en from '../locales/en.js';
+import es from '../locales/es.js';
+import fr from '../locales/fr.js';
+import de from '../locales/de.js';
+
+const STORAGE_KEY = 'vibeLocale';
+
+export const LOCALES = { en, es, fr, de };
+
+// Each language's own name, for the language picker
+export const LOCALE_NAMES = { en: 'English', es: 'Español', fr: 'Français', de: 'Deutsch' };
+
+export const DEFAULT_LOCALE = 'en';
+
+// The supported locale for a language tag such as "de-AT", or null
+export function matchLocale(tag) {
+  if (typeof tag !== 'string') return null;
+  const code = tag.toLowerCase().split(/[-_]/)[0];
+  return LOCALES[code] ? code : null;
+}
+
+// The saved choice, otherwise the browser's first supported language
+export function detectLocale(storage = globalThis.localStorage, languages = globalThis.navigator?.languages) {
+  const saved = matchLocale(storage?.getItem(STORAGE_KEY));
+  if (saved) return saved;
+  for (const language of languages || []) {
+    const locale = matchLocale(language);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
+
+export function saveLocale(locale, storage = globalThis.localStorage) {
+  storage?.setItem(STORAGE_KEY, locale);
+}
+
+function lookup(strings, key) {
+  return key.split('.').reduce((value, part) => value?.[part], strings);
+}
+
+// The string for a dotted key, e.g. translate('de', 'history.title').
+// {name} placeholders are replaced from `vars`; entries with { one, other }
+// forms are picked with the plural rules of the locale for `vars.count`.
+// Unknown keys come back as the key itself.
+export function translate(locale, key, vars = {}) {
+  let value = lookup(LOCALES[locale], key) ?? lookup(LOCALES[DEFAULT_LOCALE], key);
+  if (value && typeof value === 'object') {
+    const form = typeof vars.count === 'number' ? new Intl.PluralRules(locale).select(vars.count) : 'other';
+    value = value[form] ?? value.other;
+  }
+  if (typeof value !== 'string') return key;
+  return value.replace(/\{(\w+)\}/g, (placeholder, name) => (vars[name] ?? placeholder));
+}
+
+// translate() bound to one locale: t('history.title')
+export function createTranslator(locale) {
+  return (key, vars) => translate(locale, key, vars);
+}
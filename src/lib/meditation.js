@@ -0,0 +1,68 @@
+// Timing for the guided meditation player
+
+const DEFAULT_MINUTES = 5;
+
+// Cards saved before meditations were structured have a free-text duration
+// ("5 minutes") and a single prompt; play those as one segment.
+function legacySegments(meditation) {
+  const minutes = parseInt(meditation.duration, 10) || DEFAULT_MINUTES;
+  return {
+    minutes,
+    segments: [{ text: meditation.prompt, seconds: minutes * 60, breathing: { inhale: 4, hold: 4, exhale: 4 } }]
+  };
+}
+
+// Lay the segments out on a timeline of durationMinutes. Segment lengths are
+// scaled proportionally so the session lasts what the card promises even if
+// the model's seconds don't add up exactly.
+export function buildMeditationPlan(meditation) {
+  const { minutes, segments } = Array.isArray(meditation?.segments) && meditation.segments.length
+    ? { minutes: meditation.durationMinutes || DEFAULT_MINUTES, segments: meditation.segments }
+    : legacySegments(meditation || {});
+
+  const totalSeconds = Math.round(minutes * 60);
+  const requested = segments.reduce((sum, segment) => sum + (segment.seconds || 0), 0) || segments.length;
+
+  let start = 0;
+  const timeline = segments.map((segment, index) => {
+    const end = index === segments.length - 1
+      ? totalSeconds
+      : Math.round(start + ((segment.seconds || 1) / requested) * totalSeconds);
+    const entry = { text: segment.text, breathing: segment.breathing || null, start, seconds: end - start };
+    start = end;
+    return entry;
+  });
+
+  return { totalSeconds, segments: timeline };
+}
+
+export function segmentIndexAt(plan, elapsed) {
+  const index = plan.segments.findIndex(segment => elapsed < segment.start + segment.seconds);
+  return index === -1 ? plan.segments.length - 1 : index;
+}
+
+// Where in the inhale / hold / exhale cycle we are, `elapsed` seconds into a
+// segment. Returns { phase, length, remaining } (remaining counts down to 1).
+export function breathPhaseAt(breathing, elapsed) {
+  if (!breathing) return null;
+  const phases = [
+    ['inhale', breathing.inhale],
+    ['hold', breathing.hold],
+    ['exhale', breathing.exhale]
+  ].filter(([, length]) => length > 0);
+  const cycle = phases.reduce((sum, [, length]) => sum + length, 0);
+
+  let offset = elapsed % cycle;
+  for (const [phase, length] of phases) {
+    if (offset < length) {
+      return { phase, length, remaining: length - offset };
+    }
+    offset -= length;
+  }
+  return null;
+}
+
+export function formatClock(seconds) {
+  const safe = Math.max(0, Math.ceil(seconds));
+  return `${Math.floor(safe / 60)}:${String(safe % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,69 @@
+// Structured mood inputs shown next to the free-text mood. Not saved between
+// visits: they describe how you feel right now. The option values must match
+// server/moodContext.js.
+
+export const MOOD_SCALE_OPTIONS = [
+  { value: 'valence', label: 'Feeling', low: 'Negative', high: 'Positive', levels: ['😢', '😕', '😐', '🙂', '😄'] },
+  { value: 'energy', label: 'Energy', low: 'Drained', high: 'Buzzing', levels: ['🪫', '😴', '🚶', '⚡', '🚀'] },
+  { value: 'intensity', label: 'Intensity', low: 'Faint', high: 'Overwhelming', levels: ['·', '○', '◐', '●', '🔥'] }
+];
+
+export const TIME_OF_DAY_OPTIONS = [
+  { value: 'morning', label: 'Morning', emoji: '🌅' },
+  { value: 'afternoon', label: 'Afternoon', emoji: '☀️' },
+  { value: 'evening', label: 'Evening', emoji: '🌆' },
+  { value: 'night', label: 'Night', emoji: '🌙' }
+];
+
+export const SOCIAL_OPTIONS = [
+  { value: 'solo', label: 'Solo', emoji: '🧘' },
+  { value: 'date', label: 'Date', emoji: '💞' },
+  { value: 'party', label: 'Party', emoji: '🎉' }
+];
+
+export const WEATHER_OPTIONS = [
+  { value: 'sunny', label: 'Sunny', emoji: '☀️' },
+  { value: 'cloudy', label: 'Cloudy', emoji: '☁️' },
+  { value: 'rainy', label: 'Rainy', emoji: '🌧️' },
+  { value: 'snowy', label: 'Snowy', emoji: '❄️' },
+  { value: 'stormy', label: 'Stormy', emoji: '⛈️' },
+  { value: 'hot', label: 'Hot', emoji: '🥵' },
+  { value: 'cold', label: 'Cold', emoji: '🥶' }
+];
+
+export const EMPTY_MOOD_CONTEXT = { valence: null, energy: null, intensity: null, timeOfDay: null, social: null, weather: null };
+
+const CHOICES = { timeOfDay: TIME_OF_DAY_OPTIONS, social: SOCIAL_OPTIONS, weather: WEATHER_OPTIONS };
+
+export function countMoodContext(moodContext) {
+  return Object.values(moodContext || {}).filter(value => value !== null && value !== undefined).length;
+}
+
+// Emoji for a mood: the taxonomy's emoji from GET /api/mood/normalize
+// (`moodInfo`), otherwise a face from the valence/energy sliders
+export function moodEmoji(moodInfo, moodContext = EMPTY_MOOD_CONTEXT) {
+  if (moodInfo?.emoji) return moodInfo.emoji;
+  const { valence, energy } = moodContext || {};
+  if (valence && energy) {
+    if (valence >= 4) return energy >= 4 ? '🤩' : '😌';
+    if (valence <= 2) return energy >= 4 ? '😤' : '😔';
+    return energy >= 4 ? '⚡' : '😐';
+  }
+  if (valence) return MOOD_SCALE_OPTIONS[0].levels[valence - 1];
+  if (energy) return MOOD_SCALE_OPTIONS[1].levels[energy - 1];
+  return '';
+}
+
+// Short labels for the mood banner, e.g. ['⚡ Energy 4/5', '🌧️ Rainy'].
+// `labelOf(option)` names a scale or choice, e.g. in the UI language.
+export function describeMoodContext(moodContext, labelOf = option => option.label) {
+  if (!moodContext) return [];
+  const chips = MOOD_SCALE_OPTIONS
+    .filter(scale => moodContext[scale.value])
+    .map(scale => `${scale.levels[moodContext[scale.value] - 1]} ${labelOf(scale)} ${moodContext[scale.value]}/5`);
+  for (const [field, options] of Object.entries(CHOICES)) {
+    const option = options.find(item => item.value === moodContext[field]);
+    if (option) chips.push(`${option.emoji} ${labelOf(option)}`);
+  }
+  return chips;
+}
@@ -0,0 +1,109 @@
+// Minimal PDF writer for text-only documents, so cards can be exported as PDF
+// entirely in the browser. Uses the built-in Helvetica fonts (no embedding),
+// A4 pages and simple word wrapping.
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 56;
+
+// Helvetica has no glyph table here, so wrap with a conservative average
+// character width (as a fraction of the font size)
+const CHAR_WIDTH = { regular: 0.52, bold: 0.57 };
+
+const REPLACEMENTS = {
+  '‘': "'", '’': "'", '“': '"', '”': '"',
+  '–': '-', '—': '-', '…': '...', '•': '-',
+  '−': '-', '¼': '1/4', '½': '1/2', '¾': '3/4',
+  '⅓': '1/3', '⅔': '2/3', '⅛': '1/8'
+};
+
+// Keep what the standard fonts can show (Latin-1) and drop the rest (emoji)
+export function toPdfText(text) {
+  return Array.from(String(text ?? ''))
+    .map(char => REPLACEMENTS[char] ?? char)
+    .join('')
+    .replace(/[^\n\x20-\x7e\xa0-\xff]/g, '')
+    .replace(/[ \t]+/g, ' ');
+}
+
+const escapeString = (text) => text.replace(/[\\()]/g, '\\$&');
+
+export function wrapText(text, { size, bold = false, width = PAGE_WIDTH - 2 * MARGIN }) {
+  const maxChars = Math.max(10, Math.floor(width / (size * (bold ? CHAR_WIDTH.bold : CHAR_WIDTH.regular))));
+  const lines = [];
+  for (const paragraph of toPdfText(text).split('\n')) {
+    let line = '';
+    for (const word of paragraph.trim().split(' ')) {
+      if (!word) continue;
+      if ((line ? `${line} ${word}` : word).length <= maxChars) {
+        line = line ? `${line} ${word}` : word;
+      } else {
+        if (line) lines.push(line);
+        // Break words longer than a whole line (URLs)
+        let rest = word;
+        while (rest.length > maxChars) {
+          lines.push(rest.slice(0, maxChars));
+          rest = rest.slice(maxChars);
+        }
+        line = rest;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+// Lay out blocks ({ text, size = 11, bold, spaceBefore = 0, indent = 0 })
+// top to bottom, starting new pages as needed. Returns the PDF as bytes.
+export function createTextPdf(blocks, { title = 'Document' } = {}) {
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const { text, size = 11, bold = false, spaceBefore = 0, indent = 0 } of blocks) {
+    const leading = size * 1.35;
+    y -= spaceBefore;
+    for (const line of wrapText(text, { size, bold, width: PAGE_WIDTH - 2 * MARGIN - indent })) {
+      if (y - leading < MARGIN) {
+        pages.push([]);
+        y = PAGE_HEIGHT - MARGIN;
+      }
+      y -= leading;
+      if (line) {
+        pages[pages.length - 1].push(
+          `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${(MARGIN + indent).toFixed(2)} ${y.toFixed(2)} Td (${escapeString(line)}) Tj ET`
+        );
+      }
+    }
+  }
+
+  // Objects 1-4 are fixed; each page adds a page object and a content stream
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((_, i) => `${5 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+  ];
+  pages.forEach((commands, i) => {
+    const stream = commands.join('\n');
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + i * 2} 0 R >>`,
+      `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+    );
+  });
+  objects.push(`<< /Title (${escapeString(toPdfText(title))}) /Producer (Vibeform) >>`);
+
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = output.length;
+    output += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = output.length;
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  // Every character is Latin-1, so one character is one byte
+  return Uint8Array.from(output, char => char.charCodeAt(0));
+}
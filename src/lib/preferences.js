@@ -0,0 +1,49 @@
+// Recipe preferences, saved in this browser and sent with every request.
+// The option values must match server/preferences.js.
+
+const STORAGE_KEY = 'vibePreferences';
+
+export const DIET_OPTIONS = [
+  { value: 'vegetarian', label: 'Vegetarian' },
+  { value: 'vegan', label: 'Vegan' },
+  { value: 'gluten-free', label: 'Gluten-free' },
+  { value: 'halal', label: 'Halal' }
+];
+
+export const ALLERGY_OPTIONS = [
+  { value: 'nuts', label: 'Nuts & peanuts' },
+  { value: 'dairy', label: 'Dairy' },
+  { value: 'eggs', label: 'Eggs' },
+  { value: 'shellfish', label: 'Shellfish' }
+];
+
+export const EQUIPMENT_OPTIONS = [
+  { value: 'oven', label: 'Oven' },
+  { value: 'stovetop', label: 'Stovetop' },
+  { value: 'microwave', label: 'Microwave' },
+  { value: 'blender', label: 'Blender' },
+  { value: 'air fryer', label: 'Air fryer' },
+  { value: 'slow cooker', label: 'Slow cooker' }
+];
+
+export const COOK_TIME_OPTIONS = [15, 30, 45, 60, 90];
+
+export const DEFAULT_PREFERENCES = { diets: [], allergies: [], maxCookMinutes: null, equipment: [] };
+
+export function loadPreferences() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { ...DEFAULT_PREFERENCES, ...saved };
+  } catch {
+    return DEFAULT_PREFERENCES;
+  }
+}
+
+export function savePreferences(preferences) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+}
+
+export function countPreferences(preferences) {
+  return preferences.diets.length + preferences.allergies.length +
+    preferences.equipment.length + (preferences.maxCookMinutes ? 1 : 0);
+}
@@ -0,0 +1,107 @@
+// Servings scaling and metric/imperial conversion for structured recipes.
+// Spoon measures (tsp/tbsp) are used in both systems and never converted;
+// units we don't know (pinch, clove, "") are only scaled.
+
+const UNITS = {
+  g: { kind: 'mass', system: 'metric', base: 1 },
+  kg: { kind: 'mass', system: 'metric', base: 1000 },
+  oz: { kind: 'mass', system: 'imperial', base: 28.3495 },
+  lb: { kind: 'mass', system: 'imperial', base: 453.592 },
+  ml: { kind: 'volume', system: 'metric', base: 1 },
+  l: { kind: 'volume', system: 'metric', base: 1000 },
+  'fl oz': { kind: 'volume', system: 'imperial', base: 29.5735 },
+  cup: { kind: 'volume', system: 'imperial', base: 236.588 },
+  tsp: { kind: 'volume', base: 4.92892 },
+  tbsp: { kind: 'volume', base: 14.7868 }
+};
+
+const UNIT_ALIASES = {
+  gram: 'g', grams: 'g', gr: 'g',
+  kilogram: 'kg', kilograms: 'kg', kgs: 'kg',
+  ounce: 'oz', ounces: 'oz',
+  pound: 'lb', pounds: 'lb', lbs: 'lb',
+  milliliter: 'ml', milliliters: 'ml', millilitre: 'ml', millilitres: 'ml', mls: 'ml',
+  liter: 'l', liters: 'l', litre: 'l', litres: 'l',
+  'fluid ounce': 'fl oz', 'fluid ounces': 'fl oz', floz: 'fl oz',
+  cups: 'cup', c: 'cup',
+  teaspoon: 'tsp', teaspoons: 'tsp', tsps: 'tsp',
+  tablespoon: 'tbsp', tablespoons: 'tbsp', tbsps: 'tbsp', tbs: 'tbsp'
+};
+
+const FRACTIONS = [[0, ''], [0.125, '⅛'], [0.25, '¼'], [1 / 3, '⅓'], [0.5, '½'], [2 / 3, '⅔'], [0.75, '¾'], [1, '']];
+
+export function normalizeUnit(unit) {
+  const key = String(unit || '').toLowerCase().replace(/\./g, '').trim();
+  return UNIT_ALIASES[key] || key;
+}
+
+// The system most of the recipe's convertible ingredients are written in
+export function detectUnitSystem(ingredients = []) {
+  let metric = 0;
+  let imperial = 0;
+  for (const ingredient of ingredients) {
+    const system = UNITS[normalizeUnit(ingredient?.unit)]?.system;
+    if (system === 'metric') metric++;
+    if (system === 'imperial') imperial++;
+  }
+  return imperial > metric ? 'imperial' : 'metric';
+}
+
+// Pick a readable unit for an amount in grams or millilitres
+function toSystem(amount, kind, system) {
+  if (kind === 'mass') {
+    if (system === 'metric') return amount >= 1000 ? [amount / 1000, 'kg'] : [amount, 'g'];
+    const ounces = amount / UNITS.oz.base;
+    return ounces >= 16 ? [ounces / 16, 'lb'] : [ounces, 'oz'];
+  }
+  if (system === 'metric') return amount >= 1000 ? [amount / 1000, 'l'] : [amount, 'ml'];
+  if (amount < UNITS.tbsp.base) return [amount / UNITS.tsp.base, 'tsp'];
+  if (amount < UNITS.cup.base / 4) return [amount / UNITS.tbsp.base, 'tbsp'];
+  return [amount / UNITS.cup.base, 'cup'];
+}
+
+// Scale an ingredient by `factor` and, when `system` is given, convert it.
+// Returns a new { quantity, unit, name } object.
+export function convertIngredient(ingredient, { factor = 1, system } = {}) {
+  const unit = normalizeUnit(ingredient.unit);
+  if (typeof ingredient.quantity !== 'number') {
+    return { ...ingredient, unit };
+  }
+
+  const quantity = ingredient.quantity * factor;
+  const definition = UNITS[unit];
+  if (!system || !definition?.system || definition.system === system) {
+    return { ...ingredient, quantity, unit };
+  }
+
+  const [converted, convertedUnit] = toSystem(quantity * definition.base, definition.kind, system);
+  return { ...ingredient, quantity: converted, unit: convertedUnit };
+}
+
+// Metric amounts are rounded to sensible kitchen precision; everything else
+// is shown with common fractions (1½, ¾)
+export function formatQuantity(quantity, unit) {
+  if (typeof quantity !== 'number' || !Number.isFinite(quantity)) return '';
+
+  if (UNITS[unit]?.system === 'metric') {
+    if (unit === 'g' || unit === 'ml') {
+      const step = quantity >= 100 ? 10 : quantity >= 20 ? 5 : 1;
+      return String(Math.max(step, Math.round(quantity / step) * step));
+    }
+    return String(Math.round(quantity * 100) / 100);
+  }
+
+  let whole = Math.floor(quantity);
+  const rest = quantity - whole;
+  let [value, symbol] = FRACTIONS.reduce((best, fraction) => (
+    Math.abs(fraction[0] - rest) < Math.abs(best[0] - rest) ? fraction : best
+  ));
+  if (value === 1) whole++;
+  if (!whole && !symbol) symbol = '⅛'; // Never round a real amount down to 0
+  return `${whole || ''}${symbol}`;
+}
+
+export function formatIngredient(ingredient) {
+  const amount = formatQuantity(ingredient.quantity, ingredient.unit);
+  return [amount, ingredient.unit, ingredient.name].filter(Boolean).join(' ');
+}
@@ -0,0 +1,104 @@
+// Vibe card sections known to the frontend, in card order. The IDs must match
+// the server registry in server/sections/. Each entry has:
+//   icon, label - section picker, history filter and loading cards
+//   accent      - color bar in the history list
+//   optIn       - only generated when picked
+// Sections without their own card component (see components/sections) are
+// rendered from title / subtitle / text / details, which the exports use too.
+// subtitle and details take a translator (lib/i18n.js) for their labels;
+// the exports leave it out and get English. The UI shows the label from the
+// `sections` strings of the locale files.
+
+import { DEFAULT_LOCALE, createTranslator } from './i18n.js';
+
+const english = createTranslator(DEFAULT_LOCALE);
+
+const STORAGE_KEY = 'vibeSections';
+
+export const SECTIONS = [
+  { id: 'playlist', icon: '🎵', label: 'Playlist', accent: 'bg-purple-600' },
+  { id: 'recipe', icon: '✨', label: 'Recipe', accent: 'bg-amber-600' },
+  { id: 'movie', icon: '🎬', label: 'Movie', accent: 'bg-red-600' },
+  { id: 'colorPalette', icon: '🎨', label: 'Palette' },
+  { id: 'meditation', icon: '🧘', label: 'Meditation', accent: 'bg-green-600' },
+  { id: 'outfit', icon: '👕', label: 'Style', accent: 'bg-blue-600' },
+  { id: 'writing', icon: '✍️', label: 'Writing', accent: 'bg-pink-600' },
+  {
+    id: 'book',
+    icon: '📚',
+    label: 'Book',
+    accent: 'bg-teal-600',
+    optIn: true,
+    title: book => book.title,
+    subtitle: book => `${book.author}${book.year ? ` (${book.year})` : ''}`,
+    text: book => book.description,
+    details: (book, t = english) => [[t('card.whyItFits'), book.whyItFits]]
+  },
+  {
+    id: 'podcast',
+    icon: '🎙️',
+    label: 'Podcast',
+    accent: 'bg-indigo-600',
+    optIn: true,
+    title: podcast => podcast.title,
+    subtitle: (podcast, t = english) => t('card.hostedBy', { host: podcast.host }),
+    text: podcast => podcast.description,
+    details: (podcast, t = english) => [[t('card.episode'), podcast.episode]]
+  },
+  {
+    id: 'scent',
+    icon: '🕯️',
+    label: 'Scent',
+    accent: 'bg-fuchsia-600',
+    optIn: true,
+    title: scent => scent.name,
+    subtitle: scent => scent.notes.join(' · '),
+    text: scent => scent.description,
+    details: (scent, t = english) => [[t('card.try'), scent.suggestion]]
+  },
+  {
+    id: 'activity',
+    icon: '🚶',
+    label: 'Activity',
+    accent: 'bg-lime-600',
+    optIn: true,
+    title: activity => activity.title,
+    subtitle: (activity, t = english) => t('card.activityLength', { count: activity.durationMinutes, setting: activity.setting }),
+    text: activity => activity.description
+  }
+];
+
+export const DEFAULT_SECTIONS = SECTIONS.filter(section => !section.optIn).map(section => section.id);
+
+export function getSection(id) {
+  return SECTIONS.find(section => section.id === id);
+}
+
+// IDs of the sections an experience has, in card order
+export function sectionsOf(experience) {
+  return SECTIONS.filter(section => experience?.[section.id]).map(section => section.id);
+}
+
+// Known IDs in card order; falls back to the default card when none are left
+export function normalizeSectionChoice(ids) {
+  const known = SECTIONS.filter(section => Array.isArray(ids) && ids.includes(section.id)).map(section => section.id);
+  return known.length ? known : DEFAULT_SECTIONS;
+}
+
+// [label, value] rows with empty values left out
+export function sectionDetails(section, data, t) {
+  return (section.details?.(data, t) || []).filter(([, value]) => value);
+}
+
+// The sections picked for new cards, saved in this browser
+export function loadSectionChoice() {
+  try {
+    return normalizeSectionChoice(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+  } catch {
+    return DEFAULT_SECTIONS;
+  }
+}
+
+export function saveSectionChoice(ids) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(ids));
+}
@@ -0,0 +1,75 @@
+// Client for GET /api/experience/stream (Server-Sent Events).
+// Calls onSection(section, data) as each card arrives and resolves with
+// { experience, id, promptVariant } once the server sends `done` (id is the
+// share ID, or null if the server could not save the card).
+//
+// Errors are thrown in the same shape axios uses ({ response: { status, data, headers } })
+// so callers can keep a single error-handling path.
+
+function createHttpError(status, data, headers = {}) {
+  const error = new Error(data?.error || `Request failed with status ${status}`);
+  error.response = { status, data: data || {}, headers };
+  return error;
+}
+
+function parseEvent(rawEvent) {
+  let event = 'message';
+  const data = [];
+  for (const line of rawEvent.split('\n')) {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      data.push(line.slice(5).trimStart());
+    }
+  }
+  return { event, data: data.length ? JSON.parse(data.join('\n')) : null };
+}
+
+export async function streamExperience(params, { onSection, signal, headers } = {}) {
+  const query = new URLSearchParams(params).toString();
+  const response = await fetch(`/api/experience/stream?${query}`, {
+    headers: { Accept: 'text/event-stream', ...headers },
+    credentials: 'include',
+    signal
+  });
+
+  if (!response.ok) {
+    let data = null;
+    try {
+      data = await response.json();
+    } catch {
+      // Non-JSON error body
+    }
+    throw createHttpError(response.status, data, { 'x-request-id': response.headers.get('X-Request-Id') });
+  }
+
+  const experience = {};
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    for (const rawEvent of events) {
+      if (!rawEvent.trim()) continue;
+      const { event, data } = parseEvent(rawEvent);
+
+      if (event === 'section') {
+        experience[data.section] = data.data;
+        onSection?.(data.section, data.data);
+      } else if (event === 'error') {
+        throw createHttpError(data.status || 500, data);
+      } else if (event === 'done') {
+        return { experience, id: data.id || null, promptVariant: data.promptVariant || null };
+      }
+    }
+  }
+
+  throw createHttpError(500, { error: 'Experience stream ended unexpectedly' });
+}
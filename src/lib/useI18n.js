@@ -0,0 +1,14 @@
+import { createContext, useContext } from 'react';
+import { DEFAULT_LOCALE, createTranslator } from './i18n.js';
+
+// { locale, setLocale, t } from the nearest I18nProvider. Without one,
+// components render in English.
+export const I18nContext = createContext({
+  locale: DEFAULT_LOCALE,
+  setLocale: () => {},
+  t: createTranslator(DEFAULT_LOCALE)
+});
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
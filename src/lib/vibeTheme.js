@@ -0,0 +1,133 @@
+// Turn a card's color palette into a UI theme (CSS custom properties).
+//
+// The app stays dark: the darkest palette color becomes a deep background,
+// the most saturated one the accent. Every foreground/background pair is then
+// nudged toward white or black until it meets WCAG 2.1 contrast ratios:
+// 4.5:1 for normal text (7:1 for body text where the palette allows it) and
+// 3:1 for large text and UI components.
+
+const WHITE = [255, 255, 255];
+const BLACK = [0, 0, 0];
+
+export const CONTRAST = { text: 4.5, bodyText: 7, largeText: 3, ui: 3 };
+
+export function parseHex(hex) {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(hex || '').trim());
+  if (!match) return null;
+  const digits = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+  return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+}
+
+export function toHex(rgb) {
+  return `#${rgb.map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+}
+
+const channel = (c) => {
+  const value = c / 255;
+  return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+};
+
+export function luminance([r, g, b]) {
+  return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+}
+
+export function contrastRatio(a, b) {
+  const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+export function mix(a, b, amount) {
+  return a.map((c, i) => c + (b[i] - c) * amount);
+}
+
+// Colors end up as hex, so check ratios on the rounded values
+const round = (rgb) => rgb.map(Math.round);
+
+function saturation([r, g, b]) {
+  const max = Math.max(r, g, b) / 255;
+  const min = Math.min(r, g, b) / 255;
+  const lightness = (max + min) / 2;
+  return max === min ? 0 : (max - min) / (1 - Math.abs(2 * lightness - 1));
+}
+
+// Move `color` toward white or black, whichever contrasts more with the
+// background, just far enough to reach `ratio`
+export function ensureContrast(color, background, ratio) {
+  if (contrastRatio(round(color), background) >= ratio) return round(color);
+  const target = contrastRatio(WHITE, background) >= contrastRatio(BLACK, background) ? WHITE : BLACK;
+
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 16; i++) {
+    const middle = (low + high) / 2;
+    if (contrastRatio(round(mix(color, target, middle)), background) >= ratio) high = middle;
+    else low = middle;
+  }
+  return round(mix(color, target, high));
+}
+
+function darkenTo(color, maxLuminance) {
+  if (luminance(round(color)) <= maxLuminance) return round(color);
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 16; i++) {
+    const middle = (low + high) / 2;
+    if (luminance(round(mix(color, BLACK, middle))) <= maxLuminance) high = middle;
+    else low = middle;
+  }
+  return round(mix(color, BLACK, high));
+}
+
+const rgba = (rgb, alpha) => `rgba(${rgb.map(Math.round).join(', ')}, ${alpha})`;
+
+// Build the theme for a colorPalette section. Returns null when the palette
+// has no usable colors. `vars` is a style object of CSS custom properties.
+export function buildVibeTheme(palette) {
+  const colors = (palette?.colors || []).map(color => parseHex(color?.hex)).filter(Boolean);
+  if (!colors.length) return null;
+
+  const byLuminance = [...colors].sort((a, b) => luminance(a) - luminance(b));
+  const bySaturation = [...colors].sort((a, b) => saturation(b) - saturation(a));
+  const [accentBase, highlightBase = accentBase] = bySaturation;
+  const lightest = byLuminance[byLuminance.length - 1];
+
+  const background = darkenTo(mix(byLuminance[0], accentBase, 0.15), 0.012);
+  const surface = darkenTo(mix(mix(background, WHITE, 0.05), accentBase, 0.1), 0.03);
+
+  // Filled buttons need 3:1 against the surface and 4.5:1 against their
+  // label. Use the label that changes the palette color least; a black label
+  // always works because the fill is already light enough for 3:1.
+  const accentFill = ensureContrast(accentBase, surface, CONTRAST.ui);
+  const distance = (a, b) => a.reduce((sum, c, i) => sum + (c - b[i]) ** 2, 0);
+  const [{ label: onAccent, fill: accent }] = [WHITE, BLACK]
+    .map(label => ({ label, fill: ensureContrast(accentFill, label, CONTRAST.text) }))
+    .filter(({ fill }) => contrastRatio(fill, surface) >= CONTRAST.ui)
+    .sort((a, b) => distance(a.fill, accentFill) - distance(b.fill, accentFill));
+
+  // Surfaces are lighter than the background, so meeting a ratio against the
+  // surface also meets it against the background
+  const text = ensureContrast(mix(lightest, WHITE, 0.85), surface, CONTRAST.bodyText);
+  const muted = ensureContrast(mix(lightest, surface, 0.3), surface, CONTRAST.text);
+  const accentText = ensureContrast(accentBase, surface, CONTRAST.text);
+  const highlight = ensureContrast(highlightBase, background, CONTRAST.largeText);
+  const border = ensureContrast(mix(surface, accentBase, 0.4), surface, CONTRAST.ui);
+
+  return {
+    name: palette.name,
+    colors: { background, surface, accent, onAccent, text, muted, accentText, highlight, border },
+    vars: {
+      '--vibe-bg': toHex(background),
+      '--vibe-surface': toHex(surface),
+      '--vibe-accent': toHex(accent),
+      '--vibe-on-accent': toHex(onAccent),
+      // Hover moves away from the label color so the label stays readable
+      '--vibe-accent-hover': toHex(mix(accent, onAccent === WHITE ? BLACK : WHITE, 0.15)),
+      '--vibe-text': toHex(text),
+      '--vibe-muted': toHex(muted),
+      '--vibe-accent-text': toHex(accentText),
+      '--vibe-highlight': toHex(highlight),
+      '--vibe-border': toHex(border),
+      '--vibe-glow': rgba(accentBase, 0.35)
+    }
+  };
+}
@@ -0,0 +1,248 @@
+// German UI strings. Keys missing here fall back to English (en.js).
+export default {
+  app: {
+    tagline: 'Erlebnisse für alle Sinne aus einer einzigen Stimmung',
+    moodPlaceholder: 'Wie fühlst du dich?',
+    ingredientsPlaceholder: 'Optionale Zutaten (durch Kommas getrennt)',
+    creating: 'Deine Stimmung wird erstellt...',
+    submit: '🎵 Passendes finden',
+    descriptions: 'Beschreibungen',
+    vibeTheme: 'Stimmungsfarben anwenden',
+    feeling: 'Deine Stimmung: {mood}',
+    themedBy: '🎨 Farben: {name}',
+    copyLink: '🔗 Link zum Teilen kopieren',
+    linkCopied: '✅ Link kopiert!',
+    copyPrompt: 'Kopiere diesen Link, um deine Karte zu teilen:',
+    language: 'Sprache'
+  },
+  detail: {
+    brief: 'Kurz',
+    standard: 'Normal',
+    detailed: 'Ausführlich'
+  },
+  errors: {
+    playlist: '⚠️ Keine Playlist gefunden, aber ein Gericht können wir trotzdem vorschlagen!',
+    recipe: '⚠️ Kein Rezept gefunden, aber dafür eine tolle Playlist!',
+    general: '❌ Daten konnten nicht geladen werden',
+    invalidMood: '❌ Bitte gib eine gültige Stimmung ein',
+    invalidIngredients: '❌ Ungültiges Format der Zutaten',
+    rateLimit: '⏳ Zu viele Anfragen. Bitte versuche es in ein paar Minuten erneut.',
+    rateLimitSeconds: '⏳ Zu viele Anfragen. Bitte versuche es in {count} Sekunden erneut.',
+    rateLimitMinutes: '⏳ Zu viele Anfragen. Bitte versuche es in {count} Minuten erneut.',
+    timeout: '⌛ Die KI hat zu lange gebraucht. Bitte versuche es erneut.',
+    unauthorized: '🔒 Anmeldefehler. Bitte prüfe die API-Zugangsdaten.',
+    reference: '(Referenz: {id})'
+  },
+  history: {
+    title: '🔄 Frühere Karten',
+    export: 'Exportieren',
+    import: 'Importieren',
+    clear: 'Verlauf löschen',
+    imported: { one: '{count} Karte importiert.', other: '{count} Karten importiert.' },
+    importedSkipped: {
+      one: '{count} Karte importiert ({skipped} unlesbare übersprungen).',
+      other: '{count} Karten importiert ({skipped} unlesbare übersprungen).'
+    },
+    confirmClear: 'Alle früheren Karten löschen? Angeheftete Karten werden auch gelöscht.',
+    search: 'Stimmungen suchen...',
+    searchLabel: 'Stimmungen suchen',
+    filters: 'Filter',
+    section: 'Bereich',
+    anySection: 'Alle Bereiche',
+    containing: 'Enthält... (z. B. Kichererbse)',
+    containingLabel: 'Inhalt des Bereichs',
+    from: 'Von',
+    to: 'Bis',
+    pinnedOnly: '📌 Nur angeheftete',
+    resetFilters: 'Filter zurücksetzen',
+    noMatches: 'Keine Karte passt zu diesen Filtern.',
+    untitled: 'Stimmungskarte',
+    pin: 'Anheften',
+    unpin: 'Lösen',
+    pinMood: '{mood} anheften',
+    unpinMood: '{mood} lösen',
+    delete: 'Löschen',
+    deleteMood: '{mood} löschen'
+  },
+  sectionPicker: {
+    cards: '🧩 Karten ({count})',
+    reset: 'Zurücksetzen'
+  },
+  moodContext: {
+    title: '🎚️ Stimmung verfeinern',
+    notSet: 'Nicht gesetzt',
+    clear: 'Entfernen',
+    timeOfDay: 'Tageszeit',
+    setting: 'Situation',
+    weather: 'Wetter',
+    reset: 'Zurücksetzen',
+    options: {
+      valence: 'Gefühl',
+      energy: 'Energie',
+      intensity: 'Intensität',
+      morning: 'Morgen',
+      afternoon: 'Nachmittag',
+      evening: 'Abend',
+      night: 'Nacht',
+      solo: 'Allein',
+      date: 'Date',
+      party: 'Party',
+      sunny: 'Sonnig',
+      cloudy: 'Bewölkt',
+      rainy: 'Regnerisch',
+      snowy: 'Verschneit',
+      stormy: 'Stürmisch',
+      hot: 'Heiß',
+      cold: 'Kalt'
+    },
+    low: { valence: 'Negativ', energy: 'Erschöpft', intensity: 'Schwach' },
+    high: { valence: 'Positiv', energy: 'Aufgedreht', intensity: 'Überwältigend' }
+  },
+  preferences: {
+    title: '🥗 Ernährung & Küche',
+    diet: 'Ernährung',
+    allergies: 'Allergien',
+    allergiesHint: 'Rezepte, die diese enthalten, gehen zur Korrektur an die KI zurück. Prüfe trotzdem immer die Etiketten.',
+    maxCookTime: 'Maximale Kochzeit',
+    any: 'Egal',
+    minutes: '{count} Minuten',
+    equipment: 'Vorhandene Geräte',
+    equipmentHint: 'Leer lassen, wenn deine Küche voll ausgestattet ist.',
+    options: {
+      vegetarian: 'Vegetarisch',
+      vegan: 'Vegan',
+      'gluten-free': 'Glutenfrei',
+      halal: 'Halal',
+      nuts: 'Nüsse & Erdnüsse',
+      dairy: 'Milchprodukte',
+      eggs: 'Eier',
+      shellfish: 'Schalentiere',
+      oven: 'Backofen',
+      stovetop: 'Herd',
+      microwave: 'Mikrowelle',
+      blender: 'Mixer',
+      'air fryer': 'Heißluftfritteuse',
+      'slow cooker': 'Schongarer'
+    }
+  },
+  sections: {
+    playlist: 'Playlist',
+    recipe: 'Rezept',
+    movie: 'Film',
+    colorPalette: 'Farben',
+    meditation: 'Meditation',
+    outfit: 'Outfit',
+    writing: 'Text',
+    book: 'Buch',
+    podcast: 'Podcast',
+    scent: 'Duft',
+    activity: 'Aktivität'
+  },
+  card: {
+    showMore: 'Mehr anzeigen',
+    showLess: 'Weniger anzeigen',
+    reroll: 'Diese Karte neu erstellen',
+    rerollSection: '{section} neu erstellen',
+    genre: 'Genre',
+    theme: 'Thema',
+    streaming: 'Streaming',
+    duration: 'Dauer',
+    minutes: '{count} Minuten',
+    season: 'Jahreszeit',
+    style: 'Stil',
+    colors: 'Farben',
+    noDescription: 'Keine Beschreibung',
+    listenOnSpotify: 'Auf Spotify anhören',
+    pickedForMood: 'Für diese Stimmung ausgewählt',
+    tryAnotherPlaylist: '🔀 Andere Playlist',
+    noEmbed: 'Die Playlist-Vorschau konnte nicht angezeigt werden.',
+    meditationTitle: '🧘‍♀️ Kurze Meditation',
+    startMeditation: '▶ Geführte Sitzung starten',
+    outfitTitle: '👕 Outfit-Vorschlag',
+    writingTitle: '✍️ Kreativer Text',
+    whyItFits: 'Warum es passt',
+    hostedBy: 'Moderiert von {host}',
+    episode: 'Folge',
+    try: 'Probier',
+    activityLength: '{count} Min. · {setting}'
+  },
+  recipe: {
+    fewerServings: 'Weniger Portionen',
+    moreServings: 'Mehr Portionen',
+    servings: { one: '{count} Portion', other: '{count} Portionen' },
+    metric: 'Metrisch',
+    imperial: 'Imperial',
+    prepAndCook: 'Vorbereitung {prep} · Kochen {cook}',
+    minutes: '{count} Min.',
+    hours: '{hours} Std.',
+    hoursMinutes: '{hours} Std. {minutes} Min.',
+    startTimer: 'Timer starten',
+    resetTimer: 'Timer zurücksetzen',
+    timerDone: '⏰ Fertig!',
+    usesYour: '✓ Verwendet deine Zutaten: {items}',
+    notUsed: '✗ Nicht verwendet: {items}',
+    ingredients: 'Zutaten:',
+    instructions: 'Zubereitung:'
+  },
+  tracks: {
+    play: 'Hörprobe von {name} abspielen',
+    pause: '{name} pausieren',
+    noPreview: 'Keine Hörprobe verfügbar',
+    openInSpotify: 'In Spotify öffnen'
+  },
+  spotify: {
+    connected: 'Spotify verbunden.',
+    denied: 'Der Zugriff auf Spotify wurde nicht erlaubt.',
+    loginError: 'Spotify konnte nicht verbunden werden. Bitte versuche es erneut.',
+    saveFailed: 'Die Playlist konnte nicht gespeichert werden.',
+    connect: 'Spotify verbinden zum Speichern',
+    saved: '✅ In deinem Spotify gespeichert: {name}',
+    save: 'In Spotify speichern',
+    saving: 'Wird gespeichert...',
+    as: 'als {name}',
+    disconnect: 'Trennen'
+  },
+  feedback: {
+    like: '{section} gefällt mir',
+    likeTitle: 'Gefällt mir',
+    dislike: '{section} gefällt mir nicht',
+    dislikeTitle: 'Nichts für mich',
+    comment: '{section} kommentieren',
+    commentTitle: 'Kommentar hinzufügen',
+    notSent: 'Nicht gesendet',
+    placeholder: 'Wie fandest du es? (optional)',
+    cancel: 'Abbrechen',
+    send: 'Senden'
+  },
+  export: {
+    label: '⬇️ Exportieren:',
+    downloadAs: 'Als {format} herunterladen',
+    failed: 'Export fehlgeschlagen, bitte versuche es erneut.'
+  },
+  meditation: {
+    dialog: 'Geführte Meditation',
+    part: 'Teil {index} von {total}',
+    close: 'Meditation schließen',
+    namaste: 'Namaste 🙏',
+    breatheNaturally: 'Atme ganz natürlich',
+    complete: 'Deine Sitzung ist vorbei. Nimm dir einen Moment, bevor du weitermachst.',
+    startAgain: '↺ Noch einmal',
+    restart: 'Neu starten',
+    pause: '⏸ Pause',
+    resume: '▶ Weiter',
+    voiceOn: '🔊 Stimme an',
+    voiceOff: '🔈 Stimme aus',
+    phases: { inhale: 'Einatmen', hold: 'Halten', exhale: 'Ausatmen' }
+  },
+  shared: {
+    createYourOwn: 'Erstelle deine eigene Stimmung →',
+    someoneFeeling: 'Jemand fühlte sich: {mood}',
+    notFound: '🔍 Diese Karte gibt es nicht oder sie wurde entfernt.',
+    failed: '❌ Diese Karte konnte nicht geladen werden'
+  },
+  errorBoundary: {
+    title: 'Etwas ist schiefgelaufen',
+    message: 'Entschuldige die Unannehmlichkeiten. Bitte lade die Seite neu.',
+    refresh: 'Seite neu laden'
+  }
+};
@@ -0,0 +1,250 @@
+// English UI strings, also the fallback for keys missing from other locales.
+// {name} placeholders are filled in by translate(); { one, other } entries
+// are picked by the `count` value (see lib/i18n.js).
+export default {
+  app: {
+    tagline: 'Multi-sensory experiences from a single vibe',
+    moodPlaceholder: 'Type your mood...',
+    ingredientsPlaceholder: 'Optional ingredients (comma separated)',
+    creating: 'Creating your vibe...',
+    submit: '🎵 Get Matched',
+    descriptions: 'Descriptions',
+    vibeTheme: 'Apply Vibe Theme',
+    feeling: "You're feeling: {mood}",
+    themedBy: '🎨 Themed by {name}',
+    copyLink: '🔗 Copy share link',
+    linkCopied: '✅ Link copied!',
+    copyPrompt: 'Copy this link to share your vibe card:',
+    language: 'Language'
+  },
+  detail: {
+    brief: 'Brief',
+    standard: 'Standard',
+    detailed: 'Detailed'
+  },
+  errors: {
+    playlist: "⚠️ Couldn't find a playlist, but we can still suggest a dish!",
+    recipe: "⚠️ Couldn't find a recipe, but we found a great playlist!",
+    general: '❌ Failed to fetch data',
+    invalidMood: '❌ Please enter a valid mood',
+    invalidIngredients: '❌ Invalid ingredients format',
+    rateLimit: '⏳ Rate limit exceeded. Please try again in a few minutes.',
+    rateLimitSeconds: '⏳ Rate limit exceeded. Please try again in {count} seconds.',
+    rateLimitMinutes: '⏳ Rate limit exceeded. Please try again in {count} minutes.',
+    timeout: '⌛ The AI took too long to respond. Please try again.',
+    unauthorized: '🔒 Authentication error. Please check your API credentials.',
+    reference: '(Reference: {id})'
+  },
+  history: {
+    title: '🔄 Past Vibe Cards',
+    export: 'Export',
+    import: 'Import',
+    clear: 'Clear History',
+    imported: { one: 'Imported {count} vibe card.', other: 'Imported {count} vibe cards.' },
+    importedSkipped: {
+      one: 'Imported {count} vibe card ({skipped} unreadable skipped).',
+      other: 'Imported {count} vibe cards ({skipped} unreadable skipped).'
+    },
+    confirmClear: 'Delete all past vibe cards? Pinned cards are deleted too.',
+    search: 'Search moods...',
+    searchLabel: 'Search moods',
+    filters: 'Filters',
+    section: 'Section',
+    anySection: 'Any section',
+    containing: 'Containing... (e.g. chickpea)',
+    containingLabel: 'Section content',
+    from: 'From',
+    to: 'To',
+    pinnedOnly: '📌 Pinned only',
+    resetFilters: 'Reset filters',
+    noMatches: 'No vibe cards match these filters.',
+    untitled: 'Vibe Card',
+    pin: 'Pin',
+    unpin: 'Unpin',
+    pinMood: 'Pin {mood}',
+    unpinMood: 'Unpin {mood}',
+    delete: 'Delete',
+    deleteMood: 'Delete {mood}'
+  },
+  sectionPicker: {
+    cards: '🧩 Cards ({count})',
+    reset: 'Reset'
+  },
+  moodContext: {
+    title: '🎚️ Refine your mood',
+    notSet: 'Not set',
+    clear: 'Clear',
+    timeOfDay: 'Time of day',
+    setting: 'Setting',
+    weather: 'Weather',
+    reset: 'Reset',
+    options: {
+      valence: 'Feeling',
+      energy: 'Energy',
+      intensity: 'Intensity',
+      morning: 'Morning',
+      afternoon: 'Afternoon',
+      evening: 'Evening',
+      night: 'Night',
+      solo: 'Solo',
+      date: 'Date',
+      party: 'Party',
+      sunny: 'Sunny',
+      cloudy: 'Cloudy',
+      rainy: 'Rainy',
+      snowy: 'Snowy',
+      stormy: 'Stormy',
+      hot: 'Hot',
+      cold: 'Cold'
+    },
+    low: { valence: 'Negative', energy: 'Drained', intensity: 'Faint' },
+    high: { valence: 'Positive', energy: 'Buzzing', intensity: 'Overwhelming' }
+  },
+  preferences: {
+    title: '🥗 Diet & kitchen preferences',
+    diet: 'Diet',
+    allergies: 'Allergies',
+    allergiesHint: 'Recipes containing these are sent back to the AI to be fixed. Always double-check labels.',
+    maxCookTime: 'Max cook time',
+    any: 'Any',
+    minutes: '{count} minutes',
+    equipment: 'Available equipment',
+    equipmentHint: 'Leave empty if you have a full kitchen.',
+    options: {
+      vegetarian: 'Vegetarian',
+      vegan: 'Vegan',
+      'gluten-free': 'Gluten-free',
+      halal: 'Halal',
+      nuts: 'Nuts & peanuts',
+      dairy: 'Dairy',
+      eggs: 'Eggs',
+      shellfish: 'Shellfish',
+      oven: 'Oven',
+      stovetop: 'Stovetop',
+      microwave: 'Microwave',
+      blender: 'Blender',
+      'air fryer': 'Air fryer',
+      'slow cooker': 'Slow cooker'
+    }
+  },
+  sections: {
+    playlist: 'Playlist',
+    recipe: 'Recipe',
+    movie: 'Movie',
+    colorPalette: 'Palette',
+    meditation: 'Meditation',
+    outfit: 'Style',
+    writing: 'Writing',
+    book: 'Book',
+    podcast: 'Podcast',
+    scent: 'Scent',
+    activity: 'Activity'
+  },
+  card: {
+    showMore: 'Show More',
+    showLess: 'Show Less',
+    reroll: 'Reroll this card',
+    rerollSection: 'Reroll {section}',
+    genre: 'Genre',
+    theme: 'Theme',
+    streaming: 'Streaming',
+    duration: 'Duration',
+    minutes: '{count} minutes',
+    season: 'Season',
+    style: 'Style',
+    colors: 'Colors',
+    noDescription: 'No description',
+    listenOnSpotify: 'Listen on Spotify',
+    pickedForMood: 'Picked for this mood',
+    tryAnotherPlaylist: '🔀 Try another playlist',
+    noEmbed: 'Could not embed playlist preview.',
+    meditationTitle: '🧘‍♀️ Mini Meditation',
+    startMeditation: '▶ Start guided session',
+    outfitTitle: '👕 Style Suggestion',
+    writingTitle: '✍️ Creative Snippet',
+    whyItFits: 'Why it fits',
+    hostedBy: 'Hosted by {host}',
+    episode: 'Episode',
+    try: 'Try',
+    activityLength: '{count} min · {setting}'
+  },
+  recipe: {
+    fewerServings: 'Fewer servings',
+    moreServings: 'More servings',
+    servings: { one: '{count} serving', other: '{count} servings' },
+    metric: 'Metric',
+    imperial: 'Imperial',
+    prepAndCook: 'Prep {prep} · Cook {cook}',
+    minutes: '{count} min',
+    hours: '{hours} h',
+    hoursMinutes: '{hours} h {minutes} min',
+    startTimer: 'Start timer',
+    resetTimer: 'Reset timer',
+    timerDone: '⏰ Done!',
+    usesYour: '✓ Uses your {items}',
+    notUsed: '✗ Not used: {items}',
+    ingredients: 'Ingredients:',
+    instructions: 'Instructions:'
+  },
+  tracks: {
+    play: 'Play preview of {name}',
+    pause: 'Pause {name}',
+    noPreview: 'No preview available',
+    openInSpotify: 'Open in Spotify'
+  },
+  spotify: {
+    connected: 'Spotify connected.',
+    denied: 'Spotify access was not granted.',
+    loginError: 'Could not connect Spotify. Please try again.',
+    saveFailed: 'Could not save the playlist.',
+    connect: 'Connect Spotify to save',
+    saved: '✅ Saved to your Spotify: {name}',
+    save: 'Save to Spotify',
+    saving: 'Saving...',
+    as: 'as {name}',
+    disconnect: 'Disconnect'
+  },
+  feedback: {
+    like: 'Like this {section}',
+    likeTitle: 'I like this',
+    dislike: 'Dislike this {section}',
+    dislikeTitle: 'Not for me',
+    comment: 'Comment on this {section}',
+    commentTitle: 'Add a comment',
+    notSent: 'Not sent',
+    placeholder: 'What did you think? (optional)',
+    cancel: 'Cancel',
+    send: 'Send'
+  },
+  export: {
+    label: '⬇️ Export:',
+    downloadAs: 'Download as {format}',
+    failed: 'Export failed, please try again.'
+  },
+  meditation: {
+    dialog: 'Guided meditation',
+    part: 'Part {index} of {total}',
+    close: 'Close meditation',
+    namaste: 'Namaste 🙏',
+    breatheNaturally: 'Breathe naturally',
+    complete: 'Your session is complete. Take a moment before moving on.',
+    startAgain: '↺ Start again',
+    restart: 'Restart',
+    pause: '⏸ Pause',
+    resume: '▶ Resume',
+    voiceOn: '🔊 Voice on',
+    voiceOff: '🔈 Voice off',
+    phases: { inhale: 'Breathe in', hold: 'Hold', exhale: 'Breathe out' }
+  },
+  shared: {
+    createYourOwn: 'Create your own vibe →',
+    someoneFeeling: 'Someone was feeling: {mood}',
+    notFound: '🔍 This vibe card does not exist or has been removed.',
+    failed: '❌ Failed to load this vibe card'
+  },
+  errorBoundary: {
+    title: 'Something went wrong',
+    message: 'We apologize for the inconvenience. Please try refreshing the page.',
+    refresh: 'Refresh Page'
+  }
+};
@@ -0,0 +1,248 @@
+// Spanish UI strings. Keys missing here fall back to English (en.js).
+export default {
+  app: {
+    tagline: 'Experiencias multisensoriales a partir de una sola vibra',
+    moodPlaceholder: 'Escribe cómo te sientes...',
+    ingredientsPlaceholder: 'Ingredientes opcionales (separados por comas)',
+    creating: 'Creando tu vibra...',
+    submit: '🎵 Encuéntrame algo',
+    descriptions: 'Descripciones',
+    vibeTheme: 'Aplicar tema de la vibra',
+    feeling: 'Te sientes: {mood}',
+    themedBy: '🎨 Tema: {name}',
+    copyLink: '🔗 Copiar enlace',
+    linkCopied: '✅ ¡Enlace copiado!',
+    copyPrompt: 'Copia este enlace para compartir tu tarjeta:',
+    language: 'Idioma'
+  },
+  detail: {
+    brief: 'Breves',
+    standard: 'Normales',
+    detailed: 'Detalladas'
+  },
+  errors: {
+    playlist: '⚠️ No encontramos una playlist, ¡pero aún podemos sugerirte un plato!',
+    recipe: '⚠️ No encontramos una receta, ¡pero sí una gran playlist!',
+    general: '❌ No se pudieron cargar los datos',
+    invalidMood: '❌ Escribe un estado de ánimo válido',
+    invalidIngredients: '❌ Formato de ingredientes no válido',
+    rateLimit: '⏳ Demasiadas solicitudes. Vuelve a intentarlo en unos minutos.',
+    rateLimitSeconds: '⏳ Demasiadas solicitudes. Vuelve a intentarlo en {count} segundos.',
+    rateLimitMinutes: '⏳ Demasiadas solicitudes. Vuelve a intentarlo en {count} minutos.',
+    timeout: '⌛ La IA tardó demasiado en responder. Vuelve a intentarlo.',
+    unauthorized: '🔒 Error de autenticación. Revisa las credenciales de la API.',
+    reference: '(Referencia: {id})'
+  },
+  history: {
+    title: '🔄 Tarjetas anteriores',
+    export: 'Exportar',
+    import: 'Importar',
+    clear: 'Borrar historial',
+    imported: { one: 'Se importó {count} tarjeta.', other: 'Se importaron {count} tarjetas.' },
+    importedSkipped: {
+      one: 'Se importó {count} tarjeta ({skipped} ilegibles omitidas).',
+      other: 'Se importaron {count} tarjetas ({skipped} ilegibles omitidas).'
+    },
+    confirmClear: '¿Borrar todas las tarjetas anteriores? También se borran las fijadas.',
+    search: 'Buscar estados de ánimo...',
+    searchLabel: 'Buscar estados de ánimo',
+    filters: 'Filtros',
+    section: 'Sección',
+    anySection: 'Cualquier sección',
+    containing: 'Que contenga... (p. ej. garbanzo)',
+    containingLabel: 'Contenido de la sección',
+    from: 'Desde',
+    to: 'Hasta',
+    pinnedOnly: '📌 Solo fijadas',
+    resetFilters: 'Quitar filtros',
+    noMatches: 'Ninguna tarjeta coincide con estos filtros.',
+    untitled: 'Tarjeta de vibra',
+    pin: 'Fijar',
+    unpin: 'Desfijar',
+    pinMood: 'Fijar {mood}',
+    unpinMood: 'Desfijar {mood}',
+    delete: 'Eliminar',
+    deleteMood: 'Eliminar {mood}'
+  },
+  sectionPicker: {
+    cards: '🧩 Tarjetas ({count})',
+    reset: 'Restablecer'
+  },
+  moodContext: {
+    title: '🎚️ Afina tu estado de ánimo',
+    notSet: 'Sin definir',
+    clear: 'Quitar',
+    timeOfDay: 'Momento del día',
+    setting: 'Situación',
+    weather: 'Clima',
+    reset: 'Restablecer',
+    options: {
+      valence: 'Ánimo',
+      energy: 'Energía',
+      intensity: 'Intensidad',
+      morning: 'Mañana',
+      afternoon: 'Tarde',
+      evening: 'Atardecer',
+      night: 'Noche',
+      solo: 'A solas',
+      date: 'Cita',
+      party: 'Fiesta',
+      sunny: 'Soleado',
+      cloudy: 'Nublado',
+      rainy: 'Lluvioso',
+      snowy: 'Nevado',
+      stormy: 'Tormenta',
+      hot: 'Calor',
+      cold: 'Frío'
+    },
+    low: { valence: 'Negativo', energy: 'Agotado', intensity: 'Leve' },
+    high: { valence: 'Positivo', energy: 'A tope', intensity: 'Abrumador' }
+  },
+  preferences: {
+    title: '🥗 Dieta y cocina',
+    diet: 'Dieta',
+    allergies: 'Alergias',
+    allergiesHint: 'Las recetas que los contengan se devuelven a la IA para corregirlas. Revisa siempre las etiquetas.',
+    maxCookTime: 'Tiempo máximo de cocción',
+    any: 'Cualquiera',
+    minutes: '{count} minutos',
+    equipment: 'Equipamiento disponible',
+    equipmentHint: 'Déjalo vacío si tienes una cocina completa.',
+    options: {
+      vegetarian: 'Vegetariana',
+      vegan: 'Vegana',
+      'gluten-free': 'Sin gluten',
+      halal: 'Halal',
+      nuts: 'Frutos secos y cacahuetes',
+      dairy: 'Lácteos',
+      eggs: 'Huevos',
+      shellfish: 'Marisco',
+      oven: 'Horno',
+      stovetop: 'Fogones',
+      microwave: 'Microondas',
+      blender: 'Batidora',
+      'air fryer': 'Freidora de aire',
+      'slow cooker': 'Olla de cocción lenta'
+    }
+  },
+  sections: {
+    playlist: 'Playlist',
+    recipe: 'Receta',
+    movie: 'Película',
+    colorPalette: 'Paleta',
+    meditation: 'Meditación',
+    outfit: 'Estilo',
+    writing: 'Escritura',
+    book: 'Libro',
+    podcast: 'Pódcast',
+    scent: 'Aroma',
+    activity: 'Actividad'
+  },
+  card: {
+    showMore: 'Ver más',
+    showLess: 'Ver menos',
+    reroll: 'Generar otra',
+    rerollSection: 'Generar otra sección {section}',
+    genre: 'Género',
+    theme: 'Tema',
+    streaming: 'Dónde verla',
+    duration: 'Duración',
+    minutes: '{count} minutos',
+    season: 'Temporada',
+    style: 'Estilo',
+    colors: 'Colores',
+    noDescription: 'Sin descripción',
+    listenOnSpotify: 'Escuchar en Spotify',
+    pickedForMood: 'Elegidas para este estado de ánimo',
+    tryAnotherPlaylist: '🔀 Probar otra playlist',
+    noEmbed: 'No se pudo mostrar la vista previa de la playlist.',
+    meditationTitle: '🧘‍♀️ Mini meditación',
+    startMeditation: '▶ Empezar sesión guiada',
+    outfitTitle: '👕 Sugerencia de estilo',
+    writingTitle: '✍️ Fragmento creativo',
+    whyItFits: 'Por qué encaja',
+    hostedBy: 'Presentado por {host}',
+    episode: 'Episodio',
+    try: 'Prueba',
+    activityLength: '{count} min · {setting}'
+  },
+  recipe: {
+    fewerServings: 'Menos raciones',
+    moreServings: 'Más raciones',
+    servings: { one: '{count} ración', other: '{count} raciones' },
+    metric: 'Métrico',
+    imperial: 'Imperial',
+    prepAndCook: 'Preparación {prep} · Cocción {cook}',
+    minutes: '{count} min',
+    hours: '{hours} h',
+    hoursMinutes: '{hours} h {minutes} min',
+    startTimer: 'Iniciar temporizador',
+    resetTimer: 'Reiniciar temporizador',
+    timerDone: '⏰ ¡Listo!',
+    usesYour: '✓ Usa tus ingredientes: {items}',
+    notUsed: '✗ Sin usar: {items}',
+    ingredients: 'Ingredientes:',
+    instructions: 'Preparación:'
+  },
+  tracks: {
+    play: 'Escuchar un adelanto de {name}',
+    pause: 'Pausar {name}',
+    noPreview: 'Sin adelanto disponible',
+    openInSpotify: 'Abrir en Spotify'
+  },
+  spotify: {
+    connected: 'Spotify conectado.',
+    denied: 'No se concedió acceso a Spotify.',
+    loginError: 'No se pudo conectar Spotify. Vuelve a intentarlo.',
+    saveFailed: 'No se pudo guardar la playlist.',
+    connect: 'Conecta Spotify para guardar',
+    saved: '✅ Guardada en tu Spotify: {name}',
+    save: 'Guardar en Spotify',
+    saving: 'Guardando...',
+    as: 'como {name}',
+    disconnect: 'Desconectar'
+  },
+  feedback: {
+    like: 'Me gusta: {section}',
+    likeTitle: 'Me gusta',
+    dislike: 'No me gusta: {section}',
+    dislikeTitle: 'No es para mí',
+    comment: 'Comentar: {section}',
+    commentTitle: 'Añadir un comentario',
+    notSent: 'No enviado',
+    placeholder: '¿Qué te pareció? (opcional)',
+    cancel: 'Cancelar',
+    send: 'Enviar'
+  },
+  export: {
+    label: '⬇️ Exportar:',
+    downloadAs: 'Descargar como {format}',
+    failed: 'La exportación falló, vuelve a intentarlo.'
+  },
+  meditation: {
+    dialog: 'Meditación guiada',
+    part: 'Parte {index} de {total}',
+    close: 'Cerrar meditación',
+    namaste: 'Namasté 🙏',
+    breatheNaturally: 'Respira con naturalidad',
+    complete: 'Tu sesión ha terminado. Tómate un momento antes de seguir.',
+    startAgain: '↺ Empezar de nuevo',
+    restart: 'Reiniciar',
+    pause: '⏸ Pausa',
+    resume: '▶ Continuar',
+    voiceOn: '🔊 Voz activada',
+    voiceOff: '🔈 Voz desactivada',
+    phases: { inhale: 'Inhala', hold: 'Mantén', exhale: 'Exhala' }
+  },
+  shared: {
+    createYourOwn: 'Crea tu propia vibra →',
+    someoneFeeling: 'Alguien se sentía: {mood}',
+    notFound: '🔍 Esta tarjeta no existe o se ha eliminado.',
+    failed: '❌ No se pudo cargar esta tarjeta'
+  },
+  errorBoundary: {
+    title: 'Algo salió mal',
+    message: 'Disculpa las molestias. Prueba a recargar la página.',
+    refresh: 'Recargar página'
+  }
+};
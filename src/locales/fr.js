@@ -0,0 +1,248 @@
+// French UI strings. Keys missing here fall back to English (en.js).
+export default {
+  app: {
+    tagline: 'Des expériences multisensorielles à partir d’une seule humeur',
+    moodPlaceholder: 'Décrivez votre humeur...',
+    ingredientsPlaceholder: 'Ingrédients facultatifs (séparés par des virgules)',
+    creating: 'Création de votre ambiance...',
+    submit: '🎵 Trouver mon ambiance',
+    descriptions: 'Descriptions',
+    vibeTheme: 'Appliquer le thème de l’ambiance',
+    feeling: 'Votre humeur : {mood}',
+    themedBy: '🎨 Thème : {name}',
+    copyLink: '🔗 Copier le lien de partage',
+    linkCopied: '✅ Lien copié !',
+    copyPrompt: 'Copiez ce lien pour partager votre carte :',
+    language: 'Langue'
+  },
+  detail: {
+    brief: 'Courtes',
+    standard: 'Normales',
+    detailed: 'Détaillées'
+  },
+  errors: {
+    playlist: '⚠️ Aucune playlist trouvée, mais on peut quand même vous suggérer un plat !',
+    recipe: '⚠️ Aucune recette trouvée, mais on a trouvé une super playlist !',
+    general: '❌ Impossible de charger les données',
+    invalidMood: '❌ Veuillez saisir une humeur valide',
+    invalidIngredients: '❌ Format des ingrédients invalide',
+    rateLimit: '⏳ Trop de requêtes. Réessayez dans quelques minutes.',
+    rateLimitSeconds: '⏳ Trop de requêtes. Réessayez dans {count} secondes.',
+    rateLimitMinutes: '⏳ Trop de requêtes. Réessayez dans {count} minutes.',
+    timeout: '⌛ L’IA a mis trop de temps à répondre. Veuillez réessayer.',
+    unauthorized: '🔒 Erreur d’authentification. Vérifiez les identifiants de l’API.',
+    reference: '(Référence : {id})'
+  },
+  history: {
+    title: '🔄 Cartes précédentes',
+    export: 'Exporter',
+    import: 'Importer',
+    clear: 'Effacer l’historique',
+    imported: { one: '{count} carte importée.', other: '{count} cartes importées.' },
+    importedSkipped: {
+      one: '{count} carte importée ({skipped} illisibles ignorées).',
+      other: '{count} cartes importées ({skipped} illisibles ignorées).'
+    },
+    confirmClear: 'Supprimer toutes les cartes précédentes ? Les cartes épinglées seront aussi supprimées.',
+    search: 'Rechercher une humeur...',
+    searchLabel: 'Rechercher une humeur',
+    filters: 'Filtres',
+    section: 'Section',
+    anySection: 'Toutes les sections',
+    containing: 'Contenant... (ex. pois chiche)',
+    containingLabel: 'Contenu de la section',
+    from: 'Du',
+    to: 'Au',
+    pinnedOnly: '📌 Épinglées uniquement',
+    resetFilters: 'Réinitialiser les filtres',
+    noMatches: 'Aucune carte ne correspond à ces filtres.',
+    untitled: 'Carte d’ambiance',
+    pin: 'Épingler',
+    unpin: 'Désépingler',
+    pinMood: 'Épingler {mood}',
+    unpinMood: 'Désépingler {mood}',
+    delete: 'Supprimer',
+    deleteMood: 'Supprimer {mood}'
+  },
+  sectionPicker: {
+    cards: '🧩 Cartes ({count})',
+    reset: 'Réinitialiser'
+  },
+  moodContext: {
+    title: '🎚️ Affinez votre humeur',
+    notSet: 'Non défini',
+    clear: 'Effacer',
+    timeOfDay: 'Moment de la journée',
+    setting: 'Contexte',
+    weather: 'Météo',
+    reset: 'Réinitialiser',
+    options: {
+      valence: 'Ressenti',
+      energy: 'Énergie',
+      intensity: 'Intensité',
+      morning: 'Matin',
+      afternoon: 'Après-midi',
+      evening: 'Soirée',
+      night: 'Nuit',
+      solo: 'Seul·e',
+      date: 'Rendez-vous',
+      party: 'Fête',
+      sunny: 'Ensoleillé',
+      cloudy: 'Nuageux',
+      rainy: 'Pluvieux',
+      snowy: 'Neigeux',
+      stormy: 'Orageux',
+      hot: 'Chaud',
+      cold: 'Froid'
+    },
+    low: { valence: 'Négatif', energy: 'Épuisé', intensity: 'Faible' },
+    high: { valence: 'Positif', energy: 'Survolté', intensity: 'Débordant' }
+  },
+  preferences: {
+    title: '🥗 Régime et cuisine',
+    diet: 'Régime',
+    allergies: 'Allergies',
+    allergiesHint: 'Les recettes qui en contiennent sont renvoyées à l’IA pour être corrigées. Vérifiez toujours les étiquettes.',
+    maxCookTime: 'Temps de cuisson maximal',
+    any: 'Peu importe',
+    minutes: '{count} minutes',
+    equipment: 'Équipement disponible',
+    equipmentHint: 'Laissez vide si votre cuisine est complète.',
+    options: {
+      vegetarian: 'Végétarien',
+      vegan: 'Végan',
+      'gluten-free': 'Sans gluten',
+      halal: 'Halal',
+      nuts: 'Fruits à coque et arachides',
+      dairy: 'Produits laitiers',
+      eggs: 'Œufs',
+      shellfish: 'Crustacés',
+      oven: 'Four',
+      stovetop: 'Plaques de cuisson',
+      microwave: 'Micro-ondes',
+      blender: 'Mixeur',
+      'air fryer': 'Friteuse à air',
+      'slow cooker': 'Mijoteuse'
+    }
+  },
+  sections: {
+    playlist: 'Playlist',
+    recipe: 'Recette',
+    movie: 'Film',
+    colorPalette: 'Palette',
+    meditation: 'Méditation',
+    outfit: 'Style',
+    writing: 'Écriture',
+    book: 'Livre',
+    podcast: 'Podcast',
+    scent: 'Parfum',
+    activity: 'Activité'
+  },
+  card: {
+    showMore: 'Voir plus',
+    showLess: 'Voir moins',
+    reroll: 'Régénérer cette carte',
+    rerollSection: 'Régénérer : {section}',
+    genre: 'Genre',
+    theme: 'Thème',
+    streaming: 'Où le voir',
+    duration: 'Durée',
+    minutes: '{count} minutes',
+    season: 'Saison',
+    style: 'Style',
+    colors: 'Couleurs',
+    noDescription: 'Pas de description',
+    listenOnSpotify: 'Écouter sur Spotify',
+    pickedForMood: 'Choisis pour cette humeur',
+    tryAnotherPlaylist: '🔀 Essayer une autre playlist',
+    noEmbed: 'Impossible d’afficher l’aperçu de la playlist.',
+    meditationTitle: '🧘‍♀️ Mini méditation',
+    startMeditation: '▶ Commencer la séance guidée',
+    outfitTitle: '👕 Suggestion de style',
+    writingTitle: '✍️ Extrait créatif',
+    whyItFits: 'Pourquoi il convient',
+    hostedBy: 'Animé par {host}',
+    episode: 'Épisode',
+    try: 'Essayez',
+    activityLength: '{count} min · {setting}'
+  },
+  recipe: {
+    fewerServings: 'Moins de portions',
+    moreServings: 'Plus de portions',
+    servings: { one: '{count} portion', other: '{count} portions' },
+    metric: 'Métrique',
+    imperial: 'Impérial',
+    prepAndCook: 'Préparation {prep} · Cuisson {cook}',
+    minutes: '{count} min',
+    hours: '{hours} h',
+    hoursMinutes: '{hours} h {minutes} min',
+    startTimer: 'Lancer le minuteur',
+    resetTimer: 'Réinitialiser le minuteur',
+    timerDone: '⏰ Terminé !',
+    usesYour: '✓ Utilise vos {items}',
+    notUsed: '✗ Non utilisés : {items}',
+    ingredients: 'Ingrédients :',
+    instructions: 'Préparation :'
+  },
+  tracks: {
+    play: 'Écouter un extrait de {name}',
+    pause: 'Mettre {name} en pause',
+    noPreview: 'Pas d’extrait disponible',
+    openInSpotify: 'Ouvrir dans Spotify'
+  },
+  spotify: {
+    connected: 'Spotify connecté.',
+    denied: 'L’accès à Spotify n’a pas été accordé.',
+    loginError: 'Impossible de connecter Spotify. Veuillez réessayer.',
+    saveFailed: 'Impossible d’enregistrer la playlist.',
+    connect: 'Connecter Spotify pour enregistrer',
+    saved: '✅ Enregistrée dans votre Spotify : {name}',
+    save: 'Enregistrer dans Spotify',
+    saving: 'Enregistrement...',
+    as: 'en tant que {name}',
+    disconnect: 'Déconnecter'
+  },
+  feedback: {
+    like: 'J’aime : {section}',
+    likeTitle: 'J’aime',
+    dislike: 'Je n’aime pas : {section}',
+    dislikeTitle: 'Pas pour moi',
+    comment: 'Commenter : {section}',
+    commentTitle: 'Ajouter un commentaire',
+    notSent: 'Non envoyé',
+    placeholder: 'Qu’en avez-vous pensé ? (facultatif)',
+    cancel: 'Annuler',
+    send: 'Envoyer'
+  },
+  export: {
+    label: '⬇️ Exporter :',
+    downloadAs: 'Télécharger en {format}',
+    failed: 'L’export a échoué, veuillez réessayer.'
+  },
+  meditation: {
+    dialog: 'Méditation guidée',
+    part: 'Partie {index} sur {total}',
+    close: 'Fermer la méditation',
+    namaste: 'Namasté 🙏',
+    breatheNaturally: 'Respirez naturellement',
+    complete: 'Votre séance est terminée. Prenez un moment avant de continuer.',
+    startAgain: '↺ Recommencer',
+    restart: 'Recommencer',
+    pause: '⏸ Pause',
+    resume: '▶ Reprendre',
+    voiceOn: '🔊 Voix activée',
+    voiceOff: '🔈 Voix désactivée',
+    phases: { inhale: 'Inspirez', hold: 'Retenez', exhale: 'Expirez' }
+  },
+  shared: {
+    createYourOwn: 'Créez votre propre ambiance →',
+    someoneFeeling: 'Quelqu’un se sentait : {mood}',
+    notFound: '🔍 Cette carte n’existe pas ou a été supprimée.',
+    failed: '❌ Impossible de charger cette carte'
+  },
+  errorBoundary: {
+    title: 'Une erreur est survenue',
+    message: 'Veuillez nous excuser pour la gêne occasionnée. Essayez de recharger la page.',
+    refresh: 'Recharger la page'
+  }
+};
@@ -1,10 +1,24 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import ErrorBoundary from './components/ErrorBoundary'
+import SharedVibe from './components/SharedVibe'
+import I18nProvider from './components/I18nProvider'
 import './index.css'
 
+// /v/:id shows a saved vibe card read-only; everything else is the generator
+const sharedMatch = window.location.pathname.match(/^\/v\/([A-Za-z0-9]+)\/?$/)
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    <I18nProvider>
+      {sharedMatch ? (
+        <ErrorBoundary>
+          <SharedVibe id={sharedMatch[1]} />
+        </ErrorBoundary>
+      ) : (
+        <App />
+      )}
+    </I18nProvider>
   </React.StrictMode>,
-) 
\ No newline at end of file
+)
@@ -0,0 +1,653 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFixtureExperience } from '../server/fixtures/experience.js';
+import { LLMError } from '../server/llm/index.js';
+import { parseMoodContext } from '../server/moodContext.js';
+import { DEFAULT_SECTIONS, listSections } from '../server/sections/index.js';
+import { DEFAULT_SECTIONS as FRONTEND_DEFAULT_SECTIONS, SECTIONS as FRONTEND_SECTIONS } from '../src/lib/sections.js';
+import {
+  createFakeLLM,
+  createFakeSpotify,
+  createHttpError,
+  createSpotifyPlaylist,
+  createSpotifyTrack,
+  startApp
+} from './helpers.js';
+
+const validReply = () => JSON.stringify(createFixtureExperience('calm'));
+
+function withoutSection(section) {
+  const experience = createFixtureExperience('calm');
+  delete experience[section];
+  return JSON.stringify(experience);
+}
+
+async function getExperience(url, params) {
+  const response = await fetch(`${url}/api/experience?${new URLSearchParams(params)}`);
+  return { status: response.status, body: await response.json() };
+}
+
+describe('GET /api/experience', () => {
+  describe('request validation', () => {
+    let server;
+    let llm;
+    before(async () => {
+      llm = createFakeLLM(validReply);
+      server = await startApp({ llm });
+    });
+    after(() => server.close());
+
+    it('rejects a missing mood', async () => {
+      const { status, body } = await getExperience(server.url, {});
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Mood is required and must be a string');
+    });
+
+    it('rejects a mood longer than the classifier accepts', async () => {
+      const { status, body } = await getExperience(server.url, { mood: 'calm '.repeat(41) });
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Mood is too long');
+      assert.equal(llm.calls.length, 0);
+    });
+
+    it('rejects a repeated mood parameter', async () => {
+      const response = await fetch(`${server.url}/api/experience?mood=calm&mood=happy`);
+      assert.equal(response.status, 400);
+    });
+
+    it('rejects ingredients that are not JSON', async () => {
+      const { status, body } = await getExperience(server.url, { mood: 'calm', ingredients: 'eggs,milk' });
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Invalid ingredients format');
+    });
+
+    it('rejects ingredients that are not an array', async () => {
+      const { status, body } = await getExperience(server.url, { mood: 'calm', ingredients: '{"eggs":1}' });
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Invalid ingredients format');
+    });
+
+    it('does not call the LLM for invalid requests', () => {
+      assert.equal(llm.calls.length, 0);
+    });
+  });
+
+  describe('prompting', () => {
+    let server;
+    let llm;
+    before(async () => {
+      llm = createFakeLLM(validReply);
+      server = await startApp({
+        llm,
+        llmConfig: { maxTokens: 100, maxTokensLong: 300, repairAttempts: 0 }
+      });
+    });
+    after(() => server.close());
+
+    it('uses the brief detail level without detail or longMode, as before detail levels existed', async () => {
+      const { status } = await getExperience(server.url, { mood: 'calm', ingredients: '["eggs","milk"]' });
+      assert.equal(status, 200);
+
+      const [request] = llm.calls.slice(-1);
+      assert.equal(request.maxTokens, 100);
+      assert.match(request.messages[0].content, /Keep descriptions concise/);
+      assert.doesNotMatch(request.messages[0].content, /complete creative recipe/);
+      assert.match(request.messages[1].content, /mood: "calm" with ingredients: eggs, milk/);
+    });
+
+    it('uses the standard prompt and token limit for standard cards', async () => {
+      const { status } = await getExperience(server.url, { mood: 'calm', detail: 'standard' });
+      assert.equal(status, 200);
+
+      const [request] = llm.calls.slice(-1);
+      assert.equal(request.maxTokens, 100);
+      assert.match(request.messages[0].content, /Keep descriptions to 2-4 sentences/);
+      assert.doesNotMatch(request.messages[0].content, /Keep descriptions concise/);
+    });
+
+    it('uses the short prompt for brief cards', async () => {
+      const { status } = await getExperience(server.url, { mood: 'calm', detail: 'brief' });
+      assert.equal(status, 200);
+
+      const [request] = llm.calls.slice(-1);
+      assert.equal(request.maxTokens, 100);
+      assert.match(request.messages[0].content, /Keep descriptions concise/);
+      assert.match(request.messages[0].content, /short list of key ingredients/);
+    });
+
+    it('switches to the detailed prompt and larger token limit for detailed cards', async () => {
+      for (const query of [{ detail: 'detailed' }, { longMode: 'true' }]) {
+        const { status } = await getExperience(server.url, { mood: 'calm', ...query });
+        assert.equal(status, 200);
+
+        const [request] = llm.calls.slice(-1);
+        assert.equal(request.maxTokens, 300);
+        assert.doesNotMatch(request.messages[0].content, /Keep descriptions concise/);
+        assert.match(request.messages[0].content, /complete creative recipe/);
+      }
+    });
+
+    it('rejects an unknown detail level', async () => {
+      const calls = llm.calls.length;
+      const { status, body } = await getExperience(server.url, { mood: 'calm', detail: 'epic' });
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Invalid detail level');
+      assert.equal(llm.calls.length, calls);
+    });
+  });
+
+  describe('prompt variants', () => {
+    it('returns the assigned variant and keeps it for the session', async () => {
+      const llm = createFakeLLM(validReply);
+      const server = await startApp({ llm });
+      try {
+        const headers = { Cookie: 'vibe_sid=variant-test-session' };
+        const first = await fetch(`${server.url}/api/experience?mood=calm`, { headers });
+        const second = await fetch(`${server.url}/api/experience?mood=rainy`, { headers });
+        const { promptVariant } = await first.json();
+        assert.match(promptVariant, /^[a-z-]+@\d+$/);
+        assert.equal(first.headers.get('x-prompt-variant'), promptVariant);
+        assert.equal((await second.json()).promptVariant, promptVariant);
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('uses the requested variant', async () => {
+      const llm = createFakeLLM(validReply);
+      const server = await startApp({ llm });
+      try {
+        const { status, body } = await getExperience(server.url, { mood: 'calm', variant: 'poetic' });
+        assert.equal(status, 200);
+        assert.equal(body.promptVariant, 'poetic@1');
+        assert.match(llm.calls[0].messages[0].content, /Write the descriptions lyrically/);
+
+        const unknown = await getExperience(server.url, { mood: 'calm', variant: 'shouty' });
+        assert.equal(unknown.status, 400);
+        assert.equal(unknown.body.error, 'Invalid prompt variant');
+        assert.equal(llm.calls.length, 1);
+      } finally {
+        await server.close();
+      }
+    });
+  });
+
+  describe('language', () => {
+    it('writes the card in the requested language and searches its Spotify market', async () => {
+      const markets = [];
+      const spotify = createFakeSpotify({
+        searchPlaylists: async (query, { market }) => {
+          markets.push(market);
+          return [];
+        }
+      });
+      const llm = createFakeLLM(validReply);
+      const server = await startApp({ llm, spotify });
+      try {
+        const { status } = await getExperience(server.url, { mood: 'calm', lang: 'de-AT' });
+        assert.equal(status, 200);
+        const [system] = llm.calls[0].messages;
+        assert.match(system.content, /Write every text value of the card in German/);
+        assert.match(system.content, /preferably one of: Netflix, Prime Video, Disney\+, WOW/);
+        assert.ok(markets.length && markets.every(market => market === 'DE'));
+        assert.equal(spotify.recommendationCalls[0].market, 'DE');
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('writes English cards without a language instruction', async () => {
+      const llm = createFakeLLM(validReply);
+      const server = await startApp({ llm });
+      try {
+        await getExperience(server.url, { mood: 'calm' });
+        const [system] = llm.calls[0].messages;
+        assert.doesNotMatch(system.content, /Write every text value/);
+        assert.match(system.content, /preferably one of: Netflix, Hulu/);
+
+        const { status, body } = await getExperience(server.url, { mood: 'calm', lang: 'klingon' });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Invalid language');
+        assert.equal(llm.calls.length, 1);
+      } finally {
+        await server.close();
+      }
+    });
+  });
+
+  describe('sections', () => {
+    it('generates only the requested sections', async () => {
+      const llm = createFakeLLM(JSON.stringify(createFixtureExperience('calm', { sections: ['playlist', 'recipe', 'book'] })));
+      const server = await startApp({ llm });
+      try {
+        const { status, body } = await getExperience(server.url, { mood: 'calm', sections: 'book,recipe' });
+        assert.equal(status, 200);
+        assert.deepEqual(Object.keys(body).filter(key => !['id', 'promptVariant'].includes(key)), ['recipe', 'book']);
+
+        const [system] = llm.calls[0].messages;
+        assert.match(system.content, /"book": \{/);
+        assert.doesNotMatch(system.content, /"movie": \{/);
+        assert.match(system.content, /real, published book/);
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('repairs a missing opt-in section', async () => {
+      const withBook = createFixtureExperience('calm', { sections: ['movie', 'book'] });
+      const llm = createFakeLLM((request, call) => JSON.stringify(call === 1 ? { movie: withBook.movie } : withBook));
+      const server = await startApp({ llm });
+      try {
+        const { status, body } = await getExperience(server.url, { mood: 'calm', sections: 'movie,book' });
+        assert.equal(status, 200);
+        assert.equal(body.book.author, withBook.book.author);
+        assert.match(llm.calls[1].messages.at(-1).content, /book: missing required section/);
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('matches the frontend section list', () => {
+      assert.deepEqual(FRONTEND_SECTIONS.map(section => section.id), listSections());
+      assert.deepEqual(FRONTEND_DEFAULT_SECTIONS, DEFAULT_SECTIONS);
+    });
+
+    it('rejects unknown sections', async () => {
+      const llm = createFakeLLM(validReply);
+      const server = await startApp({ llm });
+      try {
+        const { status, body } = await getExperience(server.url, { mood: 'calm', sections: 'playlist,horoscope' });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Invalid sections');
+        assert.match(body.details, /scent/);
+        assert.equal(llm.calls.length, 0);
+      } finally {
+        await server.close();
+      }
+    });
+  });
+
+  describe('response validation', () => {
+    it('repairs a reply with a missing section', async () => {
+      const llm = createFakeLLM((request, call) => (call === 1 ? withoutSection('movie') : validReply()));
+      const server = await startApp({ llm });
+      try {
+        const { status, body } = await getExperience(server.url, { mood: 'calm' });
+        assert.equal(status, 200);
+        assert.ok(body.movie);
+        assert.equal(llm.calls.length, 2);
+        assert.match(llm.calls[1].messages.at(-1).content, /movie/);
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('returns 502 with the validation errors once repairs run out', async () => {
+      const llm = createFakeLLM(() => withoutSection('movie'));
+      const server = await startApp({
+        llm,
+        llmConfig: { maxTokens: 100, maxTokensLong: 300, repairAttempts: 1 }
+      });
+      try {
+        const { status, body } = await getExperience(server.url, { mood: 'calm' });
+        assert.equal(status, 502);
+        assert.ok(body.validationErrors.some(error => error.startsWith('movie')));
+        assert.equal(llm.calls.length, 2);
+      } finally {
+        await server.close();
+      }
+    });
+  });
+
+  describe('dietary preferences', () => {
+    const nutAllergy = JSON.stringify({ allergies: ['nuts'], maxCookMinutes: 30 });
+
+    function withRecipeIngredient(name) {
+      const experience = createFixtureExperience('calm');
+      experience.recipe.ingredients.push({ quantity: 50, unit: 'g', name });
+      return JSON.stringify(experience);
+    }
+
+    it('rejects unknown preferences', async () => {
+      const server = await startApp();
+      try {
+        const { status, body } = await getExperience(server.url, { mood: 'calm', preferences: '{"allergies":["kryptonite"]}' });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Invalid preferences format');
+        assert.match(body.details, /kryptonite/);
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('puts the preferences into the prompt as hard constraints', async () => {
+      const llm = createFakeLLM(validReply);
+      const server = await startApp({ llm });
+      try {
+        await getExperience(server.url, { mood: 'calm', preferences: nutAllergy });
+        const [system] = llm.calls[0].messages;
+        assert.match(system.content, /hard constraints/);
+        assert.match(system.content, /allergic to nuts/);
+        assert.match(system.content, /cookMinutes must be 30 or less/);
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('repairs a recipe that contains an allergen', async () => {
+      const llm = createFakeLLM((request, call) => (call === 1 ? withRecipeIngredient('toasted almonds') : withRecipeIngredient('nutmeg')));
+      const server = await startApp({ llm });
+      try {
+        const { status, body } = await getExperience(server.url, { mood: 'calm', preferences: nutAllergy });
+        assert.equal(status, 200);
+        assert.equal(body.recipe.ingredients.at(-1).name, 'nutmeg');
+        assert.match(llm.calls[1].messages.at(-1).content, /"toasted almonds" contains almonds/);
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('repairs an allergen in a card written in another language', async () => {
+      const llm = createFakeLLM((request, call) => (call === 1 ? withRecipeIngredient('gehackte Walnüsse') : withRecipeIngredient('Sonnenblumenkerne')));
+      const server = await startApp({ llm });
+      try {
+        const { status, body } = await getExperience(server.url, { mood: 'calm', lang: 'de', preferences: nutAllergy });
+        assert.equal(status, 200);
+        assert.equal(body.recipe.ingredients.at(-1).name, 'Sonnenblumenkerne');
+        assert.match(llm.calls[1].messages.at(-1).content, /"gehackte Walnüsse" contains walnusse/);
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('never returns a recipe that still conflicts after the repairs', async () => {
+      const llm = createFakeLLM(() => withRecipeIngredient('peanut butter'));
+      const server = await startApp({ llm });
+      try {
+        const { status } = await getExperience(server.url, { mood: 'calm', preferences: nutAllergy });
+        assert.equal(status, 502);
+      } finally {
+        await server.close();
+      }
+    });
+  });
+
+  describe('mood context', () => {
+    const rainyNight = JSON.stringify({ valence: 2, energy: 1, timeOfDay: 'night', social: 'solo', weather: 'rainy' });
+
+    it('rejects an invalid mood context', async () => {
+      const server = await startApp();
+      try {
+        const { status, body } = await getExperience(server.url, { mood: 'calm', moodContext: '{"energy":9,"weather":"foggy"}' });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Invalid mood context format');
+        assert.match(body.details, /energy must be a whole number between 1 and 5/);
+        assert.match(body.details, /weather must be one of/);
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('accepts levels as numbers or digit strings only', () => {
+      assert.equal(parseMoodContext({ energy: 3, valence: '4' }).moodContext.valence, 4);
+      for (const energy of [true, '0x3', ' 3 ', '3.0', [3]]) {
+        assert.ok(parseMoodContext({ energy }).error, JSON.stringify(energy));
+      }
+    });
+
+    it('describes the mood context in the prompt', async () => {
+      const llm = createFakeLLM(validReply);
+      const server = await startApp({ llm });
+      try {
+        await getExperience(server.url, { mood: 'calm', moodContext: rainyNight });
+        const user = llm.calls[0].messages.at(-1).content;
+        assert.match(user, /Valence: somewhat negative \(2\/5\)/);
+        assert.match(user, /Energy: drained \(1\/5\)/);
+        assert.match(user, /Time of day: night/);
+        assert.match(user, /Setting: on their own/);
+        assert.match(user, /Weather: rainy/);
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('searches Spotify with the mood context', async () => {
+      const queries = [];
+      const spotify = createFakeSpotify({
+        searchPlaylists: async (query) => {
+          queries.push(query);
+          return [createSpotifyPlaylist('p1', 'Calm Rainy Day')];
+        }
+      });
+      const server = await startApp({ spotify });
+      try {
+        await getExperience(server.url, { mood: 'calm', moodContext: rainyNight });
+        assert.ok(queries.includes('calm solo playlist'));
+        assert.ok(queries.includes('calm sleepy playlist'));
+        assert.ok(!queries.includes('calm playlist'));
+      } finally {
+        await server.close();
+      }
+    });
+  });
+
+  describe('Spotify playlist', () => {
+    it('overlays the best matching Spotify playlist', async () => {
+      const spotify = createFakeSpotify({
+        playlists: [createSpotifyPlaylist('abc123', 'Calm Evenings')]
+      });
+      const server = await startApp({ spotify });
+      try {
+        const { status, body } = await getExperience(server.url, { mood: 'calm' });
+        assert.equal(status, 200);
+        assert.equal(body.playlist.name, 'Calm Evenings');
+        assert.equal(body.playlist.url, 'https://open.spotify.com/playlist/abc123');
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('falls back to the AI playlist when Spotify fails', async () => {
+      const spotify = createFakeSpotify({
+        getToken: async () => {
+          throw createHttpError(503);
+        }
+      });
+      const server = await startApp({ llm: createFakeLLM(validReply), spotify });
+      try {
+        const { status, body } = await getExperience(server.url, { mood: 'calm' });
+        assert.equal(status, 200);
+        assert.equal(body.playlist.name, createFixtureExperience('calm').playlist.name);
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('drops a playlist URL made up by the model when nothing is found', async () => {
+      const experience = createFixtureExperience('calm');
+      experience.playlist.url = 'https://open.spotify.com/playlist/madeup';
+      const server = await startApp({ llm: createFakeLLM(JSON.stringify(experience)), spotify: createFakeSpotify() });
+      try {
+        const { status, body } = await getExperience(server.url, { mood: 'calm' });
+        assert.equal(status, 200);
+        assert.equal(body.playlist.name, experience.playlist.name);
+        assert.equal(body.playlist.url, '');
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('adds recommended tracks with previews', async () => {
+      const spotify = createFakeSpotify({
+        tracks: [createSpotifyTrack('t1', 'Slow Rivers'), createSpotifyTrack('t2', 'Late Letters', { preview_url: null })]
+      });
+      const server = await startApp({ spotify });
+      try {
+        const { status, body } = await getExperience(server.url, { mood: 'calm' });
+        assert.equal(status, 200);
+        assert.deepEqual(body.playlist.tracks.map(track => [track.name, track.previewUrl]), [
+          ['Slow Rivers', 'https://p.scdn.co/mp3-preview/t1'],
+          ['Late Letters', null]
+        ]);
+        assert.deepEqual(spotify.recommendationCalls[0].seedGenres, body.playlist.audioProfile.seedGenres);
+        assert.ok(body.playlist.audioProfile.targets.energy < 0.5);
+      } finally {
+        await server.close();
+      }
+    });
+  });
+
+  describe('upstream errors', () => {
+    const cases = [
+      ['401 from the LLM', () => { throw createHttpError(401); }, 401, /Unauthorized/],
+      ['429 from the LLM', () => { throw createHttpError(429); }, 429, /Rate limit exceeded/],
+      ['an LLM provider error', () => { throw new LLMError('boom', { provider: 'fake' }); }, 500, /Failed to generate experience/],
+      ['an unexpected error', () => { throw new Error('boom'); }, 500, /Failed to fetch experience/],
+      ['a timeout', () => { throw Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }); }, 504, /took too long/]
+    ];
+
+    for (const [name, reply, expectedStatus, expectedError] of cases) {
+      it(`maps ${name} to ${expectedStatus}`, async () => {
+        const server = await startApp({ llm: createFakeLLM(reply) });
+        try {
+          const { status, body } = await getExperience(server.url, { mood: 'calm' });
+          assert.equal(status, expectedStatus);
+          assert.match(body.error, expectedError);
+        } finally {
+          await server.close();
+        }
+      });
+    }
+  });
+
+  it('marks which of the user\'s ingredients the recipe uses', async () => {
+    const server = await startApp({ llm: createFakeLLM(validReply) });
+    try {
+      const ingredients = JSON.stringify([...createFixtureExperience('calm').recipe.ingredients.slice(0, 1).map(i => i.name), 'dragon fruit']);
+      const { body } = await getExperience(server.url, { mood: 'calm', ingredients });
+      assert.equal(body.recipe.usedIngredients.length, 1);
+      assert.deepEqual(body.recipe.unusedIngredients, ['dragon fruit']);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('saves the card so it can be fetched by its share ID', async () => {
+    const server = await startApp({ llm: createFakeLLM(validReply) });
+    try {
+      const { body } = await getExperience(server.url, { mood: 'calm' });
+      const response = await fetch(`${server.url}/api/experience/${body.id}`);
+      assert.equal(response.status, 200);
+      const saved = await response.json();
+      assert.equal(saved.mood, 'calm');
+      assert.deepEqual(saved.experience.recipe, body.recipe);
+
+      const missing = await fetch(`${server.url}/api/experience/zzzzzzzz`);
+      assert.equal(missing.status, 404);
+    } finally {
+      await server.close();
+    }
+  });
+});
+
+describe('GET /api/experience/stream', () => {
+  it('sends one section event per card and a done event', async () => {
+    const server = await startApp({ llm: createFakeLLM(validReply) });
+    try {
+      const response = await fetch(`${server.url}/api/experience/stream?mood=calm`);
+      assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+      const text = await response.text();
+      const events = text.split('\n\n').filter(Boolean).map(raw => raw.split('\n')[0]);
+      assert.equal(events.filter(event => event === 'event: section').length, 7);
+      assert.equal(events.at(-1), 'event: done');
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('streams only the requested sections', async () => {
+    const server = await startApp({ llm: createFakeLLM(JSON.stringify(createFixtureExperience('calm', { sections: ['scent', 'activity', 'writing'] }))) });
+    try {
+      const text = await (await fetch(`${server.url}/api/experience/stream?mood=calm&sections=scent,activity&variant=concise`)).text();
+      const done = JSON.parse(text.match(/event: done\ndata: (.*)/)[1]);
+      assert.deepEqual(done.sections.sort(), ['activity', 'scent']);
+      assert.equal(done.promptVariant, 'concise@1');
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('reports upstream errors as an error event', async () => {
+    const server = await startApp({ llm: createFakeLLM(() => { throw createHttpError(429); }) });
+    try {
+      const text = await (await fetch(`${server.url}/api/experience/stream?mood=calm`)).text();
+      assert.match(text, /event: error\ndata: \{"status":429/);
+    } finally {
+      await server.close();
+    }
+  });
+});
+
+describe('POST /api/experience/section', () => {
+  const post = (url, body) => fetch(`${url}/api/experience/section`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  it('rejects an unknown section', async () => {
+    const server = await startApp();
+    try {
+      const response = await post(server.url, { mood: 'calm', section: 'horoscope', experience: {} });
+      assert.equal(response.status, 400);
+      assert.equal((await response.json()).error, 'Invalid section');
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('rejects a mood that is too long', async () => {
+    const server = await startApp();
+    try {
+      const response = await post(server.url, { mood: 'x'.repeat(201), section: 'movie', experience: {} });
+      assert.equal(response.status, 400);
+      assert.equal((await response.json()).error, 'Mood is too long');
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('regenerates only the requested section', async () => {
+    const experience = createFixtureExperience('calm');
+    const movie = { ...experience.movie, title: 'Another Movie' };
+    const llm = createFakeLLM(JSON.stringify({ movie }));
+    const server = await startApp({ llm });
+    try {
+      const response = await post(server.url, { mood: 'calm', section: 'movie', experience, detail: 'detailed', variant: 'kid-friendly' });
+      assert.equal(response.status, 200);
+      const body = await response.json();
+      assert.equal(body.section, 'movie');
+      assert.equal(body.data.title, 'Another Movie');
+      assert.equal(body.promptVariant, 'kid-friendly@1');
+      const [system] = llm.calls[0].messages;
+      assert.match(system.content, /fresh "movie" section/);
+      assert.match(system.content, /deep explanation of why this movie fits/);
+      assert.match(system.content, /The card is for a child/);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('uses the token limit of the detail level', async () => {
+    const experience = createFixtureExperience('calm');
+    const llm = createFakeLLM(JSON.stringify({ movie: experience.movie }));
+    const server = await startApp({ llm, llmConfig: { maxTokens: 100, maxTokensLong: 300, repairAttempts: 0 } });
+    try {
+      assert.equal((await post(server.url, { mood: 'calm', section: 'movie', experience, detail: 'detailed' })).status, 200);
+      assert.equal((await post(server.url, { mood: 'calm', section: 'movie', experience, detail: 'brief' })).status, 200);
+      assert.deepEqual(llm.calls.map(call => call.maxTokens), [300, 100]);
+    } finally {
+      await server.close();
+    }
+  });
+});
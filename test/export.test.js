@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFixtureExperience } from '../server/fixtures/experience.js';
+import { cardToJson, cardToMarkdown, cardToPdf, exportFileName } from '../src/lib/exportCard.js';
+import { createTextPdf, toPdfText, wrapText } from '../src/lib/pdf.js';
+
+const card = {
+  mood: 'Cozy Rain',
+  createdAt: '2024-11-02T18:30:00.000Z',
+  experience: createFixtureExperience('cozy')
+};
+
+const pdfText = (bytes) => Buffer.from(bytes).toString('latin1');
+
+describe('cardToMarkdown', () => {
+  it('includes every section', () => {
+    const markdown = cardToMarkdown(card);
+    const { recipe, movie, colorPalette, writing } = card.experience;
+
+    assert.match(markdown, /^# Vibe card: Cozy Rain/);
+    for (const heading of ['🎵', '✨', '🎬', '🎨', '🧘', '👕', '✍️']) {
+      assert.ok(markdown.includes(`## ${heading}`), `missing ${heading} section`);
+    }
+    assert.ok(markdown.includes(recipe.title));
+    assert.ok(markdown.includes(`### Ingredients`));
+    assert.ok(markdown.includes(`1. ${recipe.steps[0].text}`));
+    assert.ok(markdown.includes(`(${movie.year})`));
+    assert.ok(markdown.includes(`\`${colorPalette.colors[0].hex}\``));
+    assert.ok(markdown.includes(`> ${writing.snippet}`));
+  });
+
+  it('includes opt-in sections', () => {
+    const experience = createFixtureExperience('calm', { sections: ['book', 'activity'] });
+    const markdown = cardToMarkdown({ mood: 'calm', experience });
+
+    assert.ok(markdown.includes(`## 📚 ${experience.book.title}`));
+    assert.ok(markdown.includes(`- **Why it fits:** ${experience.book.whyItFits}`));
+    assert.ok(markdown.includes(`## 🚶 ${experience.activity.title}`));
+    assert.ok(markdown.includes(`_${experience.activity.durationMinutes} min · ${experience.activity.setting}_`));
+  });
+
+  it('handles cards saved before recipes were structured', () => {
+    const markdown = cardToMarkdown({
+      mood: 'old',
+      experience: {
+        recipe: { title: 'Toast', ingredients: ['2 slices bread', 'butter'], instructions: '1. Toast the bread.\n2. Butter it.' }
+      }
+    });
+    assert.ok(markdown.includes('- 2 slices bread'));
+    assert.ok(markdown.includes('1. Toast the bread.\n2. Butter it.'));
+  });
+});
+
+describe('cardToJson', () => {
+  it('round-trips the card', () => {
+    const parsed = JSON.parse(cardToJson(card));
+    assert.equal(parsed.mood, card.mood);
+    assert.equal(parsed.shareId, null);
+    assert.deepEqual(parsed.experience, card.experience);
+  });
+});
+
+describe('exportFileName', () => {
+  it('slugs the mood and dates the file', () => {
+    assert.equal(exportFileName(card, 'md'), 'vibe-cozy-rain-2024-11-02.md');
+    assert.match(exportFileName({ mood: '✨✨' }, 'png'), /^vibe-vibe-\d{4}-\d{2}-\d{2}\.png$/);
+  });
+});
+
+describe('PDF export', () => {
+  it('writes a valid single-page document with the recipe and meditation', () => {
+    const text = pdfText(cardToPdf(card));
+
+    assert.match(text, /^%PDF-1\.4\n/);
+    assert.match(text, /\/Count 1 /);
+    assert.match(text, /%%EOF\n$/);
+    assert.ok(text.includes(`(${card.experience.recipe.title}) Tj`));
+    assert.ok(text.includes('(Mini meditation \\('));
+
+    // The xref offset must point at the xref table
+    const startxref = Number(/startxref\n(\d+)/.exec(text)[1]);
+    assert.equal(text.slice(startxref, startxref + 4), 'xref');
+  });
+
+  it('escapes parentheses and drops characters the fonts cannot show', () => {
+    const text = pdfText(createTextPdf([{ text: 'Stir (gently) 🍲 — café' }]));
+    assert.ok(text.includes('(Stir \\(gently\\) - café) Tj'));
+    assert.equal(toPdfText('“½ cup” 🌧️'), '"1/2 cup" ');
+  });
+
+  it('starts new pages for long content', () => {
+    const blocks = Array.from({ length: 120 }, (_, i) => ({ text: `Line ${i}` }));
+    assert.match(pdfText(createTextPdf(blocks)), /\/Count 3 /);
+  });
+
+  it('wraps long lines and breaks long words', () => {
+    const lines = wrapText(`${'word '.repeat(40)}${'x'.repeat(200)}`, { size: 11 });
+    assert.ok(lines.length > 3);
+    assert.ok(lines.every(line => line.length <= 84));
+  });
+});
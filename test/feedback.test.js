@@ -0,0 +1,93 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeFeedback } from '../server/feedbackStore.js';
+import { createFakeLLM, startApp } from './helpers.js';
+
+const postFeedback = (url, body, cookie) => fetch(`${url}/api/feedback`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...(cookie && { Cookie: cookie }) },
+  body: JSON.stringify(body)
+});
+
+const getSummary = async (url) => (await fetch(`${url}/api/feedback/summary`)).json();
+
+describe('summarizeFeedback', () => {
+  it('groups satisfaction by section, mood cluster, model and variant', () => {
+    const summary = summarizeFeedback([
+      { section: 'recipe', rating: 'up', moodCluster: 'calm', model: 'm1', promptVariant: 'poetic@1' },
+      { section: 'recipe', rating: 'down', moodCluster: 'calm', model: 'm1', promptVariant: 'default@1', comment: 'Too salty' },
+      { section: 'movie', rating: 'up', moodCluster: null, model: 'm2', promptVariant: 'poetic@1' }
+    ]);
+    assert.deepEqual(summary.overall, { up: 2, down: 1, total: 3, comments: 1, satisfaction: 0.67 });
+    assert.deepEqual(summary.bySection.recipe, { up: 1, down: 1, total: 2, comments: 1, satisfaction: 0.5 });
+    assert.equal(summary.byMoodCluster.unknown.total, 1);
+    assert.equal(summary.byModel.m2.satisfaction, 1);
+    assert.equal(summary.byPromptVariant['poetic@1'].up, 2);
+  });
+});
+
+describe('/api/feedback', () => {
+  let server;
+  let card;
+  before(async () => {
+    server = await startApp({ llm: createFakeLLM() });
+    const response = await fetch(`${server.url}/api/experience?mood=${encodeURIComponent('feeling calm')}&sections=recipe,movie&variant=poetic`);
+    card = await response.json();
+  });
+  after(() => server.close());
+
+  it('records a vote with the mood, prompt variant and model of the card', async () => {
+    const response = await postFeedback(server.url, { experienceId: card.id, section: 'recipe', rating: 'up', comment: ' Lovely ' });
+    assert.equal(response.status, 201);
+    const body = await response.json();
+    assert.equal(body.rating, 'up');
+    assert.equal(body.comment, 'Lovely');
+
+    const summary = await getSummary(server.url);
+    assert.equal(summary.bySection.recipe.up, 1);
+    assert.equal(summary.byMoodCluster.calm.total, 1);
+    assert.equal(summary.byModel['fake-model'].total, 1);
+    assert.equal(summary.byPromptVariant['poetic@1'].comments, 1);
+  });
+
+  it('replaces the earlier vote from the same visitor', async () => {
+    const cookie = 'vibe_sid=feedback-test-session';
+    await postFeedback(server.url, { experienceId: card.id, section: 'movie', rating: 'up' }, cookie);
+    await postFeedback(server.url, { experienceId: card.id, section: 'movie', rating: 'down' }, cookie);
+
+    const { bySection } = await getSummary(server.url);
+    assert.deepEqual(bySection.movie, { up: 0, down: 1, total: 1, comments: 0, satisfaction: 0 });
+  });
+
+  it('credits a rerolled section to the variant that rewrote it', async () => {
+    const rerolled = await fetch(`${server.url}/api/experience/section`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ mood: 'feeling calm', section: 'movie', experience: { recipe: card.recipe, movie: card.movie }, id: card.id, variant: 'kid-friendly' })
+    }).then(response => response.json());
+    const votes = async () => {
+      const { byPromptVariant } = await getSummary(server.url);
+      return [byPromptVariant['poetic@1']?.total || 0, byPromptVariant['kid-friendly@1']?.total || 0];
+    };
+
+    const [poetic, kidFriendly] = await votes();
+    await postFeedback(server.url, { experienceId: rerolled.id, section: 'recipe', rating: 'up' }, 'vibe_sid=reroll-credit-session');
+    await postFeedback(server.url, { experienceId: rerolled.id, section: 'movie', rating: 'up' }, 'vibe_sid=reroll-credit-session');
+    assert.deepEqual(await votes(), [poetic + 1, kidFriendly + 1]);
+  });
+
+  it('rejects invalid votes', async () => {
+    const cases = [
+      [{ experienceId: card.id, section: 'recipe', rating: 'meh' }, 400, 'Invalid rating'],
+      [{ experienceId: card.id, section: 'horoscope', rating: 'up' }, 400, 'Invalid section'],
+      [{ experienceId: card.id, section: 'playlist', rating: 'up' }, 400, 'Invalid section'],
+      [{ experienceId: card.id, section: 'recipe', rating: 'up', comment: 'x'.repeat(501) }, 400, 'Invalid comment'],
+      [{ experienceId: 'zzzzzzzz', section: 'recipe', rating: 'up' }, 404, 'Vibe card not found']
+    ];
+    for (const [body, status, error] of cases) {
+      const response = await postFeedback(server.url, body);
+      assert.equal(response.status, status, JSON.stringify(body));
+      assert.equal((await response.json()).error, error);
+    }
+  });
+});
@@ -0,0 +1,117 @@
+import process from 'process';
+import { createApp } from '../server/app.js';
+import { createExperienceStore } from '../server/experienceStore.js';
+import { createFeedbackStore } from '../server/feedbackStore.js';
+import { createFixtureExperience } from '../server/fixtures/experience.js';
+
+// The server logs every request and error; keep test output readable unless
+// TEST_VERBOSE is set
+if (!process.env.TEST_VERBOSE) {
+  console.log = () => {};
+  console.error = () => {};
+}
+
+// Error shaped like an axios upstream failure
+export function createHttpError(status, message = `Request failed with status code ${status}`) {
+  const error = new Error(message);
+  error.response = { status, data: {} };
+  return error;
+}
+
+// LLM provider double. `reply` is a string, or a function of the request that
+// returns (or throws) the reply. Every request is recorded in `calls`.
+export function createFakeLLM(reply = () => JSON.stringify(createFixtureExperience('calm'))) {
+  const calls = [];
+  const respond = async request => {
+    calls.push(request);
+    return typeof reply === 'function' ? reply(request, calls.length) : reply;
+  };
+  return {
+    name: 'fake',
+    model: 'fake-model',
+    calls,
+    complete: respond,
+    async stream({ onToken, ...request }) {
+      const content = await respond(request);
+      onToken?.(content);
+      return content;
+    }
+  };
+}
+
+export function createSpotifyPlaylist(id, name, overrides = {}) {
+  return {
+    id,
+    name,
+    description: `${name} description`,
+    external_urls: { spotify: `https://open.spotify.com/playlist/${id}` },
+    images: [],
+    owner: { id: 'someone' },
+    tracks: { total: 40 },
+    ...overrides
+  };
+}
+
+export function createSpotifyTrack(id, name, overrides = {}) {
+  return {
+    id,
+    name,
+    artists: [{ name: 'Some Artist' }],
+    album: { name: `${name} (Single)`, images: [] },
+    duration_ms: 200000,
+    preview_url: `https://p.scdn.co/mp3-preview/${id}`,
+    external_urls: { spotify: `https://open.spotify.com/track/${id}` },
+    ...overrides
+  };
+}
+
+// Spotify client double returning `playlists` for every search and `tracks`
+// for every recommendation. Recommendation requests are kept in
+// `recommendationCalls`.
+export function createFakeSpotify({ playlists = [], tracks = [], getToken, searchPlaylists, getRecommendations } = {}) {
+  const recommendationCalls = [];
+  return {
+    recommendationCalls,
+    getToken: getToken || (async () => 'token'),
+    searchPlaylists: searchPlaylists || (async () => playlists),
+    searchTracks: async () => tracks,
+    getRecommendations: getRecommendations || (async request => {
+      recommendationCalls.push(request);
+      return tracks;
+    }),
+    stats: () => ({ fake: true })
+  };
+}
+
+// In-memory stand-in for jsonStore
+export function createMemoryStore() {
+  const records = new Map();
+  return {
+    async get(id) { return records.get(id) || null; },
+    async has(id) { return records.has(id); },
+    async put(id, value) { records.set(id, value); },
+    async values() { return [...records.values()]; }
+  };
+}
+
+export function createMemoryExperienceStore() {
+  return createExperienceStore(createMemoryStore());
+}
+
+// Start the app on a random port. Returns { url, close }.
+export async function startApp(options = {}) {
+  const app = createApp({
+    llm: createFakeLLM(),
+    spotify: createFakeSpotify(),
+    experienceStore: createMemoryExperienceStore(),
+    feedbackStore: createFeedbackStore(createMemoryStore()),
+    ...options
+  });
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
@@ -0,0 +1,124 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFixtureExperience } from '../server/fixtures/experience.js';
+import {
+  HISTORY_SCHEMA_VERSION,
+  createHistoryEntry,
+  filterHistory,
+  mergeHistory,
+  migrateEntry,
+  parseHistoryFile,
+  serializeHistory,
+  sortHistory
+} from '../src/lib/historyFormat.js';
+
+const entry = (mood, timestamp, changes = {}) => ({
+  ...createHistoryEntry({ mood, experience: createFixtureExperience(mood) }),
+  timestamp,
+  ...changes
+});
+
+// What App.jsx used to keep in localStorage
+const legacyEntry = {
+  id: 1700000000000,
+  mood: 'nostalgic',
+  experience: { recipe: { title: 'Toast', ingredients: ['bread'], instructions: 'Toast it.' } },
+  timestamp: '2023-11-14T22:13:20.000Z'
+};
+
+describe('migrateEntry', () => {
+  it('upgrades entries from the old localStorage list', () => {
+    const migrated = migrateEntry(legacyEntry);
+    assert.equal(migrated.schemaVersion, HISTORY_SCHEMA_VERSION);
+    assert.equal(migrated.id, '1700000000000');
+    assert.equal(migrated.pinned, false);
+    assert.equal(migrated.shareId, null);
+    assert.deepEqual(migrated.experience, legacyEntry.experience);
+  });
+
+  it('leaves current entries alone', () => {
+    const current = entry('calm', '2024-05-01T10:00:00.000Z', { pinned: true });
+    assert.deepEqual(migrateEntry(current), current);
+  });
+
+  it('rejects unusable entries and ones from a newer version', () => {
+    assert.equal(migrateEntry(null), null);
+    assert.equal(migrateEntry({ mood: 'calm' }), null);
+    assert.equal(migrateEntry({ ...legacyEntry, schemaVersion: HISTORY_SCHEMA_VERSION + 1 }), null);
+  });
+});
+
+describe('history files', () => {
+  it('round-trips an export', () => {
+    const entries = [entry('calm', '2024-05-01T10:00:00.000Z'), entry('happy', '2024-05-02T10:00:00.000Z')];
+    const { entries: imported, skipped } = parseHistoryFile(serializeHistory(entries));
+    assert.deepEqual(imported, entries);
+    assert.equal(skipped, 0);
+  });
+
+  it('keeps the inputs and prompt variant a card was generated with', () => {
+    const inputs = { ingredients: ['chickpeas'], preferences: { diets: ['vegan'], allergies: [] }, detail: 'brief', lang: 'de' };
+    const saved = createHistoryEntry({ mood: 'calm', inputs, experience: createFixtureExperience('calm'), promptVariant: 'poetic@1' });
+    const { entries: [imported] } = parseHistoryFile(serializeHistory([saved]));
+    assert.deepEqual(imported.inputs, inputs);
+    assert.equal(imported.promptVariant, 'poetic@1');
+  });
+
+  it('imports a raw legacy list and skips broken entries', () => {
+    const { entries, skipped } = parseHistoryFile(JSON.stringify([legacyEntry, { nope: true }]));
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].mood, 'nostalgic');
+    assert.equal(skipped, 1);
+  });
+
+  it('explains files it cannot read', () => {
+    assert.match(parseHistoryFile('{oops').error, /not valid JSON/);
+    assert.match(parseHistoryFile('{"hello": 1}').error, /not a Vibeform history/);
+    assert.match(parseHistoryFile(JSON.stringify({ format: 'vibeform-history', version: 99, entries: [] })).error, /newer version/);
+  });
+
+  it('merges imports by id', () => {
+    const a = entry('calm', '2024-05-01T10:00:00.000Z');
+    const b = entry('happy', '2024-05-02T10:00:00.000Z');
+    const merged = mergeHistory([a, b], [{ ...a, pinned: true }]);
+    assert.equal(merged.length, 2);
+    assert.equal(merged.find(h => h.id === a.id).pinned, true);
+  });
+});
+
+describe('filterHistory and sortHistory', () => {
+  const history = [
+    entry('Calm morning', '2024-05-01T10:00:00.000Z'),
+    entry('happy', '2024-05-03T10:00:00.000Z', { pinned: true }),
+    entry('calm evening', '2024-05-05T21:00:00.000Z'),
+    { ...entry('tired', '2024-05-06T10:00:00.000Z'), experience: { movie: { title: 'Paterson' } } }
+  ];
+  const moods = (entries) => entries.map(h => h.mood);
+
+  it('searches moods case-insensitively', () => {
+    assert.deepEqual(moods(filterHistory(history, { query: 'CALM' })), ['Calm morning', 'calm evening']);
+  });
+
+  it('searches the normalized mood label too', () => {
+    const sleepy = entry('sooo sleepy', '2024-05-07T10:00:00.000Z', { moodInfo: { id: 'tired', label: 'Tired', emoji: '😴' } });
+    assert.deepEqual(moods(filterHistory([...history, sleepy], { query: 'tired' })), ['tired', 'sooo sleepy']);
+  });
+
+  it('filters by date range, inclusive', () => {
+    assert.deepEqual(moods(filterHistory(history, { from: '2024-05-03', to: '2024-05-05' })), ['happy', 'calm evening']);
+  });
+
+  it('filters by section and section content', () => {
+    assert.deepEqual(moods(filterHistory(history, { section: 'recipe' })), ['Calm morning', 'happy', 'calm evening']);
+    assert.deepEqual(moods(filterHistory(history, { section: 'movie', contains: 'paterson' })), ['tired']);
+    assert.deepEqual(moods(filterHistory(history, { contains: 'paterson' })), ['tired']);
+  });
+
+  it('filters pinned entries', () => {
+    assert.deepEqual(moods(filterHistory(history, { pinnedOnly: true })), ['happy']);
+  });
+
+  it('sorts pinned first, then newest first', () => {
+    assert.deepEqual(moods(sortHistory(history)), ['happy', 'tired', 'calm evening', 'Calm morning']);
+  });
+});
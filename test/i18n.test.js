@@ -0,0 +1,47 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_LOCALE, LOCALES, detectLocale, translate } from '../src/lib/i18n.js';
+import { LANGUAGES } from '../server/languages.js';
+
+// Dotted paths of every string (or plural entry) in a locale
+function keysOf(strings, prefix = '') {
+  return Object.entries(strings).flatMap(([key, value]) => (
+    typeof value === 'string' || 'other' in value ? [`${prefix}${key}`] : keysOf(value, `${prefix}${key}.`)
+  ));
+}
+
+const storage = (saved) => ({ getItem: () => saved });
+
+describe('translate', () => {
+  it('fills placeholders and picks plural forms', () => {
+    assert.equal(translate('en', 'app.feeling', { mood: 'calm' }), "You're feeling: calm");
+    assert.equal(translate('en', 'recipe.servings', { count: 1 }), '1 serving');
+    assert.equal(translate('de', 'recipe.servings', { count: 4 }), '4 Portionen');
+  });
+
+  it('falls back to English, then to the key', () => {
+    assert.equal(translate('xx', 'history.export'), 'Export');
+    assert.equal(translate('fr', 'history.nope'), 'history.nope');
+  });
+});
+
+describe('locales', () => {
+  const english = keysOf(LOCALES[DEFAULT_LOCALE]).sort();
+  for (const [locale, strings] of Object.entries(LOCALES)) {
+    it(`${locale} has every English string`, () => {
+      assert.deepEqual(keysOf(strings).sort(), english);
+    });
+  }
+
+  it('matches the card languages the server accepts', () => {
+    assert.deepEqual(Object.keys(LOCALES).sort(), Object.keys(LANGUAGES).sort());
+  });
+});
+
+describe('detectLocale', () => {
+  it('prefers the saved choice, then the browser languages', () => {
+    assert.equal(detectLocale(storage('fr'), ['de-DE']), 'fr');
+    assert.equal(detectLocale(storage(null), ['pt-BR', 'es-MX', 'en']), 'es');
+    assert.equal(detectLocale(storage('klingon'), ['pt-BR']), 'en');
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'buffer';
+import express from 'express';
+import { createOpenAICompatibleProvider } from '../server/llm/openaiCompatible.js';
+
+// Chat completions endpoint that streams `chunks` (Buffers) as separate writes
+async function startMockLLM(chunks) {
+  const app = express();
+  app.post('/v1/chat/completions', async (req, res) => {
+    res.set('Content-Type', 'text/event-stream');
+    for (const chunk of chunks) {
+      res.write(chunk);
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    res.end();
+  });
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+describe('OpenAI-compatible streaming', () => {
+  it('keeps multibyte characters split across network chunks', async () => {
+    const body = Buffer.from(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Crème brûlée' } }] })}\n\ndata: [DONE]\n\n`);
+    // Split inside the two bytes of "è"
+    const split = body.indexOf(Buffer.from('è')) + 1;
+    const mock = await startMockLLM([body.subarray(0, split), body.subarray(split)]);
+    try {
+      const provider = createOpenAICompatibleProvider({ baseUrl: mock.baseUrl, model: 'test-model' });
+      const tokens = [];
+      const text = await provider.stream({ messages: [], onToken: token => tokens.push(token) });
+      assert.equal(text, 'Crème brûlée');
+      assert.deepEqual(tokens, ['Crème brûlée']);
+    } finally {
+      await mock.close();
+    }
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLogger, redact, secretsFromEnv } from '../server/logger.js';
+import { createFakeLLM, createHttpError, startApp } from './helpers.js';
+
+// Logger writing parsed entries into `entries`
+function createTestLogger(options) {
+  const entries = [];
+  const logger = createLogger({ write: (level, line) => entries.push(JSON.parse(line)), ...options });
+  return { logger, entries };
+}
+
+// Collect the shared logger's output (it writes through console.log/error)
+async function captureLogs(fn) {
+  const lines = [];
+  const { log, error } = console;
+  console.log = line => lines.push(line);
+  console.error = line => lines.push(line);
+  try {
+    await fn();
+    // The `request` entry is written when the response closes
+    await new Promise(resolve => setTimeout(resolve, 20));
+  } finally {
+    Object.assign(console, { log, error });
+  }
+  return lines;
+}
+
+describe('redact', () => {
+  it('masks credentials in headers, token fields and strings', () => {
+    const safe = redact({
+      headers: { Authorization: 'Bearer gsk_live', cookie: 'vibe_sid=abc', accept: 'application/json' },
+      accessToken: 'BQD123',
+      maxTokens: 2000,
+      message: 'sent Bearer gsk_live to Groq'
+    });
+    assert.deepEqual(safe, {
+      headers: { Authorization: '[REDACTED]', cookie: '[REDACTED]', accept: 'application/json' },
+      accessToken: '[REDACTED]',
+      maxTokens: 2000,
+      message: 'sent Bearer [REDACTED] to Groq'
+    });
+  });
+
+  it('reduces errors to safe fields and drops the axios config', () => {
+    const error = createHttpError(401, 'Request failed with status code 401');
+    error.config = { headers: { Authorization: 'Bearer gsk_live' } };
+    const safe = redact({ error });
+    assert.equal(safe.error.status, 401);
+    assert.equal(safe.error.message, 'Request failed with status code 401');
+    assert.ok(!JSON.stringify(safe).includes('gsk_live'));
+  });
+
+  it('masks registered secret values wherever they appear', () => {
+    const secrets = secretsFromEnv({ GROQ_KEY: 'gsk_0123456789', SPOTIFY_CLIENT_SECRET: 'shh-very-secret', LLM_MODEL: 'llama-3.1-8b-instant' });
+    assert.deepEqual(secrets, ['gsk_0123456789', 'shh-very-secret']);
+    assert.equal(redact('key gsk_0123456789 rejected', secrets), 'key [REDACTED] rejected');
+  });
+});
+
+describe('createLogger', () => {
+  it('writes JSON entries at or above the level', () => {
+    const { logger, entries } = createTestLogger({ level: 'info', now: () => new Date(0) });
+    logger.debug('hidden');
+    logger.info('shown', { mood: 'calm' });
+    logger.setLevel('error');
+    logger.warn('hidden too');
+    assert.deepEqual(entries, [{ time: '1970-01-01T00:00:00.000Z', level: 'info', msg: 'shown', mood: 'calm' }]);
+    assert.throws(() => logger.setLevel('loud'), /Invalid LOG_LEVEL/);
+  });
+
+  it('times spans and logs failures before rethrowing', async () => {
+    const { logger, entries } = createTestLogger();
+    assert.equal(await logger.span('spotify.get', { path: '/search' }, async () => 'result'), 'result');
+    await assert.rejects(logger.span('llm.complete', {}, async () => { throw createHttpError(429); }), /429/);
+
+    const [ok, failed] = entries;
+    assert.equal(ok.span, 'spotify.get');
+    assert.equal(ok.path, '/search');
+    assert.equal(ok.ok, true);
+    assert.equal(typeof ok.durationMs, 'number');
+    assert.equal(failed.level, 'warn');
+    assert.equal(failed.ok, false);
+    assert.equal(failed.error.status, 429);
+  });
+});
+
+describe('request IDs', () => {
+  it('returns an ID in the header and error bodies, and tags the logs with it', async () => {
+    const upstreamError = createHttpError(500);
+    upstreamError.config = { headers: { Authorization: 'Bearer gsk_live' } };
+    const server = await startApp({ llm: createFakeLLM(() => { throw upstreamError; }) });
+    try {
+      let response;
+      let body;
+      const lines = await captureLogs(async () => {
+        response = await fetch(`${server.url}/api/experience?mood=calm`, { headers: { Cookie: 'vibe_sid=abcdefghijklmnopqrstuv' } });
+        body = await response.json();
+      });
+
+      const requestId = response.headers.get('X-Request-Id');
+      assert.match(requestId, /^[0-9a-f-]{36}$/);
+      assert.equal(response.status, 500);
+      assert.equal(body.requestId, requestId);
+
+      const entries = lines.map(line => JSON.parse(line));
+      assert.ok(entries.every(entry => entry.requestId === requestId));
+      const messages = entries.map(entry => entry.msg);
+      assert.ok(messages.includes('Experience requested'));
+      assert.ok(messages.includes('Error in experience endpoint'));
+      assert.deepEqual(entries.at(-1), { ...entries.at(-1), msg: 'request', method: 'GET', path: '/api/experience', status: 500 });
+      assert.ok(!lines.join('\n').includes('gsk_live'));
+      assert.ok(!lines.join('\n').includes('abcdefghijklmnopqrstuv'));
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('keeps a well-formed X-Request-Id from the caller', async () => {
+    const server = await startApp();
+    try {
+      const kept = await fetch(`${server.url}/api/experience?mood=`, { headers: { 'X-Request-Id': 'edge-42' } });
+      assert.equal(kept.headers.get('X-Request-Id'), 'edge-42');
+      assert.equal((await kept.json()).requestId, 'edge-42');
+
+      const replaced = await fetch(`${server.url}/api/experience?mood=`, { headers: { 'X-Request-Id': 'no spaces <allowed>' } });
+      assert.notEqual(replaced.headers.get('X-Request-Id'), 'no spaces <allowed>');
+    } finally {
+      await server.close();
+    }
+  });
+});
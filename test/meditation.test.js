@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { breathPhaseAt, buildMeditationPlan, formatClock, segmentIndexAt } from '../src/lib/meditation.js';
+import { checkSections, getSection } from '../server/sections/index.js';
+
+describe('buildMeditationPlan', () => {
+  it('scales the segments to the promised duration', () => {
+    const plan = buildMeditationPlan({
+      durationMinutes: 2,
+      segments: [{ text: 'Settle in', seconds: 30 }, { text: 'Breathe', seconds: 30 }]
+    });
+    assert.equal(plan.totalSeconds, 120);
+    assert.deepEqual(plan.segments.map(({ start, seconds }) => [start, seconds]), [[0, 60], [60, 60]]);
+  });
+
+  it('plays cards with a free-text duration as one segment', () => {
+    const plan = buildMeditationPlan({ prompt: 'Breathe slowly.', duration: '3 minutes' });
+    assert.equal(plan.totalSeconds, 180);
+    assert.equal(plan.segments.length, 1);
+    assert.equal(plan.segments[0].text, 'Breathe slowly.');
+  });
+
+  it('finds the segment for a point in time', () => {
+    const plan = buildMeditationPlan({
+      durationMinutes: 1,
+      segments: [{ text: 'a', seconds: 20 }, { text: 'b', seconds: 40 }]
+    });
+    assert.equal(segmentIndexAt(plan, 0), 0);
+    assert.equal(segmentIndexAt(plan, 20), 1);
+    assert.equal(segmentIndexAt(plan, 600), 1);
+  });
+});
+
+describe('breathPhaseAt', () => {
+  const breathing = { inhale: 4, hold: 2, exhale: 6 };
+
+  it('cycles through inhale, hold and exhale', () => {
+    assert.deepEqual(breathPhaseAt(breathing, 0), { phase: 'inhale', length: 4, remaining: 4 });
+    assert.deepEqual(breathPhaseAt(breathing, 5), { phase: 'hold', length: 2, remaining: 1 });
+    assert.deepEqual(breathPhaseAt(breathing, 6), { phase: 'exhale', length: 6, remaining: 6 });
+    assert.equal(breathPhaseAt(breathing, 12).phase, 'inhale');
+  });
+
+  it('skips a zero-length hold', () => {
+    assert.equal(breathPhaseAt({ inhale: 4, hold: 0, exhale: 4 }, 4).phase, 'exhale');
+  });
+
+  it('returns null without a breathing pattern', () => {
+    assert.equal(breathPhaseAt(null, 3), null);
+  });
+});
+
+it('formats the countdown clock', () => {
+  assert.equal(formatClock(125), '2:05');
+  assert.equal(formatClock(-3), '0:00');
+});
+
+describe('meditation section', () => {
+  const meditation = (durationMinutes, ...seconds) => ({
+    prompt: 'Breathe slowly.',
+    durationMinutes,
+    segments: seconds.map(value => ({ text: 'Breathe.', seconds: value }))
+  });
+  const schemaErrors = (value) => {
+    const errors = [];
+    getSection('meditation').schema(value, 'meditation', errors);
+    return errors;
+  };
+
+  it('accepts sessions of up to 20 minutes, as the prompt asks', () => {
+    assert.deepEqual(schemaErrors(meditation(20, 600, 600)), []);
+    assert.match(schemaErrors(meditation(30, 900, 900))[0], /durationMinutes: expected a value between 1 and 20/);
+  });
+
+  it('checks that the segments add up to the duration', () => {
+    assert.deepEqual(checkSections({ meditation: meditation(2, 30, 90) }, ['meditation'], {}), []);
+    assert.deepEqual(checkSections({ meditation: meditation(2, 30, 60) }, ['meditation'], {}), [
+      'meditation.segments: the seconds add up to 90, but durationMinutes * 60 is 120; make them match'
+    ]);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MOOD_TAXONOMY, classifyMood, editDistance } from '../server/moodTaxonomy.js';
+import { createFakeSpotify, createSpotifyPlaylist, startApp } from './helpers.js';
+
+const moodOf = (text) => classifyMood(text).mood?.id ?? null;
+
+describe('classifyMood', () => {
+  it('maps words and phrases onto the taxonomy', () => {
+    assert.equal(moodOf('happy'), 'happy');
+    assert.equal(moodOf('Excited!!'), 'excited');
+    assert.equal(moodOf('over the moon'), 'happy');
+    assert.equal(moodOf('totally burnt out'), 'stressed');
+    assert.equal(moodOf("can't wait"), 'excited');
+  });
+
+  it('fixes typos and stretched letters', () => {
+    const result = classifyMood('anxous about work');
+    assert.equal(result.mood.id, 'anxious');
+    assert.equal(result.corrected, 'anxious about work');
+    assert.ok(result.confidence < 1);
+
+    assert.equal(moodOf('hapy'), 'happy');
+    assert.equal(moodOf('heartbrokn'), 'heartbroken');
+    assert.equal(moodOf('sooo tiiired'), 'tired');
+  });
+
+  it('does not stretch short words into moods', () => {
+    assert.equal(moodOf('made food'), null);
+  });
+
+  it('flips negated moods', () => {
+    assert.equal(moodOf("I'm not happy"), 'sad');
+    assert.equal(moodOf('not very calm'), 'anxious');
+  });
+
+  it('ranks mixed moods and lists alternatives', () => {
+    const result = classifyMood('nostalgic, wistful and a bit sad');
+    assert.equal(result.mood.id, 'nostalgic');
+    assert.deepEqual(result.alternatives.map(mood => mood.id), ['sad']);
+  });
+
+  it('returns no mood for unrecognised text', () => {
+    assert.deepEqual(classifyMood('asdf qwerty'), { input: 'asdf qwerty', corrected: 'asdf qwerty', mood: null, confidence: 0, alternatives: [] });
+  });
+
+  it('gives every taxonomy entry an emoji, a color and search terms', () => {
+    for (const mood of MOOD_TAXONOMY) {
+      assert.match(mood.color, /^#[0-9a-f]{6}$/, mood.id);
+      assert.ok(mood.emoji && mood.searchTerms.length, mood.id);
+      assert.equal(moodOf(mood.id), mood.id);
+    }
+  });
+
+  it('counts adjacent swaps as one edit', () => {
+    assert.equal(editDistance('clam', 'calm'), 1);
+    assert.equal(editDistance('tired', 'tried'), 1);
+    assert.equal(editDistance('happy', 'sad', 1), 2);
+  });
+});
+
+describe('GET /api/mood/normalize', () => {
+  it('classifies the mood', async () => {
+    const server = await startApp();
+    try {
+      const response = await fetch(`${server.url}/api/mood/normalize?mood=${encodeURIComponent('feeling stresed')}`);
+      const body = await response.json();
+      assert.equal(response.status, 200);
+      assert.equal(body.mood.id, 'stressed');
+      assert.equal(body.mood.emoji, '😫');
+      assert.equal(body.corrected, 'feeling stressed');
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('rejects a missing mood', async () => {
+    const server = await startApp();
+    try {
+      const response = await fetch(`${server.url}/api/mood/normalize`);
+      assert.equal(response.status, 400);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('searches Spotify with the corrected mood and its search terms', async () => {
+    const queries = [];
+    const spotify = createFakeSpotify({
+      searchPlaylists: async (query) => {
+        queries.push(query);
+        return [createSpotifyPlaylist('p1', 'Sleepy Tired Evenings')];
+      }
+    });
+    const server = await startApp({ spotify });
+    try {
+      await fetch(`${server.url}/api/playlist?mood=tird`);
+      assert.ok(queries.includes('tired sleepy playlist'));
+      assert.ok(queries.every(query => !query.includes('tird')));
+    } finally {
+      await server.close();
+    }
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createFakeLLM,
+  createFakeSpotify,
+  createHttpError,
+  createSpotifyPlaylist,
+  startApp
+} from './helpers.js';
+
+async function getPlaylist(url, params) {
+  const response = await fetch(`${url}/api/playlist?${new URLSearchParams(params)}`);
+  return { status: response.status, body: await response.json() };
+}
+
+describe('GET /api/playlist', () => {
+  it('rejects a missing mood', async () => {
+    const server = await startApp();
+    try {
+      const { status } = await getPlaylist(server.url, {});
+      assert.equal(status, 400);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('rejects a mood that is too long', async () => {
+    const server = await startApp();
+    try {
+      const { status, body } = await getPlaylist(server.url, { mood: 'x'.repeat(201) });
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Mood must be at most 200 characters');
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('returns the best playlist, alternates and a mood description', async () => {
+    const spotify = createFakeSpotify({
+      playlists: [
+        createSpotifyPlaylist('p1', 'Rainy Day Mix'),
+        createSpotifyPlaylist('p2', 'Calm Piano'),
+        createSpotifyPlaylist('p3', 'Lo-fi Beats')
+      ]
+    });
+    const server = await startApp({ spotify, llm: createFakeLLM('Soft and slow.') });
+    try {
+      const { status, body } = await getPlaylist(server.url, { mood: 'calm' });
+      assert.equal(status, 200);
+      assert.equal(body.playlist.id, 'p2');
+      assert.deepEqual(body.alternates.map(playlist => playlist.id), ['p1', 'p3']);
+      assert.equal(body.moodDescription, 'Soft and slow.');
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('still returns playlists when the mood description fails', async () => {
+    const spotify = createFakeSpotify({ playlists: [createSpotifyPlaylist('p1', 'Calm Piano')] });
+    const llm = createFakeLLM(() => {
+      throw createHttpError(500);
+    });
+    const server = await startApp({ spotify, llm });
+    try {
+      const { status, body } = await getPlaylist(server.url, { mood: 'calm' });
+      assert.equal(status, 200);
+      assert.equal(body.moodDescription, null);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('returns 404 when nothing is found', async () => {
+    const server = await startApp({ spotify: createFakeSpotify() });
+    try {
+      const { status } = await getPlaylist(server.url, { mood: 'calm' });
+      assert.equal(status, 404);
+    } finally {
+      await server.close();
+    }
+  });
+
+  for (const [upstreamStatus, expectedStatus] of [[401, 401], [429, 429], [503, 500]]) {
+    it(`maps a Spotify ${upstreamStatus} to ${expectedStatus}`, async () => {
+      const spotify = createFakeSpotify({
+        getToken: async () => {
+          throw createHttpError(upstreamStatus);
+        }
+      });
+      const server = await startApp({ spotify });
+      try {
+        const { status } = await getPlaylist(server.url, { mood: 'calm' });
+        assert.equal(status, expectedStatus);
+      } finally {
+        await server.close();
+      }
+    });
+  }
+
+  it('ranks playlists that match the mood context higher', async () => {
+    const spotify = createFakeSpotify({
+      playlists: [
+        createSpotifyPlaylist('p1', 'Calm Piano'),
+        createSpotifyPlaylist('p2', 'Calm Rainy Day')
+      ]
+    });
+    const server = await startApp({ spotify });
+    try {
+      const { body } = await getPlaylist(server.url, { mood: 'calm' });
+      assert.equal(body.playlist.id, 'p1');
+      const { body: rainy } = await getPlaylist(server.url, { mood: 'calm', moodContext: JSON.stringify({ weather: 'rainy' }) });
+      assert.equal(rainy.playlist.id, 'p2');
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('rejects an invalid mood context', async () => {
+    const server = await startApp();
+    try {
+      const { status, body } = await getPlaylist(server.url, { mood: 'calm', moodContext: '{not json' });
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Invalid mood context format');
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('applies the configured rate limits', async () => {
+    const server = await startApp({
+      spotify: createFakeSpotify({ playlists: [createSpotifyPlaylist('p1', 'Calm Piano')] }),
+      rateLimitConfig: {
+        enabled: true,
+        ip: { capacity: 1, refillPerMinute: 1 },
+        session: { capacity: 10, refillPerMinute: 1 },
+        longMode: { capacity: 10, refillPerMinute: 1 }
+      }
+    });
+    try {
+      assert.equal((await getPlaylist(server.url, { mood: 'calm' })).status, 200);
+      const { status, body } = await getPlaylist(server.url, { mood: 'calm' });
+      assert.equal(status, 429);
+      assert.ok(body.retryAfter > 0);
+    } finally {
+      await server.close();
+    }
+  });
+});
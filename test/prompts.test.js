@@ -0,0 +1,118 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createPromptRegistry, parsePromptTemplate, renderTemplate } from '../server/promptRegistry.js';
+
+const BASE = `# Test prompts
+weight: 1
+description: Base
+
+=== experience.system ===
+Shape: {{shape}}
+{{guidance}}
+
+=== experience.user ===
+Card for {{request}}
+
+=== section.system ===
+Fresh "{{section}}"
+
+=== section.user ===
+{{current}}
+`;
+
+describe('parsePromptTemplate', () => {
+  it('reads the variant, version, metadata and blocks', () => {
+    const template = parsePromptTemplate(BASE, 'default.v3.prompt');
+    assert.equal(template.ref, 'default@3');
+    assert.equal(template.weight, 1);
+    assert.equal(template.description, 'Base');
+    assert.equal(template.blocks['experience.system'], 'Shape: {{shape}}\n{{guidance}}');
+    assert.equal(template.blocks['section.user'], '{{current}}');
+  });
+
+  it('rejects unknown blocks, bad weights and bad file names', () => {
+    assert.throws(() => parsePromptTemplate('=== experience.sytem ===\nHi', 'a.v1.prompt'), /unknown block "experience.sytem"/);
+    assert.throws(() => parsePromptTemplate('weight: lots', 'a.v1.prompt'), /weight must be a number/);
+    assert.throws(() => parsePromptTemplate('oops\n=== style ===', 'a.v1.prompt'), /a.v1.prompt:1: expected "key: value"/);
+    assert.throws(() => parsePromptTemplate(BASE, 'default.prompt'), /must be named/);
+  });
+});
+
+describe('renderTemplate', () => {
+  it('fills placeholders and drops unknown ones', () => {
+    assert.equal(renderTemplate('{{a}} and {{b}}{{missing}}', { a: 'x', b: '$1' }), 'x and $1');
+  });
+});
+
+describe('createPromptRegistry', () => {
+  let dir;
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vibe-prompts-'));
+    await fs.writeFile(path.join(dir, 'default.v1.prompt'), BASE);
+    await fs.writeFile(path.join(dir, 'poetic.v1.prompt'), 'weight: 1\n=== style ===\nBe lyrical.');
+    await fs.writeFile(path.join(dir, 'poetic.v2.prompt'), 'weight: 3\n=== style ===\nBe very lyrical.');
+    await fs.writeFile(path.join(dir, 'kids.v1.prompt'), 'weight: 0\n=== style ===\nFor kids.');
+  });
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('inherits missing blocks from the default and keeps older versions', async () => {
+    const prompts = createPromptRegistry({ dir });
+    const poetic = await prompts.getVariant('poetic');
+    assert.equal(poetic.ref, 'poetic@2');
+    assert.equal(poetic.blocks.style, 'Be very lyrical.');
+    assert.equal(poetic.blocks['experience.user'], 'Card for {{request}}');
+    assert.equal((await prompts.getVariant('poetic@1')).blocks.style, 'Be lyrical.');
+    assert.equal(await prompts.getVariant('poetic@9'), null);
+    assert.equal(await prompts.getVariant('nope'), null);
+  });
+
+  it('assigns variants by weight, the same one for the same key', async () => {
+    const prompts = createPromptRegistry({ dir });
+    const counts = {};
+    for (let i = 0; i < 400; i++) {
+      const { id } = await prompts.assignVariant(`session-${i}`);
+      counts[id] = (counts[id] || 0) + 1;
+    }
+    assert.equal(counts.kids, undefined);
+    assert.ok(counts.poetic > counts.default * 2, JSON.stringify(counts));
+    assert.equal((await prompts.assignVariant('abc')).ref, (await prompts.assignVariant('abc')).ref);
+  });
+
+  it('reloads changed files and keeps the last good templates after a bad edit', async () => {
+    const reloadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vibe-prompts-'));
+    try {
+      let time = 0;
+      const prompts = createPromptRegistry({ dir: reloadDir, checkIntervalMs: 1000, now: () => time });
+      await fs.writeFile(path.join(reloadDir, 'default.v1.prompt'), BASE);
+      assert.equal((await prompts.getVariant('default')).blocks.style, undefined);
+
+      await fs.writeFile(path.join(reloadDir, 'default.v1.prompt'), `${BASE}\n=== style ===\nWarm.`);
+      assert.equal((await prompts.getVariant('default')).blocks.style, undefined, 'checked again too soon');
+      time += 1000;
+      assert.equal((await prompts.getVariant('default')).blocks.style, 'Warm.');
+
+      await fs.writeFile(path.join(reloadDir, 'default.v1.prompt'), '=== nonsense ===');
+      time += 1000;
+      assert.equal((await prompts.getVariant('default')).blocks.style, 'Warm.');
+    } finally {
+      await fs.rm(reloadDir, { recursive: true, force: true });
+    }
+  });
+
+  it('fails without a default template', async () => {
+    const emptyDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vibe-prompts-'));
+    try {
+      await assert.rejects(createPromptRegistry({ dir: emptyDir }).list(), /Missing the "default" prompt template/);
+    } finally {
+      await fs.rm(emptyDir, { recursive: true, force: true });
+    }
+  });
+
+  it('loads the bundled templates', async () => {
+    const variants = await createPromptRegistry().list();
+    assert.deepEqual(variants.map(variant => variant.id).sort(), ['concise', 'default', 'detailed', 'kid-friendly', 'poetic']);
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTokenBucket } from '../server/rateLimit.js';
+
+describe('createTokenBucket', () => {
+  it('refills over time and forgets full buckets', () => {
+    let time = 0;
+    const bucket = createTokenBucket({ capacity: 2, refillPerMinute: 60, now: () => time });
+    bucket.take('a');
+    bucket.take('a');
+    assert.equal(bucket.peek('a').allowed, false);
+    assert.equal(bucket.peek('a').retryAfterSeconds, 1);
+
+    time = 1000;
+    assert.equal(bucket.peek('a').remaining, 0);
+    assert.equal(bucket.peek('a').allowed, true);
+    time = 2000;
+    assert.equal(bucket.peek('a').remaining, 1);
+    assert.equal(bucket.size(), 0);
+  });
+
+  it('evicts the least recently used buckets past maxKeys', () => {
+    const bucket = createTokenBucket({ capacity: 1, refillPerMinute: 1, maxKeys: 3, now: () => 0 });
+    for (const key of ['a', 'b', 'c', 'd']) bucket.take(key);
+    assert.equal(bucket.size(), 3);
+    assert.equal(bucket.peek('a').allowed, true);
+    assert.equal(bucket.peek('d').allowed, false);
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchPantryIngredients } from '../server/pantry.js';
+import { checkRecipePreferences, parsePreferences } from '../server/preferences.js';
+import {
+  convertIngredient,
+  detectUnitSystem,
+  formatIngredient,
+  formatQuantity
+} from '../src/lib/recipeUnits.js';
+
+const recipe = {
+  ingredients: [
+    { quantity: 2, unit: '', name: 'eggs' },
+    { quantity: 800, unit: 'g', name: 'tomatoes' },
+    { quantity: 2, unit: 'tbsp', name: 'olive oil' }
+  ]
+};
+
+describe('matchPantryIngredients', () => {
+  it('splits the pantry into used and unused items', () => {
+    assert.deepEqual(matchPantryIngredients(recipe, ['Egg', 'tomato', 'oil', 'kale']), {
+      usedIngredients: ['Egg', 'tomato', 'oil'],
+      unusedIngredients: ['kale']
+    });
+  });
+
+  it('handles an empty pantry', () => {
+    assert.deepEqual(matchPantryIngredients(recipe), { usedIngredients: [], unusedIngredients: [] });
+  });
+});
+
+describe('recipe units', () => {
+  it('scales by the servings factor', () => {
+    const scaled = convertIngredient({ quantity: 200, unit: 'g', name: 'flour' }, { factor: 1.5 });
+    assert.equal(formatIngredient(scaled), '300 g flour');
+  });
+
+  it('converts metric to imperial', () => {
+    assert.equal(formatIngredient(convertIngredient({ quantity: 454, unit: 'g', name: 'pasta' }, { system: 'imperial' })), '1 lb pasta');
+    assert.equal(formatIngredient(convertIngredient({ quantity: 120, unit: 'ml', name: 'milk' }, { system: 'imperial' })), '½ cup milk');
+  });
+
+  it('converts imperial to metric', () => {
+    assert.equal(formatIngredient(convertIngredient({ quantity: 2, unit: 'cups', name: 'stock' }, { system: 'metric' })), '470 ml stock');
+    assert.equal(formatIngredient(convertIngredient({ quantity: 3, unit: 'lbs', name: 'potatoes' }, { system: 'metric' })), '1.36 kg potatoes');
+  });
+
+  it('leaves spoon measures and unknown units alone', () => {
+    assert.equal(formatIngredient(convertIngredient({ quantity: 1, unit: 'tbsp', name: 'honey' }, { system: 'imperial', factor: 0.5 })), '½ tbsp honey');
+    assert.equal(formatIngredient(convertIngredient({ quantity: 2, unit: 'clove', name: 'garlic' }, { system: 'imperial' })), '2 clove garlic');
+    assert.equal(formatIngredient(convertIngredient({ unit: '', name: 'salt' }, { factor: 2 })), 'salt');
+  });
+
+  it('formats fractions without rounding amounts to zero', () => {
+    assert.equal(formatQuantity(1.5, ''), '1½');
+    assert.equal(formatQuantity(0.05, 'tsp'), '⅛');
+    assert.equal(formatQuantity(2.97, 'cup'), '3');
+  });
+
+  it('detects the system a recipe is written in', () => {
+    assert.equal(detectUnitSystem(recipe.ingredients), 'metric');
+    assert.equal(detectUnitSystem([{ unit: 'cup' }, { unit: 'oz' }, { unit: 'g' }]), 'imperial');
+  });
+});
+
+describe('checkRecipePreferences', () => {
+  const { preferences } = parsePreferences({ diets: ['vegan'], allergies: ['nuts'] });
+  const check = (...names) => checkRecipePreferences({
+    ingredients: names.map(name => ({ name })),
+    steps: [{ text: 'Mix everything.' }]
+  }, preferences);
+
+  it('flags allergens and non-compliant ingredients', () => {
+    const errors = check('cashews', 'butter');
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /recipe\.ingredients\[0\]: "cashews" contains cashews, but the user is allergic to nuts/);
+    assert.match(errors[1], /"butter" contains butter, which is not vegan/);
+  });
+
+  it('ignores look-alike ingredients', () => {
+    assert.deepEqual(check('nutmeg', 'butternut squash', 'coconut milk', 'water chestnuts'), []);
+  });
+
+  it('checks ingredients written in the card languages', () => {
+    const errors = check('Erdnüsse', 'almendras', 'cacahuètes', 'gehackte Walnüsse', 'Hähnchenbrust', 'Muskatnuss', 'Kokosmilch', 'lait d’amande');
+    assert.equal(errors.length, 6);
+    assert.match(errors[0], /"Erdnüsse" contains erdnusse, but the user is allergic to nuts/);
+    assert.match(errors[4], /"Hähnchenbrust" contains hahnchenbrust, which is not vegan/);
+    assert.match(errors[5], /"lait d’amande" contains amande/);
+  });
+
+  it('checks the steps for allergens', () => {
+    const errors = checkRecipePreferences({
+      ingredients: [{ name: 'rice' }],
+      steps: [{ text: 'Top with crushed peanuts.' }]
+    }, preferences);
+    assert.match(errors[0], /recipe\.steps\[0\]: mentions peanuts/);
+  });
+
+  it('enforces the cook time limit', () => {
+    const { preferences: quick } = parsePreferences({ maxCookMinutes: 20 });
+    assert.deepEqual(checkRecipePreferences({ ingredients: [], cookMinutes: 20 }, quick), []);
+    assert.equal(checkRecipePreferences({ ingredients: [], cookMinutes: 45 }, quick).length, 1);
+  });
+});
@@ -0,0 +1,470 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import express from 'express';
+import { createSpotifyClient } from '../server/spotify.js';
+import { createSpotifyUserClient } from '../server/spotifyUser.js';
+import { createPlaylistSearch } from '../server/playlistSearch.js';
+import { buildAudioProfile, formatTrack } from '../server/audioProfile.js';
+import { createSpotifyPlaylist, createSpotifyTrack, startApp } from './helpers.js';
+import { createLRUCache } from '../server/lruCache.js';
+
+// Just enough of the Spotify Web API to exercise the clients: the token
+// endpoint (client credentials and PKCE), /recommendations, search and
+// playlist creation. Every API request is recorded. `approve(challenge)`
+// stands in for the user accepting the consent page and returns a code;
+// `revoke(token)` makes the API answer 401 for an app token.
+async function startMockSpotify({
+  recommendationsStatus = 200,
+  userTokenExpiresIn = 3600,
+  appTokenExpiresIn = 3600,
+  searchDelayMs = 0,
+  clientOptions = {}
+} = {}) {
+  const requests = [];
+  const tokenRequests = [];
+  const approvals = new Map();
+  const revoked = new Set();
+  let issued = 0;
+  let appIssued = 0;
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use(express.json());
+  app.post('/api/token', (req, res) => {
+    tokenRequests.push(req.body);
+    const { grant_type: grantType, code, code_verifier: verifier, refresh_token: refreshToken } = req.body;
+    if (grantType === 'authorization_code') {
+      const challenge = crypto.createHash('sha256').update(verifier || '').digest('base64url');
+      if (approvals.get(code) !== challenge) return res.status(400).json({ error: 'invalid_grant' });
+      approvals.delete(code);
+      return res.json({ access_token: `user-token-${++issued}`, refresh_token: 'refresh-1', expires_in: userTokenExpiresIn });
+    }
+    if (grantType === 'refresh_token') {
+      if (refreshToken !== 'refresh-1') return res.status(400).json({ error: 'invalid_grant' });
+      return res.json({ access_token: `user-token-${++issued}`, expires_in: userTokenExpiresIn });
+    }
+    res.json({ access_token: `app-token-${++appIssued}`, expires_in: appTokenExpiresIn });
+  });
+  app.use('/v1', (req, res, next) => {
+    if (revoked.has(req.get('authorization')?.replace('Bearer ', ''))) {
+      requests.push({ path: req.path, query: req.query, auth: req.get('authorization'), status: 401 });
+      return res.status(401).json({ error: { status: 401, message: 'The access token expired' } });
+    }
+    next();
+  });
+  app.get('/v1/me', (req, res) => res.json({ id: 'listener', display_name: 'Lis Tener' }));
+  app.post('/v1/users/:userId/playlists', (req, res) => {
+    requests.push({ path: req.path, body: req.body, auth: req.get('authorization') });
+    res.status(201).json({ id: 'saved1', name: req.body.name, external_urls: { spotify: 'https://open.spotify.com/playlist/saved1' } });
+  });
+  app.post('/v1/playlists/:playlistId/tracks', (req, res) => {
+    requests.push({ path: req.path, body: req.body, auth: req.get('authorization') });
+    res.status(201).json({ snapshot_id: 'snap' });
+  });
+  app.get('/v1/recommendations', (req, res) => {
+    requests.push({ path: req.path, query: req.query });
+    if (recommendationsStatus !== 200) {
+      return res.status(recommendationsStatus).json({ error: { status: recommendationsStatus } });
+    }
+    res.json({ tracks: [createSpotifyTrack('r1', 'Recommended'), null] });
+  });
+  app.get('/v1/search', async (req, res) => {
+    requests.push({ path: req.path, query: req.query, auth: req.get('authorization') });
+    await new Promise(resolve => setTimeout(resolve, searchDelayMs));
+    if (req.query.type === 'playlist') {
+      return res.json({ playlists: { items: [createSpotifyPlaylist('p1', 'Searched Playlist'), null] } });
+    }
+    res.json({ tracks: { items: [createSpotifyTrack('s1', 'Searched', { preview_url: null })] } });
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return {
+    requests,
+    tokenRequests,
+    approve(challenge) {
+      const code = `code-${approvals.size + 1}`;
+      approvals.set(code, challenge);
+      return code;
+    },
+    revoke(token) {
+      revoked.add(token);
+    },
+    client: createSpotifyClient({ clientId: 'id', clientSecret: 'secret', tokenUrl: `${base}/api/token`, apiUrl: `${base}/v1`, ...clientOptions }),
+    userClient: createSpotifyUserClient({
+      clientId: 'id',
+      redirectUri: 'http://127.0.0.1:5174/api/spotify/callback',
+      authorizeUrl: `${base}/authorize`,
+      tokenUrl: `${base}/api/token`,
+      apiUrl: `${base}/v1`
+    }),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+describe('buildAudioProfile', () => {
+  it('maps moods onto audio-feature targets and seed genres', () => {
+    const happy = buildAudioProfile('happy');
+    const sad = buildAudioProfile('sad');
+    assert.ok(happy.targets.valence > sad.targets.valence);
+    assert.ok(buildAudioProfile('energetic').targets.energy > buildAudioProfile('tired').targets.energy);
+    assert.ok(sad.seedGenres.includes('sad'));
+    assert.ok(sad.seedGenres.length <= 5);
+  });
+
+  it('uses a neutral profile for unknown moods', () => {
+    assert.deepEqual(buildAudioProfile(undefined).targets, { valence: 0.55, energy: 0.5, danceability: 0.55, tempo: 105 });
+  });
+
+  it('lets the mood context sliders and situation move the targets', () => {
+    const calm = buildAudioProfile('calm');
+    const party = buildAudioProfile('calm', { energy: 5, social: 'party' });
+    assert.ok(party.targets.energy > calm.targets.energy);
+    assert.ok(party.targets.danceability > calm.targets.danceability);
+    assert.ok(party.targets.tempo > calm.targets.tempo);
+    assert.equal(party.seedGenres[0], 'party');
+
+    const rainy = buildAudioProfile('calm', { weather: 'rainy', valence: 1 });
+    assert.ok(rainy.targets.valence < calm.targets.valence);
+    assert.equal(rainy.seedGenres[0], 'rainy-day');
+  });
+
+  it('keeps targets in range', () => {
+    const { targets } = buildAudioProfile('excited', { valence: 5, energy: 5, intensity: 5, social: 'party', weather: 'sunny' });
+    for (const feature of ['valence', 'energy', 'danceability']) {
+      assert.ok(targets[feature] >= 0 && targets[feature] <= 1, feature);
+    }
+  });
+});
+
+describe('formatTrack', () => {
+  it('keeps what the track list needs', () => {
+    assert.deepEqual(formatTrack(createSpotifyTrack('t1', 'Slow Rivers')), {
+      id: 't1',
+      name: 'Slow Rivers',
+      artists: ['Some Artist'],
+      album: 'Slow Rivers (Single)',
+      image: null,
+      durationMs: 200000,
+      previewUrl: 'https://p.scdn.co/mp3-preview/t1',
+      url: 'https://open.spotify.com/track/t1'
+    });
+  });
+});
+
+describe('createLRUCache', () => {
+  it('expires entries after their TTL and counts hits and misses', () => {
+    let time = 0;
+    const cache = createLRUCache({ maxSize: 10, ttlMs: 1000, now: () => time });
+    cache.set('calm', ['p1']);
+    cache.set('short', ['p2'], 100);
+
+    assert.deepEqual(cache.get('calm'), ['p1']);
+    time = 100;
+    assert.equal(cache.get('short'), undefined);
+    time = 999;
+    assert.deepEqual(cache.get('calm'), ['p1']);
+    time = 1000;
+    assert.equal(cache.get('calm'), undefined);
+    assert.equal(cache.get('never'), undefined);
+
+    assert.deepEqual(cache.stats(), { hits: 2, misses: 3, evictions: 0, size: 0, maxSize: 10, ttlMs: 1000 });
+  });
+
+  it('evicts the least recently used entry when full', () => {
+    const cache = createLRUCache({ maxSize: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a'); // b is now the least recently used
+    cache.set('c', 3);
+
+    assert.equal(cache.get('b'), undefined);
+    assert.equal(cache.get('a'), 1);
+    assert.equal(cache.get('c'), 3);
+    assert.equal(cache.stats().evictions, 1);
+    assert.equal(cache.stats().size, 2);
+  });
+});
+
+describe('Spotify client token and search cache', () => {
+  const appTokenRequests = mock => mock.tokenRequests.filter(request => request.grant_type === 'client_credentials');
+
+  it('shares one token request between concurrent callers', async () => {
+    const mock = await startMockSpotify();
+    try {
+      const tokens = await Promise.all([mock.client.getToken(), mock.client.getToken(), mock.client.getToken()]);
+      assert.deepEqual(tokens, ['app-token-1', 'app-token-1', 'app-token-1']);
+      assert.equal(appTokenRequests(mock).length, 1);
+
+      await mock.client.getToken();
+      assert.equal(appTokenRequests(mock).length, 1);
+      assert.equal(mock.client.stats().token.hits, 1);
+    } finally {
+      await mock.close();
+    }
+  });
+
+  it('refreshes the token a margin before it expires', async () => {
+    let time = 0;
+    const mock = await startMockSpotify({
+      appTokenExpiresIn: 3600,
+      clientOptions: { tokenRefreshMarginMs: 60 * 1000, now: () => time }
+    });
+    try {
+      assert.equal(await mock.client.getToken(), 'app-token-1');
+      time = 3540 * 1000 - 1;
+      assert.equal(await mock.client.getToken(), 'app-token-1');
+      time = 3540 * 1000;
+      assert.equal(await mock.client.getToken(), 'app-token-2');
+      assert.equal(appTokenRequests(mock).length, 2);
+      assert.equal(mock.client.stats().token.refreshes, 2);
+    } finally {
+      await mock.close();
+    }
+  });
+
+  it('fetches a new token after the API answers 401', async () => {
+    const mock = await startMockSpotify();
+    try {
+      await mock.client.searchTracks('calm');
+      mock.revoke('app-token-1');
+
+      await assert.rejects(mock.client.searchTracks('rainy'), error => error.response?.status === 401);
+      const tracks = await mock.client.searchTracks('rainy');
+
+      assert.equal(tracks[0].id, 's1');
+      assert.equal(appTokenRequests(mock).length, 2);
+      assert.deepEqual(mock.requests.map(request => [request.auth, request.status]), [
+        ['Bearer app-token-1', undefined],
+        ['Bearer app-token-1', 401],
+        ['Bearer app-token-2', undefined]
+      ]);
+    } finally {
+      await mock.close();
+    }
+  });
+
+  it('sends identical in-flight searches once and caches the result', async () => {
+    const mock = await startMockSpotify({ searchDelayMs: 50 });
+    try {
+      const results = await Promise.all([
+        mock.client.searchPlaylists('Calm!!'),
+        mock.client.searchPlaylists(' calm '),
+        mock.client.searchPlaylists('calm')
+      ]);
+      assert.deepEqual(results.map(playlists => playlists.map(playlist => playlist.id)), [['p1'], ['p1'], ['p1']]);
+      assert.equal(mock.requests.length, 1);
+
+      await mock.client.searchPlaylists('calm');
+      await mock.client.searchPlaylists('calm', { limit: 10 });
+      assert.equal(mock.requests.length, 2);
+
+      const { hits, misses, size } = mock.client.stats().search;
+      assert.deepEqual({ hits, misses, size }, { hits: 1, misses: 4, size: 2 });
+    } finally {
+      await mock.close();
+    }
+  });
+
+  it('keeps accented letters in the query and the cache key', async () => {
+    const mock = await startMockSpotify();
+    try {
+      await mock.client.searchPlaylists('Fröhlich und müde!', { market: 'DE' });
+      await mock.client.searchPlaylists('fröhlich und  müde', { market: 'DE' });
+      await mock.client.searchTracks('triste, épuisé', { market: 'FR' });
+      assert.deepEqual(mock.requests.map(request => request.query.q), ['fröhlich und müde', 'triste épuisé']);
+    } finally {
+      await mock.close();
+    }
+  });
+});
+
+describe('Spotify recommendations', () => {
+  let mock;
+  before(async () => {
+    mock = await startMockSpotify();
+  });
+  after(() => mock.close());
+
+  it('sends seed genres and target features, and caches the result', async () => {
+    const request = { seedGenres: ['chill', 'ambient'], targets: { valence: 0.5, energy: 0.25, tempo: 84 }, limit: 5 };
+    const tracks = await mock.client.getRecommendations(request);
+    await mock.client.getRecommendations(request);
+
+    assert.deepEqual(tracks.map(track => track.id), ['r1']);
+    assert.equal(mock.requests.length, 1);
+    assert.deepEqual(mock.requests[0].query, {
+      seed_genres: 'chill,ambient',
+      limit: '5',
+      target_valence: '0.5',
+      target_energy: '0.25',
+      target_tempo: '84'
+    });
+  });
+
+  it('finds tracks for a mood through the playlist search', async () => {
+    const { tracks, profile } = await createPlaylistSearch(mock.client).findMoodTracks('sooo tired', { social: 'solo' });
+    assert.equal(tracks[0].name, 'Recommended');
+    assert.deepEqual(profile, buildAudioProfile('tired', { social: 'solo' }));
+  });
+});
+
+describe('Spotify recommendations unavailable', () => {
+  let mock;
+  before(async () => {
+    mock = await startMockSpotify({ recommendationsStatus: 404 });
+  });
+  after(() => mock.close());
+
+  it('falls back to a track search', async () => {
+    const { tracks } = await createPlaylistSearch(mock.client).findMoodTracks('calm');
+    assert.deepEqual(tracks.map(track => [track.name, track.previewUrl]), [['Searched', null]]);
+    const search = mock.requests.find(request => request.path === '/v1/search');
+    assert.equal(search.query.type, 'track');
+    assert.equal(search.query.q, 'calm chill');
+  });
+
+  it('searches within the market and caches each market separately', async () => {
+    const search = createPlaylistSearch(mock.client);
+    await search.findMoodTracks('sleepy', undefined, { market: 'FR' });
+    await search.findMoodTracks('sleepy', undefined, { market: 'FR' });
+    await search.findMoodTracks('sleepy', undefined, { market: 'DE' });
+    const markets = mock.requests
+      .filter(request => request.path === '/v1/search' && request.query.q.startsWith('sleepy'))
+      .map(request => request.query.market);
+    assert.deepEqual(markets, ['FR', 'DE']);
+  });
+});
+
+// Run the login flow the way a browser would. Returns the session cookie and
+// the final redirect back to the app.
+async function connectSpotify(server, mock, { returnTo = '/' } = {}) {
+  const login = await fetch(`${server.url}/api/spotify/login?returnTo=${encodeURIComponent(returnTo)}`, { redirect: 'manual' });
+  const cookie = login.headers.get('set-cookie').split(';')[0];
+  const authorize = new URL(login.headers.get('location'));
+  const code = mock.approve(authorize.searchParams.get('code_challenge'));
+  const callback = await fetch(`${server.url}/api/spotify/callback?code=${code}&state=${authorize.searchParams.get('state')}`, {
+    redirect: 'manual',
+    headers: { cookie }
+  });
+  return { cookie, authorize, location: callback.headers.get('location') };
+}
+
+async function getAccount(server, cookie) {
+  const response = await fetch(`${server.url}/api/spotify/me`, { headers: cookie ? { cookie } : {} });
+  return response.json();
+}
+
+function savePlaylist(server, cookie, body) {
+  return fetch(`${server.url}/api/spotify/playlist`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', cookie },
+    body: JSON.stringify(body)
+  });
+}
+
+describe('Spotify login', () => {
+  let mock;
+  let server;
+  before(async () => {
+    mock = await startMockSpotify();
+    server = await startApp({ spotifyUser: mock.userClient });
+  });
+  after(async () => {
+    await server.close();
+    await mock.close();
+  });
+
+  it('is off unless a login client is configured', async () => {
+    const plain = await startApp();
+    try {
+      assert.deepEqual(await getAccount(plain), { enabled: false, connected: false, user: null });
+      const response = await fetch(`${plain.url}/api/spotify/login`, { redirect: 'manual' });
+      assert.equal(response.status, 404);
+    } finally {
+      await plain.close();
+    }
+  });
+
+  it('connects an account with PKCE and returns to the app', async () => {
+    const { cookie, authorize, location } = await connectSpotify(server, mock, { returnTo: '/v/abc123' });
+    assert.equal(authorize.searchParams.get('code_challenge_method'), 'S256');
+    assert.equal(authorize.searchParams.get('response_type'), 'code');
+    assert.match(authorize.searchParams.get('scope'), /playlist-modify-private/);
+    assert.equal(location, '/v/abc123?spotify=connected');
+    // PKCE: the verifier is sent instead of the client secret
+    const exchange = mock.tokenRequests.find(request => request.grant_type === 'authorization_code');
+    assert.ok(exchange.code_verifier);
+    assert.equal(exchange.client_secret, undefined);
+
+    assert.deepEqual(await getAccount(server, cookie), { enabled: true, connected: true, user: { id: 'listener', displayName: 'Lis Tener' } });
+
+    await fetch(`${server.url}/api/spotify/logout`, { method: 'POST', headers: { cookie } });
+    assert.equal((await getAccount(server, cookie)).connected, false);
+  });
+
+  it('rejects a callback from another browser session', async () => {
+    const login = await fetch(`${server.url}/api/spotify/login`, { redirect: 'manual' });
+    const authorize = new URL(login.headers.get('location'));
+    const code = mock.approve(authorize.searchParams.get('code_challenge'));
+    const callback = await fetch(`${server.url}/api/spotify/callback?code=${code}&state=${authorize.searchParams.get('state')}`, { redirect: 'manual' });
+    assert.equal(callback.headers.get('location'), '/?spotify=error');
+  });
+
+  it('does not redirect off-site after login', async () => {
+    const { location } = await connectSpotify(server, mock, { returnTo: '//evil.example/' });
+    assert.equal(location, '/?spotify=connected');
+  });
+
+  it('saves tracks as a playlist in the connected account', async () => {
+    const { cookie } = await connectSpotify(server, mock);
+    mock.requests.length = 0;
+    const response = await savePlaylist(server, cookie, {
+      name: 'Calm Evenings',
+      description: 'Soft songs\nfor a slow night',
+      tracks: ['t1', 't2', 't1']
+    });
+    assert.equal(response.status, 201);
+    assert.deepEqual(await response.json(), { id: 'saved1', name: 'Calm Evenings', url: 'https://open.spotify.com/playlist/saved1' });
+
+    const [create, add] = mock.requests;
+    assert.equal(create.path, '/v1/users/listener/playlists');
+    assert.deepEqual(create.body, { name: 'Calm Evenings', description: 'Soft songs for a slow night', public: false });
+    assert.deepEqual(add.body, { uris: ['spotify:track:t1', 'spotify:track:t2'] });
+    assert.match(add.auth, /^Bearer user-token-/);
+  });
+
+  it('needs a connected account and valid tracks', async () => {
+    const anonymous = await savePlaylist(server, '', { name: 'Calm', tracks: ['t1'] });
+    assert.equal(anonymous.status, 401);
+
+    const { cookie } = await connectSpotify(server, mock);
+    const invalid = await savePlaylist(server, cookie, { name: 'Calm', tracks: ['spotify:track:t1'] });
+    assert.equal(invalid.status, 400);
+    assert.equal((await invalid.json()).error, 'Invalid tracks');
+  });
+});
+
+describe('Spotify login token refresh', () => {
+  let mock;
+  let server;
+  before(async () => {
+    // Tokens that are already inside the refresh margin
+    mock = await startMockSpotify({ userTokenExpiresIn: 30 });
+    server = await startApp({ spotifyUser: mock.userClient });
+  });
+  after(async () => {
+    await server.close();
+    await mock.close();
+  });
+
+  it('refreshes the access token before saving', async () => {
+    const { cookie } = await connectSpotify(server, mock);
+    const response = await savePlaylist(server, cookie, { name: 'Calm', tracks: ['t1'] });
+    assert.equal(response.status, 201);
+    assert.ok(mock.tokenRequests.some(request => request.grant_type === 'refresh_token' && request.refresh_token === 'refresh-1'));
+    assert.equal(mock.requests.at(-1).auth, 'Bearer user-token-2');
+  });
+});
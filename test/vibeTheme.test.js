@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildVibeTheme, contrastRatio, parseHex, CONTRAST } from '../src/lib/vibeTheme.js';
+
+const palettes = {
+  'Golden Hour': ['#F59E0B', '#FDBA74', '#7C2D12', '#FEF3C7'],
+  'Night Drive': ['#1E1B4B', '#A855F7', '#FACC15', '#27272A'],
+  'All white': ['#ffffff', '#fafafa'],
+  'All black': ['#000'],
+  'Deep blue': ['#000080', '#0000ff']
+};
+
+const themeFor = (hexes) => buildVibeTheme({ name: 'Test', colors: hexes.map((hex, i) => ({ name: `c${i}`, hex })) });
+
+describe('buildVibeTheme', () => {
+  for (const [name, hexes] of Object.entries(palettes)) {
+    it(`meets WCAG contrast for ${name}`, () => {
+      const vars = themeFor(hexes).vars;
+      const ratio = (a, b) => contrastRatio(parseHex(vars[a]), parseHex(vars[b]));
+
+      for (const background of ['--vibe-bg', '--vibe-surface']) {
+        assert.ok(ratio('--vibe-text', background) >= CONTRAST.text, `text on ${background}`);
+        assert.ok(ratio('--vibe-muted', background) >= CONTRAST.text, `muted on ${background}`);
+        assert.ok(ratio('--vibe-accent-text', background) >= CONTRAST.text, `accent text on ${background}`);
+        assert.ok(ratio('--vibe-accent', background) >= CONTRAST.ui, `accent on ${background}`);
+      }
+      assert.ok(ratio('--vibe-on-accent', '--vibe-accent') >= CONTRAST.text, 'button label');
+      assert.ok(ratio('--vibe-on-accent', '--vibe-accent-hover') >= CONTRAST.text, 'hovered button label');
+      assert.ok(ratio('--vibe-highlight', '--vibe-bg') >= CONTRAST.largeText, 'title gradient');
+      assert.ok(ratio('--vibe-border', '--vibe-surface') >= CONTRAST.ui, 'input border');
+    });
+  }
+
+  it('keeps the palette recognisable', () => {
+    assert.equal(themeFor(palettes['Night Drive']).vars['--vibe-accent'], '#facc15');
+  });
+
+  it('returns null without usable colors', () => {
+    assert.equal(buildVibeTheme({ name: 'Empty', colors: [{ name: 'x', hex: 'blue' }] }), null);
+    assert.equal(buildVibeTheme(undefined), null);
+  });
+});